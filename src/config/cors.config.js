@@ -1,18 +1,45 @@
 import cors from "cors";
 import { env } from "./env.config.js";
+import { OriginService } from "../services/origin.service.js";
+import { OriginUtils } from "../utils/origin-utils.js";
+
+// Endpoints browsers send events to from the sites of the apps, see checkOrigin()
+const INGESTION_PATHS = ["/api/analytics/collect", "/api/analytics/collect/batch"];
 
 export const corsConfig = () => {
-  return cors({
-    origin: (origin, callback) => {
-      const allowedOrigins = env.ALLOWED_ORIGINS.split(",");
-      if (!origin || allowedOrigins.includes(origin)) {
-        callback(null, true);
-      } else {
-        callback(new Error(`${origin} not allowed`));
+  return cors(async (req, callback) => {
+    const origin = req.header("Origin");
+
+    if (INGESTION_PATHS.includes(req.path)) {
+      // Two steps on purpose: a preflight carries no API key, so it can't be matched to an app and is
+      // answered for any origin some app allows. The request that follows is authenticated, checkOrigin()
+      // then refuses it with 403 unless its own app allows the origin, before any event is accepted.
+      const normalized = OriginUtils.normalize(origin);
+
+      try {
+        const allowed = normalized !== null && (await OriginService.isKnownOrigin(normalized));
+
+        return callback(null, {
+          origin: allowed ? origin : false,
+          methods: ["POST"],
+          allowedHeaders: ["Content-Type", "Authorization", "x-api-key"],
+          maxAge: 600,
+        });
+      } catch (error) {
+        return callback(error);
       }
-    },
-    methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
-    allowedHeaders: ["Content-Type", "Authorization"],
-    credentials: true,
+    }
+
+    const allowedOrigins = env.ALLOWED_ORIGINS.split(",");
+    if (!origin || allowedOrigins.includes(origin)) {
+      callback(null, {
+        origin: true,
+        methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+        allowedHeaders: ["Content-Type", "Authorization", "x-app-id"],
+        credentials: true,
+      });
+    } else {
+      callback(new Error(`${origin} not allowed`));
+    }
   });
 };
@@ -17,6 +17,30 @@ const envConfig = () => ({
   RENDER_PRODUCTION_URL: getEnv("RENDER_EXTERNAL_URL"),
 
   ALLOWED_ORIGINS: getEnv("ALLOWED_ORIGINS", ""),
+
+  API_KEY_GRACE_PERIOD_SECONDS: getEnv("API_KEY_GRACE_PERIOD_SECONDS", 24 * 60 * 60),
+
+  AUTH_TOKEN_SECRET: getEnv("AUTH_TOKEN_SECRET", ""),
+  AUTH_TOKEN_TTL_SECONDS: getEnv("AUTH_TOKEN_TTL_SECONDS", 12 * 60 * 60),
+
+  INGESTION_FLUSH_SIZE: getEnv("INGESTION_FLUSH_SIZE", 500),
+  INGESTION_FLUSH_INTERVAL_MS: getEnv("INGESTION_FLUSH_INTERVAL_MS", 1000),
+  INGESTION_MAX_BUFFER_SIZE: getEnv("INGESTION_MAX_BUFFER_SIZE", 10000),
+  INGESTION_MAX_RETRIES: getEnv("INGESTION_MAX_RETRIES", 3),
+
+  GEOIP_DATABASE_PATH: getEnv("GEOIP_DATABASE_PATH", ""),
+
+  PURGE_INTERVAL_MS: getEnv("PURGE_INTERVAL_MS", 60 * 60 * 1000),
+  PURGE_BATCH_SIZE: getEnv("PURGE_BATCH_SIZE", 5000),
+  PURGE_MAX_BATCHES: getEnv("PURGE_MAX_BATCHES", 100),
+  PARTITION_INTERVAL_MS: getEnv("PARTITION_INTERVAL_MS", 60 * 60 * 1000),
+  PARTITION_MONTHS_AHEAD: getEnv("PARTITION_MONTHS_AHEAD", 3),
+  APP_RESTORE_WINDOW_DAYS: getEnv("APP_RESTORE_WINDOW_DAYS", 30),
+  ORG_INVITATION_TTL_DAYS: getEnv("ORG_INVITATION_TTL_DAYS", 7),
+  IP_REQUESTS_PER_MINUTE: getEnv("IP_REQUESTS_PER_MINUTE", 600),
+  APP_EVENTS_PER_MINUTE: getEnv("APP_EVENTS_PER_MINUTE", 6000),
+  APP_MONTHLY_EVENT_QUOTA: getEnv("APP_MONTHLY_EVENT_QUOTA", 10000000),
+  APP_ANALYTICS_QUERIES_PER_MINUTE: getEnv("APP_ANALYTICS_QUERIES_PER_MINUTE", 60),
 });
 
 export const env = envConfig();
@@ -3,6 +3,7 @@ const httpConfig = () => ({
   CREATED: 201,
   ACCEPTED: 202,
   NO_CONTENT: 204,
+  MULTI_STATUS: 207,
   
   // Client error responses
   BAD_REQUEST: 400,
@@ -11,6 +12,7 @@ const httpConfig = () => ({
   NOT_FOUND: 404,
   METHOD_NOT_ALLOWED: 405,
   CONFLICT: 409,
+  GONE: 410,
   UNPROCESSABLE_ENTITY: 422,
   TOO_MANY_REQUESTS: 429,
 
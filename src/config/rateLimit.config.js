@@ -1,4 +1,9 @@
 import rateLimit from "express-rate-limit";
+import { env } from "./env.config.js";
+import { countAnalyticsQuery } from "../middleware/quota.middleware.js";
+import { PostgresRateLimitStore } from "../services/rateLimitStore.service.js";
+
+// Counters are kept in Postgres, so limits hold across server instances and restarts
 
 export const apiKeyManagementRateLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -9,28 +14,54 @@ export const apiKeyManagementRateLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  store: new PostgresRateLimitStore({ prefix: "management:" }),
 });
 
-// Limit for event submissions (e.g., clicks, referrer info, visits etc)
-export const eventRateLimiter = rateLimit({
+// Limit per client IP in front of the authentication of the collect and analytics endpoints,
+// so requests with unknown keys can't reach the database unthrottled. Both share the limit.
+export const ipRateLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
-  max: 30, // Max 30 requests per minute per IP
+  max: () => Number(env.IP_REQUESTS_PER_MINUTE),
   message: {
     success: false,
-    message: "Too many event submissions, please try again later.",
+    message: "Too many requests from this IP, please try again later.",
+    code: "rate_limit_exceeded",
   },
   standardHeaders: true,
   legacyHeaders: false,
+  store: new PostgresRateLimitStore({ prefix: "ip:" }),
 });
 
-// Limit for analytics endpoints (event-summary / user-stats)
-export const analyticsRateLimiter = rateLimit({
-  windowMs: 5 * 60 * 1000, // 5 minutes
-  max: 20, // Max 20 requests every 5 minutes
+// Event submissions of authenticated apps are limited per app, see enforceEventLimits in quota.middleware.js
+
+// Limit for analytics endpoints, per app rather than per IP: every client of the app shares its limit.
+// Must run after the authentication, which attaches the app and its limits.
+const analyticsQueryLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.app_limits.analytics_queries_per_minute,
+  keyGenerator: (req) => req.app_id,
+  message: {
+    success: false,
+    message: "Too many analytics requests for this app, please try again later.",
+    code: "rate_limit_exceeded",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: new PostgresRateLimitStore({ prefix: "analytics:" }),
+});
+
+// Queries let through count in the usage of the app
+export const analyticsRateLimiter = [analyticsQueryLimiter, countAnalyticsQuery];
+
+// Limit for data subject exports and erasures, each one reads or deletes every event of a user
+export const dataSubjectRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Max 20 requests every 15 minutes
   message: {
     success: false,
-    message: "Too many analytics requests, please try again later.",
+    message: "Too many data subject requests, please try again later.",
   },
   standardHeaders: true,
   legacyHeaders: false,
+  store: new PostgresRateLimitStore({ prefix: "data-subject:" }),
 });
@@ -29,11 +29,79 @@ const options = {
           type: "apiKey",
           in: "header",
           name: "x-api-key",
-          description: "Provide your API key obtained during app registration.",
+          description:
+            "Provide your API key obtained during app registration. Keys are scoped: ingest to collect events, read for analytics, admin for personal data.",
+        },
+        BearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description: "Same API key, as an Authorization Bearer token.",
+        },
+        OwnerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description:
+            "Session token of an owner account, from /auth/signup or /auth/login. Required to manage apps, members can also read analytics with it.",
+        },
+      },
+      parameters: {
+        AppIdHeader: {
+          in: "header",
+          name: "x-app-id",
+          required: false,
+          schema: { type: "string" },
+          example: "7fab1e8c-0252-4174-bc61-1475ad8cdecb",
+          description: "App to read with a session token (OwnerAuth): viewers read analytics, analysts also personal data. Not used with API keys.",
+        },
+      },
+      schemas: {
+        OwnerSession: {
+          type: "object",
+          properties: {
+            success: { type: "boolean", example: true },
+            message: { type: "string", example: "Logged in successfully" },
+            data: {
+              type: "object",
+              properties: {
+                owner_id: { type: "string", example: "5b0e9c6a-1f2d-4e8b-9a3c-7d6e5f4a3b2c" },
+                email: { type: "string", example: "owner@myapp.com" },
+                created_at: { type: "string", format: "date-time" },
+                token: { type: "string", example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..." },
+                token_type: { type: "string", example: "Bearer" },
+                expires_at: { type: "string", format: "date-time" },
+              },
+            },
+          },
+        },
+        App: {
+          type: "object",
+          properties: {
+            app_id: { type: "string", example: "7fab1e8c-0252-4174-bc61-1475ad8cdecb" },
+            org_id: { type: "string", example: "2d7c4e1a-9b3f-4a6e-8c5d-1f0e9a8b7c6d" },
+            role: { type: "string", enum: ["owner", "admin", "analyst", "viewer"], description: "Your role in the organization of the app" },
+            app_name: { type: "string", example: "My Test App" },
+            app_url: { type: "string", example: "https://test.com" },
+            timezone: { type: "string", example: "UTC" },
+            ip_mode: { type: "string", enum: ["full", "truncate", "hash", "drop"] },
+            allowed_origins: { type: "array", items: { type: "string" }, example: ["https://test.com"] },
+            raw_retention_days: { type: "integer", nullable: true },
+            summary_retention_days: { type: "integer", nullable: true },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" },
+            deleted_at: { type: "string", format: "date-time", nullable: true },
+            purge_at: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When a deleted app and its data are purged, it can be restored until then",
+            },
+            active_keys: { type: "integer", example: 1 },
+          },
         },
       },
     },
-    security: [{ ApiKeyAuth: [] }],
+    security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
   },
   apis: [path.join(__dirname, "../routes/*.js")],
 };
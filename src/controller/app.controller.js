@@ -0,0 +1,249 @@
+import { HTTPSTATUS } from "../config/http.config.js";
+import { AppService } from "../services/app.service.js";
+
+/**
+ * @route GET /api/apps
+ * @desc List the apps of the organizations of the owner
+ * @access Protected (owner session token)
+ */
+export const listAppsController = async (req, res) => {
+  try {
+    const result = await AppService.listApps(req.owner_id, {
+      includeDeleted: req.query.include_deleted === "true",
+      orgId: req.query.org_id,
+    });
+
+    res.json({
+      success: true,
+      message: "Apps retrieved successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("List apps error:", error);
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to retrieve apps",
+    });
+  }
+};
+
+/**
+ * @route GET /api/apps/:app_id
+ * @desc Get an app of the owner
+ * @access Protected (member of the organization of the app)
+ */
+export const getAppController = async (req, res) => {
+  try {
+    const result = await AppService.getApp(req.params.app_id, req.owner_id);
+
+    res.json({
+      success: true,
+      message: "App retrieved successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Get app error:", error);
+
+    if (error.message.includes("not found") || error.message.includes("unauthorized")) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to retrieve app",
+    });
+  }
+};
+
+/**
+ * @route PATCH /api/apps/:app_id
+ * @desc Rename an app or change its URL
+ * @access Protected (admin of the organization of the app)
+ */
+export const updateAppController = async (req, res) => {
+  try {
+    const { app_name, app_url } = req.body;
+
+    const result = await AppService.updateApp(req.params.app_id, req.owner_id, { appName: app_name, appUrl: app_url });
+
+    res.json({
+      success: true,
+      message: "App updated successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Update app error:", error);
+
+    if (error.message.includes("Insufficient role")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("already registered")) {
+      return res.status(HTTPSTATUS.CONFLICT).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not found") || error.message.includes("unauthorized")) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to update app",
+    });
+  }
+};
+
+/**
+ * @route DELETE /api/apps/:app_id
+ * @desc Delete an app, it can be restored until its purge
+ * @access Protected (admin of the organization of the app)
+ */
+export const deleteAppController = async (req, res) => {
+  try {
+    const result = await AppService.deleteApp(req.params.app_id, req.owner_id);
+
+    res.json({
+      success: true,
+      message: "App deleted successfully. It can be restored until it is purged",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Delete app error:", error);
+
+    if (error.message.includes("Insufficient role")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("already deleted")) {
+      return res.status(HTTPSTATUS.CONFLICT).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not found") || error.message.includes("unauthorized")) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to delete app",
+    });
+  }
+};
+
+/**
+ * @route POST /api/apps/:app_id/restore
+ * @desc Restore a deleted app during its restore window
+ * @access Protected (admin of the organization of the app)
+ */
+export const restoreAppController = async (req, res) => {
+  try {
+    const result = await AppService.restoreApp(req.params.app_id, req.owner_id);
+
+    res.json({
+      success: true,
+      message: "App restored successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Restore app error:", error);
+
+    if (error.message.includes("Insufficient role")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not deleted")) {
+      return res.status(HTTPSTATUS.CONFLICT).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("window")) {
+      return res.status(HTTPSTATUS.GONE).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not found") || error.message.includes("unauthorized")) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to restore app",
+    });
+  }
+};
+
+/**
+ * @route POST /api/apps/claim
+ * @desc Claim an app registered before owner accounts existed, with one of its admin keys
+ * @access Protected (owner session token)
+ */
+export const claimAppController = async (req, res) => {
+  try {
+    const result = await AppService.claimApp(req.body.api_key, req.owner_id);
+
+    res.json({
+      success: true,
+      message: "App claimed successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Claim app error:", error);
+
+    if (error.message.includes("admin scope")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("already belongs") || error.message.includes("already registered")) {
+      return res.status(HTTPSTATUS.CONFLICT).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not found")) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to claim app",
+    });
+  }
+};
@@ -1,16 +1,86 @@
 import { HTTPSTATUS } from "../config/http.config.js";
 import { ApiKeyService } from "../services/apiKey.service.js";
+import { RetentionService } from "../services/retention.service.js";
+import { OriginService } from "../services/origin.service.js";
+import { OwnerService } from "../services/owner.service.js";
+import { QuotaService } from "../services/quota.service.js";
+
+/**
+ * @route   POST /api/auth/signup
+ * @desc    Create an owner account and start a session
+ * @access  Public
+ */
+export const signupController = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const result = await OwnerService.signup(email, password);
+
+    res.status(HTTPSTATUS.CREATED).json({
+      success: true,
+      message: "Account created successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Signup error:", error);
+
+    if (error.message.includes("already exists")) {
+      return res.status(HTTPSTATUS.CONFLICT).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to create account",
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Start a session of an owner account
+ * @access  Public
+ */
+export const loginController = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const result = await OwnerService.login(email, password);
+
+    res.json({
+      success: true,
+      message: "Logged in successfully",
+      data: result,
+    });
+  } catch (error) {
+    if (error.message.includes("Invalid email or password")) {
+      return res.status(HTTPSTATUS.UNAUTHORIZED).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("Login error:", error);
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to log in",
+    });
+  }
+};
 
 /**
  * @route   POST /api/auth/register
  * @desc    Register new app and generate API key
- * @access  Public (should be protected by OAuth in production)
+ * @access  Protected (owner session token)
  */
 export const registerAppController = async (req, res) => {
   try {
-    const { app_name, app_url, user_id } = req.body;
+    const { app_name, app_url, timezone, ip_mode, org_id } = req.body;
 
-    const result = await ApiKeyService.registerApp(app_name, app_url, user_id);
+    const result = await ApiKeyService.registerApp(app_name, app_url, req.owner_id, timezone, ip_mode, org_id);
 
     res.status(HTTPSTATUS.CREATED).json({
       success: true,
@@ -20,6 +90,13 @@ export const registerAppController = async (req, res) => {
   } catch (error) {
     console.error("Registration error:", error);
 
+    if (error.message.includes("Insufficient role")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     if (error.message.includes("already registered")) {
       return res.status(HTTPSTATUS.CONFLICT).json({
         success: false,
@@ -27,6 +104,13 @@ export const registerAppController = async (req, res) => {
       });
     }
 
+    if (error.message.includes("not found")) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
       error: "Failed to register app",
@@ -37,13 +121,13 @@ export const registerAppController = async (req, res) => {
 /**
  * @route   POST /api/auth/revoke
  * @desc    Revoke an existing API key
- * @access  Protected
+ * @access  Protected (admin of the organization of the app of the key)
  */
 export const revokeApiKeyController = async (req, res) => {
   try {
     const { api_key } = req.body;
 
-    const result = await ApiKeyService.revokeApiKey(api_key);
+    const result = await ApiKeyService.revokeApiKey(api_key, req.owner_id);
 
     res.status(HTTPSTATUS.CREATED).json({
       success: true,
@@ -53,6 +137,13 @@ export const revokeApiKeyController = async (req, res) => {
   } catch (error) {
     console.error("Revoke error:", error);
 
+    if (error.message.includes("Insufficient role")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     if (error.message.includes("not found") || error.message.includes("already revoked")) {
       return res.status(HTTPSTATUS.NOT_FOUND).json({
         success: false,
@@ -70,13 +161,13 @@ export const revokeApiKeyController = async (req, res) => {
 /**
  * @route   POST /api/auth/api-key
  * @descr   Get API key details for a given app ID
- * @access  Protected (user must own the app)
+ * @access  Protected (admin of the organization of the app)
  */
 export const getApiKeyController = async (req, res) => {
   try {
     const { app_id } = req.body;
 
-    const result = await ApiKeyService.getApiKeyByAppId(app_id);
+    const result = await ApiKeyService.getApiKeyByAppId(app_id, req.owner_id);
 
     res.json({
       success: true,
@@ -86,9 +177,16 @@ export const getApiKeyController = async (req, res) => {
   } catch (error) {
     console.error("Get API key error:", error);
 
+    if (error.message.includes("Insufficient role")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     console.log("error : ", error.message);
 
-    if (error.message.includes("No active API key found for this app")) {
+    if (error.message.includes("No active API key found for this app") || error.message.includes("not found")) {
       return res.status(HTTPSTATUS.NOT_FOUND).json({
         success: false,
         error: error.message,
@@ -105,20 +203,20 @@ export const getApiKeyController = async (req, res) => {
 /**
  * @router POST /api/auth/regenerate
  * @desc Regenerate API key for an existing app
- * @access Protected (user must own the app)
+ * @access Protected (admin of the organization of the app)
  */
 export const regenerateApiKeyController = async (req, res) => {
   try {
-    const { app_id, user_id } = req.body;
+    const { app_id, key_id, grace_period } = req.body;
 
-    if (!app_id || !user_id) {
+    if (!app_id) {
       return res.status(HTTPSTATUS.BAD_REQUEST).json({
         success: false,
-        error: "App ID and User ID are required",
+        error: "App ID is required",
       });
     }
 
-    const result = await ApiKeyService.regenerateApiKey(app_id, user_id);
+    const result = await ApiKeyService.regenerateApiKey(app_id, req.owner_id, key_id, grace_period);
 
     res.json({
       success: true,
@@ -128,6 +226,20 @@ export const regenerateApiKeyController = async (req, res) => {
   } catch (error) {
     console.error("Regenerate error:", error);
 
+    if (error.message.includes("Insufficient role")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("already regenerated")) {
+      return res.status(HTTPSTATUS.CONFLICT).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     if (error.message.includes("not found") || error.message.includes("unauthorized")) {
       return res.status(HTTPSTATUS.NOT_FOUND).json({
         success: false,
@@ -141,3 +253,303 @@ export const regenerateApiKeyController = async (req, res) => {
     });
   }
 };
+
+/**
+ * @route POST /api/auth/keys
+ * @desc Create an additional API key with the given scopes
+ * @access Protected (admin of the organization of the app)
+ */
+export const createApiKeyController = async (req, res) => {
+  try {
+    const { app_id, name, scopes } = req.body;
+
+    const result = await ApiKeyService.createApiKey(app_id, req.owner_id, { name, scopes });
+
+    res.status(HTTPSTATUS.CREATED).json({
+      success: true,
+      message: "API key created successfully. Save it - it will not be shown again!",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Create API key error:", error);
+
+    if (error.message.includes("Insufficient role")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not found") || error.message.includes("unauthorized")) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to create API key",
+    });
+  }
+};
+
+/**
+ * @route GET /api/auth/keys
+ * @desc List the API keys of an app
+ * @access Protected (admin of the organization of the app)
+ */
+export const listApiKeysController = async (req, res) => {
+  try {
+    const { app_id } = req.query;
+
+    const result = await ApiKeyService.listApiKeys(app_id, req.owner_id);
+
+    res.json({
+      success: true,
+      message: "API keys retrieved successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("List API keys error:", error);
+
+    if (error.message.includes("Insufficient role")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not found") || error.message.includes("unauthorized")) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to retrieve API keys",
+    });
+  }
+};
+
+/**
+ * @route POST /api/auth/keys/revoke
+ * @desc Revoke an API key of an app by its ID
+ * @access Protected (admin of the organization of the app)
+ */
+export const revokeApiKeyByIdController = async (req, res) => {
+  try {
+    const { app_id, key_id } = req.body;
+
+    const result = await ApiKeyService.revokeApiKeyById(app_id, req.owner_id, key_id);
+
+    res.json({
+      success: true,
+      message: "API key revoked successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Revoke API key error:", error);
+
+    if (error.message.includes("Insufficient role")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not found") || error.message.includes("already revoked")) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to revoke API key",
+    });
+  }
+};
+
+/**
+ * @route POST /api/auth/privacy
+ * @desc Change how IP addresses of an app are stored
+ * @access Protected (admin of the organization of the app)
+ */
+export const updatePrivacyController = async (req, res) => {
+  try {
+    const { app_id, ip_mode } = req.body;
+
+    const result = await ApiKeyService.updateIpMode(app_id, req.owner_id, ip_mode);
+
+    res.json({
+      success: true,
+      message: "Privacy settings updated successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Privacy update error:", error);
+
+    if (error.message.includes("Insufficient role")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not found") || error.message.includes("unauthorized")) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to update privacy settings",
+    });
+  }
+};
+
+/**
+ * @route POST /api/auth/allowed-origins
+ * @desc Change the origins browsers may send events of an app from
+ * @access Protected (admin of the organization of the app)
+ */
+export const updateAllowedOriginsController = async (req, res) => {
+  try {
+    const { app_id, allowed_origins } = req.body;
+
+    const result = await OriginService.updateAllowedOrigins(app_id, req.owner_id, allowed_origins);
+
+    res.json({
+      success: true,
+      message: "Allowed origins updated successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Allowed origins update error:", error);
+
+    if (error.message.includes("Insufficient role")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not found") || error.message.includes("unauthorized")) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to update allowed origins",
+    });
+  }
+};
+
+/**
+ * @route POST /api/auth/data-retention
+ * @desc Change how long raw events and daily summaries of an app are kept
+ * @access Protected (admin of the organization of the app)
+ */
+export const updateRetentionPolicyController = async (req, res) => {
+  try {
+    const { app_id, raw_retention_days, summary_retention_days } = req.body;
+
+    // Omitted fields are left as they are, null keeps the data forever
+    const toDays = (value) => (value === undefined || value === null ? value : Number(value));
+
+    const result = await RetentionService.updatePolicy(app_id, req.owner_id, {
+      rawRetentionDays: toDays(raw_retention_days),
+      summaryRetentionDays: toDays(summary_retention_days),
+    });
+
+    res.json({
+      success: true,
+      message: "Retention policy updated successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Retention policy update error:", error);
+
+    if (error.message.includes("Insufficient role")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("at least as long")) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not found") || error.message.includes("unauthorized")) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to update retention policy",
+    });
+  }
+};
+
+/**
+ * @route POST /api/auth/limits
+ * @desc Change the event rate limit, monthly event quota and analytics query limit of an app
+ * @access Protected (admin of the organization of the app)
+ */
+export const updateLimitsController = async (req, res) => {
+  try {
+    const { app_id, events_per_minute, monthly_event_quota, analytics_queries_per_minute } = req.body;
+
+    // Omitted fields are left as they are, null goes back to the default of the server
+    const toLimit = (value) => (value === undefined || value === null ? value : Number(value));
+
+    const result = await QuotaService.updateLimits(app_id, req.owner_id, {
+      eventsPerMinute: toLimit(events_per_minute),
+      monthlyEventQuota: toLimit(monthly_event_quota),
+      analyticsQueriesPerMinute: toLimit(analytics_queries_per_minute),
+    });
+
+    res.json({
+      success: true,
+      message: "Limits updated successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Limits update error:", error);
+
+    if (error.message.includes("Insufficient role")) {
+      return res.status(HTTPSTATUS.FORBIDDEN).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not found") || error.message.includes("unauthorized")) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to update limits",
+    });
+  }
+};
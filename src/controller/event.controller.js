@@ -1,30 +1,76 @@
 import { HTTPSTATUS } from "../config/http.config.js";
-import { EventService } from "../services/event.service.js";
+import { EventService, InvalidRangeError } from "../services/event.service.js";
+import { ingestionQueue, IngestionUnavailableError } from "../services/ingestionQueue.service.js";
+import { QuotaService } from "../services/quota.service.js";
+import { purgeJob, RetentionService } from "../services/retention.service.js";
+
+/**
+ * Pick the event fields from a request payload
+ * @param {Object} payload - A single event from the request body
+ * @param {*} req - The request the event arrived with
+ * @returns {Object} The event data expected by EventService
+ */
+const toEventData = (payload, req) => ({
+  event: payload.event,
+  url: payload.url,
+  referrer: payload.referrer,
+  device: payload.device,
+  ipAddress: payload.ipAddress || req.ip,
+  userAgent: payload.userAgent || req.get("User-Agent"),
+  timestamp: payload.timestamp,
+  metadata: payload.metadata,
+  session_id: payload.session_id,
+  user_id: payload.user_id,
+});
+
+/**
+ * Give back the events enforceEventLimits counted in the usage of the app, when they are not collected
+ * @param {*} req - The request the events arrived with
+ * @returns {Promise<void>}
+ */
+const refundChargedEvents = async (req) => {
+  if (!req.charged_events) return;
+
+  try {
+    await QuotaService.refundEvents(req.app_id, req.charged_events);
+  } catch (error) {
+    console.error("Error refunding events:", error);
+  }
+};
+
+/**
+ * Answer with 503 when the ingestion queue can't take more events
+ * @param {Error} error - The error raised while enqueuing
+ * @param {*} res - The response to answer on
+ * @returns {boolean} Whether the response was sent
+ */
+const rejectWhenUnavailable = (error, res) => {
+  if (!(error instanceof IngestionUnavailableError)) {
+    return false;
+  }
+
+  res.set("Retry-After", String(Math.ceil(ingestionQueue.flushIntervalMs / 1000)));
+  res.status(HTTPSTATUS.SERVICE_UNAVAILABLE).json({
+    success: false,
+    error: "Event ingestion is temporarily unavailable, please retry later",
+  });
+  return true;
+};
 
 /**
  * @route POST /collect
- * @desc Collect event data
+ * @desc Collect event data, stored asynchronously by the ingestion queue
  * @access Protected by api key, validated by middleware
  */
 export const eventCollectController = async (req, res) => {
   try {
-    const eventData = {
-      event: req.body.event,
-      url: req.body.url,
-      referrer: req.body.referrer,
-      device: req.body.device,
-      ipAddress: req.body.ipAddress || req.ip,
-      timestamp: req.body.timestamp,
-      metadata: req.body.metadata,
-      session_id: req.body.session_id,
-      user_id: req.body.user_id,
-    };
-
-    const result = await EventService.collectEvent(req.app_id, eventData);
-
-    res.status(HTTPSTATUS.CREATED).json({
+    const eventData = toEventData(req.body, req);
+
+    const [result] = ingestionQueue.enqueue(req.app_id, [eventData]);
+
+    res.status(HTTPSTATUS.ACCEPTED).json({
       success: true,
-      message: "Event collected successfully",
+      message: "Event accepted for processing",
       data: {
         event_id: result.id,
         event_type: result.event_type,
@@ -33,6 +79,9 @@ export const eventCollectController = async (req, res) => {
     });
   } catch (error) {
     console.error("Event collection error:", error);
+    await refundChargedEvents(req);
+    if (rejectWhenUnavailable(error, res)) return;
+
     res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
       error: "Failed to collect event",
@@ -40,6 +89,65 @@ export const eventCollectController = async (req, res) => {
   }
 };
 
+/**
+ * @route POST /collect/batch
+ * @desc Collect a batch of events, invalid events are reported without dropping the rest.
+ *       Valid events are stored asynchronously by the ingestion queue
+ * @access Protected by api key, validated by middleware
+ */
+export const eventBatchCollectController = async (req, res) => {
+  try {
+    const { events } = req.body;
+    const eventErrors = req.eventErrors || {};
+
+    const validIndexes = events.map((_, index) => index).filter((index) => !eventErrors[index]);
+
+    const queued = ingestionQueue.enqueue(req.app_id, validIndexes.map((index) => toEventData(events[index], req)));
+
+    const results = events.map((_, index) => ({
+      index,
+      status: "rejected",
+      errors: eventErrors[index],
+    }));
+
+    validIndexes.forEach((index, position) => {
+      results[index] = {
+        index,
+        status: "accepted",
+        event_id: queued[position].id,
+        event_type: queued[position].event_type,
+        timestamp: queued[position].timestamp,
+      };
+    });
+
+    const accepted = validIndexes.length;
+    const rejected = events.length - accepted;
+
+    let status = HTTPSTATUS.ACCEPTED;
+    if (accepted === 0) status = HTTPSTATUS.BAD_REQUEST;
+    else if (rejected > 0) status = HTTPSTATUS.MULTI_STATUS;
+
+    res.status(status).json({
+      success: accepted > 0,
+      message: accepted > 0 ? `${accepted} of ${events.length} events accepted for processing` : "No valid events to collect",
+      data: {
+        accepted,
+        rejected,
+        results,
+      },
+    });
+  } catch (error) {
+    console.error("Batch event collection error:", error);
+    await refundChargedEvents(req);
+    if (rejectWhenUnavailable(error, res)) return;
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to collect events",
+    });
+  }
+};
+
 /**
  * @route GET /event-summary
  * @desc Get summary of events by event-type
@@ -47,7 +155,7 @@ export const eventCollectController = async (req, res) => {
  */
 export const eventSummaryController = async (req, res) => {
   try {
-    const { event, startDate, endDate } = req.query;
+    const { event, startDate, endDate, tz } = req.query;
 
     if (!event) {
       return res.status(HTTPSTATUS.BAD_REQUEST).json({
@@ -57,7 +165,7 @@ export const eventSummaryController = async (req, res) => {
     }
 
     // Get summary from the service
-    const summary = await EventService.getEventSummary(req.app_id, event, startDate, endDate);
+    const summary = await EventService.getEventSummary(req.app_id, event, startDate, endDate, tz);
 
     if (!summary) {
       return res.status(HTTPSTATUS.NOT_FOUND).json({
@@ -80,6 +188,166 @@ export const eventSummaryController = async (req, res) => {
   }
 };
 
+/**
+ * @route GET /timeseries
+ * @desc Get event counts and unique users bucketed by hour, day, week or month
+ * @access Protected by api key, validated by middleware
+ */
+export const eventTimeSeriesController = async (req, res) => {
+  try {
+    const { event, interval = "day", startDate, endDate, tz } = req.query;
+
+    const timezone = await EventService.resolveTimeZone(req.app_id, tz);
+    const series = await EventService.getTimeSeries(req.app_id, event, interval, startDate, endDate, timezone);
+
+    res.status(HTTPSTATUS.OK).json({
+      success: true,
+      message: "Event time series fetched successfully",
+      data: {
+        event_type: event,
+        interval,
+        timezone,
+        series,
+      },
+    });
+  } catch (error) {
+    console.error("Event time series error:", error);
+
+    if (error instanceof InvalidRangeError) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to retrieve event time series",
+    });
+  }
+};
+
+/**
+ * @route POST /funnel
+ * @desc Get users reaching each step of an ordered funnel, with conversion rates and time between steps
+ * @access Protected by api key, validated by middleware
+ */
+export const eventFunnelController = async (req, res) => {
+  try {
+    const { steps, identifier = "user_id", conversion_window = 86400, startDate, endDate, tz } = req.body;
+
+    const funnel = await EventService.getFunnel(
+      req.app_id,
+      steps.map(({ event, metadata }) => ({ event, metadata })),
+      { identifier, windowSeconds: conversion_window, startDate, endDate, timeZone: tz }
+    );
+
+    res.status(HTTPSTATUS.OK).json({
+      success: true,
+      message: "Funnel fetched successfully",
+      data: {
+        identifier,
+        conversion_window,
+        steps: funnel,
+      },
+    });
+  } catch (error) {
+    console.error("Funnel error:", error);
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to retrieve funnel",
+    });
+  }
+};
+
+/**
+ * @route GET /retention
+ * @desc Get the share of users firing a return event in the periods following their first start event
+ * @access Protected by api key, validated by middleware
+ */
+export const eventRetentionController = async (req, res) => {
+  try {
+    const { startEvent, returnEvent, period = "week", periods, startDate, endDate, tz } = req.query;
+
+    const cohorts = await EventService.getRetention(req.app_id, startEvent, returnEvent, {
+      period,
+      periods,
+      startDate,
+      endDate,
+      timeZone: tz,
+    });
+
+    res.status(HTTPSTATUS.OK).json({
+      success: true,
+      message: "Retention fetched successfully",
+      data: {
+        start_event: startEvent,
+        return_event: returnEvent,
+        period,
+        cohorts,
+      },
+    });
+  } catch (error) {
+    console.error("Retention error:", error);
+
+    if (error instanceof InvalidRangeError) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to retrieve retention",
+    });
+  }
+};
+
+/**
+ * @route GET /breakdown
+ * @desc Get event counts and unique users per value of a metadata property
+ * @access Protected by api key, validated by middleware
+ */
+export const eventBreakdownController = async (req, res) => {
+  try {
+    const { event, property, limit = 10, filter = [], startDate, endDate, tz } = req.query;
+
+    // Filters come as property:value, the value may itself contain colons
+    const filters = Object.fromEntries(
+      [].concat(filter).map((condition) => {
+        const separator = condition.indexOf(":");
+        return [condition.substring(0, separator), condition.substring(separator + 1)];
+      })
+    );
+
+    const breakdown = await EventService.getBreakdown(req.app_id, event, property, {
+      limit,
+      filters,
+      startDate,
+      endDate,
+      timeZone: tz,
+    });
+
+    res.status(HTTPSTATUS.OK).json({
+      success: true,
+      message: "Event breakdown fetched successfully",
+      data: {
+        event_type: event,
+        property,
+        filters,
+        ...breakdown,
+      },
+    });
+  } catch (error) {
+    console.error("Event breakdown error:", error);
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to retrieve event breakdown",
+    });
+  }
+};
+
 /**
  * @route GET /user-stats
  * @desc Get user statistics
@@ -119,3 +387,167 @@ export const eventUserStatsController = async (req, res) => {
     });
   }
 };
+
+/**
+ * @route GET /recent-events
+ * @desc Get a page of the latest events, newest first
+ * @access Protected by api key, validated by middleware
+ */
+export const recentEventsController = async (req, res) => {
+  try {
+    const { cursor, event, userId, sessionId } = req.query;
+    const limit = Number(req.query.limit) || 50;
+
+    // One extra event tells whether there is a next page
+    const events = await EventService.getRecentEvents(req.app_id, limit + 1, {
+      cursor,
+      eventType: event,
+      userId,
+      sessionId,
+    });
+
+    const hasMore = events.length > limit;
+    const page = events.slice(0, limit);
+
+    res.status(HTTPSTATUS.OK).json({
+      success: true,
+      message: "Recent events fetched successfully",
+      data: {
+        events: page,
+        has_more: hasMore,
+        next_cursor: hasMore ? page[page.length - 1].cursor : null,
+      },
+    });
+  } catch (error) {
+    console.error("Recent events error:", error);
+
+    if (error.message === "Invalid cursor") {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to retrieve recent events",
+    });
+  }
+};
+
+/**
+ * @route GET /event-counts
+ * @desc Get event counts and unique users of every event type
+ * @access Protected by api key, validated by middleware
+ */
+export const eventCountsController = async (req, res) => {
+  try {
+    const { startDate, endDate, tz } = req.query;
+
+    const eventTypes = await EventService.getEventCountsByType(req.app_id, startDate, endDate, tz);
+
+    res.status(HTTPSTATUS.OK).json({
+      success: true,
+      message: "Event counts fetched successfully",
+      data: {
+        total_event_types: eventTypes.length,
+        event_types: eventTypes,
+      },
+    });
+  } catch (error) {
+    console.error("Event counts error:", error);
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to retrieve event counts",
+    });
+  }
+};
+
+/**
+ * @route GET /geography
+ * @desc Get event counts and unique users per country, region or city
+ * @access Protected by api key, validated by middleware
+ */
+export const eventGeographyController = async (req, res) => {
+  try {
+    const { event, level = "country", limit = 50, startDate, endDate, tz } = req.query;
+
+    const locations = await EventService.getGeography(req.app_id, {
+      eventType: event,
+      level,
+      limit,
+      startDate,
+      endDate,
+      timeZone: tz,
+    });
+
+    res.status(HTTPSTATUS.OK).json({
+      success: true,
+      message: "Event geography fetched successfully",
+      data: {
+        event_type: event || null,
+        level,
+        locations,
+      },
+    });
+  } catch (error) {
+    console.error("Event geography error:", error);
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to retrieve event geography",
+    });
+  }
+};
+
+/**
+ * @route GET /data-retention
+ * @desc Get the retention policy of the app, its oldest data and what the purge job deleted
+ * @access Protected by api key
+ */
+export const dataRetentionStatusController = async (req, res) => {
+  try {
+    const status = await RetentionService.getStatus(req.app_id);
+
+    res.status(HTTPSTATUS.OK).json({
+      success: true,
+      message: "Retention status fetched successfully",
+      data: {
+        ...status,
+        job: {
+          enabled: Boolean(purgeJob.intervalMs),
+          interval_ms: purgeJob.intervalMs,
+          last_run_at: purgeJob.lastRunAt,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Retention status error:", error);
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to retrieve retention status",
+    });
+  }
+};
+
+/**
+ * @route GET /usage
+ * @desc Get the limits of the app and its usage, this month and the previous ones
+ * @access Protected by api key
+ */
+export const usageController = async (req, res) => {
+  try {
+    const usage = await QuotaService.getUsage(req.app_id, req.app_limits);
+
+    res.status(HTTPSTATUS.OK).json({
+      success: true,
+      message: "Usage fetched successfully",
+      data: usage,
+    });
+  } catch (error) {
+    console.error("Usage error:", error);
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to retrieve usage",
+    });
+  }
+};
@@ -0,0 +1,209 @@
+import { HTTPSTATUS } from "../config/http.config.js";
+import { OrganizationService } from "../services/organization.service.js";
+
+/**
+ * Answer a request whose organization service call failed, with the status its error calls for
+ * @param {*} res
+ * @param {Error} error - The error thrown by OrganizationService
+ * @param {string} fallback - Error returned for unexpected failures
+ */
+const handleOrganizationError = (res, error, fallback) => {
+  let status = HTTPSTATUS.INTERNAL_SERVER_ERROR;
+
+  if (error.message.includes("Insufficient role") || error.message.includes("another email")) {
+    status = HTTPSTATUS.FORBIDDEN;
+  } else if (error.message.includes("not found")) {
+    status = HTTPSTATUS.NOT_FOUND;
+  } else if (error.message.includes("already a member") || error.message.includes("at least one owner")) {
+    status = HTTPSTATUS.CONFLICT;
+  } else if (error.message.includes("has expired")) {
+    status = HTTPSTATUS.GONE;
+  }
+
+  res.status(status).json({
+    success: false,
+    error: status === HTTPSTATUS.INTERNAL_SERVER_ERROR ? fallback : error.message,
+  });
+};
+
+/**
+ * @route POST /api/orgs
+ * @desc Create an organization, the owner creating it is its owner
+ * @access Protected (owner session token)
+ */
+export const createOrganizationController = async (req, res) => {
+  try {
+    const result = await OrganizationService.createOrganization(req.body.name, req.owner_id);
+
+    res.status(HTTPSTATUS.CREATED).json({
+      success: true,
+      message: "Organization created successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Create organization error:", error);
+    handleOrganizationError(res, error, "Failed to create organization");
+  }
+};
+
+/**
+ * @route GET /api/orgs
+ * @desc List the organizations of the owner
+ * @access Protected (owner session token)
+ */
+export const listOrganizationsController = async (req, res) => {
+  try {
+    const result = await OrganizationService.listOrganizations(req.owner_id);
+
+    res.json({
+      success: true,
+      message: "Organizations retrieved successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("List organizations error:", error);
+    handleOrganizationError(res, error, "Failed to retrieve organizations");
+  }
+};
+
+/**
+ * @route GET /api/orgs/:org_id/members
+ * @desc List the members of an organization
+ * @access Protected (member of the organization)
+ */
+export const listMembersController = async (req, res) => {
+  try {
+    const result = await OrganizationService.listMembers(req.params.org_id, req.owner_id);
+
+    res.json({
+      success: true,
+      message: "Members retrieved successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("List members error:", error);
+    handleOrganizationError(res, error, "Failed to retrieve members");
+  }
+};
+
+/**
+ * @route PATCH /api/orgs/:org_id/members/:user_id
+ * @desc Change the role of a member
+ * @access Protected (admin of the organization, owner for the owner role)
+ */
+export const updateMemberController = async (req, res) => {
+  try {
+    const result = await OrganizationService.updateMemberRole(req.params.org_id, req.owner_id, req.params.user_id, req.body.role);
+
+    res.json({
+      success: true,
+      message: "Member role updated successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Update member error:", error);
+    handleOrganizationError(res, error, "Failed to update member");
+  }
+};
+
+/**
+ * @route DELETE /api/orgs/:org_id/members/:user_id
+ * @desc Remove a member from an organization, or leave it
+ * @access Protected (admin of the organization, owner to remove owners, any member to leave)
+ */
+export const removeMemberController = async (req, res) => {
+  try {
+    const result = await OrganizationService.removeMember(req.params.org_id, req.owner_id, req.params.user_id);
+
+    res.json({
+      success: true,
+      message: "Member removed successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Remove member error:", error);
+    handleOrganizationError(res, error, "Failed to remove member");
+  }
+};
+
+/**
+ * @route POST /api/orgs/:org_id/invitations
+ * @desc Invite someone to an organization
+ * @access Protected (admin of the organization, owner to invite owners)
+ */
+export const createInvitationController = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    const result = await OrganizationService.createInvitation(req.params.org_id, req.owner_id, { email, role });
+
+    res.status(HTTPSTATUS.CREATED).json({
+      success: true,
+      message: "Invitation created successfully. Share the token with the invitee - it will not be shown again!",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Create invitation error:", error);
+    handleOrganizationError(res, error, "Failed to create invitation");
+  }
+};
+
+/**
+ * @route GET /api/orgs/:org_id/invitations
+ * @desc List the pending invitations of an organization
+ * @access Protected (admin of the organization)
+ */
+export const listInvitationsController = async (req, res) => {
+  try {
+    const result = await OrganizationService.listInvitations(req.params.org_id, req.owner_id);
+
+    res.json({
+      success: true,
+      message: "Invitations retrieved successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("List invitations error:", error);
+    handleOrganizationError(res, error, "Failed to retrieve invitations");
+  }
+};
+
+/**
+ * @route DELETE /api/orgs/:org_id/invitations/:invitation_id
+ * @desc Revoke a pending invitation
+ * @access Protected (admin of the organization)
+ */
+export const revokeInvitationController = async (req, res) => {
+  try {
+    const result = await OrganizationService.revokeInvitation(req.params.org_id, req.owner_id, req.params.invitation_id);
+
+    res.json({
+      success: true,
+      message: "Invitation revoked successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    handleOrganizationError(res, error, "Failed to revoke invitation");
+  }
+};
+
+/**
+ * @route POST /api/orgs/invitations/accept
+ * @desc Join an organization with an invitation token
+ * @access Protected (owner session token of the invited email)
+ */
+export const acceptInvitationController = async (req, res) => {
+  try {
+    const result = await OrganizationService.acceptInvitation(req.body.token, req.owner_id, req.owner_email);
+
+    res.json({
+      success: true,
+      message: "Invitation accepted successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Accept invitation error:", error);
+    handleOrganizationError(res, error, "Failed to accept invitation");
+  }
+};
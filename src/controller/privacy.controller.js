@@ -0,0 +1,91 @@
+import { HTTPSTATUS } from "../config/http.config.js";
+import { DataSubjectService, EXPORT_COLUMNS } from "../services/dataSubject.service.js";
+import { ingestionQueue } from "../services/ingestionQueue.service.js";
+import { CsvUtils } from "../utils/csv-utils.js";
+
+/**
+ * Pick the data subject and the requester of a data subject request
+ * @param {Object} params - The query or body the subject was given in
+ * @param {*} req - The authenticated request
+ * @returns {{subject: Object, requester: Object}}
+ */
+const toDataSubjectRequest = (params, req) => ({
+  subject: { userId: params.user_id, sessionId: params.session_id },
+  // Data subject routes only take API keys, the key is who made the request. Its ID outlives the key in requested_by.
+  requester: { requestedBy: `api_key:${req.api_key_id}`, apiKeyId: req.api_key_id },
+});
+
+/**
+ * @route GET /export
+ * @desc Download every event of a user (optionally of one session) as a JSON or CSV file
+ * @access Protected by api key, validated by middleware
+ */
+export const dataExportController = async (req, res) => {
+  try {
+    const { subject, requester } = toDataSubjectRequest(req.query, req);
+    const format = req.query.format || "json";
+
+    // Events still buffered belong in the export too
+    await ingestionQueue.flush();
+
+    const { request, events } = await DataSubjectService.exportData(req.app_id, subject, requester);
+
+    res.set("X-Request-Id", request.id);
+    res.attachment(`data-export-${request.id}.${format}`);
+
+    if (format === "csv") {
+      return res.type("text/csv").send(CsvUtils.toCsv(events, EXPORT_COLUMNS));
+    }
+
+    res.status(HTTPSTATUS.OK).json({
+      request_id: request.id,
+      app_id: req.app_id,
+      user_id: request.subject_user_id,
+      session_id: request.subject_session_id,
+      exported_at: request.created_at,
+      total_events: events.length,
+      events,
+    });
+  } catch (error) {
+    console.error("Data export error:", error);
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to export events",
+    });
+  }
+};
+
+/**
+ * @route POST /erase
+ * @desc Delete every event of a user (optionally of one session) and recompute the affected summaries
+ * @access Protected by api key, validated by middleware
+ */
+export const dataErasureController = async (req, res) => {
+  try {
+    const { subject, requester } = toDataSubjectRequest(req.body, req);
+
+    // Events still buffered would be written after the erasure otherwise
+    await ingestionQueue.flush();
+
+    const { request, summaries_updated } = await DataSubjectService.eraseData(req.app_id, subject, requester);
+
+    res.status(HTTPSTATUS.OK).json({
+      success: true,
+      message: "Events erased successfully",
+      data: {
+        request_id: request.id,
+        user_id: request.subject_user_id,
+        session_id: request.subject_session_id,
+        erased_events: request.events_count,
+        summaries_updated,
+        erased_at: request.created_at,
+      },
+    });
+  } catch (error) {
+    console.error("Data erasure error:", error);
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to erase events",
+    });
+  }
+};
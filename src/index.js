@@ -5,9 +5,16 @@ import swaggerUi from "swagger-ui-express";
 import { corsConfig } from "./config/cors.config.js";
 import { env } from "./config/env.config.js";
 import authRoutes from "./routes/auth.route.js";
+import appRoutes from "./routes/app.route.js";
+import organizationRoutes from "./routes/organization.route.js";
 import analyticsRoutes from "./routes/analytics.route.js";
+import privacyRoutes from "./routes/privacy.route.js";
 import { swaggerSpec } from "./config/swagger.config.js";
 import { apiKeyManagementRateLimiter } from "./config/rateLimit.config.js";
+import { ingestionQueue } from "./services/ingestionQueue.service.js";
+import { purgeJob } from "./services/retention.service.js";
+import { partitionJob } from "./services/partition.service.js";
+import pool from "./config/database.config.js";
 
 const app = express();
 const PORT = env.PORT;
@@ -19,11 +26,15 @@ app.use(corsConfig());
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 app.use("/api/auth", apiKeyManagementRateLimiter, authRoutes);
+app.use("/api/apps", apiKeyManagementRateLimiter, appRoutes);
+app.use("/api/orgs", apiKeyManagementRateLimiter, organizationRoutes);
 app.use("/api/analytics", analyticsRoutes);
+app.use("/api/privacy", privacyRoutes);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
-  res.json({ status: "ok", timestamp: new Date().toISOString() });
+  // Events dropped by the ingestion buffer were acknowledged but never stored, see IngestionQueue.requeue()
+  res.json({ status: "ok", timestamp: new Date().toISOString(), ingestion: ingestionQueue.stats() });
 });
 
 app.use((req, res) => {
@@ -41,9 +52,39 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Analytics API server running on port ${PORT}`);
   console.log(`📊 Environment: ${env.NODE_ENV || "development"}`);
 });
 
+// Delete data past the retention policy of each app, see RetentionService
+purgeJob.start();
+
+// Create the event partitions of the coming months, whether purges run or not. Tests migrate
+// the database after importing the app, they create the partitions they need themselves.
+if (env.NODE_ENV !== "test") {
+  partitionJob.start();
+}
+
+// Stop taking requests and write buffered events before exiting
+const shutdown = async (signal) => {
+  console.log(`🛑 ${signal} received, draining ${ingestionQueue.size} buffered events`);
+
+  server.close();
+
+  try {
+    await ingestionQueue.drain();
+    await purgeJob.stop();
+    await partitionJob.stop();
+    await pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error("Shutdown error:", error);
+    process.exit(1);
+  }
+};
+
+process.once("SIGTERM", () => shutdown("SIGTERM"));
+process.once("SIGINT", () => shutdown("SIGINT"));
+
 export default app;
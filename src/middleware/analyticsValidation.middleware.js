@@ -0,0 +1,218 @@
+import { validationResult, body, query } from "express-validator";
+import { HTTPSTATUS } from "../config/http.config.js";
+import { TimezoneUtils } from "../utils/timezone-utils.js";
+import { FUNNEL_IDENTIFIERS, RETENTION_PERIODS } from "../services/event.service.js";
+
+export const MAX_FUNNEL_STEPS = 10;
+
+// Metadata property paths, nested properties are separated by dots
+const PROPERTY_PATH = /^[\w-]+(\.[\w-]+)*$/;
+
+// Conversion windows are given in seconds, up to 90 days
+const MAX_CONVERSION_WINDOW = 90 * 24 * 60 * 60;
+
+const dateRangeRules = (field = query) => [
+  field("startDate").optional().isISO8601().withMessage("Start date must be valid ISO 8601 format"),
+
+  field("endDate").optional().isISO8601().withMessage("End date must be valid ISO 8601 format"),
+
+  field("tz")
+    .optional()
+    .trim()
+    .custom((value) => TimezoneUtils.isValidTimeZone(value))
+    .withMessage("Timezone must be a valid IANA timezone (e.g. Europe/Paris)"),
+];
+
+export const validateEventSummary = [
+  ...dateRangeRules(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateTimeSeries = [
+  query("event").trim().notEmpty().withMessage("Event type is required"),
+
+  query("interval")
+    .optional()
+    .trim()
+    .isIn(["hour", "day", "week", "month"])
+    .withMessage("Interval must be one of: hour, day, week, month"),
+
+  ...dateRangeRules(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateFunnel = [
+  body("steps")
+    .isArray({ min: 2, max: MAX_FUNNEL_STEPS })
+    .withMessage(`Steps must be an array of 2 to ${MAX_FUNNEL_STEPS} steps`),
+
+  body("steps.*").isObject().withMessage("Each step must be an object"),
+
+  body("steps.*.event")
+    .trim()
+    .notEmpty()
+    .withMessage("Event type of each step is required")
+    .isLength({ max: 100 })
+    .withMessage("Event type must be less than 100 characters"),
+
+  body("steps.*.metadata").optional().isObject().withMessage("Metadata filter of a step must be an object"),
+
+  body("identifier").optional().isIn(FUNNEL_IDENTIFIERS).withMessage(`Identifier must be one of: ${FUNNEL_IDENTIFIERS.join(", ")}`),
+
+  body("conversion_window")
+    .optional()
+    .isInt({ min: 1, max: MAX_CONVERSION_WINDOW })
+    .withMessage(`Conversion window must be between 1 and ${MAX_CONVERSION_WINDOW} seconds`)
+    .toInt(),
+
+  ...dateRangeRules(body),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateRetention = [
+  query("startEvent").trim().notEmpty().withMessage("Start event type is required"),
+
+  query("returnEvent").trim().notEmpty().withMessage("Return event type is required"),
+
+  query("period")
+    .optional()
+    .trim()
+    .isIn(RETENTION_PERIODS)
+    .withMessage(`Period must be one of: ${RETENTION_PERIODS.join(", ")}`),
+
+  query("periods").optional().isInt({ min: 1, max: 90 }).withMessage("Periods must be between 1 and 90").toInt(),
+
+  ...dateRangeRules(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateBreakdown = [
+  query("event").trim().notEmpty().withMessage("Event type is required"),
+
+  query("property")
+    .trim()
+    .notEmpty()
+    .withMessage("Property is required")
+    .matches(PROPERTY_PATH)
+    .withMessage("Property must be a metadata key, with dots between nested keys"),
+
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100").toInt(),
+
+  // A single filter comes as a string, repeated ones as an array
+  query("filter")
+    .optional()
+    .custom((value) => [].concat(value).every((condition) => condition.includes(":") && PROPERTY_PATH.test(condition.split(":")[0])))
+    .withMessage("Filters must be formatted as property:value"),
+
+  ...dateRangeRules(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateRecentEvents = [
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+
+  query("cursor").optional().trim().notEmpty().withMessage("Cursor must not be empty"),
+
+  query("event").optional().trim().isLength({ max: 100 }).withMessage("Event type must be less than 100 characters"),
+
+  query("userId").optional().trim().isLength({ max: 100 }).withMessage("User ID must be less than 100 characters"),
+
+  query("sessionId").optional().trim().isLength({ max: 100 }).withMessage("Session ID must be less than 100 characters"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateEventCounts = [
+  ...dateRangeRules(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateGeography = [
+  query("event").optional().trim().isLength({ max: 100 }).withMessage("Event type must be less than 100 characters"),
+
+  query("level").optional().trim().isIn(["country", "region", "city"]).withMessage("Level must be one of: country, region, city"),
+
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+
+  ...dateRangeRules(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
@@ -1,32 +1,173 @@
 import { HTTPSTATUS } from "../config/http.config.js";
 import { ApiKeyService } from "../services/apiKey.service.js";
+import { OrganizationService } from "../services/organization.service.js";
+import { OwnerService } from "../services/owner.service.js";
+import { QuotaService } from "../services/quota.service.js";
+import { ApiKeyUtils } from "../utils/apikey-utils.js";
+
+const REALM = "analytics";
+
+// Least privileged role in the organization of an app reading analytics with a session token needs, per API key scope
+const SCOPE_ROLES = { read: "viewer", admin: "analyst" };
+
+const UUID_FORMAT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Why a request wasn't authenticated, the code is part of the API: clients can branch on it
+export const AUTH_ERRORS = {
+  api_key_missing: {
+    status: HTTPSTATUS.UNAUTHORIZED,
+    message: "API key is required. Please provide it in x-api-key header or Authorization Bearer token",
+  },
+  api_key_malformed: {
+    status: HTTPSTATUS.UNAUTHORIZED,
+    message: "Invalid or expired API key: it is not in the sbx_<48 characters> format",
+  },
+  api_key_unknown: {
+    status: HTTPSTATUS.UNAUTHORIZED,
+    message: "Invalid or expired API key: no such key",
+  },
+  api_key_expired: {
+    status: HTTPSTATUS.UNAUTHORIZED,
+    message: "Invalid or expired API key: the key has expired, regenerate it",
+  },
+  // The owner disabled the key on purpose, retrying with it will never work
+  api_key_revoked: {
+    status: HTTPSTATUS.FORBIDDEN,
+    message: "API key has been revoked",
+  },
+  // Keys of deleted apps work again if the app is restored
+  api_key_app_deleted: {
+    status: HTTPSTATUS.FORBIDDEN,
+    message: "The app of this API key has been deleted",
+  },
+  api_key_insufficient_scope: {
+    status: HTTPSTATUS.FORBIDDEN,
+    message: "API key is not allowed to access this endpoint",
+  },
+  // Session tokens of owner accounts, for the /api/auth management routes
+  token_missing: {
+    status: HTTPSTATUS.UNAUTHORIZED,
+    message: "Session token is required. Please log in and provide it as an Authorization Bearer token",
+  },
+  token_invalid: {
+    status: HTTPSTATUS.UNAUTHORIZED,
+    message: "Invalid session token",
+  },
+  token_expired: {
+    status: HTTPSTATUS.UNAUTHORIZED,
+    message: "Session token has expired, log in again",
+  },
+  // Members reading analytics with their session token, the app is given in the x-app-id header
+  app_id_missing: {
+    status: HTTPSTATUS.BAD_REQUEST,
+    message: "x-app-id header is required to read analytics with a session token",
+  },
+  app_access_denied: {
+    status: HTTPSTATUS.FORBIDDEN,
+    message: "No such app in the organizations you are a member of",
+  },
+  role_insufficient: {
+    status: HTTPSTATUS.FORBIDDEN,
+    message: "Your role in the organization of the app doesn't allow access to this endpoint",
+  },
+};
 
 /**
- * middleware to authenticate requests using API key
- * @param {*} req
+ * Answer a request that couldn't be authenticated, with a WWW-Authenticate challenge (RFC 6750)
  * @param {*} res
- * @param {*} next
- * @returns
+ * @param {string} code - One of AUTH_ERRORS
+ * @param {string} [message] - Overrides the message of the code
+ * @param {string} [scope] - Scope the endpoint requires, for api_key_insufficient_scope and role_insufficient
  */
-export const authenticate = async (req, res, next) => {
+const rejectRequest = (res, code, message, scope) => {
+  const { status, message: defaultMessage } = AUTH_ERRORS[code];
+  const error = message || defaultMessage;
+
+  // Requests without credentials only get the challenge, see RFC 6750 section 3.1
+  let challenge = `Bearer realm="${REALM}"`;
+  if (code === "api_key_insufficient_scope" || code === "role_insufficient") {
+    challenge += `, error="insufficient_scope", error_description="${error}", scope="${scope}"`;
+  } else if (code === "app_access_denied") {
+    challenge += `, error="insufficient_scope", error_description="${error}"`;
+  } else if (code === "app_id_missing") {
+    challenge += `, error="invalid_request", error_description="${error}"`;
+  } else if (code !== "api_key_missing" && code !== "token_missing") {
+    challenge += `, error="invalid_token", error_description="${error}"`;
+  }
+
+  return res.status(status).set("WWW-Authenticate", challenge).json({
+    success: false,
+    error,
+    code,
+  });
+};
+
+/**
+ * Read the API key of a request, from the x-api-key header or an Authorization Bearer token
+ * @param {*} req
+ * @returns {{apiKey?: string, error?: {code: string, message: string}}} The key, or why it couldn't be read
+ */
+const readApiKey = (req) => {
+  const headerKey = req.headers["x-api-key"];
+  const authorization = req.headers.authorization;
+
+  let bearerKey;
+  if (authorization) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(authorization);
+    if (!match) {
+      return { error: { code: "api_key_malformed", message: "Authorization header must be in the Bearer <API key> format" } };
+    }
+    bearerKey = match[1];
+  }
+
+  if (headerKey && bearerKey && headerKey !== bearerKey) {
+    return { error: { code: "api_key_malformed", message: "x-api-key header and Authorization Bearer token don't match" } };
+  }
+
+  return { apiKey: headerKey || bearerKey };
+};
+
+/**
+ * Build the middleware authenticating requests using API key, and checking the key has the scope of the route
+ * @param {string} scope - Scope the route requires, one of API_KEY_SCOPES
+ * @returns {Function} The middleware
+ */
+export const authenticate = (scope) => async (req, res, next) => {
   try {
-    const apiKey = req.headers["x-api-key"];
+    const { apiKey, error } = readApiKey(req);
+
+    if (error) {
+      return rejectRequest(res, error.code, error.message);
+    }
 
     //   Check for API key in headers
     if (!apiKey) {
-      return res.status(HTTPSTATUS.UNAUTHORIZED).json({
-        success: false,
-        error: "API key is required. Please provide it in x-api-key header or Authorization Bearer token",
-      });
+      return rejectRequest(res, "api_key_missing");
+    }
+
+    if (!ApiKeyUtils.isWellFormed(apiKey)) {
+      return rejectRequest(res, "api_key_malformed");
     }
 
     //   Validate API key
-    const keyData = await ApiKeyService.validateApiKey(apiKey);
+    const { status, key: keyData } = await ApiKeyService.getApiKeyStatus(apiKey);
+
+    if (status !== "valid") {
+      return rejectRequest(res, `api_key_${status}`);
+    }
+
+    if (!keyData.scopes.includes(scope)) {
+      return rejectRequest(res, "api_key_insufficient_scope", `API key lacks the ${scope} scope this endpoint requires`, scope);
+    }
 
     // Attach app info to request
     req.app_id = keyData.app_id;
     req.app_name = keyData.app_name;
     req.user_id = keyData.user_id;
+    req.api_key_id = keyData.id;
+    req.api_key_scopes = keyData.scopes;
+    req.allowed_origins = keyData.allowed_origins;
+    req.app_limits = QuotaService.resolveLimits(keyData);
 
     next();
   } catch (error) {
@@ -37,3 +178,95 @@ export const authenticate = async (req, res, next) => {
     });
   }
 };
+
+/**
+ * Middleware authenticating owners using the session token of their account, for the routes managing apps.
+ * The token is checked locally, no database lookup.
+ */
+export const authenticateOwner = (req, res, next) => {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || "");
+
+  if (!req.headers.authorization) {
+    return rejectRequest(res, "token_missing");
+  }
+
+  if (!match) {
+    return rejectRequest(res, "token_invalid", "Authorization header must be in the Bearer <session token> format");
+  }
+
+  const { status, owner } = OwnerService.verifySession(match[1]);
+
+  if (status !== "valid") {
+    return rejectRequest(res, `token_${status}`);
+  }
+
+  // Apps are owned by the account that registered them, services check it with user_id
+  req.owner_id = owner.id;
+  req.owner_email = owner.email;
+
+  next();
+};
+
+/**
+ * Build the middleware authenticating requests reading analytics, using API key like authenticate() or
+ * the session token of a member of the organization of the app given in the x-app-id header.
+ * Members need the role SCOPE_ROLES gives the scope of the route.
+ * @param {string} scope - Scope the route requires, read or admin
+ * @returns {Function} The middleware
+ */
+export const authenticateMember = (scope) => {
+  const authenticateKey = authenticate(scope);
+
+  return async (req, res, next) => {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || "");
+
+    // Session tokens are JWTs, anything else is left to the API key checks
+    if (req.headers["x-api-key"] || !match || match[1].split(".").length !== 3) {
+      return authenticateKey(req, res, next);
+    }
+
+    try {
+      const { status, owner } = OwnerService.verifySession(match[1]);
+
+      if (status !== "valid") {
+        return rejectRequest(res, `token_${status}`);
+      }
+
+      const appId = req.headers["x-app-id"];
+
+      if (!appId) {
+        return rejectRequest(res, "app_id_missing");
+      }
+
+      const membership = UUID_FORMAT.test(appId) ? await OrganizationService.getAppMembership(appId, owner.id) : null;
+
+      if (!membership) {
+        return rejectRequest(res, "app_access_denied");
+      }
+
+      if (!OrganizationService.hasRole(membership.role, SCOPE_ROLES[scope])) {
+        return rejectRequest(res, "role_insufficient", `${SCOPE_ROLES[scope]} role or above required in the organization of the app`, scope);
+      }
+
+      // Same app info as with an API key, the requests aren't made with a key
+      req.app_id = membership.app_id;
+      req.app_name = membership.app_name;
+      req.user_id = membership.user_id;
+      req.api_key_id = null;
+      req.api_key_scopes = [];
+      req.allowed_origins = membership.allowed_origins;
+      req.app_limits = QuotaService.resolveLimits(membership);
+      req.owner_id = owner.id;
+      req.owner_email = owner.email;
+      req.member_role = membership.role;
+
+      next();
+    } catch (error) {
+      console.error("Authentication error:", error);
+      res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: "Authentication failed",
+      });
+    }
+  };
+};
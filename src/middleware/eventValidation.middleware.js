@@ -1,8 +1,27 @@
 import { validationResult, body } from "express-validator";
 import { HTTPSTATUS } from "../config/http.config.js";
 
-export const validateEvent = [
-  body("event")
+// Maximum number of events accepted in a single batch request
+export const MAX_BATCH_SIZE = 100;
+
+/**
+ * Whether a timestamp can be stored by Postgres. Some ISO 8601 forms (week or ordinal dates, hour-only offsets)
+ * don't parse to a date, and years outside 1-9999 are out of range once normalized.
+ * @param {string} value - The ISO 8601 timestamp
+ * @returns {boolean}
+ */
+const isStorableTimestamp = (value) => {
+  const year = new Date(value).getUTCFullYear();
+  return year >= 1 && year <= 9999;
+};
+
+/**
+ * Validation rules for the fields of a single event
+ * @param {string} prefix - Path prefix of the event in the request body (e.g. "events.*.")
+ * @returns {Array} express-validator chains for every event field
+ */
+const eventFieldRules = (prefix = "") => [
+  body(`${prefix}event`)
     .trim()
     .notEmpty()
     .withMessage("Event type is required")
@@ -11,25 +30,39 @@ export const validateEvent = [
     .matches(/^[a-zA-Z0-9_-]+$/)
     .withMessage("Event type can only contain letters, numbers, underscores, and hyphens"),
 
-  body("url").optional().trim().isURL({ require_protocol: true }).withMessage("URL must be valid with protocol"),
+  body(`${prefix}url`).optional().trim().isURL({ require_protocol: true }).withMessage("URL must be valid with protocol"),
 
-  body("referrer").optional().trim().isURL({ require_protocol: true }).withMessage("Referrer must be valid URL"),
+  body(`${prefix}referrer`).optional().trim().isURL({ require_protocol: true }).withMessage("Referrer must be valid URL"),
 
-  body("device")
+  body(`${prefix}device`)
     .optional()
     .trim()
     .isIn(["mobile", "desktop", "tablet", "other"])
     .withMessage("Device must be one of: mobile, desktop, tablet, other"),
 
-  body("timestamp").optional().isISO8601().withMessage("Timestamp must be valid ISO 8601 format"),
+  // Events are written after the response, so a timestamp Postgres would refuse must be rejected here, see IngestionQueue
+  body(`${prefix}timestamp`)
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage("Timestamp must be valid ISO 8601 format")
+    .bail()
+    .custom(isStorableTimestamp)
+    .withMessage("Timestamp must be a calendar date between years 1 and 9999")
+    .toDate(),
+
+  body(`${prefix}metadata`).optional().isObject().withMessage("Metadata must be a valid JSON object"),
+
+  body(`${prefix}ipAddress`).optional().trim().isIP().withMessage("IP address must be valid"),
 
-  body("metadata").optional().isObject().withMessage("Metadata must be a valid JSON object"),
+  body(`${prefix}userAgent`).optional().isString().isLength({ max: 1000 }).withMessage("User agent must be less than 1000 characters"),
 
-  body("ipAddress").optional().trim().isIP().withMessage("IP address must be valid"),
+  body(`${prefix}session_id`).optional().trim().isLength({ max: 100 }).withMessage("Session ID must be less than 100 characters"),
 
-  body("session_id").optional().trim().isLength({ max: 100 }).withMessage("Session ID must be less than 100 characters"),
+  body(`${prefix}user_id`).optional().trim().isLength({ max: 100 }).withMessage("User ID must be less than 100 characters"),
+];
 
-  body("user_id").optional().trim().isLength({ max: 100 }).withMessage("User ID must be less than 100 characters"),
+export const validateEvent = [
+  ...eventFieldRules(),
 
   (req, res, next) => {
     const errors = validationResult(req);
@@ -42,3 +75,40 @@ export const validateEvent = [
     next();
   },
 ];
+
+export const validateEventBatch = [
+  body("events")
+    .isArray({ min: 1, max: MAX_BATCH_SIZE })
+    .withMessage(`Events must be an array of 1 to ${MAX_BATCH_SIZE} events`),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+
+  body("events.*").isObject().withMessage("Event must be a JSON object"),
+
+  ...eventFieldRules("events.*."),
+
+  // Invalid events don't reject the whole batch, errors are grouped by event index instead
+  (req, res, next) => {
+    req.eventErrors = {};
+
+    for (const error of validationResult(req).array()) {
+      const match = error.path.match(/^events\[(\d+)\]\.?(.*)$/);
+      if (!match) continue;
+
+      const index = Number(match[1]);
+      req.eventErrors[index] = req.eventErrors[index] || [];
+      req.eventErrors[index].push({ ...error, path: match[2] || error.path });
+    }
+
+    next();
+  },
+];
@@ -0,0 +1,27 @@
+import { HTTPSTATUS } from "../config/http.config.js";
+import { OriginService } from "../services/origin.service.js";
+import { OriginUtils } from "../utils/origin-utils.js";
+
+/**
+ * middleware rejecting events sent by browsers from an origin the app doesn't allow,
+ * so a public ingest key copied from a page can't be used on another site.
+ * Must run after authenticate(), which attaches the allowed origins of the app.
+ * @param {*} req
+ * @param {*} res
+ * @param {*} next
+ * @returns
+ */
+export const checkOrigin = (req, res, next) => {
+  const { present, origin } = OriginUtils.fromHeaders(req.headers);
+
+  // Servers and mobile apps send no Origin nor Referer, the key alone authenticates them
+  if (!present) return next();
+
+  if (origin && OriginService.isAllowed(origin, req.allowed_origins)) return next();
+
+  return res.status(HTTPSTATUS.FORBIDDEN).json({
+    success: false,
+    error: `Origin ${origin || "null"} is not allowed to send events for this app`,
+    code: "origin_not_allowed",
+  });
+};
@@ -0,0 +1,40 @@
+import { validationResult, body, query } from "express-validator";
+import { HTTPSTATUS } from "../config/http.config.js";
+
+export const EXPORT_FORMATS = ["json", "csv"];
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+const subjectRules = (field) => [
+  field("user_id")
+    .trim()
+    .notEmpty()
+    .withMessage("User ID is required")
+    .isLength({ max: 100 })
+    .withMessage("User ID must be less than 100 characters"),
+
+  field("session_id").optional().trim().isLength({ min: 1, max: 100 }).withMessage("Session ID must be 1 to 100 characters"),
+];
+
+export const validateDataExport = [
+  ...subjectRules(query),
+
+  query("format")
+    .optional()
+    .trim()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(", ")}`),
+
+  handleValidationErrors,
+];
+
+export const validateDataErasure = [...subjectRules(body), handleValidationErrors];
@@ -0,0 +1,88 @@
+import { HTTPSTATUS } from "../config/http.config.js";
+import { QuotaService } from "../services/quota.service.js";
+
+/**
+ * Tell clients how much of the limits of the app is left: RateLimit-* headers for the events of the current minute
+ * (same names as the express-rate-limit headers of the other endpoints), X-Quota-* for the events of the month.
+ * Reset headers are in seconds.
+ * @param {*} res
+ * @param {Object} usage - Usage returned by QuotaService.consumeEvents()
+ */
+const setUsageHeaders = (res, { minute, month }) => {
+  res.set({
+    // Replaces the headers of the per IP limiter in front, those of the app are the ones clients plan for
+    "RateLimit-Policy": `${minute.limit};w=60`,
+    "RateLimit-Limit": String(minute.limit),
+    "RateLimit-Remaining": String(Math.max(0, minute.limit - minute.used)),
+    "RateLimit-Reset": String(minute.reset),
+    "X-Quota-Limit": String(month.limit),
+    "X-Quota-Remaining": String(Math.max(0, month.limit - month.used)),
+    "X-Quota-Reset": String(month.reset),
+  });
+};
+
+/**
+ * middleware counting collected events against the per minute limit and the monthly quota of the app,
+ * answering 429 when they would exceed one. Events of a batch count one by one, rejected ones don't count,
+ * and the controller gives back those it can't collect after all.
+ * Must run after authenticate(), which attaches the limits of the app, and after the validation of the events.
+ * @param {*} req
+ * @param {*} res
+ * @param {*} next
+ * @returns
+ */
+export const enforceEventLimits = async (req, res, next) => {
+  try {
+    const count = Array.isArray(req.body.events) ? req.body.events.length - Object.keys(req.eventErrors || {}).length : 1;
+
+    // Batches without valid events are answered 400, there is nothing to count
+    if (count === 0) return next();
+
+    const usage = await QuotaService.consumeEvents(req.app_id, count, req.app_limits);
+
+    setUsageHeaders(res, usage);
+
+    if (usage.allowed) {
+      // Given back by the controller if the events can't be collected after all
+      req.charged_events = count;
+      return next();
+    }
+
+    if (usage.exceeded === "quota") {
+      return res
+        .status(HTTPSTATUS.TOO_MANY_REQUESTS)
+        .set("Retry-After", String(usage.month.reset))
+        .json({
+          success: false,
+          error: `Monthly event quota of ${usage.month.limit} events is reached for this app`,
+          code: "quota_exceeded",
+        });
+    }
+
+    return res
+      .status(HTTPSTATUS.TOO_MANY_REQUESTS)
+      .set("Retry-After", String(usage.minute.reset))
+      .json({
+        success: false,
+        error: `Too many events, this app can send ${usage.minute.limit} events per minute`,
+        code: "rate_limit_exceeded",
+      });
+  } catch (error) {
+    console.error("Event limits error:", error);
+    res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      error: "Failed to check event limits",
+    });
+  }
+};
+
+/**
+ * middleware counting an analytics query in the usage of the app, without delaying the request
+ * @param {*} req
+ * @param {*} res
+ * @param {*} next
+ */
+export const countAnalyticsQuery = (req, res, next) => {
+  QuotaService.recordAnalyticsQuery(req.app_id).catch((err) => console.error("Error counting analytics query:", err));
+  next();
+};
@@ -1,5 +1,52 @@
-import { validationResult, body } from "express-validator";
+import { validationResult, body, param, query } from "express-validator";
 import { HTTPSTATUS } from "../config/http.config.js";
+import { TimezoneUtils } from "../utils/timezone-utils.js";
+import { IP_MODES } from "../services/ipPrivacy.service.js";
+import { API_KEY_SCOPES, MAX_GRACE_PERIOD_SECONDS } from "../services/apiKey.service.js";
+import { OriginUtils } from "../utils/origin-utils.js";
+import { ORG_ROLES } from "../services/organization.service.js";
+import { MAX_LIMITS } from "../services/quota.service.js";
+
+// Passwords are hashed with scrypt, long passphrases are fine but unbounded input isn't
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+export const validateSignup = [
+  body("email").trim().notEmpty().withMessage("Email is required").isEmail().withMessage("Must be a valid email address"),
+
+  body("password")
+    .isString()
+    .isLength({ min: MIN_PASSWORD_LENGTH, max: MAX_PASSWORD_LENGTH })
+    .withMessage(`Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateLogin = [
+  body("email").trim().notEmpty().withMessage("Email is required"),
+
+  body("password").isString().notEmpty().withMessage("Password is required"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
 
 export const validateRegister = [
   body("app_name")
@@ -16,7 +63,15 @@ export const validateRegister = [
     .isURL({ require_protocol: true })
     .withMessage("Must be a valid URL with protocol (http:// or https://)"),
 
-  body("user_id").trim().notEmpty().withMessage("User ID is required"),
+  body("timezone")
+    .optional()
+    .trim()
+    .custom((value) => TimezoneUtils.isValidTimeZone(value))
+    .withMessage("Timezone must be a valid IANA timezone (e.g. Europe/Paris)"),
+
+  body("ip_mode").optional().isIn(IP_MODES).withMessage(`IP mode must be one of: ${IP_MODES.join(", ")}`),
+
+  body("org_id").optional().isUUID().withMessage("Organization ID must be a valid UUID"),
 
   (req, res, next) => {
     const errors = validationResult(req);
@@ -59,3 +114,387 @@ export const validateRevoke = [
     next();
   },
 ];
+
+export const validateRegenerate = [
+  body("key_id").optional().isUUID().withMessage("Key ID must be a valid UUID"),
+
+  body("grace_period")
+    .optional()
+    .isInt({ min: 0, max: MAX_GRACE_PERIOD_SECONDS })
+    .withMessage(`Grace period must be a number of seconds between 0 and ${MAX_GRACE_PERIOD_SECONDS}`)
+    .toInt(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateCreateApiKey = [
+  body("app_id").trim().notEmpty().withMessage("App ID is required").isUUID().withMessage("App ID must be a valid UUID"),
+
+  body("name").optional().trim().isLength({ min: 1, max: 100 }).withMessage("Name must be between 1 and 100 characters"),
+
+  body("scopes").isArray({ min: 1 }).withMessage("Scopes must be a non-empty array"),
+
+  body("scopes.*").isIn(API_KEY_SCOPES).withMessage(`Each scope must be one of: ${API_KEY_SCOPES.join(", ")}`),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateListApiKeys = [
+  query("app_id").trim().notEmpty().withMessage("App ID is required").isUUID().withMessage("App ID must be a valid UUID"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateRevokeApiKeyById = [
+  body("app_id").trim().notEmpty().withMessage("App ID is required").isUUID().withMessage("App ID must be a valid UUID"),
+
+  body("key_id").trim().notEmpty().withMessage("Key ID is required").isUUID().withMessage("Key ID must be a valid UUID"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validatePrivacy = [
+  body("app_id").trim().notEmpty().withMessage("App ID is required").isUUID().withMessage("App ID must be a valid UUID"),
+
+  body("ip_mode").isIn(IP_MODES).withMessage(`IP mode must be one of: ${IP_MODES.join(", ")}`),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+// An app lists the origins of its sites, a few dozens at most
+const MAX_ALLOWED_ORIGINS = 50;
+
+export const validateAllowedOrigins = [
+  body("app_id").trim().notEmpty().withMessage("App ID is required").isUUID().withMessage("App ID must be a valid UUID"),
+
+  body("allowed_origins")
+    .isArray({ max: MAX_ALLOWED_ORIGINS })
+    .withMessage(`Allowed origins must be an array of at most ${MAX_ALLOWED_ORIGINS} origins`),
+
+  body("allowed_origins.*")
+    .custom((value) => OriginUtils.isValidPattern(value))
+    .withMessage("Each allowed origin must be an origin without path (https://example.com) or a wildcard subdomain (https://*.example.com)"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+// Retention periods are given in days, up to 10 years for raw events and 100 years for summaries
+const MAX_RAW_RETENTION_DAYS = 3650;
+const MAX_SUMMARY_RETENTION_DAYS = 36500;
+
+export const validateRetentionPolicy = [
+  body("app_id").trim().notEmpty().withMessage("App ID is required").isUUID().withMessage("App ID must be a valid UUID"),
+
+  body("raw_retention_days")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: MAX_RAW_RETENTION_DAYS })
+    .withMessage(`Raw retention must be a number of days between 1 and ${MAX_RAW_RETENTION_DAYS}, or null to keep events forever`),
+
+  body("summary_retention_days")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: MAX_SUMMARY_RETENTION_DAYS })
+    .withMessage(`Summary retention must be a number of days between 1 and ${MAX_SUMMARY_RETENTION_DAYS}, or null to keep summaries forever`),
+
+  body()
+    .custom((value) => "raw_retention_days" in value || "summary_retention_days" in value)
+    .withMessage("Provide raw_retention_days, summary_retention_days or both"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateLimits = [
+  body("app_id").trim().notEmpty().withMessage("App ID is required").isUUID().withMessage("App ID must be a valid UUID"),
+
+  body("events_per_minute")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: MAX_LIMITS.events_per_minute })
+    .withMessage(`Events per minute must be between 1 and ${MAX_LIMITS.events_per_minute}, or null for the default`),
+
+  body("monthly_event_quota")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: MAX_LIMITS.monthly_event_quota })
+    .withMessage(`Monthly event quota must be between 1 and ${MAX_LIMITS.monthly_event_quota}, or null for the default`),
+
+  body("analytics_queries_per_minute")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: MAX_LIMITS.analytics_queries_per_minute })
+    .withMessage(`Analytics queries per minute must be between 1 and ${MAX_LIMITS.analytics_queries_per_minute}, or null for the default`),
+
+  body()
+    .custom((value) => ["events_per_minute", "monthly_event_quota", "analytics_queries_per_minute"].some((field) => field in value))
+    .withMessage("Provide events_per_minute, monthly_event_quota, analytics_queries_per_minute or several of them"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateListApps = [
+  query("include_deleted").optional().isIn(["true", "false"]).withMessage("include_deleted must be true or false"),
+
+  query("org_id").optional().isUUID().withMessage("Organization ID must be a valid UUID"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateAppId = [
+  param("app_id").isUUID().withMessage("App ID must be a valid UUID"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateClaimApp = [
+  body("api_key").trim().notEmpty().withMessage("API key is required").matches(/^sbx_/).withMessage("Invalid API key format"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateUpdateApp = [
+  param("app_id").isUUID().withMessage("App ID must be a valid UUID"),
+
+  body("app_name")
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage("App name must be between 3 and 100 characters"),
+
+  body("app_url")
+    .optional()
+    .trim()
+    .isURL({ require_protocol: true })
+    .withMessage("Must be a valid URL with protocol (http:// or https://)"),
+
+  body()
+    .custom((value) => "app_name" in value || "app_url" in value)
+    .withMessage("Provide app_name, app_url or both"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateCreateOrganization = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Organization name is required")
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Organization name must be between 2 and 100 characters"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateOrgId = [
+  param("org_id").isUUID().withMessage("Organization ID must be a valid UUID"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateUpdateMember = [
+  param("org_id").isUUID().withMessage("Organization ID must be a valid UUID"),
+
+  param("user_id").trim().isLength({ min: 1, max: 255 }).withMessage("User ID is required"),
+
+  body("role").isIn(ORG_ROLES).withMessage(`Role must be one of: ${ORG_ROLES.join(", ")}`),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateRemoveMember = [
+  param("org_id").isUUID().withMessage("Organization ID must be a valid UUID"),
+
+  param("user_id").trim().isLength({ min: 1, max: 255 }).withMessage("User ID is required"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateCreateInvitation = [
+  param("org_id").isUUID().withMessage("Organization ID must be a valid UUID"),
+
+  body("email").trim().notEmpty().withMessage("Email is required").isEmail().withMessage("Must be a valid email address"),
+
+  body("role").isIn(ORG_ROLES).withMessage(`Role must be one of: ${ORG_ROLES.join(", ")}`),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateRevokeInvitation = [
+  param("org_id").isUUID().withMessage("Organization ID must be a valid UUID"),
+
+  param("invitation_id").isUUID().withMessage("Invitation ID must be a valid UUID"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
+
+export const validateAcceptInvitation = [
+  body("token").trim().notEmpty().withMessage("Invitation token is required"),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+    next();
+  },
+];
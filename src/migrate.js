@@ -0,0 +1,47 @@
+import pool from "./config/database.config.js";
+import { MigrationService } from "./services/migration.service.js";
+
+// Usage: node src/migrate.js <up [version] | down [steps] | status>
+const [command = "up", arg] = process.argv.slice(2);
+
+const commands = {
+  async up() {
+    const applied = await MigrationService.migrate({ to: arg ? Number(arg) : undefined });
+
+    if (applied.length === 0) console.log("✅ Database schema is up to date");
+    for (const migration of applied) console.log(`⬆️ Applied ${MigrationService.label(migration)}`);
+  },
+
+  async down() {
+    const reverted = await MigrationService.rollback({ steps: arg ? Number(arg) : 1 });
+
+    if (reverted.length === 0) console.log("✅ No migration to roll back");
+    for (const migration of reverted) console.log(`⬇️ Rolled back ${MigrationService.label(migration)}`);
+  },
+
+  async status() {
+    const migrations = await MigrationService.status();
+
+    console.table(
+      migrations.map(({ version, name, state, applied_at }) => ({
+        migration: MigrationService.label({ version, name }),
+        state,
+        applied_at: applied_at ? applied_at.toISOString() : "",
+      }))
+    );
+  },
+};
+
+if (!commands[command] || (arg !== undefined && !/^\d+$/.test(arg))) {
+  console.error("Usage: node src/migrate.js <up [version] | down [steps] | status>");
+  process.exit(1);
+}
+
+try {
+  await commands[command]();
+  await pool.end();
+} catch (error) {
+  console.error("❌ Migration failed:", error.message);
+  await pool.end();
+  process.exit(1);
+}
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS event_summaries;
+DROP TABLE IF EXISTS events;
+DROP TABLE IF EXISTS api_keys;
+DROP TABLE IF EXISTS apps;
@@ -1,4 +1,7 @@
-CREATE TABLE apps (
+-- Schema of the first release, formerly src/init.sql.
+-- Migrations up to 010 only create what is missing, so databases set up from any version of
+-- init.sql adopt them by running them all.
+CREATE TABLE IF NOT EXISTS apps (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   app_name VARCHAR(255) NOT NULL,
   app_url VARCHAR(500) NOT NULL,
@@ -8,10 +11,9 @@ CREATE TABLE apps (
   UNIQUE(user_id, app_url)
 );
 
-CREATE INDEX idx_apps_user_id ON apps(user_id);
+CREATE INDEX IF NOT EXISTS idx_apps_user_id ON apps(user_id);
 
-
-CREATE TABLE api_keys (
+CREATE TABLE IF NOT EXISTS api_keys (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
   key_hash VARCHAR(255) NOT NULL UNIQUE,
@@ -24,14 +26,11 @@ CREATE TABLE api_keys (
 );
 
 -- Partial unique index ensures only one active key per app
-CREATE UNIQUE INDEX idx_unique_active_key_per_app ON api_keys(app_id) WHERE is_active = true;
-CREATE INDEX idx_api_keys_hash ON api_keys(key_hash);
-CREATE INDEX idx_api_keys_app_id ON api_keys(app_id);
-CREATE INDEX idx_api_keys_active ON api_keys(is_active) WHERE is_active = true;
-
-
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_active_key_per_app ON api_keys(app_id) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_api_keys_hash ON api_keys(key_hash);
+CREATE INDEX IF NOT EXISTS idx_api_keys_app_id ON api_keys(app_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_active ON api_keys(is_active) WHERE is_active = true;
 
--- Events table with partitioning support for scalability
 CREATE TABLE IF NOT EXISTS events (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
@@ -45,11 +44,9 @@ CREATE TABLE IF NOT EXISTS events (
   metadata JSONB,
   session_id VARCHAR(100),
   user_id VARCHAR(100),
-  -- Performance indexes
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Create indexes for fast queries
 CREATE INDEX IF NOT EXISTS idx_events_app_id ON events(app_id);
 CREATE INDEX IF NOT EXISTS idx_events_type ON events(event_type);
 CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp DESC);
@@ -61,8 +58,7 @@ CREATE INDEX IF NOT EXISTS idx_events_session_id ON events(session_id) WHERE ses
 CREATE INDEX IF NOT EXISTS idx_events_metadata ON events USING GIN (metadata);
 
 -- Composite index for common query patterns
-CREATE INDEX IF NOT EXISTS idx_events_app_type_timestamp 
-  ON events(app_id, event_type, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_events_app_type_timestamp ON events(app_id, event_type, timestamp DESC);
 
 -- Table for aggregated event summaries (for caching/performance)
 CREATE TABLE IF NOT EXISTS event_summaries (
@@ -79,4 +75,4 @@ CREATE TABLE IF NOT EXISTS event_summaries (
 );
 
 CREATE INDEX IF NOT EXISTS idx_summaries_app_date ON event_summaries(app_id, date DESC);
-CREATE INDEX IF NOT EXISTS idx_summaries_app_type_date ON event_summaries(app_id, event_type, date DESC);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_summaries_app_type_date ON event_summaries(app_id, event_type, date DESC);
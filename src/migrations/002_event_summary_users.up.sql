@@ -0,0 +1,8 @@
+-- Distinct users per daily summary, unique users of multi-day ranges are counted from it
+CREATE TABLE IF NOT EXISTS event_summary_users (
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  event_type VARCHAR(100) NOT NULL,
+  date DATE NOT NULL,
+  user_id VARCHAR(100) NOT NULL,
+  PRIMARY KEY (app_id, event_type, date, user_id)
+);
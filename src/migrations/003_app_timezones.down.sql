@@ -0,0 +1,5 @@
+COMMENT ON COLUMN event_summaries.date IS NULL;
+
+ALTER TABLE events ALTER COLUMN timestamp TYPE TIMESTAMP USING timestamp AT TIME ZONE 'UTC';
+
+ALTER TABLE apps DROP COLUMN timezone;
@@ -0,0 +1,12 @@
+-- Day boundaries and daily summaries of an app are computed in its timezone.
+-- Timestamps stored so far were UTC.
+ALTER TABLE apps ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+DO $$
+BEGIN
+  IF (SELECT data_type FROM information_schema.columns WHERE table_name = 'events' AND column_name = 'timestamp') = 'timestamp without time zone' THEN
+    ALTER TABLE events ALTER COLUMN timestamp TYPE TIMESTAMPTZ USING timestamp AT TIME ZONE 'UTC';
+  END IF;
+END $$;
+
+COMMENT ON COLUMN event_summaries.date IS 'Calendar day in the timezone of the app';
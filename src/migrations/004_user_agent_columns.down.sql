@@ -0,0 +1,8 @@
+ALTER TABLE event_summaries
+  DROP COLUMN os_data,
+  DROP COLUMN browser_data;
+
+ALTER TABLE events
+  DROP COLUMN os,
+  DROP COLUMN browser_version,
+  DROP COLUMN browser;
@@ -0,0 +1,9 @@
+-- Parsed from the User-Agent header at ingestion
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS browser VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS browser_version VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS os VARCHAR(50);
+
+ALTER TABLE event_summaries
+  ADD COLUMN IF NOT EXISTS browser_data JSONB,
+  ADD COLUMN IF NOT EXISTS os_data JSONB;
@@ -0,0 +1,6 @@
+ALTER TABLE event_summaries DROP COLUMN country_data;
+
+ALTER TABLE events
+  DROP COLUMN city,
+  DROP COLUMN region,
+  DROP COLUMN country;
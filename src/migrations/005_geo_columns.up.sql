@@ -0,0 +1,7 @@
+-- Resolved from the IP address at ingestion, see GeoIpService
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS country VARCHAR(2),
+  ADD COLUMN IF NOT EXISTS region VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS city VARCHAR(100);
+
+ALTER TABLE event_summaries ADD COLUMN IF NOT EXISTS country_data JSONB;
@@ -0,0 +1,5 @@
+DROP TABLE ip_hash_salts;
+
+ALTER TABLE events DROP COLUMN ip_hash;
+
+ALTER TABLE apps DROP COLUMN ip_mode;
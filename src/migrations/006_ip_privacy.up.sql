@@ -0,0 +1,10 @@
+-- How IP addresses of an app are stored, see IpPrivacyService
+ALTER TABLE apps ADD COLUMN IF NOT EXISTS ip_mode VARCHAR(20) NOT NULL DEFAULT 'full' CHECK (ip_mode IN ('full', 'truncate', 'hash', 'drop'));
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS ip_hash VARCHAR(64);
+
+-- Salt of the day for apps hashing IP addresses, previous days are deleted so hashes can't be linked across days
+CREATE TABLE IF NOT EXISTS ip_hash_salts (
+  day DATE PRIMARY KEY,
+  salt VARCHAR(64) NOT NULL
+);
@@ -0,0 +1,14 @@
+-- Audit log of data subject requests (exports and erasures), it only references the subject by ID
+CREATE TABLE IF NOT EXISTS data_subject_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  request_type VARCHAR(20) NOT NULL CHECK (request_type IN ('export', 'erasure')),
+  subject_user_id VARCHAR(100) NOT NULL,
+  subject_session_id VARCHAR(100),
+  requested_by VARCHAR(255) NOT NULL,
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+  events_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_app ON data_subject_requests(app_id, created_at DESC);
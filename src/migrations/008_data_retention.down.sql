@@ -0,0 +1,6 @@
+DROP TABLE retention_purges;
+
+ALTER TABLE apps
+  DROP CONSTRAINT check_summary_retention,
+  DROP COLUMN summary_retention_days,
+  DROP COLUMN raw_retention_days;
@@ -0,0 +1,29 @@
+-- Days raw events and daily summaries are kept, NULL keeps them forever
+ALTER TABLE apps
+  ADD COLUMN IF NOT EXISTS raw_retention_days INTEGER CHECK (raw_retention_days > 0),
+  ADD COLUMN IF NOT EXISTS summary_retention_days INTEGER;
+
+-- Summaries of days without raw events can't be rebuilt, they must outlive raw events
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'check_summary_retention') THEN
+    ALTER TABLE apps ADD CONSTRAINT check_summary_retention CHECK (
+      summary_retention_days IS NULL OR (raw_retention_days IS NOT NULL AND summary_retention_days >= raw_retention_days)
+    );
+  END IF;
+END $$;
+
+-- Data deleted by each purge of the retention job, kept 90 days for the status endpoint
+CREATE TABLE IF NOT EXISTS retention_purges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  events_deleted INTEGER NOT NULL DEFAULT 0,
+  summaries_deleted INTEGER NOT NULL DEFAULT 0,
+  events_cutoff TIMESTAMPTZ,
+  summaries_cutoff DATE,
+  completed BOOLEAN NOT NULL DEFAULT true,
+  started_at TIMESTAMPTZ NOT NULL,
+  finished_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_purges_app ON retention_purges(app_id, finished_at DESC);
@@ -0,0 +1,19 @@
+-- Rebuild events as a plain table, its partitions are dropped with it
+CREATE TABLE events_unpartitioned (LIKE events INCLUDING DEFAULTS);
+
+INSERT INTO events_unpartitioned SELECT * FROM events;
+
+DROP TABLE events;
+
+ALTER TABLE events_unpartitioned RENAME TO events;
+ALTER TABLE events ADD PRIMARY KEY (id);
+ALTER TABLE events ADD FOREIGN KEY (app_id) REFERENCES apps(id) ON DELETE CASCADE;
+
+CREATE INDEX idx_events_app_id ON events(app_id);
+CREATE INDEX idx_events_type ON events(event_type);
+CREATE INDEX idx_events_timestamp ON events(timestamp DESC);
+CREATE INDEX idx_events_app_timestamp ON events(app_id, timestamp DESC);
+CREATE INDEX idx_events_user_id ON events(user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX idx_events_session_id ON events(session_id) WHERE session_id IS NOT NULL;
+CREATE INDEX idx_events_metadata ON events USING GIN (metadata);
+CREATE INDEX idx_events_app_type_timestamp ON events(app_id, event_type, timestamp DESC);
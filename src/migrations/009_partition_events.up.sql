@@ -0,0 +1,75 @@
+-- Range partition events by month of timestamp, see PartitionService. The table is rebuilt:
+-- a partition is created for each month holding events and for the current one, the partition
+-- job of the server creates the next ones. Databases set up partitioned are left as they are.
+DO $$
+DECLARE
+  month DATE;
+BEGIN
+  IF (SELECT relkind FROM pg_class WHERE oid = 'events'::regclass) = 'p' THEN
+    RETURN;
+  END IF;
+
+  ALTER TABLE events RENAME TO events_unpartitioned;
+  ALTER TABLE events_unpartitioned RENAME CONSTRAINT events_pkey TO events_unpartitioned_pkey;
+
+  CREATE TABLE events (
+    id UUID NOT NULL DEFAULT gen_random_uuid(),
+    app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+    event_type VARCHAR(100) NOT NULL,
+    url TEXT,
+    referrer TEXT,
+    device VARCHAR(50),
+    ip_address INET,
+    ip_hash VARCHAR(64),
+    user_agent TEXT,
+    browser VARCHAR(50),
+    browser_version VARCHAR(50),
+    os VARCHAR(50),
+    country VARCHAR(2),
+    region VARCHAR(100),
+    city VARCHAR(100),
+    timestamp TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    metadata JSONB,
+    session_id VARCHAR(100),
+    user_id VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- The partition key has to be part of the primary key
+    PRIMARY KEY (id, timestamp)
+  ) PARTITION BY RANGE (timestamp);
+
+  CREATE TABLE events_default PARTITION OF events DEFAULT;
+
+  FOR month IN
+    SELECT date_trunc('month', timestamp AT TIME ZONE 'UTC')::date FROM events_unpartitioned
+    UNION
+    SELECT date_trunc('month', NOW() AT TIME ZONE 'UTC')::date
+  LOOP
+    EXECUTE format(
+      'CREATE TABLE %I PARTITION OF events FOR VALUES FROM (%L) TO (%L)',
+      to_char(month, '"events_y"YYYY"m"MM'),
+      month::timestamp AT TIME ZONE 'UTC',
+      (month + INTERVAL '1 month')::timestamp AT TIME ZONE 'UTC'
+    );
+  END LOOP;
+
+  INSERT INTO events (
+    id, app_id, event_type, url, referrer, device, ip_address, ip_hash, user_agent, browser, browser_version,
+    os, country, region, city, timestamp, metadata, session_id, user_id, created_at
+  )
+  SELECT
+    id, app_id, event_type, url, referrer, device, ip_address, ip_hash, user_agent, browser, browser_version,
+    os, country, region, city, timestamp, metadata, session_id, user_id, created_at
+  FROM events_unpartitioned;
+
+  -- Drops the indexes of the old table too, their names are reused below
+  DROP TABLE events_unpartitioned;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_events_app_id ON events(app_id);
+CREATE INDEX IF NOT EXISTS idx_events_type ON events(event_type);
+CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_events_app_timestamp ON events(app_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_events_user_id ON events(user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_events_session_id ON events(session_id) WHERE session_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_events_metadata ON events USING GIN (metadata);
+CREATE INDEX IF NOT EXISTS idx_events_app_type_timestamp ON events(app_id, event_type, timestamp DESC);
@@ -0,0 +1 @@
+ALTER TABLE api_keys ALTER COLUMN key_prefix TYPE VARCHAR(20) USING left(key_prefix, 20);
@@ -0,0 +1,2 @@
+-- Masked keys are as long as the keys themselves (52 characters), they didn't fit in VARCHAR(20)
+ALTER TABLE api_keys ALTER COLUMN key_prefix TYPE VARCHAR(100);
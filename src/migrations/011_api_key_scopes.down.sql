@@ -0,0 +1,15 @@
+ALTER TABLE api_keys
+  DROP COLUMN scopes,
+  DROP COLUMN name;
+
+-- Only the latest active key of each app stays active
+UPDATE api_keys ak
+SET is_active = false, revoked_at = NOW()
+WHERE is_active = true
+  AND EXISTS (
+    SELECT 1 FROM api_keys newer
+    WHERE newer.app_id = ak.app_id AND newer.is_active = true
+      AND (newer.created_at, newer.id) > (ak.created_at, ak.id)
+  );
+
+CREATE UNIQUE INDEX idx_unique_active_key_per_app ON api_keys(app_id) WHERE is_active = true;
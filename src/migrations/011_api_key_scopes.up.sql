@@ -0,0 +1,11 @@
+-- An app can have several keys, each one limited to what its scopes allow:
+-- ingest (collect events, safe in client code), read (aggregated analytics), admin (personal data)
+DROP INDEX idx_unique_active_key_per_app;
+
+-- Keys issued so far could do everything, they keep doing so
+ALTER TABLE api_keys
+  ADD COLUMN name VARCHAR(100),
+  ADD COLUMN scopes TEXT[] NOT NULL DEFAULT '{ingest,read,admin}'
+    CHECK (cardinality(scopes) > 0 AND scopes <@ ARRAY['ingest', 'read', 'admin']);
+
+ALTER TABLE api_keys ALTER COLUMN scopes DROP DEFAULT;
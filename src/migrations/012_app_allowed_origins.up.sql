@@ -0,0 +1,10 @@
+-- Origins browsers may send events of an app from, exact (https://example.com) or with
+-- a wildcard subdomain (https://*.example.com). Apps start with the origin of their URL.
+ALTER TABLE apps ADD COLUMN allowed_origins TEXT[] NOT NULL DEFAULT '{}';
+
+UPDATE apps
+SET allowed_origins = ARRAY[substring(lower(app_url) from '^https?://[^/?#]+')]
+WHERE app_url ~* '^https?://';
+
+-- CORS preflights look up whether any app allows an origin
+CREATE INDEX idx_apps_allowed_origins ON apps USING GIN (allowed_origins);
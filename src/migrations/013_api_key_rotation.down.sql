@@ -0,0 +1,4 @@
+-- Keys still in their grace period stop working, as regenerated keys did before
+UPDATE api_keys SET is_active = false, revoked_at = NOW() WHERE replaced_by IS NOT NULL AND is_active = true;
+
+ALTER TABLE api_keys DROP COLUMN replaced_by;
@@ -0,0 +1,4 @@
+-- A regenerated key stays valid for a grace period, pointing to the key that replaces it
+ALTER TABLE api_keys ADD COLUMN replaced_by UUID REFERENCES api_keys(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_api_keys_replaced_by ON api_keys(replaced_by) WHERE replaced_by IS NOT NULL;
@@ -0,0 +1,10 @@
+-- Accounts of the people owning apps, apps.user_id holds the ID of the owner of apps registered from now on
+CREATE TABLE owners (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_owners_email ON owners(LOWER(email));
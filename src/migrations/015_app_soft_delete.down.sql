@@ -0,0 +1,4 @@
+-- Apps waiting for their purge are deleted for good, as they would have been without a restore window
+DELETE FROM apps WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE apps DROP COLUMN deleted_at;
@@ -0,0 +1,4 @@
+-- Deleted apps stop collecting and serving analytics right away, their data is purged once the restore window is over
+ALTER TABLE apps ADD COLUMN deleted_at TIMESTAMPTZ;
+
+CREATE INDEX idx_apps_deleted_at ON apps(deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,20 @@
+-- Apps go back to the member who registered them. A member may have registered the same URL in
+-- several organizations, those apps and their events are kept: the per user constraint is only
+-- restored if URLs are still unique per member, otherwise a constraint of the same name that always
+-- holds takes its place. Applying 016 again then needs these URLs to be made unique first.
+ALTER TABLE apps DROP CONSTRAINT apps_org_id_app_url_key;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM apps GROUP BY user_id, app_url HAVING COUNT(*) > 1) THEN
+    ALTER TABLE apps ADD CONSTRAINT apps_user_id_app_url_key UNIQUE (user_id, app_url, id);
+  ELSE
+    ALTER TABLE apps ADD CONSTRAINT apps_user_id_app_url_key UNIQUE (user_id, app_url);
+  END IF;
+END $$;
+
+ALTER TABLE apps DROP COLUMN org_id;
+
+DROP TABLE organization_invitations;
+DROP TABLE organization_members;
+DROP TABLE organizations;
@@ -0,0 +1,57 @@
+-- Apps belong to organizations, whose members act on them according to their role.
+-- apps.user_id is kept as the member who registered the app.
+CREATE TABLE organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL,
+  -- Set on the organization created for each user_id, where their apps go by default
+  personal_for VARCHAR(255) UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- user_id is the ID of an owner account, or the user_id apps were registered with before accounts existed
+CREATE TABLE organization_members (
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'admin', 'analyst', 'viewer')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (org_id, user_id)
+);
+
+CREATE INDEX idx_organization_members_user_id ON organization_members(user_id);
+
+-- Only the hash of the token is stored, the token is shown once to the member inviting
+CREATE TABLE organization_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'admin', 'analyst', 'viewer')),
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  invited_by VARCHAR(255) NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  accepted_by VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_organization_invitations_org_id ON organization_invitations(org_id);
+
+-- Every user_id owning apps gets a personal organization holding them, and owns it
+INSERT INTO organizations (name, personal_for)
+SELECT 'Personal', user_id FROM apps GROUP BY user_id;
+
+INSERT INTO organization_members (org_id, user_id, role)
+SELECT id, personal_for, 'owner' FROM organizations;
+
+ALTER TABLE apps ADD COLUMN org_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+
+UPDATE apps SET org_id = o.id FROM organizations o WHERE o.personal_for = apps.user_id;
+
+ALTER TABLE apps ALTER COLUMN org_id SET NOT NULL;
+
+-- URLs are unique within an organization, members may register the same URL in different organizations
+ALTER TABLE apps DROP CONSTRAINT apps_user_id_app_url_key;
+ALTER TABLE apps ADD CONSTRAINT apps_org_id_app_url_key UNIQUE (org_id, app_url);
+
+CREATE INDEX idx_apps_org_id ON apps(org_id);
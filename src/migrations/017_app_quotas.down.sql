@@ -0,0 +1,6 @@
+DROP TABLE app_usage;
+
+ALTER TABLE apps
+  DROP COLUMN events_per_minute,
+  DROP COLUMN monthly_event_quota,
+  DROP COLUMN analytics_queries_per_minute;
@@ -0,0 +1,17 @@
+-- Limits of each app, NULL uses the default of the server (APP_EVENTS_PER_MINUTE, APP_MONTHLY_EVENT_QUOTA, APP_ANALYTICS_QUERIES_PER_MINUTE)
+ALTER TABLE apps
+  ADD COLUMN events_per_minute INTEGER CHECK (events_per_minute > 0),
+  ADD COLUMN monthly_event_quota BIGINT CHECK (monthly_event_quota > 0),
+  ADD COLUMN analytics_queries_per_minute INTEGER CHECK (analytics_queries_per_minute > 0);
+
+-- Usage of each app per calendar month (UTC). The events of the current minute are counted on
+-- the row of the month, so that both limits are checked and counted by a single statement.
+CREATE TABLE app_usage (
+  app_id UUID NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+  month DATE NOT NULL,
+  events BIGINT NOT NULL DEFAULT 0,
+  analytics_queries BIGINT NOT NULL DEFAULT 0,
+  minute_start TIMESTAMPTZ NOT NULL DEFAULT date_trunc('minute', NOW()),
+  minute_events INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (app_id, month)
+);
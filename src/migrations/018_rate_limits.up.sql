@@ -0,0 +1,9 @@
+-- Hits of each client in its current rate limit window, shared by every server instance.
+-- UNLOGGED: counters are written on every request and losing them on a crash only resets the windows.
+CREATE UNLOGGED TABLE rate_limit_hits (
+  key TEXT PRIMARY KEY,
+  hits INTEGER NOT NULL,
+  reset_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_rate_limit_hits_reset_at ON rate_limit_hits(reset_at);
@@ -0,0 +1 @@
+-- The backfilled users and breakdowns are what the rollups should have held, they are left in place
@@ -0,0 +1,58 @@
+-- Daily rollups built before event_summary_users (002) and the browser, OS and country breakdowns (004, 005)
+-- lack them, so whole-day ranges served from rollups undercounted unique users and had no such breakdowns.
+-- Both are filled from the raw events still stored, on the day of each event in the app timezone.
+-- Applied migrations can't be changed (see MigrationService.migrate), hence a migration of its own.
+
+INSERT INTO event_summary_users (app_id, event_type, date, user_id)
+SELECT DISTINCT e.app_id, e.event_type, (e.timestamp AT TIME ZONE a.timezone)::date, e.user_id
+FROM events e
+JOIN apps a ON a.id = e.app_id
+WHERE e.user_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- Breakdowns are only filled on days whose events are all still stored, partly purged days would get partial counts
+WITH day_events AS (
+  SELECT
+    e.app_id,
+    e.event_type,
+    (e.timestamp AT TIME ZONE a.timezone)::date AS date,
+    COALESCE(e.browser, 'unknown') AS browser,
+    COALESCE(e.os, 'unknown') AS os,
+    COALESCE(e.country, 'unknown') AS country
+  FROM events e
+  JOIN apps a ON a.id = e.app_id
+),
+days AS (
+  SELECT app_id, event_type, date, COUNT(*) AS total_count
+  FROM day_events
+  GROUP BY app_id, event_type, date
+),
+browsers AS (
+  SELECT app_id, event_type, date, jsonb_object_agg(browser, value_count) AS data
+  FROM (SELECT app_id, event_type, date, browser, COUNT(*) AS value_count FROM day_events GROUP BY 1, 2, 3, 4) b
+  GROUP BY app_id, event_type, date
+),
+systems AS (
+  SELECT app_id, event_type, date, jsonb_object_agg(os, value_count) AS data
+  FROM (SELECT app_id, event_type, date, os, COUNT(*) AS value_count FROM day_events GROUP BY 1, 2, 3, 4) o
+  GROUP BY app_id, event_type, date
+),
+countries AS (
+  SELECT app_id, event_type, date, jsonb_object_agg(country, value_count) AS data
+  FROM (SELECT app_id, event_type, date, country, COUNT(*) AS value_count FROM day_events GROUP BY 1, 2, 3, 4) c
+  GROUP BY app_id, event_type, date
+)
+UPDATE event_summaries s
+SET
+  browser_data = COALESCE(s.browser_data, b.data),
+  os_data = COALESCE(s.os_data, o.data),
+  country_data = COALESCE(s.country_data, c.data)
+FROM days d
+JOIN browsers b USING (app_id, event_type, date)
+JOIN systems o USING (app_id, event_type, date)
+JOIN countries c USING (app_id, event_type, date)
+WHERE s.app_id = d.app_id
+  AND s.event_type = d.event_type
+  AND s.date = d.date
+  AND s.total_count = d.total_count
+  AND (s.browser_data IS NULL OR s.os_data IS NULL OR s.country_data IS NULL);
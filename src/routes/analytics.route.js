@@ -1,8 +1,34 @@
 import { Router } from "express";
-import { validateEvent } from "../middleware/eventValidation.middleware.js";
-import { eventCollectController, eventSummaryController, eventUserStatsController } from "../controller/event.controller.js";
-import { authenticate } from "../middleware/authenticate.middleware.js";
-import { analyticsRateLimiter, eventRateLimiter } from "../config/rateLimit.config.js";
+import { validateEvent, validateEventBatch } from "../middleware/eventValidation.middleware.js";
+import {
+  validateBreakdown,
+  validateEventCounts,
+  validateEventSummary,
+  validateFunnel,
+  validateGeography,
+  validateRecentEvents,
+  validateRetention,
+  validateTimeSeries,
+} from "../middleware/analyticsValidation.middleware.js";
+import {
+  eventBatchCollectController,
+  dataRetentionStatusController,
+  eventBreakdownController,
+  eventCollectController,
+  eventCountsController,
+  eventFunnelController,
+  eventGeographyController,
+  eventRetentionController,
+  eventSummaryController,
+  eventTimeSeriesController,
+  eventUserStatsController,
+  recentEventsController,
+  usageController,
+} from "../controller/event.controller.js";
+import { authenticate, authenticateMember } from "../middleware/authenticate.middleware.js";
+import { checkOrigin } from "../middleware/origin.middleware.js";
+import { enforceEventLimits } from "../middleware/quota.middleware.js";
+import { analyticsRateLimiter, ipRateLimiter } from "../config/rateLimit.config.js";
 
 const router = Router();
 
@@ -42,9 +68,14 @@ const router = Router();
  *               device:
  *                 type: string
  *                 example: desktop
+ *                 description: Derived from the User-Agent when omitted
  *               ipAddress:
  *                 type: string
  *                 example: 192.168.0.1
+ *               userAgent:
+ *                 type: string
+ *                 example: Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36
+ *                 description: Defaults to the User-Agent header of the request, parsed into browser, browser version and OS
  *               timestamp:
  *                 type: string
  *                 format: date-time
@@ -61,8 +92,8 @@ const router = Router();
  *                 type: string
  *                 example: user123
  *     responses:
- *       201:
- *         description: Event collected successfully
+ *       202:
+ *         description: Event accepted, it is written to the database asynchronously
  *         content:
  *           application/json:
  *             schema:
@@ -73,7 +104,7 @@ const router = Router();
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Event collected successfully
+ *                   example: Event accepted for processing
  *                 data:
  *                   type: object
  *                   properties:
@@ -100,6 +131,22 @@ const router = Router();
  *                 error:
  *                   type: string
  *                   example: App with this URL already registered for this user
+ *       403:
+ *         description: Forbidden — the key lacks the ingest scope, or the Origin of the request isn't allowed by the app
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Origin https://other-site.com is not allowed to send events for this app
+ *                 code:
+ *                   type: string
+ *                   example: origin_not_allowed
  *       500:
  *         description: Internal Server Error — unexpected failure during registration
  *         content:
@@ -113,18 +160,288 @@ const router = Router();
  *                 error:
  *                   type: string
  *                   example: Internal server error
+ *       429:
+ *         description: >
+ *           Too Many Requests — the app sent more events this minute than it can, or reached its monthly quota.
+ *           Also answered when the client IP sent too many requests.
+ *         headers:
+ *           RateLimit-Remaining:
+ *             description: Events the app can still send this minute
+ *             schema:
+ *               type: integer
+ *           X-Quota-Remaining:
+ *             description: Events the app can still send this month
+ *             schema:
+ *               type: integer
+ *           Retry-After:
+ *             description: Seconds until the exceeded limit resets
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Too many events, this app can send 6000 events per minute
+ *                 code:
+ *                   type: string
+ *                   enum: [rate_limit_exceeded, quota_exceeded]
+ *                   example: rate_limit_exceeded
+ *       503:
+ *         description: Service Unavailable — the ingestion buffer is full, retry after the Retry-After delay
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Event ingestion is temporarily unavailable, please retry later
+ */
+router.post("/collect", ipRateLimiter, authenticate("ingest"), checkOrigin, validateEvent, enforceEventLimits, eventCollectController);
+
+/**
+ * @swagger
+ * /analytics/collect/batch:
+ *   post:
+ *     summary: Collect up to 100 events in a single request
+ *     description: Each event is validated individually. Valid events are stored even when others in the batch are rejected.
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - events
+ *             properties:
+ *               events:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - event
+ *                   properties:
+ *                     event:
+ *                       type: string
+ *                       example: page_view
+ *                     url:
+ *                       type: string
+ *                       example: https://example.com/home
+ *                     referrer:
+ *                       type: string
+ *                       example: https://google.com
+ *                     device:
+ *                       type: string
+ *                       example: desktop
+ *                       description: Derived from the User-Agent when omitted
+ *                     ipAddress:
+ *                       type: string
+ *                       example: 192.168.0.1
+ *                     userAgent:
+ *                       type: string
+ *                       description: Defaults to the User-Agent header of the request
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2025-11-13T10:00:00Z
+ *                     metadata:
+ *                       type: object
+ *                     session_id:
+ *                       type: string
+ *                       example: session123
+ *                     user_id:
+ *                       type: string
+ *                       example: user123
+ *     responses:
+ *       202:
+ *         description: All events accepted, they are written to the database asynchronously
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 2 of 2 events accepted for processing
+ *                 data:
+ *                   type: object
+ *                   example:
+ *                     accepted: 2
+ *                     rejected: 0
+ *                     results:
+ *                       - index: 0
+ *                         status: accepted
+ *                         event_id: 9e3a2f61-1d46-4e83-9c11-5f2e8a0c9932
+ *                         event_type: page_view
+ *                         timestamp: 2025-11-13T10:00:00Z
+ *                       - index: 1
+ *                         status: accepted
+ *                         event_id: 4b1c7d02-8e5f-4a3b-b6d9-0c2e1f7a8b94
+ *                         event_type: button_click
+ *                         timestamp: 2025-11-13T10:00:05Z
+ *       207:
+ *         description: Some events were rejected — see the errors of each rejected result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 1 of 2 events accepted for processing
+ *                 data:
+ *                   type: object
+ *                   example:
+ *                     accepted: 1
+ *                     rejected: 1
+ *                     results:
+ *                       - index: 0
+ *                         status: accepted
+ *                         event_id: 9e3a2f61-1d46-4e83-9c11-5f2e8a0c9932
+ *                         event_type: page_view
+ *                         timestamp: 2025-11-13T10:00:00Z
+ *                       - index: 1
+ *                         status: rejected
+ *                         errors:
+ *                           - type: field
+ *                             path: device
+ *                             msg: "Device must be one of: mobile, desktop, tablet, other"
+ *                             location: body
+ *       400:
+ *         description: Bad Request — events is not an array of 1 to 100 items, or every event is invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       403:
+ *         description: Forbidden — the key lacks the ingest scope, or the Origin of the request isn't allowed by the app
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Origin https://other-site.com is not allowed to send events for this app
+ *                 code:
+ *                   type: string
+ *                   example: origin_not_allowed
+ *       500:
+ *         description: Internal Server Error — unexpected failure while storing the events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Failed to collect events
+ *       429:
+ *         description: >
+ *           Too Many Requests — the valid events of the batch exceed the per minute limit or monthly quota, none is collected.
+ *           Also answered when the client IP sent too many requests.
+ *         headers:
+ *           RateLimit-Remaining:
+ *             description: Events the app can still send this minute
+ *             schema:
+ *               type: integer
+ *           X-Quota-Remaining:
+ *             description: Events the app can still send this month
+ *             schema:
+ *               type: integer
+ *           Retry-After:
+ *             description: Seconds until the exceeded limit resets
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Monthly event quota of 10000000 events is reached for this app
+ *                 code:
+ *                   type: string
+ *                   enum: [rate_limit_exceeded, quota_exceeded]
+ *                   example: quota_exceeded
+ *       503:
+ *         description: Service Unavailable — the ingestion buffer is full, retry after the Retry-After delay
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Event ingestion is temporarily unavailable, please retry later
  */
-router.post("/collect", eventRateLimiter, authenticate, validateEvent, eventCollectController);
+router.post(
+  "/collect/batch",
+  ipRateLimiter,
+  authenticate("ingest"),
+  checkOrigin,
+  validateEventBatch,
+  enforceEventLimits,
+  eventBatchCollectController
+);
 
 /**
  * @swagger
  * /analytics/event-summary:
  *   get:
  *     summary: Fetch event summary for a specific app or event type
+ *     description: >
+ *       Whole days of the range are served from the daily summary rollups and only the partial days at its edges
+ *       are read from raw events. The `source` field of the response is `rollup`, `raw` or `mixed` accordingly.
+ *       An end date without time covers that whole day. Dates without offset and day boundaries are in the
+ *       app timezone unless `tz` is given, summaries in another timezone than the app's are read from raw events.
  *     tags: [Analytics]
  *     security:
  *       - ApiKeyAuth: []
+ *       - OwnerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AppIdHeader'
  *       - in: query
  *         name: app_id
  *         schema:
@@ -148,6 +465,12 @@ router.post("/collect", eventRateLimiter, authenticate, validateEvent, eventColl
  *           type: string
  *           format: date
  *         description: End date for filtering events
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         description: IANA timezone of the date range, defaults to the app timezone
  *     responses:
  *       200:
  *         description: Event summary fetched successfully
@@ -170,9 +493,21 @@ router.post("/collect", eventRateLimiter, authenticate, validateEvent, eventColl
  *                     top_devices:
  *                       desktop: 200
  *                       mobile: 140
+ *                     browser_data:
+ *                       Chrome: 210
+ *                       Safari: 130
+ *                     os_data:
+ *                       Windows: 150
+ *                       iOS: 120
+ *                       Android: 70
+ *                     country_data:
+ *                       US: 200
+ *                       IN: 140
  *                     top_event_types:
  *                       page_view: 250
  *                       button_click: 90
+ *                     timezone: UTC
+ *                     source: mixed
  *       400:
  *         description: Bad Request — invalid input or app already exists
  *         content:
@@ -200,38 +535,56 @@ router.post("/collect", eventRateLimiter, authenticate, validateEvent, eventColl
  *                   type: string
  *                   example: Internal server error
  */
-router.get("/event-summary", analyticsRateLimiter, authenticate, eventSummaryController);
+router.get("/event-summary", ipRateLimiter, authenticateMember("read"), analyticsRateLimiter, validateEventSummary, eventSummaryController);
 
 /**
  * @swagger
- * /analytics/user-stats:
+ * /analytics/timeseries:
  *   get:
- *     summary: Retrieve per-user statistics on collected events
+ *     summary: Fetch event counts and unique users bucketed over time
+ *     description: >
+ *       Buckets without events are returned with zero counts. Buckets start at midnight (or the hour) of the app
+ *       timezone unless `tz` is given, and are returned as UTC timestamps.
  *     tags: [Analytics]
  *     security:
  *       - ApiKeyAuth: []
+ *       - OwnerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AppIdHeader'
  *       - in: query
- *         name: app_id
+ *         name: event
  *         schema:
  *           type: string
  *         required: true
- *         description: The ID of the registered application
+ *         description: The event type to count
  *       - in: query
- *         name: start_date
+ *         name: interval
  *         schema:
  *           type: string
- *           format: date
- *         description: Start date for filtering
+ *           enum: [hour, day, week, month]
+ *           default: day
+ *         description: Size of each bucket, weeks start on Monday
  *       - in: query
- *         name: end_date
+ *         name: startDate
  *         schema:
  *           type: string
- *           format: date
- *         description: End date for filtering
+ *           format: date-time
+ *         description: Start of the range, defaults to 24 hours, 30 days, 12 weeks or 12 months before the end
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range, defaults to now. A date without time covers that whole day
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         description: IANA timezone of the buckets and of dates without offset, defaults to the app timezone
  *     responses:
  *       200:
- *         description: User statistics on events fetched successfully
+ *         description: Event time series fetched successfully
  *         content:
  *           application/json:
  *             schema:
@@ -242,15 +595,22 @@ router.get("/event-summary", analyticsRateLimiter, authenticate, eventSummaryCon
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: User statistics on event fetched successfully
+ *                   example: Event time series fetched successfully
  *                 data:
  *                   type: object
  *                   example:
- *                     total_users: 85
- *                     average_events_per_user: 4
- *                     active_users_last_7_days: 23
+ *                     event_type: page_view
+ *                     interval: day
+ *                     timezone: Asia/Kolkata
+ *                     series:
+ *                       - bucket: 2025-11-11T18:30:00.000Z
+ *                         count: 120
+ *                         unique_users: 48
+ *                       - bucket: 2025-11-12T18:30:00.000Z
+ *                         count: 0
+ *                         unique_users: 0
  *       400:
- *         description: Bad Request — invalid input or app already exists
+ *         description: Bad Request — missing event, invalid interval, dates or timezone, or a range with more than 1000 buckets
  *         content:
  *           application/json:
  *             schema:
@@ -261,9 +621,9 @@ router.get("/event-summary", analyticsRateLimiter, authenticate, eventSummaryCon
  *                   example: false
  *                 error:
  *                   type: string
- *                   example: App with this URL already registered for this user
+ *                   example: Date range spans more than 1000 buckets, use a larger interval
  *       500:
- *         description: Internal Server Error — unexpected failure during registration
+ *         description: Internal Server Error — unexpected failure while computing the series
  *         content:
  *           application/json:
  *             schema:
@@ -274,8 +634,848 @@ router.get("/event-summary", analyticsRateLimiter, authenticate, eventSummaryCon
  *                   example: false
  *                 error:
  *                   type: string
- *                   example: Internal server error
+ *                   example: Failed to retrieve event time series
+ */
+router.get("/timeseries", ipRateLimiter, authenticateMember("read"), analyticsRateLimiter, validateTimeSeries, eventTimeSeriesController);
+
+/**
+ * @swagger
+ * /analytics/funnel:
+ *   post:
+ *     summary: Compute a conversion funnel over an ordered list of events
+ *     description: >
+ *       Users (or sessions) enter the funnel on their first matching first step within the date range and reach
+ *       each following step on its first match after the previous one, within the conversion window of their entry.
+ *       Metadata filters match events whose metadata contains the given values.
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AppIdHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - steps
+ *             properties:
+ *               steps:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 10
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - event
+ *                   properties:
+ *                     event:
+ *                       type: string
+ *                       example: signup_start
+ *                     metadata:
+ *                       type: object
+ *                       example:
+ *                         plan: pro
+ *               identifier:
+ *                 type: string
+ *                 enum: [user_id, session_id]
+ *                 default: user_id
+ *               conversion_window:
+ *                 type: integer
+ *                 default: 86400
+ *                 description: Seconds allowed between the first and the last step, up to 90 days
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               tz:
+ *                 type: string
+ *                 example: Asia/Kolkata
+ *                 description: IANA timezone of dates without offset, defaults to the app timezone
+ *           example:
+ *             steps:
+ *               - event: page_view
+ *               - event: signup_start
+ *               - event: signup_complete
+ *             conversion_window: 3600
+ *             startDate: 2025-11-01
+ *             endDate: 2025-11-30
+ *     responses:
+ *       200:
+ *         description: Funnel fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Funnel fetched successfully
+ *                 data:
+ *                   type: object
+ *                   example:
+ *                     identifier: user_id
+ *                     conversion_window: 3600
+ *                     steps:
+ *                       - step: 1
+ *                         event: page_view
+ *                         users: 1000
+ *                         conversion_rate: 100
+ *                         overall_conversion_rate: 100
+ *                         median_seconds_from_previous: null
+ *                       - step: 2
+ *                         event: signup_start
+ *                         users: 250
+ *                         conversion_rate: 25
+ *                         overall_conversion_rate: 25
+ *                         median_seconds_from_previous: 42
+ *                       - step: 3
+ *                         event: signup_complete
+ *                         users: 100
+ *                         conversion_rate: 40
+ *                         overall_conversion_rate: 10
+ *                         median_seconds_from_previous: 95
+ *       400:
+ *         description: Bad Request — invalid steps, identifier, conversion window, dates or timezone
+ *       500:
+ *         description: Internal Server Error — unexpected failure while computing the funnel
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Failed to retrieve funnel
+ */
+router.post("/funnel", ipRateLimiter, authenticateMember("read"), analyticsRateLimiter, validateFunnel, eventFunnelController);
+
+/**
+ * @swagger
+ * /analytics/retention:
+ *   get:
+ *     summary: Fetch a retention cohort matrix
+ *     description: >
+ *       Users are grouped in cohorts by the period in which they first fired the start event. For each following
+ *       period, the matrix reports how many of them fired the return event and their percentage of the cohort.
+ *       Periods that haven't started yet are reported as null.
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AppIdHeader'
+ *       - in: query
+ *         name: startEvent
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Event type placing users in a cohort, e.g. signup
+ *       - in: query
+ *         name: returnEvent
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Event type counting users as returned, e.g. page_view
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *         description: Size of cohorts and of the periods following them
+ *       - in: query
+ *         name: periods
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 90
+ *         description: Number of periods reported after each cohort, defaults to 14 days, 8 weeks or 6 months
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the cohort range, defaults to as many periods before the end
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the cohort range, defaults to now
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         description: IANA timezone of the periods and of dates without offset, defaults to the app timezone
+ *     responses:
+ *       200:
+ *         description: Retention fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Retention fetched successfully
+ *                 data:
+ *                   type: object
+ *                   example:
+ *                     start_event: signup
+ *                     return_event: page_view
+ *                     period: week
+ *                     cohorts:
+ *                       - cohort: 2025-11-03
+ *                         users: 120
+ *                         retention:
+ *                           - period: 1
+ *                             users: 54
+ *                             percentage: 45
+ *                           - period: 2
+ *                             users: null
+ *                             percentage: null
+ *       400:
+ *         description: Bad Request — missing events, invalid period, dates or timezone, or a range with more than 1000 cohorts
+ *       500:
+ *         description: Internal Server Error — unexpected failure while computing retention
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Failed to retrieve retention
+ */
+router.get("/retention", ipRateLimiter, authenticateMember("read"), analyticsRateLimiter, validateRetention, eventRetentionController);
+
+/**
+ * @swagger
+ * /analytics/breakdown:
+ *   get:
+ *     summary: Break down event counts by the values of a metadata property
+ *     description: >
+ *       Returns the count and unique users of the most frequent values of a metadata property, the remaining
+ *       values grouped in `other`, and the totals. Events without the property are counted under a null value.
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AppIdHeader'
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The event type to break down
+ *       - in: query
+ *         name: property
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Metadata property to group by, nested properties are separated by dots (e.g. plan.tier)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of values returned before grouping the rest in other
+ *       - in: query
+ *         name: filter
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: true
+ *         description: Metadata equality filters formatted as property:value, e.g. country:US
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start date for filtering events
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End date for filtering events, a date without time covers that whole day
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         description: IANA timezone of dates without offset, defaults to the app timezone
+ *     responses:
+ *       200:
+ *         description: Event breakdown fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Event breakdown fetched successfully
+ *                 data:
+ *                   type: object
+ *                   example:
+ *                     event_type: purchase
+ *                     property: plan
+ *                     filters:
+ *                       country: US
+ *                     values:
+ *                       - value: pro
+ *                         count: 320
+ *                         unique_users: 210
+ *                       - value: free
+ *                         count: 150
+ *                         unique_users: 140
+ *                     other:
+ *                       count: 12
+ *                       unique_users: 9
+ *                       values: 3
+ *                     total:
+ *                       count: 482
+ *                       unique_users: 350
+ *       400:
+ *         description: Bad Request — missing event or property, invalid limit, filters, dates or timezone
+ *       500:
+ *         description: Internal Server Error — unexpected failure while computing the breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Failed to retrieve event breakdown
+ */
+router.get("/breakdown", ipRateLimiter, authenticateMember("read"), analyticsRateLimiter, validateBreakdown, eventBreakdownController);
+
+/**
+ * @swagger
+ * /analytics/geography:
+ *   get:
+ *     summary: Break down events by country, region or city
+ *     description: >
+ *       Locations are resolved from the IP address of each event at ingestion, using the local GeoIP database
+ *       configured with GEOIP_DATABASE_PATH. Events with an unknown location are grouped under null fields.
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AppIdHeader'
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Optional event type to filter by
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [country, region, city]
+ *           default: country
+ *         description: Granularity of the locations
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of locations returned, most frequent first
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start date for filtering events
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End date for filtering events, a date without time covers that whole day
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         description: IANA timezone of dates without offset, defaults to the app timezone
+ *     responses:
+ *       200:
+ *         description: Event geography fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Event geography fetched successfully
+ *                 data:
+ *                   type: object
+ *                   example:
+ *                     event_type: page_view
+ *                     level: region
+ *                     locations:
+ *                       - country: US
+ *                         region: California
+ *                         count: 320
+ *                         unique_users: 110
+ *                       - country: IN
+ *                         region: Karnataka
+ *                         count: 150
+ *                         unique_users: 64
+ *       400:
+ *         description: Bad Request — invalid level, limit, dates or timezone
+ *       500:
+ *         description: Internal Server Error — unexpected failure while computing the breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Failed to retrieve event geography
+ */
+router.get("/geography", ipRateLimiter, authenticateMember("read"), analyticsRateLimiter, validateGeography, eventGeographyController);
+
+/**
+ * @swagger
+ * /analytics/user-stats:
+ *   get:
+ *     summary: Retrieve per-user statistics on collected events
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AppIdHeader'
+ *       - in: query
+ *         name: app_id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the registered application
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for filtering
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for filtering
+ *     responses:
+ *       200:
+ *         description: User statistics on events fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: User statistics on event fetched successfully
+ *                 data:
+ *                   type: object
+ *                   example:
+ *                     total_users: 85
+ *                     average_events_per_user: 4
+ *                     active_users_last_7_days: 23
+ *       400:
+ *         description: Bad Request — invalid input or app already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: App with this URL already registered for this user
+ *       500:
+ *         description: Internal Server Error — unexpected failure during registration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal server error
+ */
+router.get("/user-stats", ipRateLimiter, authenticateMember("admin"), analyticsRateLimiter, eventUserStatsController);
+
+/**
+ * @swagger
+ * /analytics/recent-events:
+ *   get:
+ *     summary: Fetch the latest events of the app, newest first
+ *     description: >
+ *       Live event feed paginated with cursors. Pass the `next_cursor` of a page as `cursor` to get the next one,
+ *       events collected in the meantime don't shift the pages.
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AppIdHeader'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of events per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor of the event to continue after, as returned in next_cursor
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Only events of this type
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Only events of this user
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *         description: Only events of this session
+ *     responses:
+ *       200:
+ *         description: Recent events fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Recent events fetched successfully
+ *                 data:
+ *                   type: object
+ *                   example:
+ *                     events:
+ *                       - id: 7f7c5f5e-2a47-4f4e-9a8e-1d2f3c4b5a69
+ *                         event_type: button_click
+ *                         url: https://example.com/pricing
+ *                         device: mobile
+ *                         timestamp: 2025-11-13T10:54:33.317Z
+ *                         user_id: user789
+ *                         session_id: sess_456
+ *                         metadata:
+ *                           button_id: signup
+ *                         cursor: WyIyMDI1LTExLTEzIDEwOjU0OjMzLjMxNyswMCIsIjdmN2M1ZjVlIl0
+ *                     has_more: true
+ *                     next_cursor: WyIyMDI1LTExLTEzIDEwOjU0OjMzLjMxNyswMCIsIjdmN2M1ZjVlIl0
+ *       400:
+ *         description: Bad Request — invalid limit, cursor or filters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Invalid cursor
+ *       500:
+ *         description: Internal Server Error — unexpected failure while reading events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Failed to retrieve recent events
+ */
+router.get("/recent-events", ipRateLimiter, authenticateMember("read"), analyticsRateLimiter, validateRecentEvents, recentEventsController);
+
+/**
+ * @swagger
+ * /analytics/event-counts:
+ *   get:
+ *     summary: Fetch counts and unique users of every event type
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AppIdHeader'
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start date for filtering events
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End date for filtering events, a date without time covers that whole day
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         description: IANA timezone of dates without offset, defaults to the app timezone
+ *     responses:
+ *       200:
+ *         description: Event counts fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Event counts fetched successfully
+ *                 data:
+ *                   type: object
+ *                   example:
+ *                     total_event_types: 2
+ *                     event_types:
+ *                       - event_type: page_view
+ *                         count: "250"
+ *                         unique_users: "120"
+ *                       - event_type: button_click
+ *                         count: "90"
+ *                         unique_users: "45"
+ *       400:
+ *         description: Bad Request — invalid dates or timezone
+ *       500:
+ *         description: Internal Server Error — unexpected failure while counting events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Failed to retrieve event counts
+ */
+router.get("/event-counts", ipRateLimiter, authenticateMember("read"), analyticsRateLimiter, validateEventCounts, eventCountsController);
+
+/**
+ * @swagger
+ * /analytics/data-retention:
+ *   get:
+ *     summary: Get the retention policy of the app and what was purged
+ *     description: >
+ *       Returns the retention policy, the oldest raw event and daily summary still stored, and the last purges of
+ *       the purge job (kept 90 days). A purge with `completed` false hit its batch limit, the rest is deleted on the
+ *       next runs.
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AppIdHeader'
+ *     responses:
+ *       200:
+ *         description: Retention status fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Retention status fetched successfully
+ *                 data:
+ *                   type: object
+ *                   example:
+ *                     policy:
+ *                       raw_retention_days: 90
+ *                       summary_retention_days: 730
+ *                     oldest_event_at: 2025-08-15T00:00:02.000Z
+ *                     oldest_summary_date: 2023-11-14
+ *                     purges:
+ *                       - events_deleted: 48213
+ *                         summaries_deleted: 12
+ *                         events_cutoff: 2025-08-15T00:00:00.000Z
+ *                         summaries_cutoff: 2023-11-14
+ *                         completed: true
+ *                         started_at: 2025-11-13T00:00:00.000Z
+ *                         finished_at: 2025-11-13T00:00:04.512Z
+ *                     job:
+ *                       enabled: true
+ *                       interval_ms: 3600000
+ *                       last_run_at: 2025-11-13T00:00:04.530Z
+ *       500:
+ *         description: Internal Server Error — unexpected failure while reading the status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Failed to retrieve retention status
+ */
+router.get("/data-retention", ipRateLimiter, authenticateMember("admin"), analyticsRateLimiter, dataRetentionStatusController);
+
+/**
+ * @swagger
+ * /analytics/usage:
+ *   get:
+ *     summary: Get the limits of the app and its usage
+ *     description: >
+ *       Returns the limits of the app (defaults of the server unless changed with POST /api/auth/limits), the events
+ *       collected and analytics requests made this month with what is left of the monthly quota, and the same counts
+ *       for the 11 previous months. Months are calendar months in UTC.
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AppIdHeader'
+ *     responses:
+ *       200:
+ *         description: Usage fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Usage fetched successfully
+ *                 data:
+ *                   type: object
+ *                   example:
+ *                     app_id: 0b8f1d2e-3c4a-4b5d-8e6f-7a8b9c0d1e2f
+ *                     limits:
+ *                       events_per_minute: 6000
+ *                       monthly_event_quota: 10000000
+ *                       analytics_queries_per_minute: 60
+ *                     current_month:
+ *                       month: 2025-11
+ *                       events: 48213
+ *                       analytics_queries: 312
+ *                       event_quota: 10000000
+ *                       events_remaining: 9951787
+ *                       resets_at: 2025-12-01T00:00:00.000Z
+ *                     history:
+ *                       - month: 2025-11
+ *                         events: 48213
+ *                         analytics_queries: 312
+ *                       - month: 2025-10
+ *                         events: 120934
+ *                         analytics_queries: 1045
+ *       429:
+ *         description: Too Many Requests — the app made more analytics requests this minute than it can, or the client IP sent too many requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: Too many analytics requests for this app, please try again later.
+ *                 code:
+ *                   type: string
+ *                   example: rate_limit_exceeded
+ *       500:
+ *         description: Internal Server Error — unexpected failure while reading the usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Failed to retrieve usage
  */
-router.get("/user-stats", analyticsRateLimiter, authenticate, eventUserStatsController);
+router.get("/usage", ipRateLimiter, authenticateMember("read"), analyticsRateLimiter, usageController);
 
 export default router;
@@ -0,0 +1,305 @@
+import { Router } from "express";
+import { validateAppId, validateClaimApp, validateListApps, validateUpdateApp } from "../middleware/validation.middleware.js";
+import {
+  claimAppController,
+  deleteAppController,
+  getAppController,
+  listAppsController,
+  restoreAppController,
+  updateAppController,
+} from "../controller/app.controller.js";
+import { authenticateOwner } from "../middleware/authenticate.middleware.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Apps
+ *   description: Apps of the organizations of an owner account, deleted apps can be restored until they are purged
+ */
+
+/**
+ * @swagger
+ * /apps:
+ *   get:
+ *     summary: List the apps of the organizations you are a member of, with your role
+ *     tags: [Apps]
+ *     security:
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: org_id
+ *         schema:
+ *           type: string
+ *         description: Only the apps of this organization
+ *       - in: query
+ *         name: include_deleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include deleted apps that are not purged yet
+ *     responses:
+ *       200:
+ *         description: The apps, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Apps retrieved successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/App'
+ *       400:
+ *         description: Bad Request — include_deleted is not a boolean or invalid org_id
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ */
+router.get("/", authenticateOwner, validateListApps, listAppsController);
+
+/**
+ * @swagger
+ * /apps/claim:
+ *   post:
+ *     summary: Claim an app registered before owner accounts existed
+ *     description: >
+ *       Such apps are in the personal organization of the user_id they were registered with, which no account
+ *       can log in as. Proving control of the app with one of its admin keys moves it to your personal
+ *       organization, other apps of the same user_id need their own key. Apps an account owns already can't be claimed.
+ *     tags: [Apps]
+ *     security:
+ *       - OwnerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - api_key
+ *             properties:
+ *               api_key:
+ *                 type: string
+ *                 description: An active API key of the app, with the admin scope
+ *                 example: sbx_m0WSzFbQcf2ezKnptTRDnN9DEfVRYe8sFKZwsoYOPu56hFhF
+ *     responses:
+ *       200:
+ *         description: App claimed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: App claimed successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/App'
+ *       400:
+ *         description: Bad Request — missing or invalid API key
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *       403:
+ *         description: Forbidden — the key doesn't have the admin scope
+ *       404:
+ *         description: API key not found, inactive, or of a deleted app
+ *       409:
+ *         description: Conflict — the app already belongs to an account, or your personal organization has an app with its URL
+ */
+router.post("/claim", authenticateOwner, validateClaimApp, claimAppController);
+
+/**
+ * @swagger
+ * /apps/{app_id}:
+ *   get:
+ *     summary: Get an app of one of your organizations, deleted or not
+ *     tags: [Apps]
+ *     security:
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: app_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *     responses:
+ *       200:
+ *         description: The app
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: App retrieved successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/App'
+ *       400:
+ *         description: Bad Request — invalid app_id
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *       404:
+ *         description: App not found or not in your organizations
+ *   patch:
+ *     summary: Rename an app or change its URL
+ *     description: >
+ *       Only the given fields are changed. Allowed origins are not derived from the new URL,
+ *       update them with /auth/allowed-origins. Deleted apps must be restored first.
+ *     tags: [Apps]
+ *     security:
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: app_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               app_name:
+ *                 type: string
+ *                 example: My Renamed App
+ *               app_url:
+ *                 type: string
+ *                 example: https://renamed.com
+ *     responses:
+ *       200:
+ *         description: App updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: App updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/App'
+ *       400:
+ *         description: Bad Request — invalid app_id, name or URL, or nothing to update
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *       403:
+ *         description: Forbidden — admin role required in the organization of the app
+ *       404:
+ *         description: App not found, deleted or not in your organizations
+ *       409:
+ *         description: Conflict — another app of the user has this URL
+ *   delete:
+ *     summary: Delete an app
+ *     description: >
+ *       API keys of the app stop working right away (403 api_key_app_deleted) and its data stops being served.
+ *       The app can be restored with its keys and data until `purge_at`, APP_RESTORE_WINDOW_DAYS after the deletion.
+ *       The purge job of the server then deletes the app, its keys and all its data for good.
+ *     tags: [Apps]
+ *     security:
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: app_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *     responses:
+ *       200:
+ *         description: App deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: App deleted successfully. It can be restored until it is purged
+ *                 data:
+ *                   $ref: '#/components/schemas/App'
+ *       400:
+ *         description: Bad Request — invalid app_id
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *       403:
+ *         description: Forbidden — admin role required in the organization of the app
+ *       404:
+ *         description: App not found or not in your organizations
+ *       409:
+ *         description: Conflict — the app is already deleted
+ */
+router.get("/:app_id", authenticateOwner, validateAppId, getAppController);
+router.patch("/:app_id", authenticateOwner, validateUpdateApp, updateAppController);
+router.delete("/:app_id", authenticateOwner, validateAppId, deleteAppController);
+
+/**
+ * @swagger
+ * /apps/{app_id}/restore:
+ *   post:
+ *     summary: Restore a deleted app, with its keys and data
+ *     tags: [Apps]
+ *     security:
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: app_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *     responses:
+ *       200:
+ *         description: App restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: App restored successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/App'
+ *       400:
+ *         description: Bad Request — invalid app_id
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *       403:
+ *         description: Forbidden — admin role required in the organization of the app
+ *       404:
+ *         description: App not found or not in your organizations
+ *       409:
+ *         description: Conflict — the app is not deleted
+ *       410:
+ *         description: Gone — the restore window of the app is over, it is about to be purged
+ */
+router.post("/:app_id/restore", authenticateOwner, validateAppId, restoreAppController);
+
+export default router;
@@ -1,15 +1,120 @@
 import { Router } from "express";
-import { validateRegister, validateRevoke, validatGetAPIKey } from "../middleware/validation.middleware.js";
-import { getApiKeyController, regenerateApiKeyController, registerAppController, revokeApiKeyController } from "../controller/auth.controller.js";
+import {
+  validateAllowedOrigins,
+  validateCreateApiKey,
+  validateLimits,
+  validateListApiKeys,
+  validatePrivacy,
+  validateRegenerate,
+  validateRegister,
+  validateRetentionPolicy,
+  validateRevoke,
+  validateRevokeApiKeyById,
+  validateSignup,
+  validateLogin,
+  validatGetAPIKey,
+} from "../middleware/validation.middleware.js";
+import {
+  createApiKeyController,
+  getApiKeyController,
+  listApiKeysController,
+  regenerateApiKeyController,
+  revokeApiKeyByIdController,
+  registerAppController,
+  revokeApiKeyController,
+  updateAllowedOriginsController,
+  updateLimitsController,
+  updatePrivacyController,
+  updateRetentionPolicyController,
+  signupController,
+  loginController,
+} from "../controller/auth.controller.js";
+import { authenticateOwner } from "../middleware/authenticate.middleware.js";
 
 const router = Router();
 
+/**
+ * @swagger
+ * /auth/signup:
+ *   post:
+ *     summary: Create an owner account and get a session token
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: owner@myapp.com
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 maxLength: 128
+ *                 example: correct-horse-battery
+ *     responses:
+ *       201:
+ *         description: Account created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OwnerSession'
+ *       400:
+ *         description: Bad Request — invalid email or password too short
+ *       409:
+ *         description: Conflict — an account with this email already exists
+ */
+router.post("/signup", validateSignup, signupController);
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Log in to an owner account and get a session token
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: owner@myapp.com
+ *               password:
+ *                 type: string
+ *                 example: correct-horse-battery
+ *     responses:
+ *       200:
+ *         description: Logged in successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OwnerSession'
+ *       401:
+ *         description: Unauthorized — invalid email or password
+ */
+router.post("/login", validateLogin, loginController);
+
 /**
  * @swagger
  * /auth/register:
  *   post:
  *     summary: Register a new application and generate an API key
  *     tags: [Authentication]
+ *     security:
+ *       - OwnerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -19,7 +124,6 @@ const router = Router();
  *             required:
  *               - app_name
  *               - app_url
- *               - user_id
  *             properties:
  *               app_name:
  *                 type: string
@@ -27,9 +131,19 @@ const router = Router();
  *               app_url:
  *                 type: string
  *                 example: https://test.com
- *               user_id:
+ *               timezone:
+ *                 type: string
+ *                 example: Asia/Kolkata
+ *                 description: IANA timezone day boundaries and daily rollups of the app use, defaults to UTC
+ *               ip_mode:
  *                 type: string
- *                 example: user123
+ *                 enum: [full, truncate, hash, drop]
+ *                 default: full
+ *                 description: How IP addresses of the app's events are stored
+ *               org_id:
+ *                 type: string
+ *                 example: 2d7c4e1a-9b3f-4a6e-8c5d-1f0e9a8b7c6d
+ *                 description: Organization owning the app, defaults to your personal organization
  *     responses:
  *       201:
  *         description: App registered successfully
@@ -56,6 +170,20 @@ const router = Router();
  *                     app_url:
  *                       type: string
  *                       example: https://test.com
+ *                     timezone:
+ *                       type: string
+ *                       example: Asia/Kolkata
+ *                     ip_mode:
+ *                       type: string
+ *                       example: truncate
+ *                     key_id:
+ *                       type: string
+ *                       example: 3c9a1d52-7b0e-4f3a-9d8c-2e6f1b4a7c90
+ *                     scopes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [ingest, read, admin]
  *                     api_key:
  *                       type: string
  *                       example: sbx_m0WSzFbQcf2ezKnptTRDnN9DEfVRYe8sFKZwsoYOPu56hFhF
@@ -63,6 +191,24 @@ const router = Router();
  *                       type: string
  *                       format: date-time
  *                       example: 2025-11-13T10:54:33.317Z
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Session token has expired, log in again
+ *                 code:
+ *                   type: string
+ *                   enum: [token_missing, token_invalid, token_expired]
+ *       403:
+ *         description: Forbidden — admin role required in the organization given as org_id
  *       400:
  *         description: Bad Request — invalid input or app already exists
  *         content:
@@ -75,7 +221,7 @@ const router = Router();
  *                   example: false
  *                 error:
  *                   type: string
- *                   example: App with this URL already registered for this user
+ *                   example: App with this URL already registered for this organization
  *       500:
  *         description: Internal Server Error — unexpected failure during registration
  *         content:
@@ -90,7 +236,7 @@ const router = Router();
  *                   type: string
  *                   example: Internal server error
  */
-router.post("/register", validateRegister, registerAppController);
+router.post("/register", authenticateOwner, validateRegister, registerAppController);
 
 /**
  * @swagger
@@ -98,6 +244,8 @@ router.post("/register", validateRegister, registerAppController);
  *   post:
  *     summary: Retrieve API key details
  *     tags: [Authentication]
+ *     security:
+ *       - OwnerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -136,6 +284,12 @@ router.post("/register", validateRegister, registerAppController);
  *                     app_url:
  *                       type: string
  *                       example: https://test.com
+ *                     timezone:
+ *                       type: string
+ *                       example: Asia/Kolkata
+ *                     ip_mode:
+ *                       type: string
+ *                       example: truncate
  *                     key_prefix:
  *                        type: string
  *                        example: sbx_ABSKHFJBBNKD*****************
@@ -154,13 +308,50 @@ router.post("/register", validateRegister, registerAppController);
  *                       type: string
  *                       nullable: true
  *                       example: null
+ *                     previous_key:
+ *                       type: object
+ *                       nullable: true
+ *                       description: A regenerated key still in its grace period, the one regenerated into this key first
+ *                       properties:
+ *                         key_id:
+ *                           type: string
+ *                         key_prefix:
+ *                           type: string
+ *                         replaced_by:
+ *                           type: string
+ *                           description: ID of the key it was regenerated into
+ *                         expires_at:
+ *                           type: string
+ *                           format: date-time
+ *                         last_used_at:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
  *                     note:
  *                       type: string
  *                       example: For security reasons, the full API key is only shown once during registration
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Session token has expired, log in again
+ *                 code:
+ *                   type: string
+ *                   enum: [token_missing, token_invalid, token_expired]
+ *       403:
+ *         description: Forbidden — admin role required in the organization of the app
  *       404:
  *         description: App not found
  */
-router.post("/api-key", validatGetAPIKey, getApiKeyController);
+router.post("/api-key", authenticateOwner, validatGetAPIKey, getApiKeyController);
 
 /**
  * @swagger
@@ -168,6 +359,8 @@ router.post("/api-key", validatGetAPIKey, getApiKeyController);
  *   post:
  *     summary: Revoke an active API key for a registered app
  *     tags: [Authentication]
+ *     security:
+ *       - OwnerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -207,6 +400,24 @@ router.post("/api-key", validatGetAPIKey, getApiKeyController);
  *                       type: string
  *                       format: date-time
  *                       example: 2025-11-13T17:46:04.264Z
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Session token has expired, log in again
+ *                 code:
+ *                   type: string
+ *                   enum: [token_missing, token_invalid, token_expired]
+ *       403:
+ *         description: Forbidden — admin role required in the organization of the app
  *       400:
  *         description: Bad Request — invalid input
  *         content:
@@ -234,7 +445,7 @@ router.post("/api-key", validatGetAPIKey, getApiKeyController);
  *                   type: string
  *                   example: Internal server error
  */
-router.post("/revoke", validateRevoke, revokeApiKeyController);
+router.post("/revoke", authenticateOwner, validateRevoke, revokeApiKeyController);
 
 /**
  * @swagger
@@ -242,6 +453,8 @@ router.post("/revoke", validateRevoke, revokeApiKeyController);
  *   post:
  *     summary: Regenerate an active API key for a registered app
  *     tags: [Authentication]
+ *     security:
+ *       - OwnerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -250,14 +463,20 @@ router.post("/revoke", validateRevoke, revokeApiKeyController);
  *             type: object
  *             required:
  *               - app_id
- *               - user_id
  *             properties:
  *               app_id:
  *                 type: string
  *                 example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
- *               user_id:
+ *               key_id:
  *                 type: string
- *                 example: kchb1e8c-0252-4174-bc61-1475ad8cdecb
+ *                 example: 3c9a1d52-7b0e-4f3a-9d8c-2e6f1b4a7c90
+ *                 description: Key to replace, defaults to the latest active key with the admin scope. The new key keeps its name and scopes.
+ *               grace_period:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 2592000
+ *                 example: 86400
+ *                 description: Seconds the replaced key keeps working, defaults to API_KEY_GRACE_PERIOD_SECONDS (one day). 0 revokes it right away.
  *     responses:
  *       200:
  *         description: API key regenerated successfully
@@ -285,8 +504,49 @@ router.post("/revoke", validateRevoke, revokeApiKeyController);
  *                       type: string
  *                       format: date-time
  *                       example: 2025-11-13T17:46:04.264Z
+ *                     previous_key_id:
+ *                       type: string
+ *                       nullable: true
+ *                       example: 3c9a1d52-7b0e-4f3a-9d8c-2e6f1b4a7c90
+ *                     previous_key_expires_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                       description: When the replaced key stops working, null if it was revoked right away
+ *                       example: 2025-11-14T17:46:04.264Z
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Session token has expired, log in again
+ *                 code:
+ *                   type: string
+ *                   enum: [token_missing, token_invalid, token_expired]
+ *       403:
+ *         description: Forbidden — admin role required in the organization of the app
  *       400:
- *         description: Bad Request — invalid app_id or user_id
+ *         description: Bad Request — invalid app_id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Invalid app_id
+ *       409:
+ *         description: Conflict — the key was already regenerated and is in its grace period
  *         content:
  *           application/json:
  *             schema:
@@ -297,7 +557,7 @@ router.post("/revoke", validateRevoke, revokeApiKeyController);
  *                   example: false
  *                 error:
  *                   type: string
- *                   example: Invalid app_id or user_id
+ *                   example: API key was already regenerated, regenerate the key that replaced it
  *       500:
  *         description: Internal Server Error — unexpected failure during regeneration
  *         content:
@@ -312,6 +572,614 @@ router.post("/revoke", validateRevoke, revokeApiKeyController);
  *                   type: string
  *                   example: Internal server error
  */
-router.post("/regenerate", regenerateApiKeyController);
+router.post("/regenerate", authenticateOwner, validateRegenerate, regenerateApiKeyController);
+
+/**
+ * @swagger
+ * /auth/keys:
+ *   post:
+ *     summary: Create an additional API key with the given scopes
+ *     description: >
+ *       `ingest` collects events and is safe to ship in client code, `read` reads aggregated analytics,
+ *       `admin` accesses personal data (user stats, data subject requests, retention status).
+ *       The key registering the app has every scope.
+ *     tags: [Authentication]
+ *     security:
+ *       - OwnerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - app_id
+ *               - scopes
+ *             properties:
+ *               app_id:
+ *                 type: string
+ *                 example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *               name:
+ *                 type: string
+ *                 example: Website tracker
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [ingest, read, admin]
+ *                 example: [ingest]
+ *     responses:
+ *       201:
+ *         description: API key created, it is only shown in this response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: API key created successfully. Save it - it will not be shown again!
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     key_id:
+ *                       type: string
+ *                       example: 3c9a1d52-7b0e-4f3a-9d8c-2e6f1b4a7c90
+ *                     app_id:
+ *                       type: string
+ *                       example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *                     name:
+ *                       type: string
+ *                       example: Website tracker
+ *                     scopes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [ingest]
+ *                     api_key:
+ *                       type: string
+ *                       example: sbx_m0WSzFbQcf2ezKnptTRDnN9DEfVRYe8sFKZwsoYOPu56hFhF
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2025-11-13T17:46:04.264Z
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2026-11-13T17:46:04.264Z
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Session token has expired, log in again
+ *                 code:
+ *                   type: string
+ *                   enum: [token_missing, token_invalid, token_expired]
+ *       403:
+ *         description: Forbidden — admin role required in the organization of the app
+ *       400:
+ *         description: Bad Request — invalid app_id, name or scopes
+ *       404:
+ *         description: App not found or not owned by the user
+ *   get:
+ *     summary: List the API keys of an app, revoked ones included
+ *     tags: [Authentication]
+ *     security:
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: app_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *     responses:
+ *       200:
+ *         description: The keys, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: API keys retrieved successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key_id:
+ *                         type: string
+ *                         example: 3c9a1d52-7b0e-4f3a-9d8c-2e6f1b4a7c90
+ *                       name:
+ *                         type: string
+ *                         example: Website tracker
+ *                       scopes:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: [ingest]
+ *                       key_prefix:
+ *                         type: string
+ *                         example: sbx_m0WSzFbQcf2*************************************
+ *                       is_active:
+ *                         type: boolean
+ *                         example: true
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                       last_used_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       revoked_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       replaced_by:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Key this one was regenerated into, it stops working at expires_at
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Session token has expired, log in again
+ *                 code:
+ *                   type: string
+ *                   enum: [token_missing, token_invalid, token_expired]
+ *       400:
+ *         description: Bad Request — invalid app_id
+ *       404:
+ *         description: App not found or not owned by the user
+ */
+router.post("/keys", authenticateOwner, validateCreateApiKey, createApiKeyController);
+router.get("/keys", authenticateOwner, validateListApiKeys, listApiKeysController);
+
+/**
+ * @swagger
+ * /auth/keys/revoke:
+ *   post:
+ *     summary: Revoke an API key of an app by its ID
+ *     tags: [Authentication]
+ *     security:
+ *       - OwnerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - app_id
+ *               - key_id
+ *             properties:
+ *               app_id:
+ *                 type: string
+ *                 example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *               key_id:
+ *                 type: string
+ *                 example: 3c9a1d52-7b0e-4f3a-9d8c-2e6f1b4a7c90
+ *     responses:
+ *       200:
+ *         description: API key revoked, requests using it are now refused
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Session token has expired, log in again
+ *                 code:
+ *                   type: string
+ *                   enum: [token_missing, token_invalid, token_expired]
+ *       403:
+ *         description: Forbidden — admin role required in the organization of the app
+ *       400:
+ *         description: Bad Request — invalid app_id or key_id
+ *       404:
+ *         description: Key not found, already revoked, or its app not owned by the user
+ */
+router.post("/keys/revoke", authenticateOwner, validateRevokeApiKeyById, revokeApiKeyByIdController);
+
+/**
+ * @swagger
+ * /auth/privacy:
+ *   post:
+ *     summary: Change how IP addresses of an app are stored
+ *     description: >
+ *       `full` stores addresses verbatim, `truncate` zeroes the last octet of IPv4 and the last 80 bits of IPv6,
+ *       `hash` stores a SHA-256 hash salted with a salt rotated every day, `drop` stores nothing. The mode applies to
+ *       events collected from now on, and user statistics only show addresses the mode allows.
+ *     tags: [Authentication]
+ *     security:
+ *       - OwnerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - app_id
+ *               - ip_mode
+ *             properties:
+ *               app_id:
+ *                 type: string
+ *                 example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *               ip_mode:
+ *                 type: string
+ *                 enum: [full, truncate, hash, drop]
+ *                 example: truncate
+ *     responses:
+ *       200:
+ *         description: Privacy settings updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Privacy settings updated successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     app_id:
+ *                       type: string
+ *                       example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *                     ip_mode:
+ *                       type: string
+ *                       example: truncate
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2025-11-13T17:46:04.264Z
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Session token has expired, log in again
+ *                 code:
+ *                   type: string
+ *                   enum: [token_missing, token_invalid, token_expired]
+ *       403:
+ *         description: Forbidden — admin role required in the organization of the app
+ *       400:
+ *         description: Bad Request — invalid app_id or ip_mode
+ *       404:
+ *         description: App not found or not owned by the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: App not found or unauthorized
+ */
+router.post("/privacy", authenticateOwner, validatePrivacy, updatePrivacyController);
+
+/**
+ * @swagger
+ * /auth/allowed-origins:
+ *   post:
+ *     summary: Change the origins browsers may send events of an app from
+ *     description: >
+ *       Events sent to /analytics/collect with an Origin (or Referer) header are refused unless one of these
+ *       origins covers it, so a public ingest key can't be used on another site. Requests without either header,
+ *       e.g. from servers, aren't affected. Apps start with the origin of their URL. The list replaces the current one.
+ *     tags: [Authentication]
+ *     security:
+ *       - OwnerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - app_id
+ *               - allowed_origins
+ *             properties:
+ *               app_id:
+ *                 type: string
+ *                 example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *               allowed_origins:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   type: string
+ *                 description: Origins without path, or wildcard subdomains of a domain
+ *                 example: [https://myapp.com, https://*.myapp.com]
+ *     responses:
+ *       200:
+ *         description: Allowed origins updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Allowed origins updated successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     app_id:
+ *                       type: string
+ *                       example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *                     allowed_origins:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [https://myapp.com, https://*.myapp.com]
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2025-11-13T17:46:04.264Z
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Session token has expired, log in again
+ *                 code:
+ *                   type: string
+ *                   enum: [token_missing, token_invalid, token_expired]
+ *       403:
+ *         description: Forbidden — admin role required in the organization of the app
+ *       400:
+ *         description: Bad Request — invalid app_id or origins
+ *       404:
+ *         description: App not found or not owned by the user
+ */
+router.post("/allowed-origins", authenticateOwner, validateAllowedOrigins, updateAllowedOriginsController);
+
+/**
+ * @swagger
+ * /auth/data-retention:
+ *   post:
+ *     summary: Change how long the data of an app is kept
+ *     description: >
+ *       The purge job of the server deletes raw events older than `raw_retention_days` and daily summaries older
+ *       than `summary_retention_days`, in batches. Summaries are the long-term history of the app, so they must be
+ *       kept at least as long as raw events. Omitted fields are left as they are, null keeps the data forever.
+ *     tags: [Authentication]
+ *     security:
+ *       - OwnerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - app_id
+ *             properties:
+ *               app_id:
+ *                 type: string
+ *                 example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *               raw_retention_days:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 maximum: 3650
+ *                 example: 90
+ *               summary_retention_days:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 maximum: 36500
+ *                 example: 730
+ *     responses:
+ *       200:
+ *         description: Retention policy updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Retention policy updated successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     app_id:
+ *                       type: string
+ *                       example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *                     raw_retention_days:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: 90
+ *                     summary_retention_days:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: 730
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2025-11-13T17:46:04.264Z
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Session token has expired, log in again
+ *                 code:
+ *                   type: string
+ *                   enum: [token_missing, token_invalid, token_expired]
+ *       403:
+ *         description: Forbidden — admin role required in the organization of the app
+ *       400:
+ *         description: Bad Request — invalid periods, or summaries kept shorter than raw events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Daily summaries must be kept at least as long as raw events
+ *       404:
+ *         description: App not found or not owned by the user
+ */
+router.post("/data-retention", authenticateOwner, validateRetentionPolicy, updateRetentionPolicyController);
+
+/**
+ * @swagger
+ * /auth/limits:
+ *   post:
+ *     summary: Change the rate limits and monthly event quota of an app
+ *     description: >
+ *       Events collected beyond `events_per_minute` or `monthly_event_quota` (calendar month, UTC) and analytics
+ *       requests beyond `analytics_queries_per_minute` are answered 429. Limits apply to the app, whatever key or
+ *       client sends the requests. Omitted fields are left as they are, null goes back to the default of the server.
+ *     tags: [Authentication]
+ *     security:
+ *       - OwnerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - app_id
+ *             properties:
+ *               app_id:
+ *                 type: string
+ *                 example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *               events_per_minute:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 maximum: 1000000
+ *                 example: 1200
+ *               monthly_event_quota:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 maximum: 1000000000000
+ *                 example: 5000000
+ *               analytics_queries_per_minute:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 maximum: 10000
+ *                 example: 120
+ *     responses:
+ *       200:
+ *         description: Limits updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Limits updated successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     app_id:
+ *                       type: string
+ *                       example: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *                     events_per_minute:
+ *                       type: integer
+ *                       example: 1200
+ *                     monthly_event_quota:
+ *                       type: integer
+ *                       example: 5000000
+ *                     analytics_queries_per_minute:
+ *                       type: integer
+ *                       example: 120
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2025-11-13T17:46:04.264Z
+ *       400:
+ *         description: Bad Request — no limit given, or a limit out of range
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *       403:
+ *         description: Forbidden — admin role required in the organization of the app
+ *       404:
+ *         description: App not found or not owned by the user
+ */
+router.post("/limits", authenticateOwner, validateLimits, updateLimitsController);
 
 export default router;
@@ -0,0 +1,385 @@
+import { Router } from "express";
+import {
+  validateAcceptInvitation,
+  validateCreateInvitation,
+  validateCreateOrganization,
+  validateOrgId,
+  validateRemoveMember,
+  validateRevokeInvitation,
+  validateUpdateMember,
+} from "../middleware/validation.middleware.js";
+import {
+  acceptInvitationController,
+  createInvitationController,
+  createOrganizationController,
+  listInvitationsController,
+  listMembersController,
+  listOrganizationsController,
+  removeMemberController,
+  revokeInvitationController,
+  updateMemberController,
+} from "../controller/organization.controller.js";
+import { authenticateOwner } from "../middleware/authenticate.middleware.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Organizations
+ *   description: >
+ *     Organizations own apps, their members act on them according to their role:
+ *     viewers read aggregated analytics, analysts also read personal data (user stats, retention status),
+ *     admins manage apps, keys, members and invitations, owners also manage owners.
+ *     Every account has a personal organization, where apps go unless registered with an org_id.
+ */
+
+/**
+ * @swagger
+ * /orgs:
+ *   post:
+ *     summary: Create an organization, you become its owner
+ *     tags: [Organizations]
+ *     security:
+ *       - OwnerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Acme Analytics Team
+ *     responses:
+ *       201:
+ *         description: Organization created successfully
+ *       400:
+ *         description: Bad Request — invalid name
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *   get:
+ *     summary: List the organizations you are a member of, with your role
+ *     tags: [Organizations]
+ *     security:
+ *       - OwnerAuth: []
+ *     responses:
+ *       200:
+ *         description: The organizations, personal one first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Organizations retrieved successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       org_id:
+ *                         type: string
+ *                         example: 2d7c4e1a-9b3f-4a6e-8c5d-1f0e9a8b7c6d
+ *                       name:
+ *                         type: string
+ *                         example: Acme Analytics Team
+ *                       personal:
+ *                         type: boolean
+ *                         example: false
+ *                       role:
+ *                         type: string
+ *                         enum: [owner, admin, analyst, viewer]
+ *                       members:
+ *                         type: integer
+ *                         example: 8
+ *                       apps:
+ *                         type: integer
+ *                         example: 3
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ */
+router.post("/", authenticateOwner, validateCreateOrganization, createOrganizationController);
+router.get("/", authenticateOwner, listOrganizationsController);
+
+/**
+ * @swagger
+ * /orgs/invitations/accept:
+ *   post:
+ *     summary: Join an organization with an invitation token
+ *     description: Only the account of the invited email can accept the invitation.
+ *     tags: [Organizations]
+ *     security:
+ *       - OwnerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: inv_Xk2f9...
+ *     responses:
+ *       200:
+ *         description: Invitation accepted, you are a member with the role of the invitation
+ *       400:
+ *         description: Bad Request — missing token
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *       403:
+ *         description: Forbidden — the invitation was sent to another email
+ *       404:
+ *         description: Invitation not found or already accepted
+ *       409:
+ *         description: Conflict — you are already a member of the organization
+ *       410:
+ *         description: Gone — the invitation has expired
+ */
+router.post("/invitations/accept", authenticateOwner, validateAcceptInvitation, acceptInvitationController);
+
+/**
+ * @swagger
+ * /orgs/{org_id}/members:
+ *   get:
+ *     summary: List the members of an organization
+ *     tags: [Organizations]
+ *     security:
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: org_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The members with their email and role, oldest first
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *       404:
+ *         description: Organization not found or you are not a member
+ */
+router.get("/:org_id/members", authenticateOwner, validateOrgId, listMembersController);
+
+/**
+ * @swagger
+ * /orgs/{org_id}/members/{user_id}:
+ *   patch:
+ *     summary: Change the role of a member
+ *     description: Admins can, only owners grant or take the owner role. The last owner can't be demoted.
+ *     tags: [Organizations]
+ *     security:
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: org_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: owner_id of the account of the member
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, analyst, viewer]
+ *     responses:
+ *       200:
+ *         description: Member role updated successfully
+ *       400:
+ *         description: Bad Request — invalid role
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *       403:
+ *         description: Forbidden — your role doesn't allow this change
+ *       404:
+ *         description: Organization or member not found
+ *       409:
+ *         description: Conflict — the organization would be left without owner
+ *   delete:
+ *     summary: Remove a member, or leave the organization with your own user_id
+ *     description: Admins remove admins, analysts and viewers, owners also remove owners. The last owner can't leave.
+ *     tags: [Organizations]
+ *     security:
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: org_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *       403:
+ *         description: Forbidden — your role doesn't allow removing this member
+ *       404:
+ *         description: Organization or member not found
+ *       409:
+ *         description: Conflict — the organization would be left without owner
+ */
+router.patch("/:org_id/members/:user_id", authenticateOwner, validateUpdateMember, updateMemberController);
+router.delete("/:org_id/members/:user_id", authenticateOwner, validateRemoveMember, removeMemberController);
+
+/**
+ * @swagger
+ * /orgs/{org_id}/invitations:
+ *   post:
+ *     summary: Invite someone to an organization
+ *     description: >
+ *       Returns a token, shown only once, to share with the invitee. They accept it with /orgs/invitations/accept
+ *       from the account of the invited email, within ORG_INVITATION_TTL_DAYS. A new invitation of the same email
+ *       replaces the pending one. Admins can invite, only owners invite owners.
+ *     tags: [Organizations]
+ *     security:
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: org_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: analyst@myapp.com
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, analyst, viewer]
+ *     responses:
+ *       201:
+ *         description: Invitation created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitation_id:
+ *                       type: string
+ *                     org_id:
+ *                       type: string
+ *                     email:
+ *                       type: string
+ *                       example: analyst@myapp.com
+ *                     role:
+ *                       type: string
+ *                       example: analyst
+ *                     token:
+ *                       type: string
+ *                       example: inv_Xk2f9...
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Bad Request — invalid email or role
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *       403:
+ *         description: Forbidden — your role doesn't allow inviting with this role
+ *       404:
+ *         description: Organization not found or you are not a member
+ *       409:
+ *         description: Conflict — the email is already a member
+ *   get:
+ *     summary: List the pending invitations of an organization
+ *     tags: [Organizations]
+ *     security:
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: org_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The invitations that can still be accepted, newest first
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *       403:
+ *         description: Forbidden — admins only
+ *       404:
+ *         description: Organization not found or you are not a member
+ */
+router.post("/:org_id/invitations", authenticateOwner, validateCreateInvitation, createInvitationController);
+router.get("/:org_id/invitations", authenticateOwner, validateOrgId, listInvitationsController);
+
+/**
+ * @swagger
+ * /orgs/{org_id}/invitations/{invitation_id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Organizations]
+ *     security:
+ *       - OwnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: org_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitation_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       401:
+ *         description: Unauthorized — missing, invalid or expired session token
+ *       403:
+ *         description: Forbidden — admins only
+ *       404:
+ *         description: Invitation not found or already accepted
+ */
+router.delete("/:org_id/invitations/:invitation_id", authenticateOwner, validateRevokeInvitation, revokeInvitationController);
+
+export default router;
@@ -0,0 +1,175 @@
+import { Router } from "express";
+import { validateDataErasure, validateDataExport } from "../middleware/privacyValidation.middleware.js";
+import { dataErasureController, dataExportController } from "../controller/privacy.controller.js";
+import { authenticate } from "../middleware/authenticate.middleware.js";
+import { dataSubjectRateLimiter } from "../config/rateLimit.config.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Privacy
+ *   description: Data subject requests (GDPR / CCPA access and erasure)
+ */
+
+/**
+ * @swagger
+ * /privacy/export:
+ *   get:
+ *     summary: Download every event of a user
+ *     description: >
+ *       Returns every event collected for the user, oldest first, as a JSON or CSV attachment.
+ *       IP addresses are exported as they were stored under the IP mode of the app.
+ *       Each export is recorded in the audit log, the ID of the record is returned in the `X-Request-Id` header.
+ *     tags: [Privacy]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user whose events are exported
+ *       - in: query
+ *         name: session_id
+ *         schema:
+ *           type: string
+ *         description: Only events of this session of the user
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: Format of the downloaded file
+ *     responses:
+ *       200:
+ *         description: The events of the user, as a file download
+ *         headers:
+ *           Content-Disposition:
+ *             schema:
+ *               type: string
+ *               example: attachment; filename="data-export-3b0d6a4e-5c1f-4f7e-9d2a-8c6b1e0f4a21.json"
+ *           X-Request-Id:
+ *             schema:
+ *               type: string
+ *             description: ID of the audit record of the export
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               example:
+ *                 request_id: 3b0d6a4e-5c1f-4f7e-9d2a-8c6b1e0f4a21
+ *                 app_id: 7fab1e8c-0252-4174-bc61-1475ad8cdecb
+ *                 user_id: user789
+ *                 session_id: null
+ *                 exported_at: 2025-11-13T10:54:33.317Z
+ *                 total_events: 1
+ *                 events:
+ *                   - id: 7f7c5f5e-2a47-4f4e-9a8e-1d2f3c4b5a69
+ *                     event_type: button_click
+ *                     timestamp: 2025-11-13T10:50:12.000Z
+ *                     user_id: user789
+ *                     session_id: sess_456
+ *                     url: https://example.com/pricing
+ *                     device: mobile
+ *                     ip_address: 203.0.113.0
+ *                     country: FR
+ *                     metadata:
+ *                       button_id: signup
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 id,event_type,timestamp,user_id,session_id,url,...
+ *                 7f7c5f5e-2a47-4f4e-9a8e-1d2f3c4b5a69,button_click,2025-11-13T10:50:12.000Z,user789,sess_456,https://example.com/pricing,...
+ *       400:
+ *         description: Bad Request — missing user_id or invalid format
+ *       500:
+ *         description: Internal Server Error — unexpected failure while exporting events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Failed to export events
+ */
+router.get("/export", dataSubjectRateLimiter, authenticate("admin"), validateDataExport, dataExportController);
+
+/**
+ * @swagger
+ * /privacy/erase:
+ *   post:
+ *     summary: Delete every event of a user
+ *     description: >
+ *       Deletes every event collected for the user (or for one session of the user) and recomputes the daily
+ *       summaries of the days those events were on. The erasure is recorded in the audit log with the API key
+ *       that requested it, the audit record doesn't hold any of the erased data.
+ *     tags: [Privacy]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 example: user789
+ *               session_id:
+ *                 type: string
+ *                 description: Only erase events of this session of the user
+ *                 example: sess_456
+ *     responses:
+ *       200:
+ *         description: Events erased successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Events erased successfully
+ *                 data:
+ *                   type: object
+ *                   example:
+ *                     request_id: 5e2c7b9a-1d4f-4a3e-8b6c-0f9e2d1a7c35
+ *                     user_id: user789
+ *                     session_id: null
+ *                     erased_events: 42
+ *                     summaries_updated: 7
+ *                     erased_at: 2025-11-13T10:54:33.317Z
+ *       400:
+ *         description: Bad Request — missing user_id
+ *       500:
+ *         description: Internal Server Error — unexpected failure while erasing events, nothing was erased
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Failed to erase events
+ */
+router.post("/erase", dataSubjectRateLimiter, authenticate("admin"), validateDataErasure, dataErasureController);
+
+export default router;
@@ -1,5 +1,16 @@
 import pool from "../config/database.config.js";
+import { env } from "../config/env.config.js";
 import { ApiKeyUtils } from "../utils/apikey-utils.js";
+import { OriginUtils } from "../utils/origin-utils.js";
+import { OrganizationService } from "./organization.service.js";
+
+// What a key can do: collect events (safe to ship in client code), read aggregated analytics,
+// and access personal data (user stats, data subject requests, retention status)
+export const API_KEY_SCOPES = ["ingest", "read", "admin"];
+
+// How long a regenerated key keeps working, so clients can be redeployed with the new one
+const GRACE_PERIOD_SECONDS = Number(env.API_KEY_GRACE_PERIOD_SECONDS);
+export const MAX_GRACE_PERIOD_SECONDS = 30 * 24 * 60 * 60;
 
 export class ApiKeyService {
   /**
@@ -7,45 +18,56 @@ export class ApiKeyService {
    * @param {string} appName - Name of the application
    * @param {string} appUrl - URL of the application
    * @param {string} userId - ID of the user registering the application
+   * @param {string} [timezone] - IANA timezone the analytics of the application are computed in
+   * @param {string} [ipMode] - How IP addresses of the application are stored: full, truncate, hash or drop
+   * @param {string} [orgId] - ID of the organization owning the application, where the user is an admin.
+   * Defaults to the personal organization of the user.
    * @returns {Promise<Object>} The registered application details along with the API key
    */
-  static async registerApp(appName, appUrl, userId) {
+  static async registerApp(appName, appUrl, userId, timezone = "UTC", ipMode = "full", orgId = null) {
     const client = await pool.connect();
 
     try {
       await client.query("BEGIN");
 
+      if (orgId) {
+        await OrganizationService.checkOrgRole(orgId, userId, "admin", { db: client });
+      } else {
+        orgId = await OrganizationService.ensurePersonalOrg(userId, { db: client });
+      }
+
       // Normalize URL to prevent duplicates like `https://testapp.com/`
       const normalizedUrl = appUrl.trim().toLowerCase();
 
-      // Check for existing app for the same user
-      const existingApp = await client.query("SELECT id FROM apps WHERE user_id = $1 AND LOWER(app_url) = $2", [userId, normalizedUrl]);
+      // Check for existing app in the same organization
+      const existingApp = await client.query("SELECT id, deleted_at FROM apps WHERE org_id = $1 AND LOWER(app_url) = $2", [
+        orgId,
+        normalizedUrl,
+      ]);
+
+      if (existingApp.rows.length > 0 && existingApp.rows[0].deleted_at) {
+        throw new Error("App with this URL already registered for this organization and deleted, restore it instead");
+      }
 
       if (existingApp.rows.length > 0) {
-        throw new Error("App with this URL already registered for this user");
+        throw new Error("App with this URL already registered for this organization");
       }
 
+      // Browsers may send events from the origin of the app URL until the owner changes it
+      const origin = OriginUtils.normalize(normalizedUrl);
+
       // Insert new app
       const appResult = await client.query(
-        `INSERT INTO apps (app_name, app_url, user_id)
-       VALUES ($1, $2, $3)
-       RETURNING id, app_name, app_url, created_at`,
-        [appName, normalizedUrl, userId]
+        `INSERT INTO apps (app_name, app_url, user_id, org_id, timezone, ip_mode, allowed_origins)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, app_name, app_url, org_id, timezone, ip_mode, allowed_origins, created_at`,
+        [appName, normalizedUrl, userId, orgId, timezone, ipMode, origin ? [origin] : []]
       );
 
       const app = appResult.rows[0];
 
-      // Generate API key
-      const apiKey = ApiKeyUtils.generateApiKey();
-      const keyHash = ApiKeyUtils.hashApiKey(apiKey);
-      const keyPrefix = ApiKeyUtils.maskApiKey(apiKey);
-
-      // Store hashed API key
-      await client.query(
-        `INSERT INTO api_keys (app_id, key_hash, key_prefix, expires_at)
-       VALUES ($1, $2, $3, NOW() + INTERVAL '1 year')`,
-        [app.id, keyHash, keyPrefix]
-      );
+      // The first key of the app can do everything, public ingest keys are created from it
+      const key = await this.insertApiKey(client, app.id, { name: "Default", scopes: API_KEY_SCOPES });
 
       await client.query("COMMIT");
 
@@ -53,7 +75,13 @@ export class ApiKeyService {
         app_id: app.id,
         app_name: app.app_name,
         app_url: app.app_url,
-        api_key: apiKey, // Only shown once
+        org_id: app.org_id,
+        timezone: app.timezone,
+        ip_mode: app.ip_mode,
+        allowed_origins: app.allowed_origins,
+        key_id: key.id,
+        scopes: key.scopes,
+        api_key: key.api_key, // Only shown once
         created_at: app.created_at,
       };
     } catch (error) {
@@ -65,23 +93,133 @@ export class ApiKeyService {
   }
 
   /**
-   * Retrieve API key for a given appId
+   * Generate an API key and store its hash
+   * @param {import("pg").Pool|import("pg").PoolClient} db - The pool, or the client of the current transaction
+   * @param {string} appId - ID of the application
+   * @param {Object} options
+   * @param {string|null} options.name - Label of the key, e.g. where it is used
+   * @param {Array<string>} options.scopes - What the key can do, see API_KEY_SCOPES
+   * @returns {Promise<Object>} The stored key along with the API key itself
+   */
+  static async insertApiKey(db, appId, { name, scopes }) {
+    const apiKey = ApiKeyUtils.generateApiKey();
+
+    const result = await db.query(
+      `INSERT INTO api_keys (app_id, key_hash, key_prefix, name, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + INTERVAL '1 year')
+       RETURNING id, name, scopes, key_prefix, created_at, expires_at`,
+      [appId, ApiKeyUtils.hashApiKey(apiKey), ApiKeyUtils.maskApiKey(apiKey), name, scopes]
+    );
+
+    return { ...result.rows[0], api_key: apiKey };
+  }
+
+  /**
+   * Create an additional API key for an application, e.g. an ingest-only key for client code
+   * @param {string} appId - ID of the application
+   * @param {string} userId - ID of the user managing the application
+   * @param {Object} options
+   * @param {string} [options.name] - Label of the key
+   * @param {Array<string>} options.scopes - What the key can do, see API_KEY_SCOPES
+   * @returns {Promise<Object>} The key details along with the API key
+   */
+  static async createApiKey(appId, userId, { name = null, scopes }) {
+    await OrganizationService.checkAppRole(appId, userId, "admin");
+
+    const key = await this.insertApiKey(pool, appId, { name, scopes: [...new Set(scopes)] });
+
+    return {
+      key_id: key.id,
+      app_id: appId,
+      name: key.name,
+      scopes: key.scopes,
+      api_key: key.api_key, // Only shown once
+      created_at: key.created_at,
+      expires_at: key.expires_at,
+    };
+  }
+
+  /**
+   * List the API keys of an application, revoked ones included
+   * @param {string} appId - ID of the application
+   * @param {string} userId - ID of the user managing the application
+   * @returns {Promise<Array<Object>>} The keys, newest first
+   */
+  static async listApiKeys(appId, userId) {
+    await OrganizationService.checkAppRole(appId, userId, "admin");
+
+    const result = await pool.query(
+      `SELECT id AS key_id, name, scopes, key_prefix, is_active, created_at, expires_at, last_used_at, revoked_at, replaced_by
+       FROM api_keys
+       WHERE app_id = $1
+       ORDER BY created_at DESC`,
+      [appId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Revoke an API key of an application by its ID, for keys whose value was lost
+   * @param {string} appId - ID of the application
+   * @param {string} userId - ID of the user managing the application
+   * @param {string} keyId - ID of the key
+   * @returns {Promise<Object>} The revoked key
+   */
+  static async revokeApiKeyById(appId, userId, keyId) {
+    await OrganizationService.checkAppRole(appId, userId, "admin");
+
+    const result = await pool.query(
+      `UPDATE api_keys
+       SET is_active = false, revoked_at = NOW()
+       WHERE id = $2 AND app_id = $1 AND is_active = true
+       RETURNING id, name, scopes, revoked_at`,
+      [appId, keyId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error("API key not found or already revoked");
+    }
+
+    const key = result.rows[0];
+
+    return {
+      key_id: key.id,
+      app_id: appId,
+      name: key.name,
+      scopes: key.scopes,
+      revoked_at: key.revoked_at,
+    };
+  }
+
+  /**
+   * Retrieve the latest active API key of a given appId, listApiKeys() returns all of them.
+   * While a regenerated key is in its grace period, it is returned too as the previous key.
    * @param {string} appId - ID of the application
+   * @param {string} userId - ID of the user managing the application
    * @returns {Promise<Object>} The API key details
    */
-  static async getApiKeyByAppId(appId) {
+  static async getApiKeyByAppId(appId, userId) {
+    await OrganizationService.checkAppRole(appId, userId, "admin");
+
     const result = await pool.query(
       `SELECT 
+        ak.id,
+        ak.name,
+        ak.scopes,
         ak.key_prefix,
         ak.is_active,
         ak.created_at,
         ak.expires_at,
         ak.last_used_at,
         a.app_name,
-        a.app_url
+        a.app_url,
+        a.timezone,
+        a.ip_mode,
+        a.allowed_origins
        FROM api_keys ak
        JOIN apps a ON ak.app_id = a.id
-       WHERE ak.app_id = $1 AND ak.is_active = true
+       WHERE ak.app_id = $1 AND ak.is_active = true AND ak.replaced_by IS NULL
        ORDER BY ak.created_at DESC
        LIMIT 1`,
       [appId]
@@ -93,29 +231,93 @@ export class ApiKeyService {
 
     const key = result.rows[0];
 
+    // A regenerated key still in its grace period, the one this key replaced first. Keys created since
+    // the regeneration (e.g. an ingest key) are the latest one without having replaced anything.
+    const previousResult = await pool.query(
+      `SELECT id, key_prefix, expires_at, last_used_at, replaced_by
+       FROM api_keys
+       WHERE app_id = $1 AND replaced_by IS NOT NULL AND is_active = true AND expires_at > NOW()
+       ORDER BY replaced_by = $2 DESC, expires_at DESC
+       LIMIT 1`,
+      [appId, key.id]
+    );
+    const previousKey = previousResult.rows[0];
+
     return {
       app_id: appId,
       app_name: key.app_name,
       app_url: key.app_url,
-      key_prefix: ApiKeyUtils.maskApiKey(key.key_prefix),
+      timezone: key.timezone,
+      ip_mode: key.ip_mode,
+      allowed_origins: key.allowed_origins,
+      key_id: key.id,
+      name: key.name,
+      scopes: key.scopes,
+      key_prefix: key.key_prefix,
       is_active: key.is_active,
       created_at: key.created_at,
       expires_at: key.expires_at,
       last_used_at: key.last_used_at,
+      previous_key: previousKey
+        ? {
+            key_id: previousKey.id,
+            key_prefix: previousKey.key_prefix,
+            replaced_by: previousKey.replaced_by,
+            expires_at: previousKey.expires_at,
+            last_used_at: previousKey.last_used_at,
+          }
+        : null,
       note: "For security reasons, the full API key is only shown once during registration",
     };
   }
 
+  /**
+   * Change how IP addresses of an application are stored, events already collected are left as they are
+   * @param {string} appId - ID of the application
+   * @param {string} userId - ID of the user managing the application
+   * @param {string} ipMode - One of full, truncate, hash or drop
+   * @returns {Promise<Object>} The application with its new IP mode
+   */
+  static async updateIpMode(appId, userId, ipMode) {
+    await OrganizationService.checkAppRole(appId, userId, "admin");
+
+    const result = await pool.query(
+      `UPDATE apps 
+       SET ip_mode = $2, updated_at = NOW() 
+       WHERE id = $1
+       RETURNING id, ip_mode, updated_at`,
+      [appId, ipMode]
+    );
+
+    return {
+      app_id: result.rows[0].id,
+      ip_mode: result.rows[0].ip_mode,
+      updated_at: result.rows[0].updated_at,
+    };
+  }
+
   /**
    * Revoke an API key
    * @param {string} appKey - The API key to revoke
+   * @param {string} userId - ID of the user managing the application of the key
    * @returns {Promise<void>}
    */
-  static async revokeApiKey(apiKey) {
+  static async revokeApiKey(apiKey, userId) {
     const keyHash = ApiKeyUtils.hashApiKey(apiKey);
 
+    const keyResult = await pool.query(`SELECT app_id FROM api_keys WHERE key_hash = $1 AND is_active = true`, [keyHash]);
+
+    const membership = keyResult.rows.length > 0 ? await OrganizationService.getAppMembership(keyResult.rows[0].app_id, userId) : null;
+
+    // Keys of apps of other organizations are reported as not found, not to tell they exist
+    if (!membership) {
+      throw new Error("API key not found or already revoked");
+    }
+
+    OrganizationService.assertRole(membership.role, "admin");
+
     const result = await pool.query(
-      `UPDATE api_keys 
+      `UPDATE api_keys
        SET is_active = false, revoked_at = NOW() 
        WHERE key_hash = $1 AND is_active = true
        RETURNING app_id, key_prefix`,
@@ -128,89 +330,152 @@ export class ApiKeyService {
 
     return {
       app_id: result.rows[0].app_id,
-      key_prefix: result.rows[0].key_prefix + "***************************",
+      key_prefix: result.rows[0].key_prefix,
       revoked_at: new Date(),
       message: "API key successfully revoked",
     };
   }
 
   /**
-   * Validate the api key for authentication
-   * @param {string} apiKey - The API key to validate
-   * @return {Promise<Object|null>} The associated app details if valid, otherwise null
+   * Look up an API key and tell whether it can authenticate requests
+   * @param {string} apiKey - The API key to look up
+   * @return {Promise<{status: string, key: Object|null}>} The status of the key (valid, unknown, revoked,
+   * app_deleted or expired) and, unless unknown, the key with its app details
    */
-  static async validateApiKey(apiKey) {
+  static async getApiKeyStatus(apiKey) {
     const keyHash = ApiKeyUtils.hashApiKey(apiKey);
 
     const result = await pool.query(
       `SELECT 
         ak.id,
         ak.app_id,
+        ak.scopes,
+        ak.is_active,
         ak.expires_at,
+        ak.expires_at <= NOW() AS expired,
+        a.deleted_at IS NOT NULL AS app_deleted,
         a.app_name,
         a.app_url,
-        a.user_id
+        a.user_id,
+        a.allowed_origins,
+        a.events_per_minute,
+        a.monthly_event_quota,
+        a.analytics_queries_per_minute
        FROM api_keys ak
        JOIN apps a ON ak.app_id = a.id
-       WHERE ak.key_hash = $1 
-         AND ak.is_active = true 
-         AND ak.expires_at > NOW()`,
+       WHERE ak.key_hash = $1`,
       [keyHash]
     );
 
     if (result.rows.length === 0) {
-      return null;
+      return { status: "unknown", key: null };
     }
 
+    const { is_active, expired, app_deleted, ...key } = result.rows[0];
+
+    if (!is_active) return { status: "revoked", key };
+    if (app_deleted) return { status: "app_deleted", key };
+    if (expired) return { status: "expired", key };
+
     // Update last_used_at (async, non-blocking)
     pool
-      .query("UPDATE api_keys SET last_used_at = NOW() WHERE id = $1", [result.rows[0].id])
+      .query("UPDATE api_keys SET last_used_at = NOW() WHERE id = $1", [key.id])
       .catch((err) => console.error("Error updating last_used_at:", err));
 
-    return result.rows[0];
+    return { status: "valid", key };
   }
 
   /**
-   * Regenerate a new API key for an existing application
+   * Validate the api key for authentication
+   * @param {string} apiKey - The API key to validate
+   * @return {Promise<Object|null>} The associated app details if valid, otherwise null
+   */
+  static async validateApiKey(apiKey) {
+    const { status, key } = await this.getApiKeyStatus(apiKey);
+    return status === "valid" ? key : null;
+  }
+
+  /**
+   * Replace an API key of an existing application with a new one of the same name and scopes.
+   * The replaced key keeps working until the end of the grace period, then expires.
    * @param {string} appId - ID of the application
    * @param {string} userId - ID of the user requesting regeneration
+   * @param {string} [keyId] - ID of the key to replace, defaults to the latest active admin key
+   * @param {number} [gracePeriod] - Seconds the replaced key stays valid, 0 revokes it right away
    * @returns {Promise<Object>} The new API key details
    */
-  static async regenerateApiKey(appId, userId) {
+  static async regenerateApiKey(appId, userId, keyId, gracePeriod = GRACE_PERIOD_SECONDS) {
     const client = await pool.connect();
 
     try {
       await client.query("BEGIN");
 
-      // Verify the app belongs to the user
-      const appResult = await client.query(`SELECT id FROM apps WHERE id = $1 and user_id = $2`, [appId, userId]);
-
-      if (appResult.rows.length === 0) {
-        throw new Error("App not found or unauthorized");
+      // Verify the user manages the app
+      await OrganizationService.checkAppRole(appId, userId, "admin", { db: client });
+
+      // Lock the replaced key, so that two regenerations can't both replace it
+      const oldKey = keyId
+        ? await client.query(
+            `SELECT id, name, scopes, replaced_by FROM api_keys WHERE app_id = $1 AND id = $2 AND is_active = true FOR UPDATE`,
+            [appId, keyId]
+          )
+        : await client.query(
+            `SELECT id, name, scopes, replaced_by FROM api_keys
+             WHERE app_id = $1 AND is_active = true AND replaced_by IS NULL AND 'admin' = ANY(scopes)
+             ORDER BY created_at DESC
+             LIMIT 1
+             FOR UPDATE`,
+            [appId]
+          );
+
+      if (keyId && oldKey.rows.length === 0) {
+        throw new Error("API key not found or already revoked");
       }
 
-      // Deactivate existing API keys
-      await client.query(`UPDATE api_keys SET is_active = false, revoked_at = NOW() WHERE app_id = $1 AND is_active = true`, [appId]);
-
-      // Generate new API key
-      const apiKey = ApiKeyUtils.generateApiKey();
-      const keyHash = ApiKeyUtils.hashApiKey(apiKey);
-      const keyPrefix = ApiKeyUtils.maskApiKey(apiKey);
+      // Regenerating the key again would leave two replacements of it, the replacement is the one to rotate
+      if (oldKey.rows[0]?.replaced_by) {
+        throw new Error("API key was already regenerated, regenerate the key that replaced it");
+      }
 
-      // Store new hashed API key
-      await client.query(
-        `INSERT INTO api_keys (app_id, key_hash, key_prefix, expires_at) 
-         VALUES ($1, $2, $3, NOW() + INTERVAL '1 year')`,
-        [appId, keyHash, keyPrefix]
-      );
+      // Apps whose keys were all revoked get a new full access key
+      const { id: oldKeyId, name, scopes } = oldKey.rows[0] || { name: "Default", scopes: API_KEY_SCOPES };
+
+      const key = await this.insertApiKey(client, appId, { name, scopes });
+
+      // The replaced key works until the grace period ends, the other keys of the app keep working
+      let oldKeyExpiresAt = null;
+      if (oldKeyId && gracePeriod > 0) {
+        const result = await client.query(
+          `UPDATE api_keys
+           SET replaced_by = $2, expires_at = LEAST(expires_at, NOW() + make_interval(secs => $3))
+           WHERE id = $1
+           RETURNING expires_at`,
+          [oldKeyId, key.id, gracePeriod]
+        );
+        oldKeyExpiresAt = result.rows[0].expires_at;
+      } else if (oldKeyId) {
+        await client.query(`UPDATE api_keys SET replaced_by = $2, is_active = false, revoked_at = NOW() WHERE id = $1`, [
+          oldKeyId,
+          key.id,
+        ]);
+      }
 
       await client.query("COMMIT");
 
+      let message = "New API key generated.";
+      if (oldKeyExpiresAt) message += ` The previous key keeps working until ${oldKeyExpiresAt.toISOString()}.`;
+      else if (oldKeyId) message += " The previous key has been revoked.";
+
       return {
         app_id: appId,
-        api_key: apiKey,
-        created_at: new Date(),
-        message: "New API key generated. Previous keys have been revoked.",
+        key_id: key.id,
+        name: key.name,
+        scopes: key.scopes,
+        api_key: key.api_key,
+        created_at: key.created_at,
+        previous_key_id: oldKeyId || null,
+        previous_key_expires_at: oldKeyExpiresAt,
+        message,
       };
     } catch (error) {
       await client.query("ROLLBACK");
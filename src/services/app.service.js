@@ -0,0 +1,286 @@
+import pool from "../config/database.config.js";
+import { env } from "../config/env.config.js";
+import { OrganizationService } from "./organization.service.js";
+import { OriginService } from "./origin.service.js";
+import { ApiKeyUtils } from "../utils/apikey-utils.js";
+
+// Days a deleted application can be restored, its data is purged afterwards
+export const RESTORE_WINDOW_DAYS = Number(env.APP_RESTORE_WINDOW_DAYS) || 30;
+
+// Columns of an application as returned by the API, $2 being the restore window.
+// m is the membership of the user in the organization of the application.
+const APP_COLUMNS = `
+  a.id AS app_id,
+  a.org_id,
+  m.role,
+  a.app_name,
+  a.app_url,
+  a.timezone,
+  a.ip_mode,
+  a.allowed_origins,
+  a.raw_retention_days,
+  a.summary_retention_days,
+  a.created_at,
+  a.updated_at,
+  a.deleted_at,
+  a.deleted_at + make_interval(days => $2) AS purge_at,
+  (SELECT COUNT(*)::int FROM api_keys ak WHERE ak.app_id = a.id AND ak.is_active = true AND ak.expires_at > NOW()) AS active_keys`;
+
+export class AppService {
+  /**
+   * List the applications of the organizations a user is a member of
+   * @param {string} userId - ID of the user
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted] - Include deleted applications that can still be restored
+   * @param {string} [options.orgId] - Only the applications of this organization
+   * @returns {Promise<Array<Object>>} The applications with the role of the user, newest first
+   */
+  static async listApps(userId, { includeDeleted = false, orgId = null } = {}) {
+    const result = await pool.query(
+      `SELECT ${APP_COLUMNS}
+       FROM apps a
+       JOIN organization_members m ON m.org_id = a.org_id AND m.user_id = $1
+       WHERE ($3 OR a.deleted_at IS NULL) AND ($4::uuid IS NULL OR a.org_id = $4)
+       ORDER BY a.created_at DESC`,
+      [userId, RESTORE_WINDOW_DAYS, includeDeleted, orgId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Get an application of an organization the user is a member of, deleted ones included so they can be restored
+   * @param {string} appId - ID of the application
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object>} The application
+   */
+  static async getApp(appId, userId) {
+    const result = await pool.query(
+      `SELECT ${APP_COLUMNS}
+       FROM apps a
+       JOIN organization_members m ON m.org_id = a.org_id AND m.user_id = $1
+       WHERE a.id = $3`,
+      [userId, RESTORE_WINDOW_DAYS, appId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error("App not found or unauthorized");
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Rename an application or change its URL. Only the given fields are changed.
+   * Allowed origins are left as they are, see OriginService.updateAllowedOrigins().
+   * @param {string} appId - ID of the application
+   * @param {string} userId - ID of the user managing the application
+   * @param {Object} changes
+   * @param {string} [changes.appName] - New name of the application
+   * @param {string} [changes.appUrl] - New URL of the application
+   * @returns {Promise<Object>} The updated application
+   */
+  static async updateApp(appId, userId, { appName, appUrl }) {
+    await OrganizationService.checkAppRole(appId, userId, "admin");
+
+    const params = [appId];
+    const updates = [];
+
+    if (appName !== undefined) {
+      params.push(appName);
+      updates.push(`app_name = $${params.length}`);
+    }
+
+    if (appUrl !== undefined) {
+      // Normalized as on registration, so that duplicates are still detected
+      params.push(appUrl.trim().toLowerCase());
+      updates.push(`app_url = $${params.length}`);
+    }
+
+    let result;
+    try {
+      result = await pool.query(
+        `UPDATE apps
+         SET ${[...updates, "updated_at = NOW()"].join(", ")}
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING id`,
+        params
+      );
+    } catch (error) {
+      // unique_violation of UNIQUE(org_id, app_url)
+      if (error.code === "23505") {
+        throw new Error("App with this URL already registered for this organization");
+      }
+      throw error;
+    }
+
+    if (result.rows.length === 0) {
+      throw new Error("App not found or unauthorized");
+    }
+
+    return this.getApp(appId, userId);
+  }
+
+  /**
+   * Delete an application. Its keys stop working and its data stops being served right away,
+   * the application and its data are purged once the restore window is over.
+   * @param {string} appId - ID of the application
+   * @param {string} userId - ID of the user managing the application
+   * @returns {Promise<Object>} The application, with when it will be purged
+   */
+  static async deleteApp(appId, userId) {
+    await OrganizationService.checkAppRole(appId, userId, "admin", { includeDeleted: true });
+
+    const result = await pool.query(
+      `UPDATE apps
+       SET deleted_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id`,
+      [appId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error("App is already deleted");
+    }
+
+    // Preflights of its origins must stop succeeding
+    OriginService.knownOrigins.clear();
+
+    return this.getApp(appId, userId);
+  }
+
+  /**
+   * Restore a deleted application, with its keys and data, during the restore window
+   * @param {string} appId - ID of the application
+   * @param {string} userId - ID of the user managing the application
+   * @returns {Promise<Object>} The restored application
+   */
+  static async restoreApp(appId, userId) {
+    await OrganizationService.checkAppRole(appId, userId, "admin", { includeDeleted: true });
+
+    const result = await pool.query(
+      `UPDATE apps
+       SET deleted_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND deleted_at > NOW() - make_interval(days => $2)
+       RETURNING id`,
+      [appId, RESTORE_WINDOW_DAYS]
+    );
+
+    if (result.rows.length === 0) {
+      const app = await this.getApp(appId, userId);
+      if (!app.deleted_at) throw new Error("App is not deleted");
+      throw new Error("Restore window of the app is over, it is about to be purged");
+    }
+
+    OriginService.knownOrigins.clear();
+
+    return this.getApp(appId, userId);
+  }
+
+  /**
+   * Claim an application registered before owner accounts existed, with a current admin key of the application.
+   * Such applications are in the personal organization of the free-form user_id they were registered with,
+   * which no account can log in as. Only the claimed application moves to the personal organization of the user,
+   * other applications of the same user_id need a key of their own. Organizations owned by an account are left alone.
+   * @param {string} apiKey - An active API key of the application, with the admin scope
+   * @param {string} userId - ID of the owner account claiming the application
+   * @returns {Promise<Object>} The claimed application
+   */
+  static async claimApp(apiKey, userId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        `SELECT a.id, a.org_id, ak.scopes, o.personal_for = a.user_id AS personal,
+          EXISTS (
+            SELECT 1 FROM organization_members m JOIN owners ON owners.id::text = m.user_id
+            WHERE m.org_id = a.org_id AND m.role = 'owner'
+          ) AS has_account
+         FROM api_keys ak
+         JOIN apps a ON a.id = ak.app_id
+         JOIN organizations o ON o.id = a.org_id
+         WHERE ak.key_hash = $1 AND ak.is_active = true AND ak.expires_at > NOW() AND a.deleted_at IS NULL
+         FOR UPDATE OF a`,
+        [ApiKeyUtils.hashApiKey(apiKey)]
+      );
+
+      const app = result.rows[0];
+
+      if (!app) {
+        throw new Error("API key not found or inactive");
+      }
+
+      // Ingest keys are published in the pages of the app, they must not give it away
+      if (!app.scopes.includes("admin")) {
+        throw new Error("Claiming an app requires a key with the admin scope");
+      }
+
+      if (app.has_account || !app.personal) {
+        throw new Error("App already belongs to an account");
+      }
+
+      const orgId = await OrganizationService.ensurePersonalOrg(userId, { db: client });
+
+      try {
+        await client.query(`UPDATE apps SET org_id = $2, user_id = $3, updated_at = NOW() WHERE id = $1`, [app.id, orgId, userId]);
+      } catch (error) {
+        // unique_violation of UNIQUE(org_id, app_url)
+        if (error.code === "23505") {
+          throw new Error("App with this URL already registered for this organization");
+        }
+        throw error;
+      }
+
+      await client.query("COMMIT");
+
+      return this.getApp(app.id, userId);
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Purge applications deleted before the restore window, with all their data.
+   * Events are deleted in batches first, the rest goes with the application (ON DELETE CASCADE).
+   * @param {Object} options
+   * @param {number} options.batchSize - Number of events deleted per statement
+   * @param {number} options.maxBatches - Number of statements per application and run, the rest waits for the next run
+   * @returns {Promise<Array<string>>} IDs of the applications purged
+   */
+  static async purgeDeletedApps({ batchSize, maxBatches }) {
+    const apps = await pool.query(`SELECT id FROM apps WHERE deleted_at <= NOW() - make_interval(days => $1)`, [RESTORE_WINDOW_DAYS]);
+
+    const purged = [];
+
+    for (const { id } of apps.rows) {
+      let completed = false;
+
+      for (let batch = 0; batch < maxBatches; batch++) {
+        const result = await pool.query(
+          `DELETE FROM events
+           WHERE app_id = $1 AND (id, timestamp) IN (
+             SELECT id, timestamp FROM events WHERE app_id = $1 LIMIT $2
+           )`,
+          [id, batchSize]
+        );
+
+        if (result.rowCount < batchSize) {
+          completed = true;
+          break;
+        }
+      }
+
+      if (!completed) continue;
+
+      await pool.query(`DELETE FROM apps WHERE id = $1`, [id]);
+      purged.push(id);
+    }
+
+    return purged;
+  }
+}
@@ -0,0 +1,140 @@
+import pool from "../config/database.config.js";
+import { EventService } from "./event.service.js";
+
+// Columns of an exported event, in the order of the CSV export
+export const EXPORT_COLUMNS = [
+  "id",
+  "event_type",
+  "timestamp",
+  "user_id",
+  "session_id",
+  "url",
+  "referrer",
+  "device",
+  "browser",
+  "browser_version",
+  "os",
+  "user_agent",
+  "ip_address",
+  "ip_hash",
+  "country",
+  "region",
+  "city",
+  "metadata",
+];
+
+export class DataSubjectService {
+  /**
+   * Get every event of a data subject, oldest first
+   * @param {string} appId - ID of the application
+   * @param {Object} subject
+   * @param {string} subject.userId - ID of the user
+   * @param {string} [subject.sessionId] - Only events of this session of the user
+   * @returns {Promise<Array<Object>>} The events
+   */
+  static async getEvents(appId, { userId, sessionId }) {
+    const params = [appId, userId];
+    let query = `SELECT ${EXPORT_COLUMNS.map((column) => (column === "ip_address" ? "host(ip_address) AS ip_address" : column)).join(", ")}
+       FROM events
+       WHERE app_id = $1 AND user_id = $2`;
+
+    if (sessionId) {
+      params.push(sessionId);
+      query += ` AND session_id = $${params.length}`;
+    }
+
+    query += ` ORDER BY timestamp ASC, id ASC`;
+
+    const result = await pool.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Export every event of a data subject and record the request
+   * @param {string} appId - ID of the application
+   * @param {Object} subject - The user, and optionally the session, see getEvents()
+   * @param {Object} requester - Who asked for the export
+   * @param {string} requester.requestedBy - Who made the request, as recorded in the audit log
+   * @param {string} [requester.apiKeyId] - ID of the API key used
+   * @returns {Promise<Object>} The audit record and the exported events
+   */
+  static async exportData(appId, subject, requester) {
+    try {
+      const events = await this.getEvents(appId, subject);
+      const request = await this.recordRequest(pool, appId, "export", subject, requester, events.length);
+
+      return { request, events };
+    } catch (error) {
+      console.error("Error exporting data subject events:", error);
+      throw new Error("Failed to export events");
+    }
+  }
+
+  /**
+   * Delete every event of a data subject and record the request in the same transaction.
+   * Daily summaries of the days the events were on are then recomputed without them.
+   * @param {string} appId - ID of the application
+   * @param {Object} subject - The user, and optionally the session, see getEvents()
+   * @param {Object} requester - Who asked for the erasure, see exportData()
+   * @returns {Promise<Object>} The audit record and the number of summaries recomputed
+   */
+  static async eraseData(appId, { userId, sessionId }, requester) {
+    const client = await pool.connect();
+    let deleted;
+    let request;
+
+    try {
+      await client.query("BEGIN");
+
+      const params = [appId, userId];
+      let query = `DELETE FROM events WHERE app_id = $1 AND user_id = $2`;
+
+      if (sessionId) {
+        params.push(sessionId);
+        query += ` AND session_id = $${params.length}`;
+      }
+
+      deleted = await client.query(`${query} RETURNING app_id, event_type, timestamp`, params);
+
+      // Summaries of days past the raw retention aren't recomputed below, the user must still leave them.
+      // A single session can't be told apart in the rollups, the user stays in those of its other sessions.
+      if (!sessionId) {
+        await client.query(`DELETE FROM event_summary_users WHERE app_id = $1 AND user_id = $2`, [appId, userId]);
+      }
+      request = await this.recordRequest(client, appId, "erasure", { userId, sessionId }, requester, deleted.rows.length);
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error("Error erasing data subject events:", error);
+      throw new Error("Failed to erase events");
+    } finally {
+      client.release();
+    }
+
+    const summariesUpdated = await EventService.refreshEventSummaries(deleted.rows);
+
+    return { request, summaries_updated: summariesUpdated };
+  }
+
+  /**
+   * Write the audit record of a data subject request
+   * @param {Object} db - The pool, or the client of the running transaction
+   * @param {string} appId - ID of the application
+   * @param {string} requestType - export or erasure
+   * @param {Object} subject - The user, and optionally the session
+   * @param {Object} requester - Who made the request, requestedBy identifying it in the audit log
+   * @param {number} eventsCount - Number of events exported or erased
+   * @returns {Promise<Object>} The audit record
+   */
+  static async recordRequest(db, appId, requestType, { userId, sessionId }, { requestedBy, apiKeyId }, eventsCount) {
+    const result = await db.query(
+      `INSERT INTO data_subject_requests (app_id, request_type, subject_user_id, subject_session_id, requested_by, api_key_id, events_count)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, request_type, subject_user_id, subject_session_id, requested_by, events_count, created_at`,
+      [appId, requestType, userId, sessionId || null, requestedBy, apiKeyId || null, eventsCount]
+    );
+
+    return result.rows[0];
+  }
+}
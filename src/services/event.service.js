@@ -1,4 +1,54 @@
 import pool from "../config/database.config.js";
+import { TimezoneUtils } from "../utils/timezone-utils.js";
+import { UserAgentUtils } from "../utils/user-agent-utils.js";
+import { GeoIpService } from "./geoIp.service.js";
+import { IpPrivacyService } from "./ipPrivacy.service.js";
+import { IpUtils } from "../utils/ip-utils.js";
+
+/**
+ * Raised when the date range of a report is reversed or too long for its interval.
+ * The message is meant for clients, see the time series and retention controllers in event.controller.js.
+ */
+export class InvalidRangeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidRangeError";
+    this.code = "invalid_range";
+  }
+}
+
+// Bucket sizes of time series, with the number of buckets returned when no start date is given
+const TIME_SERIES_INTERVALS = {
+  hour: { ms: 60 * 60 * 1000, defaultBuckets: 24 },
+  day: { ms: 24 * 60 * 60 * 1000, defaultBuckets: 30 },
+  week: { ms: 7 * 24 * 60 * 60 * 1000, defaultBuckets: 12 },
+  month: { ms: 30 * 24 * 60 * 60 * 1000, defaultBuckets: 12 },
+};
+
+const MAX_TIME_SERIES_BUCKETS = 1000;
+
+export const RETENTION_PERIODS = ["day", "week", "month"];
+
+// Number of periods after each cohort reported when none is given
+const DEFAULT_RETENTION_PERIODS = { day: 14, week: 8, month: 6 };
+
+// Breakdowns kept in the summaries: event_summaries column => events column
+const SUMMARY_BREAKDOWNS = {
+  device_data: "device",
+  browser_data: "browser",
+  os_data: "os",
+  country_data: "country",
+};
+
+// Columns grouped by for each level of the geography breakdown
+const GEOGRAPHY_LEVELS = {
+  country: ["country"],
+  region: ["country", "region"],
+  city: ["country", "region", "city"],
+};
+
+// Columns identifying who goes through a funnel
+export const FUNNEL_IDENTIFIERS = ["user_id", "session_id"];
 
 export class EventService {
   /**
@@ -8,111 +58,271 @@ export class EventService {
    * @returns {Promise<Object | null>} The event details or null if not implemented
    */
   static async collectEvent(appId, eventData) {
-    const {
-      event,
-      url = null,
-      referrer = null,
-      device = null,
-      ipAddress = null,
-      timestamp = new Date(),
-      metadata = {},
-      session_id = null,
-      user_id = null,
-    } = eventData;
+    if (!appId) throw new Error("Missing appId");
+    if (!eventData.event) throw new Error("Missing event name");
+
+    try {
+      const [row] = await this.insertEvents([{ ...eventData, appId }]);
+
+      // Keep the daily summary in sync, summary reads are served from it
+      await this.updateEventSummary(appId, row.event_type, row.timestamp);
+
+      return row;
+    } catch (error) {
+      console.error("❌ Error collecting event:", error.message);
+      throw new Error("Failed to collect event");
+    }
+  }
 
+  /**
+   * Collect a batch of analytical events with a single multi-row insert
+   * @param {string} appId - ID of the application
+   * @param {Array<Object>} events - Data of the events to be collected
+   * @returns {Promise<Array<Object>>} The inserted events, in the same order as the input
+   */
+  static async collectEvents(appId, events) {
     if (!appId) throw new Error("Missing appId");
-    if (!event) throw new Error("Missing event name");
+
+    const rows = await this.insertEvents(events.map((eventData) => ({ ...eventData, appId })));
+
+    // Keep the daily summaries in sync, once per affected (event type, day)
+    await this.refreshEventSummaries(rows);
+
+    return rows;
+  }
+
+  /**
+   * Insert events of one or more applications with a single multi-row insert.
+   * Summaries are not updated, see refreshEventSummaries.
+   * @param {Array<Object>} events - Event data, each with its appId and optionally a pre-generated id
+   * @returns {Promise<Array<Object>>} The inserted events, in the same order as the input
+   */
+  static async insertEvents(events) {
+    if (!events || events.length === 0) return [];
+
+    // IP addresses are stored according to the privacy mode of each app
+    let ipModes;
+    let salt = null;
+    try {
+      ipModes = await IpPrivacyService.getIpModes(events.map((eventData) => eventData.appId));
+      if ([...ipModes.values()].includes("hash")) salt = await IpPrivacyService.getSalt();
+    } catch (error) {
+      console.error("❌ Error collecting events:", error.message);
+      throw new Error("Failed to collect events");
+    }
+
+    const params = [];
+    const rows = events.map((eventData) => {
+      const {
+        id = null,
+        appId,
+        event,
+        url = null,
+        referrer = null,
+        device = null,
+        ipAddress = null,
+        userAgent = null,
+        timestamp = new Date(),
+        metadata = {},
+        session_id = null,
+        user_id = null,
+      } = eventData;
+
+      if (!appId) throw new Error("Missing appId");
+      if (!event) throw new Error("Missing event name");
+
+      // Parsed locally, the device reported by the client takes precedence
+      const agent = UserAgentUtils.parse(userAgent);
+      // Located from the full address, before it is anonymized
+      const location = GeoIpService.lookup(ipAddress);
+      const ip = IpPrivacyService.anonymize(ipAddress, ipModes.get(appId), salt);
+
+      const offset = params.length;
+      params.push(
+        id,
+        appId,
+        event,
+        url,
+        referrer,
+        device || agent.device,
+        ip.ip_address,
+        ip.ip_hash,
+        userAgent,
+        agent.browser,
+        agent.browser_version && agent.browser_version.substring(0, 50),
+        agent.os,
+        location.country,
+        location.region,
+        location.city,
+        timestamp,
+        metadata,
+        session_id,
+        user_id
+      );
+
+      const placeholders = Array.from({ length: 19 }, (_, i) => `$${offset + i + 1}`);
+      placeholders[0] = `COALESCE(${placeholders[0]}::uuid, gen_random_uuid())`;
+
+      return `(${placeholders.join(", ")})`;
+    });
 
     try {
       const result = await pool.query(
         `
       INSERT INTO events (
+        id,
         app_id,
         event_type,
         url,
         referrer,
         device,
         ip_address,
+        ip_hash,
+        user_agent,
+        browser,
+        browser_version,
+        os,
+        country,
+        region,
+        city,
         timestamp,
         metadata,
         session_id,
         user_id
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      VALUES ${rows.join(",\n        ")}
       RETURNING id, app_id, event_type, timestamp;
       `,
-        [appId, event, url, referrer, device, ipAddress ? ipAddress : null, timestamp, metadata, session_id, user_id]
+        params
       );
 
-      // Fire summary update asynchronously
-      this.updateEventSummary(appId, event, timestamp).catch((err) => console.error("⚠️ Error updating summary:", err.message));
-
-      return result.rows[0];
+      return result.rows;
     } catch (error) {
-      console.error("❌ Error collecting event:", error.message);
-      throw new Error("Failed to collect event");
+      console.error("❌ Error collecting events:", error.message);
+      throw new Error("Failed to collect events");
     }
   }
 
   /**
-   * Update event summary for a specific date
-   * This helps with fast analytics queries
+   * Recompute the summaries touched by a set of events, once per (app, event type, day)
+   * @param {Array<Object>} events - Inserted events with app_id, event_type and timestamp
+   * @returns {Promise<number>} The number of summaries recomputed
    */
-  static async updateEventSummary(appId, eventType, timestamp) {
-    const date = new Date(timestamp).toISOString().split("T")[0];
+  static async refreshEventSummaries(events) {
+    if (events.length === 0) return 0;
+
+    // Days are calendar days in the timezone of each app
+    const appIds = [...new Set(events.map((event) => event.app_id))];
+    const apps = await pool.query(`SELECT id, timezone FROM apps WHERE id = ANY($1::uuid[])`, [appIds]);
+    const timeZones = new Map(apps.rows.map((app) => [app.id, app.timezone]));
+
+    const summaries = new Map();
 
+    for (const { app_id, event_type, timestamp } of events) {
+      if (!timeZones.has(app_id)) continue;
+
+      const date = TimezoneUtils.toLocalDate(timestamp, timeZones.get(app_id));
+      summaries.set(`${app_id}|${event_type}|${date}`, { app_id, event_type, timestamp });
+    }
+
+    for (const { app_id, event_type, timestamp } of summaries.values()) {
+      await this.updateEventSummary(app_id, event_type, timestamp);
+    }
+
+    return summaries.size;
+  }
+
+  /**
+   * Update event summary for a specific date, the calendar day of the timestamp in the app timezone
+   * This helps with fast analytics queries.
+   * Days whose raw events may already be purged by the retention policy are left as they are.
+   */
+  static async updateEventSummary(appId, eventType, timestamp) {
     try {
-      // Calculate stats for the day
+      const day = await pool.query(
+        `SELECT 
+          local_date::text AS date,
+          local_date::timestamp AT TIME ZONE timezone AS start_at,
+          (local_date + 1)::timestamp AT TIME ZONE timezone AS end_at,
+          COALESCE(local_date::timestamp AT TIME ZONE timezone < NOW() - make_interval(days => raw_retention_days), false) AS expired
+         FROM (
+           SELECT timezone, raw_retention_days, ($2::timestamptz AT TIME ZONE timezone)::date AS local_date
+           FROM apps
+           WHERE id = $1
+         ) app_day`,
+        [appId, timestamp]
+      );
+
+      if (day.rows.length === 0 || day.rows[0].expired) return;
+
+      const { date, start_at, end_at } = day.rows[0];
+
+      // Calculate stats for the day, with a count per value of each breakdown
+      const breakdowns = Object.entries(SUMMARY_BREAKDOWNS).map(
+        ([key, column]) => `(
+            SELECT COALESCE(jsonb_object_agg(value, value_count), '{}'::jsonb)
+            FROM (
+              SELECT COALESCE(${column}, 'unknown') AS value, COUNT(*) AS value_count
+              FROM day_events
+              GROUP BY 1
+            ) b
+          ) AS ${key}`
+      );
+
       const stats = await pool.query(
-        `WITH event_stats AS (
-          SELECT 
-            COUNT(*) as total_count,
-            COUNT(DISTINCT user_id) FILTER (WHERE user_id IS NOT NULL) as unique_users
+        `WITH day_events AS (
+          SELECT *
           FROM events
           WHERE app_id = $1 
             AND event_type = $2 
-            AND DATE(timestamp) = $3
-        ),
-        device_stats AS (
-          SELECT 
-            jsonb_object_agg(
-              COALESCE(device, 'unknown'),
-              device_count
-            ) as device_data
-          FROM (
-            SELECT 
-              device,
-              COUNT(*) as device_count
-            FROM events
-            WHERE app_id = $1 
-              AND event_type = $2 
-              AND DATE(timestamp) = $3
-            GROUP BY device
-          ) ds
+            AND timestamp >= $3
+            AND timestamp < $4
         )
         SELECT 
-          COALESCE(es.total_count, 0) as total_count,
-          COALESCE(es.unique_users, 0) as unique_users,
-          COALESCE(ds.device_data, '{}'::jsonb) as device_data
-        FROM event_stats es
-        CROSS JOIN device_stats ds`,
-        [appId, eventType, date]
+          COUNT(*) as total_count,
+          COUNT(DISTINCT user_id) FILTER (WHERE user_id IS NOT NULL) as unique_users,
+          ${breakdowns.join(",\n          ")}
+        FROM day_events`,
+        [appId, eventType, start_at, end_at]
       );
 
-      const { total_count, unique_users, device_data } = stats.rows[0];
+      const { total_count, unique_users, ...breakdownData } = stats.rows[0];
+      const keys = Object.keys(SUMMARY_BREAKDOWNS);
+
+      // No events left on that day (e.g. after an erasure), the summary goes away with them
+      if (Number(total_count) === 0) {
+        await pool.query(`DELETE FROM event_summaries WHERE app_id = $1 AND event_type = $2 AND date = $3`, [appId, eventType, date]);
+        await pool.query(`DELETE FROM event_summary_users WHERE app_id = $1 AND event_type = $2 AND date = $3`, [appId, eventType, date]);
+        return;
+      }
 
       // Upsert summary
       await pool.query(
         `INSERT INTO event_summaries (
-          app_id, event_type, date, total_count, unique_users, device_data, updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+          app_id, event_type, date, total_count, unique_users, ${keys.join(", ")}, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, ${keys.map((_, i) => `$${i + 6}`).join(", ")}, NOW())
         ON CONFLICT (app_id, event_type, date) 
         DO UPDATE SET
           total_count = $4,
           unique_users = $5,
-          device_data = $6,
+          ${keys.map((key, i) => `${key} = $${i + 6}`).join(",\n          ")},
           updated_at = NOW()`,
-        [appId, eventType, date, total_count || 0, unique_users || 0, device_data || {}]
+        [appId, eventType, date, total_count || 0, unique_users || 0, ...keys.map((key) => breakdownData[key] || {})]
+      );
+
+      // Distinct users of the day, unique users of multi-day ranges are counted from them
+      await pool.query(`DELETE FROM event_summary_users WHERE app_id = $1 AND event_type = $2 AND date = $3`, [appId, eventType, date]);
+      await pool.query(
+        `INSERT INTO event_summary_users (app_id, event_type, date, user_id)
+        SELECT DISTINCT app_id, event_type, $3::date, user_id
+        FROM events
+        WHERE app_id = $1 
+          AND event_type = $2 
+          AND timestamp >= $4
+          AND timestamp < $5
+          AND user_id IS NOT NULL
+        ON CONFLICT DO NOTHING`,
+        [appId, eventType, date, start_at, end_at]
       );
     } catch (error) {
       console.error("Error updating event summary:", error);
@@ -121,39 +331,162 @@ export class EventService {
   }
 
   /**
-   * Get event summary statistics
+   * Get event summary statistics.
+   * Whole days of the range are read from the event_summaries rollups,
+   * only the partial days at the edges of the range are read from raw events.
+   * Rollups are kept in the app timezone, summaries in any other timezone are read from raw events.
+   * @param {string} appId - ID of the application
+   * @param {string} eventType - Type of the events to summarize
+   * @param {string} [startDate] - Start of the range (inclusive)
+   * @param {string} [endDate] - End of the range (inclusive), a date without time covers the whole day
+   * @param {string} [timeZone] - Timezone of dates without offset and of day boundaries, defaults to the app timezone
+   * @returns {Promise<Object|null>} The summary and the source it was read from, or null if no events found
+   */
+  static async getEventSummary(appId, eventType, startDate, endDate, timeZone) {
+    if (!eventType) {
+      return this.getRawEventSummary(appId, eventType, startDate, endDate, timeZone);
+    }
+
+    try {
+      const tz = await this.resolveTimeZone(appId, timeZone);
+
+      // Each breakdown adds up the counts of the rollup days and of the edge events
+      const breakdowns = Object.entries(SUMMARY_BREAKDOWNS).map(
+        ([key, column]) => `(
+          SELECT jsonb_object_agg(value, value_count)
+          FROM (
+            SELECT value, SUM(value_count) AS value_count
+            FROM (
+              SELECT d.key AS value, d.value::bigint AS value_count
+              FROM rollup_days, jsonb_each_text(rollup_days.${key}) d
+              UNION ALL
+              SELECT COALESCE(${column}, 'unknown') AS value, COUNT(*) AS value_count
+              FROM edge_events
+              GROUP BY 1
+            ) counts
+            GROUP BY value
+          ) v
+        ) AS ${key}`
+      );
+
+      const result = await pool.query(
+        `
+      WITH bounds AS (
+        SELECT
+          $3::timestamp AT TIME ZONE $5 AS start_at,
+          $4::timestamp AT TIME ZONE $5 AS end_at,
+          -- First day fully inside the range
+          CASE
+            WHEN $3::timestamp IS NULL THEN NULL
+            WHEN $3::timestamp = date_trunc('day', $3::timestamp) THEN $3::timestamp::date
+            ELSE $3::timestamp::date + 1
+          END AS first_day,
+          -- Day following the last day fully inside the range
+          ($4::timestamp + INTERVAL '1 microsecond')::date AS end_day,
+          -- Rollup days are calendar days of the app timezone
+          a.timezone = $5 AS use_rollups
+        FROM apps a
+        WHERE a.id = $1
+      ),
+      rollup_days AS (
+        SELECT s.*
+        FROM event_summaries s, bounds b
+        WHERE b.use_rollups
+          AND s.app_id = $1
+          AND s.event_type = $2
+          AND (b.first_day IS NULL OR s.date >= b.first_day)
+          AND (b.end_day IS NULL OR s.date < b.end_day)
+      ),
+      edge_events AS (
+        SELECT e.*
+        FROM events e, bounds b
+        WHERE e.app_id = $1
+          AND e.event_type = $2
+          AND (b.start_at IS NULL OR e.timestamp >= b.start_at)
+          AND (b.end_at IS NULL OR e.timestamp <= b.end_at)
+          AND (
+            NOT b.use_rollups
+            OR e.timestamp < b.first_day::timestamp AT TIME ZONE $5
+            OR e.timestamp >= b.end_day::timestamp AT TIME ZONE $5
+          )
+      ),
+      users AS (
+        SELECT su.user_id
+        FROM event_summary_users su, bounds b
+        WHERE b.use_rollups
+          AND su.app_id = $1
+          AND su.event_type = $2
+          AND (b.first_day IS NULL OR su.date >= b.first_day)
+          AND (b.end_day IS NULL OR su.date < b.end_day)
+        UNION
+        SELECT user_id FROM edge_events WHERE user_id IS NOT NULL
+      )
+      SELECT
+        $2::text AS event_type,
+        (SELECT COALESCE(SUM(total_count), 0) FROM rollup_days) + (SELECT COUNT(*) FROM edge_events) AS count,
+        (SELECT COUNT(*) FROM users) AS unique_users,
+        ${breakdowns.join(",\n        ")},
+        (SELECT COUNT(*) FROM rollup_days) AS rollup_days,
+        (SELECT COUNT(*) FROM edge_events) AS raw_events
+    `,
+        [appId, eventType, this.toWallClock(startDate, tz), this.toWallClock(this.toInclusiveEnd(endDate), tz), tz]
+      );
+
+      const { rollup_days, raw_events, ...summary } = result.rows[0];
+
+      if (Number(summary.count) === 0) {
+        return null;
+      }
+
+      let source = "mixed";
+      if (Number(raw_events) === 0) source = "rollup";
+      else if (Number(rollup_days) === 0) source = "raw";
+
+      return { ...summary, timezone: tz, source };
+    } catch (error) {
+      console.error("Error getting event summary:", error);
+      throw new Error("Failed to retrieve event summary");
+    }
+  }
+
+  /**
+   * Get event summary statistics by scanning raw events only
+   * @param {string} appId - ID of the application
+   * @param {string} [eventType] - Type of the events to summarize
+   * @param {string} [startDate] - Start of the range (inclusive)
+   * @param {string} [endDate] - End of the range (inclusive), a date without time covers the whole day
+   * @param {string} [timeZone] - Timezone of dates without offset, defaults to the app timezone
+   * @returns {Promise<Object|null>} The summary, or null if no events found
    */
-  static async getEventSummary(appId, eventType, startDate, endDate) {
+  static async getRawEventSummary(appId, eventType, startDate, endDate, timeZone) {
     try {
+      const tz = await this.resolveTimeZone(appId, timeZone);
+
       let query = `
       WITH event_data AS (
         SELECT 
           event_type,
           user_id,
-          device
+          ${Object.values(SUMMARY_BREAKDOWNS).join(",\n          ")}
         FROM events
         WHERE app_id = $1
     `;
 
       const params = [appId];
-      let paramIndex = 2;
 
       if (eventType) {
-        query += ` AND event_type = $${paramIndex}`;
         params.push(eventType);
-        paramIndex++;
+        query += ` AND event_type = $${params.length}`;
       }
 
       if (startDate) {
-        query += ` AND timestamp >= $${paramIndex}`;
-        params.push(startDate);
-        paramIndex++;
+        params.push(this.toWallClock(startDate, tz), tz);
+        query += ` AND timestamp >= $${params.length - 1}::timestamp AT TIME ZONE $${params.length}`;
       }
 
       if (endDate) {
-        query += ` AND timestamp <= $${paramIndex}`;
-        params.push(endDate);
-        paramIndex++;
+        params.push(this.toWallClock(this.toInclusiveEnd(endDate), tz), tz);
+        query += ` AND timestamp <= $${params.length - 1}::timestamp AT TIME ZONE $${params.length}`;
       }
 
       query += `
@@ -162,16 +495,20 @@ export class EventService {
         event_type,
         COUNT(*) AS count,
         COUNT(DISTINCT user_id) FILTER (WHERE user_id IS NOT NULL) AS unique_users,
-        (
-          SELECT jsonb_object_agg(device, device_count)
+        ${Object.entries(SUMMARY_BREAKDOWNS)
+          .map(
+            ([key, column]) => `(
+          SELECT jsonb_object_agg(value, value_count)
           FROM (
             SELECT 
-              COALESCE(device, 'unknown') AS device,
-              COUNT(*)::text AS device_count
+              COALESCE(${column}, 'unknown') AS value,
+              COUNT(*)::text AS value_count
             FROM event_data
-            GROUP BY device
-          ) dc
-        ) AS device_data
+            GROUP BY 1
+          ) b
+        ) AS ${key}`
+          )
+          .join(",\n        ")}
       FROM event_data
       GROUP BY event_type
     `;
@@ -182,7 +519,7 @@ export class EventService {
         return null;
       }
 
-      return result.rows[0];
+      return { ...result.rows[0], timezone: tz, source: "raw" };
     } catch (error) {
       console.error("Error getting event summary:", error);
       throw new Error("Failed to retrieve event summary");
@@ -190,10 +527,458 @@ export class EventService {
   }
 
   /**
-   * Get user statistics for app and user
+   * A date without time as the end of a range covers that whole day
+   * @param {string} [endDate] - End of the range
+   * @returns {string|null} The inclusive end of the range
+   */
+  static toInclusiveEnd(endDate) {
+    if (!endDate) return null;
+    return /^\d{4}-\d{2}-\d{2}$/.test(endDate) ? `${endDate}T23:59:59.999999` : endDate;
+  }
+
+  /**
+   * Express a range bound as wall-clock time of the query timezone
+   * @param {Date|string} [value] - The bound, dates without offset are already wall-clock time
+   * @param {string} timeZone - The query timezone
+   * @returns {string|null} The wall-clock time
+   */
+  static toWallClock(value, timeZone) {
+    if (!value) return null;
+    return TimezoneUtils.toWallClock(value, timeZone);
+  }
+
+  /**
+   * Get the timezone analytics of an app are computed in
+   * @param {string} appId - ID of the application
+   * @param {string} [timeZone] - Timezone requested by the caller
+   * @returns {Promise<string>} The requested timezone, or else the app timezone
+   */
+  static async resolveTimeZone(appId, timeZone) {
+    if (timeZone) return timeZone;
+
+    const result = await pool.query(`SELECT timezone FROM apps WHERE id = $1`, [appId]);
+    return result.rows.length > 0 ? result.rows[0].timezone : "UTC";
+  }
+
+  /**
+   * Get event counts and unique users bucketed by time, empty buckets are filled with zeros
+   * @param {string} appId - ID of the application
+   * @param {string} eventType - Type of the events to count
+   * @param {string} interval - Bucket size: hour, day, week or month
+   * @param {string} [startDate] - Start of the range (inclusive), defaults to a fixed number of buckets before the end
+   * @param {string} [endDate] - End of the range (inclusive), defaults to now
+   * @param {string} [timeZone] - Timezone of dates without offset and of bucket boundaries, defaults to the app timezone
+   * @returns {Promise<Array<Object>>} The buckets in chronological order
+   */
+  static async getTimeSeries(appId, eventType, interval = "day", startDate, endDate, timeZone) {
+    const bucketSize = TIME_SERIES_INTERVALS[interval];
+    if (!bucketSize) throw new Error("Interval must be one of: hour, day, week, month");
+
+    this.checkBucketSpan(bucketSize, startDate, endDate);
+
+    try {
+      const tz = await this.resolveTimeZone(appId, timeZone);
+      const end = this.toWallClock(this.toInclusiveEnd(endDate) || new Date(), tz);
+
+      // Buckets are computed on wall-clock time of the timezone and returned as absolute timestamps
+      const result = await pool.query(
+        `
+      WITH bounds AS (
+        SELECT
+          COALESCE($4::timestamp, $5::timestamp - ($6 || ' ' || $3)::interval) AS start_ts,
+          $5::timestamp AS end_ts
+      ),
+      buckets AS (
+        SELECT generate_series(date_trunc($3, b.start_ts), date_trunc($3, b.end_ts), ('1 ' || $3)::interval) AS bucket
+        FROM bounds b
+      ),
+      counts AS (
+        SELECT 
+          date_trunc($3, e.timestamp AT TIME ZONE $7) AS bucket,
+          COUNT(*) AS count,
+          COUNT(DISTINCT e.user_id) FILTER (WHERE e.user_id IS NOT NULL) AS unique_users
+        FROM events e, bounds b
+        WHERE e.app_id = $1
+          AND e.event_type = $2
+          AND e.timestamp >= b.start_ts AT TIME ZONE $7
+          AND e.timestamp <= b.end_ts AT TIME ZONE $7
+        GROUP BY 1
+      )
+      SELECT 
+        bk.bucket AT TIME ZONE $7 AS bucket,
+        COALESCE(c.count, 0)::int AS count,
+        COALESCE(c.unique_users, 0)::int AS unique_users
+      FROM buckets bk
+      LEFT JOIN counts c ON c.bucket = bk.bucket
+      ORDER BY bk.bucket
+    `,
+        [appId, eventType, interval, this.toWallClock(startDate, tz), end, bucketSize.defaultBuckets - 1, tz]
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error("Error getting time series:", error);
+      throw new Error("Failed to retrieve time series");
+    }
+  }
+
+  /**
+   * Reject date ranges that are reversed or would produce too many buckets
+   * @param {Object} bucketSize - Entry of TIME_SERIES_INTERVALS
+   * @param {string} [startDate] - Start of the range
+   * @param {string} [endDate] - End of the range, defaults to now
+   * @throws {InvalidRangeError} When the range is reversed or spans more than MAX_TIME_SERIES_BUCKETS buckets
+   */
+  static checkBucketSpan(bucketSize, startDate, endDate) {
+    if (!startDate) return;
+
+    const span = new Date(endDate || Date.now()) - new Date(startDate);
+
+    if (span < 0) throw new InvalidRangeError("Start date must be before end date");
+    if (span / bucketSize.ms > MAX_TIME_SERIES_BUCKETS) {
+      throw new InvalidRangeError(`Date range spans more than ${MAX_TIME_SERIES_BUCKETS} buckets, use a larger interval`);
+    }
+  }
+
+  /**
+   * Get the retention of users grouped in cohorts by the period they first fired the start event.
+   * Cohorts are those whose first start event falls in the range, periods not over yet are reported as null.
+   * @param {string} appId - ID of the application
+   * @param {string} startEvent - Event type placing users in a cohort
+   * @param {string} returnEvent - Event type counting a user as returned
+   * @param {Object} [options]
+   * @param {string} [options.period] - Size of cohorts and periods: day, week or month
+   * @param {number} [options.periods] - Number of periods reported after each cohort
+   * @param {string} [options.startDate] - Start of the cohort range (inclusive), defaults to as many periods before the end
+   * @param {string} [options.endDate] - End of the cohort range (inclusive), defaults to now
+   * @param {string} [options.timeZone] - Timezone of dates without offset and of period boundaries, defaults to the app timezone
+   * @returns {Promise<Array<Object>>} The cohort matrix, one row per cohort in chronological order
+   */
+  static async getRetention(appId, startEvent, returnEvent, { period = "week", periods, startDate, endDate, timeZone } = {}) {
+    if (!RETENTION_PERIODS.includes(period)) {
+      throw new Error(`Period must be one of: ${RETENTION_PERIODS.join(", ")}`);
+    }
+
+    this.checkBucketSpan(TIME_SERIES_INTERVALS[period], startDate, endDate);
+    const periodCount = periods || DEFAULT_RETENTION_PERIODS[period];
+
+    try {
+      const tz = await this.resolveTimeZone(appId, timeZone);
+      const end = this.toWallClock(this.toInclusiveEnd(endDate) || new Date(), tz);
+
+      // Periods are computed on wall-clock time of the timezone, like time series buckets
+      const result = await pool.query(
+        `
+      WITH bounds AS (
+        SELECT
+          COALESCE($6::timestamp, $7::timestamp - ($5 || ' ' || $4)::interval) AS start_ts,
+          $7::timestamp AS end_ts
+      ),
+      firsts AS (
+        SELECT user_id, MIN(timestamp) AS first_at
+        FROM events
+        WHERE app_id = $1 AND event_type = $2 AND user_id IS NOT NULL
+        GROUP BY user_id
+      ),
+      cohorts AS (
+        SELECT f.user_id, date_trunc($4, f.first_at AT TIME ZONE $8) AS cohort
+        FROM firsts f, bounds b
+        WHERE f.first_at >= b.start_ts AT TIME ZONE $8
+          AND f.first_at <= b.end_ts AT TIME ZONE $8
+      ),
+      returns AS (
+        SELECT DISTINCT c.cohort, c.user_id, date_trunc($4, e.timestamp AT TIME ZONE $8) AS bucket
+        FROM cohorts c
+        JOIN events e ON e.user_id = c.user_id
+        WHERE e.app_id = $1
+          AND e.event_type = $3
+          AND e.timestamp >= (c.cohort + ('1 ' || $4)::interval) AT TIME ZONE $8
+          AND e.timestamp < (c.cohort + (($5::int + 1) || ' ' || $4)::interval) AT TIME ZONE $8
+      ),
+      sizes AS (
+        SELECT cohort, COUNT(*)::int AS users
+        FROM cohorts
+        GROUP BY cohort
+      ),
+      offsets AS (
+        SELECT s.cohort, k AS period, s.cohort + (k || ' ' || $4)::interval AS period_start
+        FROM sizes s, generate_series(1, $5::int) k
+      )
+      SELECT
+        to_char(s.cohort, 'YYYY-MM-DD') AS cohort,
+        s.users,
+        o.period,
+        o.period_start <= now() AT TIME ZONE $8 AS started,
+        COUNT(r.user_id)::int AS returned
+      FROM sizes s
+      JOIN offsets o ON o.cohort = s.cohort
+      LEFT JOIN returns r ON r.cohort = s.cohort AND r.bucket = o.period_start
+      GROUP BY s.cohort, s.users, o.period, o.period_start
+      ORDER BY s.cohort, o.period
+    `,
+        [appId, startEvent, returnEvent, period, periodCount, this.toWallClock(startDate, tz), end, tz]
+      );
+
+      const cohorts = new Map();
+
+      for (const row of result.rows) {
+        if (!cohorts.has(row.cohort)) {
+          cohorts.set(row.cohort, { cohort: row.cohort, users: row.users, retention: [] });
+        }
+
+        cohorts.get(row.cohort).retention.push({
+          period: row.period,
+          users: row.started ? row.returned : null,
+          percentage: row.started ? this.toPercent(row.returned, row.users) : null,
+        });
+      }
+
+      return [...cohorts.values()];
+    } catch (error) {
+      console.error("Error getting retention:", error);
+      throw new Error("Failed to retrieve retention");
+    }
+  }
+
+  /**
+   * Get the conversion funnel of an ordered list of steps.
+   * Each user (or session) enters the funnel on their first matching first step of the range,
+   * and reaches a step on its first match after the previous step, within the conversion window of the entry.
+   * @param {string} appId - ID of the application
+   * @param {Array<{event: string, metadata?: Object}>} steps - Ordered steps, metadata is matched by containment
+   * @param {Object} [options]
+   * @param {string} [options.identifier] - Column identifying users: user_id or session_id
+   * @param {number} [options.windowSeconds] - Time allowed between the first and the last step
+   * @param {string} [options.startDate] - Start of the range the first step is counted in (inclusive)
+   * @param {string} [options.endDate] - End of the range the first step is counted in (inclusive)
+   * @param {string} [options.timeZone] - Timezone of dates without offset, defaults to the app timezone
+   * @returns {Promise<Array<Object>>} Users reaching each step, conversion rates in percent and median seconds from the previous step
+   */
+  static async getFunnel(appId, steps, { identifier = "user_id", windowSeconds = 86400, startDate, endDate, timeZone } = {}) {
+    if (!FUNNEL_IDENTIFIERS.includes(identifier)) {
+      throw new Error(`Identifier must be one of: ${FUNNEL_IDENTIFIERS.join(", ")}`);
+    }
+
+    try {
+      const tz = await this.resolveTimeZone(appId, timeZone);
+      const params = [appId, windowSeconds, this.toWallClock(startDate, tz), this.toWallClock(this.toInclusiveEnd(endDate), tz), tz];
+
+      // One CTE per step, each one joining the users that reached the previous step
+      const ctes = steps.map((step, index) => {
+        params.push(step.event, step.metadata ? JSON.stringify(step.metadata) : null);
+        const eventParam = `$${params.length - 1}`;
+        const metadataParam = `$${params.length}::jsonb`;
+
+        if (index === 0) {
+          return `
+      step_1 AS (
+        SELECT e.${identifier} AS actor, MIN(e.timestamp) AS entered_at, MIN(e.timestamp) AS reached_at, NULL::timestamptz AS previous_at
+        FROM events e
+        WHERE e.app_id = $1
+          AND e.event_type = ${eventParam}
+          AND (${metadataParam} IS NULL OR e.metadata @> ${metadataParam})
+          AND e.${identifier} IS NOT NULL
+          AND ($3::timestamp IS NULL OR e.timestamp >= $3::timestamp AT TIME ZONE $5)
+          AND ($4::timestamp IS NULL OR e.timestamp <= $4::timestamp AT TIME ZONE $5)
+        GROUP BY e.${identifier}
+      )`;
+        }
+
+        return `
+      step_${index + 1} AS (
+        SELECT p.actor, p.entered_at, MIN(e.timestamp) AS reached_at, p.reached_at AS previous_at
+        FROM step_${index} p
+        JOIN events e ON e.${identifier} = p.actor
+        WHERE e.app_id = $1
+          AND e.event_type = ${eventParam}
+          AND (${metadataParam} IS NULL OR e.metadata @> ${metadataParam})
+          AND e.timestamp >= p.reached_at
+          AND e.timestamp <= p.entered_at + make_interval(secs => $2)
+        GROUP BY p.actor, p.entered_at, p.reached_at
+      )`;
+      });
+
+      const counts = steps.map(
+        (step, index) => `
+      SELECT
+        ${index + 1} AS step,
+        COUNT(*)::int AS users,
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM reached_at - previous_at)) AS median_seconds
+      FROM step_${index + 1}`
+      );
+
+      const result = await pool.query(`WITH ${ctes.join(",")}${counts.join("\n      UNION ALL")}\n      ORDER BY step`, params);
+
+      const entered = result.rows[0].users;
+
+      return result.rows.map((row, index) => {
+        const previous = index === 0 ? row.users : result.rows[index - 1].users;
+
+        return {
+          step: row.step,
+          event: steps[index].event,
+          ...(steps[index].metadata && { metadata: steps[index].metadata }),
+          users: row.users,
+          conversion_rate: this.toPercent(row.users, previous),
+          overall_conversion_rate: this.toPercent(row.users, entered),
+          median_seconds_from_previous: row.median_seconds === null ? null : Math.round(row.median_seconds),
+        };
+      });
+    } catch (error) {
+      console.error("Error getting funnel:", error);
+      throw new Error("Failed to retrieve funnel");
+    }
+  }
+
+  /**
+   * Get event counts and unique users per distinct value of a metadata property, most frequent first.
+   * Values beyond the top ones are grouped together, events without the property have a null value.
+   * @param {string} appId - ID of the application
+   * @param {string} eventType - Type of the events to break down
+   * @param {string} property - Metadata property, nested properties use dots (e.g. plan.tier)
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Number of values returned before grouping the rest
+   * @param {Object} [options.filters] - Metadata equality filters, by property path
+   * @param {string} [options.startDate] - Start of the range (inclusive)
+   * @param {string} [options.endDate] - End of the range (inclusive), a date without time covers the whole day
+   * @param {string} [options.timeZone] - Timezone of dates without offset, defaults to the app timezone
+   * @returns {Promise<Object>} The top values, the other values grouped together and the totals
+   */
+  static async getBreakdown(appId, eventType, property, { limit = 10, filters = {}, startDate, endDate, timeZone } = {}) {
+    try {
+      const tz = await this.resolveTimeZone(appId, timeZone);
+
+      const params = [
+        appId,
+        eventType,
+        property.split("."),
+        limit,
+        this.toWallClock(startDate, tz),
+        this.toWallClock(this.toInclusiveEnd(endDate), tz),
+        tz,
+      ];
+
+      // Values are compared as text, so "42" matches both the string and the number
+      let filterConditions = "";
+      for (const [path, value] of Object.entries(filters)) {
+        params.push(path.split("."), String(value));
+        filterConditions += ` AND metadata #>> $${params.length - 1}::text[] = $${params.length}`;
+      }
+
+      const result = await pool.query(
+        `
+      WITH matched AS (
+        SELECT metadata #>> $3::text[] AS value, user_id
+        FROM events
+        WHERE app_id = $1
+          AND event_type = $2
+          AND ($5::timestamp IS NULL OR timestamp >= $5::timestamp AT TIME ZONE $7)
+          AND ($6::timestamp IS NULL OR timestamp <= $6::timestamp AT TIME ZONE $7)${filterConditions}
+      ),
+      ranked AS (
+        SELECT
+          value,
+          COUNT(*)::int AS count,
+          COUNT(DISTINCT user_id)::int AS unique_users,
+          ROW_NUMBER() OVER (ORDER BY COUNT(*) DESC, value) AS rank
+        FROM matched
+        GROUP BY value
+      ),
+      top AS (
+        SELECT * FROM ranked WHERE rank <= $4
+      )
+      SELECT
+        (SELECT COALESCE(json_agg(json_build_object('value', value, 'count', count, 'unique_users', unique_users) ORDER BY rank), '[]') FROM top) AS "values",
+        (SELECT COUNT(*) - (SELECT COUNT(*) FROM top) FROM ranked)::int AS other_values,
+        (
+          SELECT json_build_object('count', COUNT(*), 'unique_users', COUNT(DISTINCT user_id))
+          FROM matched m
+          WHERE NOT EXISTS (SELECT 1 FROM top t WHERE t.value IS NOT DISTINCT FROM m.value)
+        ) AS other,
+        (SELECT json_build_object('count', COUNT(*), 'unique_users', COUNT(DISTINCT user_id)) FROM matched) AS total
+    `,
+        params
+      );
+
+      const { values, other_values, other, total } = result.rows[0];
+
+      return {
+        values,
+        other: other_values > 0 ? { ...other, values: other_values } : null,
+        total,
+      };
+    } catch (error) {
+      console.error("Error getting breakdown:", error);
+      throw new Error("Failed to retrieve breakdown");
+    }
+  }
+
+  /**
+   * Get event counts and unique users per location, resolved from the IP address at ingestion
+   * @param {string} appId - ID of the application
+   * @param {Object} [options]
+   * @param {string} [options.eventType] - Only events of this type
+   * @param {string} [options.level] - Breakdown by country, region or city
+   * @param {number} [options.limit] - Number of locations returned, most frequent first
+   * @param {string} [options.startDate] - Start of the range (inclusive)
+   * @param {string} [options.endDate] - End of the range (inclusive), a date without time covers the whole day
+   * @param {string} [options.timeZone] - Timezone of dates without offset, defaults to the app timezone
+   * @returns {Promise<Array<Object>>} The locations with their counts, unknown locations have null fields
+   */
+  static async getGeography(appId, { eventType, level = "country", limit = 50, startDate, endDate, timeZone } = {}) {
+    const columns = GEOGRAPHY_LEVELS[level];
+    if (!columns) throw new Error(`Level must be one of: ${Object.keys(GEOGRAPHY_LEVELS).join(", ")}`);
+
+    try {
+      const tz = await this.resolveTimeZone(appId, timeZone);
+
+      const result = await pool.query(
+        `SELECT 
+          ${columns.join(", ")},
+          COUNT(*)::int AS count,
+          COUNT(DISTINCT user_id)::int AS unique_users
+         FROM events
+         WHERE app_id = $1
+           AND ($2::text IS NULL OR event_type = $2)
+           AND ($3::timestamp IS NULL OR timestamp >= $3::timestamp AT TIME ZONE $5)
+           AND ($4::timestamp IS NULL OR timestamp <= $4::timestamp AT TIME ZONE $5)
+         GROUP BY ${columns.join(", ")}
+         ORDER BY count DESC, ${columns.join(", ")}
+         LIMIT $6`,
+        [
+          appId,
+          eventType || null,
+          this.toWallClock(startDate, tz),
+          this.toWallClock(this.toInclusiveEnd(endDate), tz),
+          tz,
+          limit,
+        ]
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error("Error getting geography:", error);
+      throw new Error("Failed to retrieve geography");
+    }
+  }
+
+  /**
+   * Share of a total in percent, rounded to two decimals
+   * @param {number} count - The part
+   * @param {number} total - The total
+   * @returns {number} The percentage, 0 when the total is 0
+   */
+  static toPercent(count, total) {
+    return total > 0 ? Math.round((count / total) * 10000) / 100 : 0;
+  }
+
+  /**
+   * Get user statistics for app and user.
+   * IP addresses are shown as the current IP mode of the app allows, including for events stored under a laxer mode.
    */
   static async getUserStats(appId, userId) {
     try {
+      const ipMode = (await IpPrivacyService.getIpModes([appId])).get(appId) || "full";
       const result = await pool.query(
         `SELECT 
           user_id,
@@ -236,7 +1021,15 @@ export class EventService {
         return null;
       }
 
-      return result.rows[0];
+      const { ip_addresses, ...stats } = result.rows[0];
+      if (ipMode === "full") {
+        return { ...stats, ip_mode: ipMode, ip_addresses };
+      }
+      if (ipMode === "truncate") {
+        const truncated = (ip_addresses || []).map((ip) => IpUtils.truncate(ip)).filter(Boolean);
+        return { ...stats, ip_mode: ipMode, ip_addresses: [...new Set(truncated)] };
+      }
+      return { ...stats, ip_mode: ipMode };
     } catch (error) {
       console.error("Error getting user stats:", error);
       throw new Error("Failed to retrieve user statistics");
@@ -244,27 +1037,68 @@ export class EventService {
   }
 
   /**
-   * Get recent events for debugging/monitoring
+   * Get recent events for debugging/monitoring, newest first.
+   * Pages are chained with the cursor of the last event of the previous page.
+   * @param {string} appId - ID of the application
+   * @param {number} [limit] - Maximum number of events returned
+   * @param {Object} [filters]
+   * @param {string} [filters.cursor] - Cursor of the event to continue after
+   * @param {string} [filters.eventType] - Only events of this type
+   * @param {string} [filters.userId] - Only events of this user
+   * @param {string} [filters.sessionId] - Only events of this session
+   * @returns {Promise<Array<Object>>} The events, each with its own cursor
    */
-  static async getRecentEvents(appId, limit = 100) {
+  static async getRecentEvents(appId, limit = 100, { cursor, eventType, userId, sessionId } = {}) {
+    const after = cursor ? this.decodeCursor(cursor) : null;
+
     try {
-      const result = await pool.query(
-        `SELECT 
+      let query = `SELECT 
           id,
           event_type,
           url,
           device,
           timestamp,
           user_id,
-          session_id
+          session_id,
+          metadata,
+          timestamp::text AS cursor_timestamp
          FROM events
-         WHERE app_id = $1
-         ORDER BY timestamp DESC
-         LIMIT $2`,
-        [appId, limit]
-      );
+         WHERE app_id = $1`;
 
-      return result.rows;
+      const params = [appId];
+
+      if (after) {
+        // Timestamps are compared with their full precision, ids break ties between events of the same instant
+        params.push(after.timestamp, after.id);
+        query += ` AND (timestamp, id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`;
+      }
+
+      if (eventType) {
+        params.push(eventType);
+        query += ` AND event_type = $${params.length}`;
+      }
+
+      if (userId) {
+        params.push(userId);
+        query += ` AND user_id = $${params.length}`;
+      }
+
+      if (sessionId) {
+        params.push(sessionId);
+        query += ` AND session_id = $${params.length}`;
+      }
+
+      params.push(limit);
+      query += `
+         ORDER BY timestamp DESC, id DESC
+         LIMIT $${params.length}`;
+
+      const result = await pool.query(query, params);
+
+      return result.rows.map(({ cursor_timestamp, ...event }) => ({
+        ...event,
+        cursor: this.encodeCursor(cursor_timestamp, event.id),
+      }));
     } catch (error) {
       console.error("Error getting recent events:", error);
       throw new Error("Failed to retrieve recent events");
@@ -272,10 +1106,44 @@ export class EventService {
   }
 
   /**
-   * Get event counts by type
+   * Build the opaque pagination cursor of an event
+   * @param {string} timestamp - Timestamp of the event, as text to keep microseconds
+   * @param {string} id - ID of the event
+   * @returns {string} The cursor
    */
-  static async getEventCountsByType(appId, startDate, endDate) {
+  static encodeCursor(timestamp, id) {
+    return Buffer.from(JSON.stringify([timestamp, id])).toString("base64url");
+  }
+
+  /**
+   * Read a pagination cursor built by encodeCursor
+   * @param {string} cursor - The cursor
+   * @returns {{timestamp: string, id: string}} Timestamp and ID of the event
+   */
+  static decodeCursor(cursor) {
     try {
+      const [timestamp, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+
+      if (!/^\d{4}-\d{2}-\d{2} [\d:.]+[+-][\d:]+$/.test(timestamp) || !/^[0-9a-f-]{36}$/i.test(id)) throw new Error();
+
+      return { timestamp, id };
+    } catch (error) {
+      throw new Error("Invalid cursor");
+    }
+  }
+
+  /**
+   * Get event counts and unique users of every event type
+   * @param {string} appId - ID of the application
+   * @param {string} [startDate] - Start of the range (inclusive)
+   * @param {string} [endDate] - End of the range (inclusive), a date without time covers the whole day
+   * @param {string} [timeZone] - Timezone of dates without offset, defaults to the app timezone
+   * @returns {Promise<Array<Object>>} The event types, most frequent first
+   */
+  static async getEventCountsByType(appId, startDate, endDate, timeZone) {
+    try {
+      const tz = await this.resolveTimeZone(appId, timeZone);
+
       let query = `
         SELECT 
           event_type,
@@ -286,18 +1154,15 @@ export class EventService {
       `;
 
       const params = [appId];
-      let paramIndex = 2;
 
       if (startDate) {
-        query += ` AND timestamp >= $${paramIndex}`;
-        params.push(startDate);
-        paramIndex++;
+        params.push(this.toWallClock(startDate, tz), tz);
+        query += ` AND timestamp >= $${params.length - 1}::timestamp AT TIME ZONE $${params.length}`;
       }
 
       if (endDate) {
-        query += ` AND timestamp <= $${paramIndex}`;
-        params.push(endDate);
-        paramIndex++;
+        params.push(this.toWallClock(this.toInclusiveEnd(endDate), tz), tz);
+        query += ` AND timestamp <= $${params.length - 1}::timestamp AT TIME ZONE $${params.length}`;
       }
 
       query += `
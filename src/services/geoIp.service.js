@@ -0,0 +1,63 @@
+import fs from "fs";
+import { Reader } from "maxmind";
+import { env } from "../config/env.config.js";
+
+/**
+ * Resolves IP addresses to a location from a local MaxMind-format database (e.g. GeoLite2 City).
+ * The database is read once from GEOIP_DATABASE_PATH, lookups never leave the process.
+ */
+export class GeoIpService {
+  // undefined until the database is loaded, null when there is none
+  static reader = undefined;
+
+  /**
+   * Load a MaxMind-format database file
+   * @param {string} [path] - Path of the .mmdb file
+   * @returns {Reader|null} The database reader, or null when no usable database is configured
+   */
+  static load(path = env.GEOIP_DATABASE_PATH) {
+    if (!path) {
+      this.reader = null;
+      return null;
+    }
+
+    try {
+      this.reader = new Reader(fs.readFileSync(path));
+      console.log(`🌍 GeoIP database loaded from ${path}`);
+    } catch (error) {
+      console.error(`⚠️ Could not load GeoIP database from ${path}:`, error.message);
+      this.reader = null;
+    }
+
+    return this.reader;
+  }
+
+  /**
+   * Resolve the location of an IP address
+   * @param {string} [ipAddress] - The IP address
+   * @returns {{country: string|null, region: string|null, city: string|null}} ISO country code, region and city names,
+   * null when unknown or when no database is configured
+   */
+  static lookup(ipAddress) {
+    const location = { country: null, region: null, city: null };
+
+    const reader = this.reader === undefined ? this.load() : this.reader;
+    if (!reader || !ipAddress) return location;
+
+    try {
+      const record = reader.get(ipAddress);
+      if (!record) return location;
+
+      const region = record.subdivisions && record.subdivisions[0];
+
+      return {
+        country: (record.country && record.country.iso_code) || null,
+        region: (region && region.names && region.names.en) || null,
+        city: (record.city && record.city.names && record.city.names.en) || null,
+      };
+    } catch (error) {
+      // Malformed addresses have no location
+      return location;
+    }
+  }
+}
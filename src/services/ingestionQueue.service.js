@@ -0,0 +1,230 @@
+import crypto from "crypto";
+import { env } from "../config/env.config.js";
+import { EventService } from "./event.service.js";
+
+/**
+ * Raised when the queue can't take events for now, the buffer being full or the server shutting down.
+ * Clients should retry later, see rejectWhenUnavailable in event.controller.js.
+ */
+export class IngestionUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "IngestionUnavailableError";
+    this.code = "ingestion_unavailable";
+  }
+}
+
+/**
+ * In-process write-behind buffer for incoming events.
+ * Events are acknowledged as soon as they are buffered and written to Postgres in bulk,
+ * either when the buffer reaches the flush size or when the flush interval elapses.
+ */
+export class IngestionQueue {
+  /**
+   * @param {Object} options
+   * @param {number} options.flushSize - Number of buffered events that triggers a flush
+   * @param {number} options.flushIntervalMs - Maximum time an event waits in the buffer
+   * @param {number} options.maxBufferSize - Number of buffered events above which new events are refused
+   * @param {number} options.maxRetries - Number of failed flushes after which an event is dropped
+   */
+  constructor({ flushSize, flushIntervalMs, maxBufferSize, maxRetries }) {
+    this.flushSize = flushSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.maxBufferSize = maxBufferSize;
+    this.maxRetries = maxRetries;
+
+    this.buffer = [];
+    this.timer = null;
+    this.flushing = null;
+    this.accepting = true;
+
+    // Events dropped after their retries since the process started, reported by the health endpoint
+    this.dropped = 0;
+    this.lastDroppedAt = null;
+  }
+
+  /**
+   * Buffer events of an application for the next flush.
+   * The whole set is refused when it doesn't fit in the buffer.
+   * @param {string} appId - ID of the application
+   * @param {Array<Object>} events - Data of the events to be collected
+   * @returns {Array<Object>} The accepted events with their generated id and timestamp
+   */
+  enqueue(appId, events) {
+    if (!this.accepting) {
+      throw new IngestionUnavailableError("Ingestion queue is shutting down");
+    }
+
+    if (this.buffer.length + events.length > this.maxBufferSize) {
+      throw new IngestionUnavailableError("Ingestion buffer is full");
+    }
+
+    const accepted = events.map((eventData) => ({
+      ...eventData,
+      id: crypto.randomUUID(),
+      appId,
+      timestamp: eventData.timestamp || new Date(),
+      attempts: 0,
+    }));
+
+    this.buffer.push(...accepted);
+
+    if (this.buffer.length >= this.flushSize) {
+      this.flush().catch((err) => console.error("⚠️ Error flushing events:", err.message));
+    } else {
+      this.schedule();
+    }
+
+    return accepted.map(({ id, event, timestamp }) => ({ id, event_type: event, timestamp }));
+  }
+
+  /**
+   * Write buffered events to the database, one bulk insert per flush size chunk
+   * @returns {Promise<number>} The number of events written
+   */
+  async flush() {
+    // Only one flush at a time, callers wait for the running one
+    if (this.flushing) {
+      const written = await this.flushing;
+      return written + (this.buffer.length >= this.flushSize ? await this.flush() : 0);
+    }
+
+    this.unschedule();
+
+    this.flushing = (async () => {
+      let written = 0;
+
+      while (this.buffer.length > 0) {
+        const chunk = this.buffer.splice(0, this.flushSize);
+
+        const { rows, failed } = await this.write(chunk);
+        written += rows.length;
+
+        // Summaries are recomputed once per (app, event type, day) touched by the chunk
+        await EventService.refreshEventSummaries(rows).catch((err) => console.error("⚠️ Error updating summaries:", err.message));
+
+        if (failed.length > 0) {
+          this.requeue(failed);
+          break;
+        }
+      }
+
+      return written;
+    })();
+
+    try {
+      return await this.flushing;
+    } finally {
+      this.flushing = null;
+      if (this.buffer.length > 0) this.schedule();
+    }
+  }
+
+  /**
+   * Insert a chunk of events in bulk. When the bulk insert fails, events are retried one by one
+   * so a single bad event (e.g. of a deleted app) doesn't hold back the rest of the chunk.
+   * @param {Array<Object>} chunk - The events to write
+   * @returns {Promise<{rows: Array<Object>, failed: Array<Object>}>} The inserted rows and the events that failed
+   */
+  async write(chunk) {
+    try {
+      return { rows: await EventService.insertEvents(chunk), failed: [] };
+    } catch (error) {
+      if (chunk.length === 1) return { rows: [], failed: chunk };
+    }
+
+    const rows = [];
+    const failed = [];
+
+    for (const event of chunk) {
+      try {
+        rows.push(...(await EventService.insertEvents([event])));
+      } catch (error) {
+        failed.push(event);
+      }
+    }
+
+    return { rows, failed };
+  }
+
+  /**
+   * Put events of a failed flush back at the front of the buffer, dropping those out of retries.
+   * Events are validated before they are acknowledged, so failures should only come from the database being unavailable.
+   * @param {Array<Object>} chunk - The events that failed to be written
+   */
+  requeue(chunk) {
+    const retryable = [];
+
+    for (const event of chunk) {
+      event.attempts++;
+
+      if (event.attempts < this.maxRetries) {
+        retryable.push(event);
+      } else {
+        console.error(`❌ Dropping event ${event.id} of app ${event.appId} after ${event.attempts} failed flushes`);
+        this.dropped++;
+        this.lastDroppedAt = new Date();
+      }
+    }
+
+    this.buffer.unshift(...retryable);
+  }
+
+  /**
+   * Stop accepting events and flush everything still buffered
+   * @returns {Promise<number>} The number of events written
+   */
+  async drain() {
+    this.accepting = false;
+
+    // Failed flushes requeue their events until they run out of retries, so this ends
+    let written = 0;
+    while (this.buffer.length > 0 || this.flushing) {
+      written += await this.flush();
+    }
+
+    this.unschedule();
+    return written;
+  }
+
+  /**
+   * Number of events waiting to be written
+   */
+  get size() {
+    return this.buffer.length;
+  }
+
+  /**
+   * State of the buffer for operators
+   * @returns {{buffered: number, dropped: number, last_dropped_at: Date|null}}
+   */
+  stats() {
+    return { buffered: this.buffer.length, dropped: this.dropped, last_dropped_at: this.lastDroppedAt };
+  }
+
+  schedule() {
+    if (this.timer) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch((err) => console.error("⚠️ Error flushing events:", err.message));
+    }, this.flushIntervalMs);
+
+    // Buffered events must not keep the process alive on their own, see drain()
+    this.timer.unref();
+  }
+
+  unschedule() {
+    if (!this.timer) return;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+export const ingestionQueue = new IngestionQueue({
+  flushSize: Number(env.INGESTION_FLUSH_SIZE) || 500,
+  flushIntervalMs: Number(env.INGESTION_FLUSH_INTERVAL_MS) || 1000,
+  maxBufferSize: Number(env.INGESTION_MAX_BUFFER_SIZE) || 10000,
+  maxRetries: Number(env.INGESTION_MAX_RETRIES) || 3,
+});
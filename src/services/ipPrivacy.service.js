@@ -0,0 +1,64 @@
+import crypto from "crypto";
+import pool from "../config/database.config.js";
+import { IpUtils } from "../utils/ip-utils.js";
+
+// How IP addresses of an app are stored: verbatim, truncated, hashed with a daily salt, or not at all
+export const IP_MODES = ["full", "truncate", "hash", "drop"];
+
+export class IpPrivacyService {
+  // Salt of the current day, shared by all instances through the ip_hash_salts table
+  static salt = null;
+
+  /**
+   * Get the salt of the current (UTC) day. Salts of previous days are deleted, so hashes
+   * can't be linked across days nor reversed once the day is over.
+   * @returns {Promise<string>} The salt
+   */
+  static async getSalt() {
+    const day = new Date().toISOString().substring(0, 10);
+    if (this.salt && this.salt.day === day) return this.salt.value;
+
+    await pool.query(`INSERT INTO ip_hash_salts (day, salt) VALUES ($1, $2) ON CONFLICT (day) DO NOTHING`, [
+      day,
+      crypto.randomBytes(32).toString("hex"),
+    ]);
+
+    const result = await pool.query(`SELECT salt FROM ip_hash_salts WHERE day = $1`, [day]);
+    await pool.query(`DELETE FROM ip_hash_salts WHERE day < $1`, [day]);
+
+    this.salt = { day, value: result.rows[0].salt };
+    return this.salt.value;
+  }
+
+  /**
+   * Get the IP mode of each application
+   * @param {Array<string>} appIds - IDs of the applications
+   * @returns {Promise<Map<string, string>>} The IP mode by app ID
+   */
+  static async getIpModes(appIds) {
+    const result = await pool.query(`SELECT id, ip_mode FROM apps WHERE id = ANY($1::uuid[])`, [[...new Set(appIds)]]);
+    return new Map(result.rows.map((app) => [app.id, app.ip_mode]));
+  }
+
+  /**
+   * Apply an IP mode to an address
+   * @param {string} [ipAddress] - The address the event came from
+   * @param {string} ipMode - One of IP_MODES
+   * @param {string} [salt] - The current salt, required by the hash mode
+   * @returns {{ip_address: string|null, ip_hash: string|null}} What gets stored
+   */
+  static anonymize(ipAddress, ipMode, salt) {
+    if (!ipAddress) return { ip_address: null, ip_hash: null };
+
+    switch (ipMode) {
+      case "truncate":
+        return { ip_address: IpUtils.truncate(ipAddress), ip_hash: null };
+      case "hash":
+        return { ip_address: null, ip_hash: IpUtils.hash(ipAddress, salt) };
+      case "drop":
+        return { ip_address: null, ip_hash: null };
+      default:
+        return { ip_address: ipAddress, ip_hash: null };
+    }
+  }
+}
@@ -0,0 +1,237 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import pool from "../config/database.config.js";
+
+const MIGRATIONS_DIR = fileURLToPath(new URL("../migrations/", import.meta.url));
+
+// Migration files are named after their version and what they do, e.g. 003_app_timezones.up.sql
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Key of the advisory lock that keeps several server instances or test workers from migrating at once
+const MIGRATION_LOCK_KEY = 4827392;
+
+// Checksums of earlier versions of migrations whose comments were corrected after release. Databases
+// that applied them are the same as those applying the current files, they must not be told apart.
+const REVISED_CHECKSUMS = new Map([
+  ["009_partition_events", ["58c32456bf2c92b0970dd078b56f58081bf17b6bab6e6f25166aab72e5770a44"]],
+]);
+
+export class MigrationService {
+  /**
+   * Read the migrations of a directory, each one made of an up and a down file
+   * @param {string} [dir] - Directory of the migration files
+   * @returns {Promise<Array<{version: number, name: string, up: string, down: string, checksum: string}>>}
+   * The migrations, oldest first
+   */
+  static async loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = new Map();
+
+    for (const file of await fs.readdir(dir)) {
+      const match = MIGRATION_FILE.exec(file);
+      if (!match) continue;
+
+      const [, version, name, direction] = match;
+      const migration = migrations.get(Number(version)) || { version: Number(version), name };
+
+      if (migration.name !== name) {
+        throw new Error(`Migration ${version} has files with different names`);
+      }
+
+      migration[direction] = await fs.readFile(path.join(dir, file), "utf8");
+      migrations.set(migration.version, migration);
+    }
+
+    return [...migrations.values()]
+      .map((migration) => {
+        if (migration.up === undefined || migration.down === undefined) {
+          throw new Error(`Migration ${this.label(migration)} needs both an up and a down file`);
+        }
+
+        return { ...migration, checksum: crypto.createHash("sha256").update(migration.up).digest("hex") };
+      })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Apply the pending migrations, each one in its own transaction
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Directory of the migration files
+   * @param {number} [options.to] - Last version to apply, all of them by default
+   * @returns {Promise<Array<{version: number, name: string}>>} The migrations applied
+   */
+  static async migrate({ dir, to = Infinity } = {}) {
+    const migrations = await this.loadMigrations(dir);
+
+    return this.withLock(async (client) => {
+      const applied = await this.getApplied(client);
+      const done = [];
+
+      for (const migration of migrations) {
+        const record = applied.get(migration.version);
+
+        if (record) {
+          // A migration changed once applied would leave databases migrated before and after it different
+          if (!this.isUnchanged(record, migration)) {
+            throw new Error(`Migration ${this.label(migration)} was modified after being applied`);
+          }
+          continue;
+        }
+
+        if (migration.version > to) break;
+
+        await this.run(client, migration.up, {
+          text: `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`,
+          values: [migration.version, migration.name, migration.checksum],
+        });
+
+        done.push({ version: migration.version, name: migration.name });
+      }
+
+      return done;
+    });
+  }
+
+  /**
+   * Revert the last applied migrations, latest first
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Directory of the migration files
+   * @param {number} [options.steps] - Number of migrations to revert
+   * @returns {Promise<Array<{version: number, name: string}>>} The migrations reverted
+   */
+  static async rollback({ dir, steps = 1 } = {}) {
+    const migrations = new Map((await this.loadMigrations(dir)).map((migration) => [migration.version, migration]));
+
+    return this.withLock(async (client) => {
+      const applied = [...(await this.getApplied(client)).values()].reverse().slice(0, steps);
+      const done = [];
+
+      for (const record of applied) {
+        const migration = migrations.get(record.version);
+
+        if (!migration) {
+          throw new Error(`Migration ${this.label(record)} is applied but its files are missing`);
+        }
+
+        await this.run(client, migration.down, {
+          text: `DELETE FROM schema_migrations WHERE version = $1`,
+          values: [migration.version],
+        });
+
+        done.push({ version: migration.version, name: migration.name });
+      }
+
+      return done;
+    });
+  }
+
+  /**
+   * Compare the migration files with the migrations applied to the database
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Directory of the migration files
+   * @returns {Promise<Array<Object>>} Each migration with its state: applied, pending,
+   * modified (changed once applied) or missing (applied but its files are gone)
+   */
+  static async status({ dir } = {}) {
+    const migrations = await this.loadMigrations(dir);
+
+    return this.withLock(async (client) => {
+      const applied = await this.getApplied(client);
+      const versions = [...new Set([...migrations.map(({ version }) => version), ...applied.keys()])].sort((a, b) => a - b);
+
+      return versions.map((version) => {
+        const migration = migrations.find((m) => m.version === version);
+        const record = applied.get(version);
+
+        let state = "pending";
+        if (record && !migration) state = "missing";
+        else if (record) state = this.isUnchanged(record, migration) ? "applied" : "modified";
+
+        return {
+          version,
+          name: (migration || record).name,
+          state,
+          applied_at: record ? record.applied_at : null,
+        };
+      });
+    });
+  }
+
+  /**
+   * Run a migration file and record it in the same transaction, so a failing migration leaves no trace
+   * @param {import("pg").PoolClient} client - Client holding the migration lock
+   * @param {string} sql - Content of the migration file
+   * @param {{text: string, values: Array}} record - Query recording the migration in schema_migrations
+   */
+  static async run(client, sql, record) {
+    try {
+      await client.query("BEGIN");
+      await client.query(sql);
+      await client.query(record);
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    }
+  }
+
+  /**
+   * Get the applied migrations
+   * @param {import("pg").PoolClient} client - Client holding the migration lock
+   * @returns {Promise<Map<number, Object>>} The migration records by version, oldest first
+   */
+  static async getApplied(client) {
+    const result = await client.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`);
+    return new Map(result.rows.map((row) => [row.version, row]));
+  }
+
+  /**
+   * Run a function holding the migration lock, after creating the schema_migrations table if needed.
+   * Other callers wait for the lock rather than skipping, they need the schema up to date.
+   * @param {function(import("pg").PoolClient): Promise<*>} fn - The function, given the client holding the lock
+   * @returns {Promise<*>} What the function returns
+   */
+  static async withLock(fn) {
+    const client = await pool.connect();
+
+    try {
+      await client.query(`SELECT pg_advisory_lock($1)`, [MIGRATION_LOCK_KEY]);
+
+      try {
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum VARCHAR(64) NOT NULL,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )
+        `);
+
+        return await fn(client);
+      } finally {
+        await client.query(`SELECT pg_advisory_unlock($1)`, [MIGRATION_LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Check an applied migration still has the content it was applied with
+   * @param {{checksum: string}} record - Row of the migration in schema_migrations
+   * @param {{version: number, name: string, checksum: string}} migration - The migration as loaded from its files
+   * @returns {boolean} Whether the migration is unchanged, revisions of its comments aside (see REVISED_CHECKSUMS)
+   */
+  static isUnchanged(record, migration) {
+    return record.checksum === migration.checksum || (REVISED_CHECKSUMS.get(this.label(migration)) || []).includes(record.checksum);
+  }
+
+  /**
+   * @param {{version: number, name: string}} migration
+   * @returns {string} The migration as its files are named, e.g. 003_app_timezones
+   */
+  static label({ version, name }) {
+    return `${String(version).padStart(3, "0")}_${name}`;
+  }
+}
@@ -0,0 +1,482 @@
+import crypto from "crypto";
+import pool from "../config/database.config.js";
+import { env } from "../config/env.config.js";
+
+// Roles of organization members, from the least to the most privileged. Each role can do what the previous ones can:
+// viewers read aggregated analytics, analysts also read personal data (user stats, retention status),
+// admins manage apps, keys and members, owners also manage owners
+export const ORG_ROLES = ["viewer", "analyst", "admin", "owner"];
+
+// How long an invitation can be accepted
+export const INVITATION_TTL_DAYS = Number(env.ORG_INVITATION_TTL_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+export class OrganizationService {
+  /**
+   * Tell whether a role includes another one
+   * @param {string} role - Role of the member
+   * @param {string} required - Least privileged role allowed
+   * @returns {boolean} Whether the member has the required role or a more privileged one
+   */
+  static hasRole(role, required) {
+    return ORG_ROLES.indexOf(role) >= ORG_ROLES.indexOf(required);
+  }
+
+  /**
+   * Throw unless a role includes the required one
+   * @param {string} role - Role of the member
+   * @param {string} required - Least privileged role allowed
+   */
+  static assertRole(role, required) {
+    if (!this.hasRole(role, required)) {
+      throw new Error(`Insufficient role: ${role} members can't do this, ${required} role or above required`);
+    }
+  }
+
+  /**
+   * Get the personal organization of a user, creating it the first time
+   * @param {string} userId - ID of the user
+   * @param {Object} [options]
+   * @param {import("pg").Pool|import("pg").PoolClient} [options.db] - The pool, or the client of the current transaction
+   * @returns {Promise<string>} ID of the organization
+   */
+  static async ensurePersonalOrg(userId, { db = pool } = {}) {
+    const existing = await db.query(`SELECT id FROM organizations WHERE personal_for = $1`, [userId]);
+    if (existing.rows.length > 0) return existing.rows[0].id;
+
+    // Two first registrations of the user may race, the second one uses the organization of the first
+    const created = await db.query(
+      `INSERT INTO organizations (name, personal_for) VALUES ('Personal', $1)
+       ON CONFLICT (personal_for) DO UPDATE SET updated_at = organizations.updated_at
+       RETURNING id`,
+      [userId]
+    );
+    const orgId = created.rows[0].id;
+
+    await db.query(`INSERT INTO organization_members (org_id, user_id, role) VALUES ($1, $2, 'owner') ON CONFLICT DO NOTHING`, [
+      orgId,
+      userId,
+    ]);
+
+    return orgId;
+  }
+
+  /**
+   * Check a user is a member of an organization with at least the given role
+   * @param {string} orgId - ID of the organization
+   * @param {string} userId - ID of the user
+   * @param {string} required - Least privileged role allowed, see ORG_ROLES
+   * @param {Object} [options]
+   * @param {import("pg").Pool|import("pg").PoolClient} [options.db] - The pool, or the client of the current transaction
+   * @returns {Promise<string>} The role of the user
+   */
+  static async checkOrgRole(orgId, userId, required, { db = pool } = {}) {
+    const result = await db.query(`SELECT role FROM organization_members WHERE org_id = $1 AND user_id = $2`, [orgId, userId]);
+
+    // Organizations of others are reported as not found, not to tell they exist
+    if (result.rows.length === 0) {
+      throw new Error("Organization not found or unauthorized");
+    }
+
+    this.assertRole(result.rows[0].role, required);
+
+    return result.rows[0].role;
+  }
+
+  /**
+   * Check a user is a member of the organization of an application with at least the given role
+   * @param {string} appId - ID of the application
+   * @param {string} userId - ID of the user
+   * @param {string} required - Least privileged role allowed, see ORG_ROLES
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted] - Accept deleted applications, to restore them
+   * @param {import("pg").Pool|import("pg").PoolClient} [options.db] - The pool, or the client of the current transaction
+   * @returns {Promise<string>} The role of the user
+   */
+  static async checkAppRole(appId, userId, required, { includeDeleted = false, db = pool } = {}) {
+    const result = await db.query(
+      `SELECT m.role
+       FROM apps a
+       JOIN organization_members m ON m.org_id = a.org_id AND m.user_id = $2
+       WHERE a.id = $1 AND ($3 OR a.deleted_at IS NULL)`,
+      [appId, userId, includeDeleted]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error("App not found or unauthorized");
+    }
+
+    this.assertRole(result.rows[0].role, required);
+
+    return result.rows[0].role;
+  }
+
+  /**
+   * Get an application along with the role a user has in its organization, for requests authenticated with a session token
+   * @param {string} appId - ID of the application
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object|null>} The application and the role, null if the user isn't a member or the app was deleted
+   */
+  static async getAppMembership(appId, userId) {
+    const result = await pool.query(
+      `SELECT a.id AS app_id, a.app_name, a.user_id, a.allowed_origins, a.events_per_minute, a.monthly_event_quota,
+        a.analytics_queries_per_minute, m.role
+       FROM apps a
+       JOIN organization_members m ON m.org_id = a.org_id AND m.user_id = $2
+       WHERE a.id = $1 AND a.deleted_at IS NULL`,
+      [appId, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create an organization, the user creating it is its owner
+   * @param {string} name - Name of the organization
+   * @param {string} userId - ID of the user creating it
+   * @returns {Promise<Object>} The organization
+   */
+  static async createOrganization(name, userId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(`INSERT INTO organizations (name) VALUES ($1) RETURNING id, name, created_at`, [name]);
+      const org = result.rows[0];
+
+      await client.query(`INSERT INTO organization_members (org_id, user_id, role) VALUES ($1, $2, 'owner')`, [org.id, userId]);
+
+      await client.query("COMMIT");
+
+      return { org_id: org.id, name: org.name, personal: false, role: "owner", created_at: org.created_at };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List the organizations a user is a member of
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Array<Object>>} The organizations with the role of the user, personal one first
+   */
+  static async listOrganizations(userId) {
+    const result = await pool.query(
+      `SELECT
+        o.id AS org_id,
+        o.name,
+        o.personal_for IS NOT NULL AS personal,
+        m.role,
+        (SELECT COUNT(*)::int FROM organization_members om WHERE om.org_id = o.id) AS members,
+        (SELECT COUNT(*)::int FROM apps a WHERE a.org_id = o.id AND a.deleted_at IS NULL) AS apps,
+        o.created_at
+       FROM organization_members m
+       JOIN organizations o ON o.id = m.org_id
+       WHERE m.user_id = $1
+       ORDER BY o.personal_for IS NULL, o.created_at`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * List the members of an organization
+   * @param {string} orgId - ID of the organization
+   * @param {string} userId - ID of the user asking, any member can
+   * @returns {Promise<Array<Object>>} The members with their email when they have an account, oldest first
+   */
+  static async listMembers(orgId, userId) {
+    await this.checkOrgRole(orgId, userId, "viewer");
+
+    const result = await pool.query(
+      `SELECT m.user_id, o.email, m.role, m.created_at
+       FROM organization_members m
+       LEFT JOIN owners o ON o.id::text = m.user_id
+       WHERE m.org_id = $1
+       ORDER BY m.created_at`,
+      [orgId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Lock the members of an organization and check a change leaves it at least one owner
+   * @param {import("pg").PoolClient} client - Client of the current transaction
+   * @param {string} orgId - ID of the organization
+   * @param {string} memberId - ID of the member losing the owner role
+   */
+  static async assertOtherOwner(client, orgId, memberId) {
+    const owners = await client.query(`SELECT user_id FROM organization_members WHERE org_id = $1 AND role = 'owner' FOR UPDATE`, [orgId]);
+
+    if (!owners.rows.some(({ user_id }) => user_id !== memberId)) {
+      throw new Error("An organization needs at least one owner, make another member owner first");
+    }
+  }
+
+  /**
+   * Change the role of a member. Admins manage the other roles, only owners grant or take the owner role.
+   * @param {string} orgId - ID of the organization
+   * @param {string} userId - ID of the user changing the role
+   * @param {string} memberId - ID of the member whose role changes
+   * @param {string} role - New role of the member, see ORG_ROLES
+   * @returns {Promise<Object>} The member with the new role
+   */
+  static async updateMemberRole(orgId, userId, memberId, role) {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const userRole = await this.checkOrgRole(orgId, userId, "admin", { db: client });
+
+      const member = await client.query(`SELECT role FROM organization_members WHERE org_id = $1 AND user_id = $2`, [orgId, memberId]);
+
+      if (member.rows.length === 0) {
+        throw new Error("Member not found");
+      }
+
+      if (member.rows[0].role === "owner" || role === "owner") {
+        this.assertRole(userRole, "owner");
+      }
+
+      if (member.rows[0].role === "owner" && role !== "owner") {
+        await this.assertOtherOwner(client, orgId, memberId);
+      }
+
+      const result = await client.query(
+        `UPDATE organization_members SET role = $3, updated_at = NOW()
+         WHERE org_id = $1 AND user_id = $2
+         RETURNING user_id, role, updated_at`,
+        [orgId, memberId, role]
+      );
+
+      await client.query("COMMIT");
+
+      return { org_id: orgId, ...result.rows[0] };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Remove a member from an organization. Members can leave, the last owner can't.
+   * @param {string} orgId - ID of the organization
+   * @param {string} userId - ID of the user removing the member
+   * @param {string} memberId - ID of the member to remove
+   * @returns {Promise<Object>} The removed member
+   */
+  static async removeMember(orgId, userId, memberId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const userRole = await this.checkOrgRole(orgId, userId, "viewer", { db: client });
+
+      const member = await client.query(`SELECT role FROM organization_members WHERE org_id = $1 AND user_id = $2`, [orgId, memberId]);
+
+      if (member.rows.length === 0) {
+        throw new Error("Member not found");
+      }
+
+      if (memberId !== userId) {
+        this.assertRole(userRole, member.rows[0].role === "owner" ? "owner" : "admin");
+      }
+
+      if (member.rows[0].role === "owner") {
+        await this.assertOtherOwner(client, orgId, memberId);
+      }
+
+      await client.query(`DELETE FROM organization_members WHERE org_id = $1 AND user_id = $2`, [orgId, memberId]);
+
+      await client.query("COMMIT");
+
+      return { org_id: orgId, user_id: memberId, role: member.rows[0].role };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Invite someone to an organization. The token is only returned here, the inviting member shares it with the invitee.
+   * Pending invitations of the same email are replaced.
+   * @param {string} orgId - ID of the organization
+   * @param {string} userId - ID of the user inviting, admins can, only owners invite owners
+   * @param {Object} invitation
+   * @param {string} invitation.email - Email of the account that can accept the invitation
+   * @param {string} invitation.role - Role given on acceptance, see ORG_ROLES
+   * @returns {Promise<Object>} The invitation along with its token
+   */
+  static async createInvitation(orgId, userId, { email, role }) {
+    const userRole = await this.checkOrgRole(orgId, userId, "admin");
+    if (role === "owner") this.assertRole(userRole, "owner");
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const member = await pool.query(
+      `SELECT 1 FROM organization_members m JOIN owners o ON o.id::text = m.user_id
+       WHERE m.org_id = $1 AND LOWER(o.email) = $2`,
+      [orgId, normalizedEmail]
+    );
+
+    if (member.rows.length > 0) {
+      throw new Error("This email is already a member of the organization");
+    }
+
+    const token = `inv_${crypto.randomBytes(24).toString("base64url")}`;
+
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      await client.query(`DELETE FROM organization_invitations WHERE org_id = $1 AND email = $2 AND accepted_at IS NULL`, [
+        orgId,
+        normalizedEmail,
+      ]);
+
+      const result = await client.query(
+        `INSERT INTO organization_invitations (org_id, email, role, token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+         RETURNING id, email, role, expires_at, created_at`,
+        [orgId, normalizedEmail, role, hashToken(token), userId, INVITATION_TTL_DAYS]
+      );
+
+      await client.query("COMMIT");
+
+      const invitation = result.rows[0];
+
+      return {
+        invitation_id: invitation.id,
+        org_id: orgId,
+        email: invitation.email,
+        role: invitation.role,
+        token, // Only shown once
+        expires_at: invitation.expires_at,
+        created_at: invitation.created_at,
+      };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List the invitations of an organization that can still be accepted
+   * @param {string} orgId - ID of the organization
+   * @param {string} userId - ID of the user asking, admins can
+   * @returns {Promise<Array<Object>>} The invitations, newest first
+   */
+  static async listInvitations(orgId, userId) {
+    await this.checkOrgRole(orgId, userId, "admin");
+
+    const result = await pool.query(
+      `SELECT id AS invitation_id, email, role, invited_by, expires_at, created_at
+       FROM organization_invitations
+       WHERE org_id = $1 AND accepted_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC`,
+      [orgId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Revoke an invitation that wasn't accepted yet
+   * @param {string} orgId - ID of the organization
+   * @param {string} userId - ID of the user revoking, admins can
+   * @param {string} invitationId - ID of the invitation
+   * @returns {Promise<Object>} The revoked invitation
+   */
+  static async revokeInvitation(orgId, userId, invitationId) {
+    await this.checkOrgRole(orgId, userId, "admin");
+
+    const result = await pool.query(
+      `DELETE FROM organization_invitations
+       WHERE id = $1 AND org_id = $2 AND accepted_at IS NULL
+       RETURNING id AS invitation_id, email, role`,
+      [invitationId, orgId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error("Invitation not found or already accepted");
+    }
+
+    return { org_id: orgId, ...result.rows[0] };
+  }
+
+  /**
+   * Accept an invitation, the user joins the organization with the role of the invitation
+   * @param {string} token - Token of the invitation
+   * @param {string} userId - ID of the user accepting
+   * @param {string} email - Email of the account of the user, must be the invited one
+   * @returns {Promise<Object>} The organization joined and the role of the user
+   */
+  static async acceptInvitation(token, userId, email) {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        `SELECT i.id, i.org_id, i.email, i.role, i.expires_at <= NOW() AS expired, o.name
+         FROM organization_invitations i
+         JOIN organizations o ON o.id = i.org_id
+         WHERE i.token_hash = $1 AND i.accepted_at IS NULL
+         FOR UPDATE OF i`,
+        [hashToken(token)]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error("Invitation not found or already accepted");
+      }
+
+      const invitation = result.rows[0];
+
+      // A leaked token is useless to anyone but the invitee
+      if (invitation.email !== email.trim().toLowerCase()) {
+        throw new Error("Invitation was sent to another email");
+      }
+
+      if (invitation.expired) {
+        throw new Error("Invitation has expired, ask for a new one");
+      }
+
+      const member = await client.query(
+        `INSERT INTO organization_members (org_id, user_id, role) VALUES ($1, $2, $3)
+         ON CONFLICT (org_id, user_id) DO NOTHING
+         RETURNING created_at`,
+        [invitation.org_id, userId, invitation.role]
+      );
+
+      if (member.rows.length === 0) {
+        throw new Error("You are already a member of the organization");
+      }
+
+      await client.query(`UPDATE organization_invitations SET accepted_at = NOW(), accepted_by = $2 WHERE id = $1`, [invitation.id, userId]);
+
+      await client.query("COMMIT");
+
+      return { org_id: invitation.org_id, name: invitation.name, role: invitation.role, joined_at: member.rows[0].created_at };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
@@ -0,0 +1,79 @@
+import pool from "../config/database.config.js";
+import { OriginUtils } from "../utils/origin-utils.js";
+import { OrganizationService } from "./organization.service.js";
+
+// Preflights are frequent and carry no API key, whether an origin is allowed by some app is cached a while
+const KNOWN_ORIGIN_TTL_MS = 60 * 1000;
+const KNOWN_ORIGIN_CACHE_SIZE = 10000;
+
+export class OriginService {
+  static knownOrigins = new Map();
+
+  /**
+   * Replace the origins browsers may send events of an application from
+   * @param {string} appId - ID of the application
+   * @param {string} userId - ID of the user managing the application
+   * @param {Array<string>} origins - Origins or wildcard patterns, see OriginUtils.isValidPattern(),
+   * an empty list only accepts events sent without origin (e.g. from servers)
+   * @returns {Promise<Object>} The application with its new allowed origins
+   */
+  static async updateAllowedOrigins(appId, userId, origins) {
+    const patterns = [...new Set(origins.map((origin) => origin.trim().toLowerCase()))];
+
+    await OrganizationService.checkAppRole(appId, userId, "admin");
+
+    const result = await pool.query(
+      `UPDATE apps
+       SET allowed_origins = $2, updated_at = NOW()
+       WHERE id = $1
+       RETURNING id, allowed_origins, updated_at`,
+      [appId, patterns]
+    );
+
+    this.knownOrigins.clear();
+
+    return {
+      app_id: result.rows[0].id,
+      allowed_origins: result.rows[0].allowed_origins,
+      updated_at: result.rows[0].updated_at,
+    };
+  }
+
+  /**
+   * Check whether an origin is allowed by a list of allowed origins
+   * @param {string} origin - A normalized origin
+   * @param {Array<string>} allowedOrigins - Allowed origins of an application
+   * @returns {boolean} True if one of them covers the origin
+   */
+  static isAllowed(origin, allowedOrigins) {
+    return allowedOrigins.some((pattern) => OriginUtils.matches(origin, pattern));
+  }
+
+  /**
+   * Check whether at least one application allows an origin. Preflights don't say which app the
+   * request is for, the request itself is then checked against the origins of its app.
+   * @param {string} origin - A normalized origin
+   * @returns {Promise<boolean>} True if an application allows the origin
+   */
+  static async isKnownOrigin(origin) {
+    const cached = this.knownOrigins.get(origin);
+    if (cached && cached.expiresAt > Date.now()) return cached.allowed;
+
+    // Wildcard patterns become LIKE patterns, https://*.example.com matches https://%.example.com
+    const result = await pool.query(
+      `SELECT EXISTS (SELECT 1 FROM apps WHERE allowed_origins @> ARRAY[$1] AND deleted_at IS NULL) OR EXISTS (
+         SELECT 1
+         FROM apps, unnest(allowed_origins) AS pattern
+         WHERE deleted_at IS NULL AND pattern LIKE '%*%' AND $1 LIKE replace(replace(pattern, '_', '\\_'), '*', '%')
+       ) AS allowed`,
+      [origin]
+    );
+
+    const { allowed } = result.rows[0];
+
+    if (this.knownOrigins.size >= KNOWN_ORIGIN_CACHE_SIZE) this.knownOrigins.clear();
+    this.knownOrigins.set(origin, { allowed, expiresAt: Date.now() + KNOWN_ORIGIN_TTL_MS });
+
+    return allowed;
+  }
+}
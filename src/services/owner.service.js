@@ -0,0 +1,115 @@
+import crypto from "crypto";
+import pool from "../config/database.config.js";
+import { env } from "../config/env.config.js";
+import { PasswordUtils } from "../utils/password-utils.js";
+import { TokenUtils } from "../utils/token-utils.js";
+import { OrganizationService } from "./organization.service.js";
+
+const TOKEN_TTL_SECONDS = Number(env.AUTH_TOKEN_TTL_SECONDS) || 12 * 60 * 60;
+
+// Tokens signed with a secret generated at startup stop working on restart, and across instances
+if (!env.AUTH_TOKEN_SECRET && env.NODE_ENV === "production") {
+  throw new Error("AUTH_TOKEN_SECRET must be set in production");
+}
+if (!env.AUTH_TOKEN_SECRET && env.NODE_ENV !== "test") {
+  console.warn("⚠️ AUTH_TOKEN_SECRET is not set, owner tokens will not survive a restart");
+}
+const TOKEN_SECRET = env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+
+// Verified when the email is unknown, so that login takes as long whether the account exists or not
+const unknownOwnerHash = PasswordUtils.hashPassword(crypto.randomBytes(16).toString("hex"));
+
+export class OwnerService {
+  /**
+   * Create an owner account, along with its personal organization
+   * @param {string} email - Email of the owner, used to log in
+   * @param {string} password - Password of the owner
+   * @returns {Promise<Object>} The owner along with a session token
+   */
+  static async signup(email, password) {
+    const passwordHash = await PasswordUtils.hashPassword(password);
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        `INSERT INTO owners (email, password_hash)
+         VALUES ($1, $2)
+         RETURNING id, email, created_at`,
+        [email.trim().toLowerCase(), passwordHash]
+      );
+
+      // No account without its organization, apps are registered there
+      await OrganizationService.ensurePersonalOrg(result.rows[0].id, { db: client });
+
+      await client.query("COMMIT");
+
+      return this.startSession(result.rows[0]);
+    } catch (error) {
+      await client.query("ROLLBACK");
+
+      // unique_violation of idx_owners_email
+      if (error.code === "23505") {
+        throw new Error("An account with this email already exists");
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Log an owner in
+   * @param {string} email - Email of the owner
+   * @param {string} password - Password of the owner
+   * @returns {Promise<Object>} The owner along with a session token
+   */
+  static async login(email, password) {
+    const result = await pool.query(`SELECT id, email, password_hash, created_at FROM owners WHERE LOWER(email) = $1`, [
+      email.trim().toLowerCase(),
+    ]);
+
+    const owner = result.rows[0];
+    const isValid = await PasswordUtils.verifyPassword(password, owner ? owner.password_hash : await unknownOwnerHash);
+
+    // Same error for both, not to tell which emails have an account
+    if (!owner || !isValid) {
+      throw new Error("Invalid email or password");
+    }
+
+    return this.startSession(owner);
+  }
+
+  /**
+   * Issue a session token for an owner
+   * @param {Object} owner - The owner, with its id, email and created_at
+   * @returns {Object} The owner along with the token and when it expires
+   */
+  static startSession(owner) {
+    const { token, expiresAt } = TokenUtils.signToken({ sub: owner.id, email: owner.email }, TOKEN_SECRET, TOKEN_TTL_SECONDS);
+
+    return {
+      owner_id: owner.id,
+      email: owner.email,
+      created_at: owner.created_at,
+      token,
+      token_type: "Bearer",
+      expires_at: expiresAt,
+    };
+  }
+
+  /**
+   * Check a session token, without database lookup
+   * @param {string} token - The token
+   * @returns {{status: string, owner: Object|null}} The status of the token (valid, invalid or expired)
+   * and, if valid, the owner it was issued to
+   */
+  static verifySession(token) {
+    const { status, claims } = TokenUtils.verifyToken(token, TOKEN_SECRET);
+
+    if (status !== "valid") return { status, owner: null };
+
+    return { status, owner: { id: claims.sub, email: claims.email } };
+  }
+}
@@ -0,0 +1,274 @@
+import pool from "../config/database.config.js";
+import { env } from "../config/env.config.js";
+
+// Month partitions of the events table are named after their month, e.g. events_y2025m02
+const PARTITION_NAME = /^events_y(\d{4})m(\d{2})$/;
+
+// Key of the advisory lock that keeps several server instances from creating the same partitions. Follows
+// PURGE_LOCK_KEY (4827391) of RetentionService and MIGRATION_LOCK_KEY (4827392) of MigrationService.
+export const PARTITION_LOCK_KEY = 4827393;
+
+export class PartitionService {
+  /**
+   * Get the name and bounds of the partition of a month
+   * @param {Date} month - Any moment of the month, in UTC
+   * @returns {{name: string, from: string, to: string}} The partition, bounds are UTC and the upper one exclusive
+   */
+  static getMonthPartition(month) {
+    const year = month.getUTCFullYear();
+    const index = month.getUTCMonth();
+    const from = new Date(Date.UTC(year, index, 1));
+    const to = new Date(Date.UTC(year, index + 1, 1));
+
+    return {
+      name: `events_y${year}m${String(index + 1).padStart(2, "0")}`,
+      from: from.toISOString(),
+      to: to.toISOString(),
+    };
+  }
+
+  /**
+   * List the month partitions of the events table, oldest first
+   * @returns {Promise<Array<{name: string, from: string, to: string}>>} The partitions
+   */
+  static async listPartitions() {
+    const result = await pool.query(
+      `SELECT c.relname AS name
+       FROM pg_inherits i
+       JOIN pg_class c ON c.oid = i.inhrelid
+       WHERE i.inhparent = 'events'::regclass`
+    );
+
+    return result.rows
+      .map(({ name }) => PARTITION_NAME.exec(name))
+      .filter(Boolean)
+      .map(([, year, month]) => this.getMonthPartition(new Date(Date.UTC(Number(year), Number(month) - 1, 1))))
+      .sort((a, b) => a.from.localeCompare(b.from));
+  }
+
+  /**
+   * Create the partitions of the current month and of the next ones, plus those of months
+   * having events in the default partition (e.g. events with a timestamp far in the past)
+   * @param {number} monthsAhead - Number of months after the current one to create ahead of time
+   * @returns {Promise<Array<string>>} The names of the partitions created
+   */
+  static async ensurePartitions(monthsAhead) {
+    const now = new Date();
+    const months = [];
+
+    for (let offset = 0; offset <= monthsAhead; offset++) {
+      months.push(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1)));
+    }
+
+    const stray = await pool.query(
+      `SELECT DISTINCT date_trunc('month', timestamp AT TIME ZONE 'UTC')::text AS month FROM events_default`
+    );
+    months.push(...stray.rows.map(({ month }) => new Date(`${month.replace(" ", "T")}Z`)));
+
+    const existing = new Set((await this.listPartitions()).map(({ name }) => name));
+    const created = [];
+
+    for (const month of months) {
+      const partition = this.getMonthPartition(month);
+      if (existing.has(partition.name)) continue;
+
+      await this.createPartition(partition);
+      existing.add(partition.name);
+      created.push(partition.name);
+    }
+
+    return created;
+  }
+
+  /**
+   * Create the missing partitions, see ensurePartitions(), unless another server instance is already at it
+   * @param {number} monthsAhead - Number of months after the current one to create ahead of time
+   * @returns {Promise<Array<string>|null>} The names of the partitions created, null if another instance holds the lock
+   */
+  static async maintainPartitions(monthsAhead) {
+    const client = await pool.connect();
+
+    try {
+      const lock = await client.query(`SELECT pg_try_advisory_lock($1) AS locked`, [PARTITION_LOCK_KEY]);
+      if (!lock.rows[0].locked) return null;
+
+      try {
+        const created = await this.ensurePartitions(monthsAhead);
+        if (created.length > 0) console.log(`🗂️ Created event partitions: ${created.join(", ")}`);
+
+        return created;
+      } finally {
+        await client.query(`SELECT pg_advisory_unlock($1)`, [PARTITION_LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Create the partition of a month. Events of that month waiting in the default
+   * partition are moved into it, Postgres refuses to create it otherwise.
+   * @param {{name: string, from: string, to: string}} partition - See getMonthPartition()
+   */
+  static async createPartition({ name, from, to }) {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      await client.query(`CREATE TEMP TABLE events_moving (LIKE events) ON COMMIT DROP`);
+      await client.query(
+        `WITH moved AS (
+          DELETE FROM events_default WHERE timestamp >= $1 AND timestamp < $2 RETURNING *
+        )
+        INSERT INTO events_moving SELECT * FROM moved`,
+        [from, to]
+      );
+
+      // Bounds come from getMonthPartition(), DDL doesn't take parameters
+      await client.query(`CREATE TABLE ${name} PARTITION OF events FOR VALUES FROM ('${from}') TO ('${to}')`);
+      await client.query(`INSERT INTO events SELECT * FROM events_moving`);
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Drop past month partitions none of whose events are still within the raw retention of their app.
+   * Apps without raw retention keep their events forever, so do the partitions holding them.
+   * @returns {Promise<Array<{name: string, events: Map<string, number>}>>} The partitions dropped,
+   * with the number of events they held per app ID
+   */
+  static async dropExpiredPartitions() {
+    const now = new Date().toISOString();
+    const dropped = [];
+
+    for (const { name, to } of await this.listPartitions()) {
+      if (to > now) continue;
+
+      const retained = await pool.query(
+        `SELECT EXISTS (
+          SELECT 1
+          FROM apps a
+          WHERE EXISTS (
+            SELECT 1 FROM ${name} e
+            WHERE e.app_id = a.id
+              AND (a.raw_retention_days IS NULL OR e.timestamp >= NOW() - make_interval(days => a.raw_retention_days))
+          )
+        ) AS retained`
+      );
+
+      if (retained.rows[0].retained) continue;
+
+      dropped.push({ name, events: await this.dropPartition(name) });
+    }
+
+    return dropped;
+  }
+
+  /**
+   * Detach a partition from the events table and drop it
+   * @param {string} name - Name of the partition, as listed by listPartitions()
+   * @returns {Promise<Map<string, number>>} The number of events the partition held per app ID
+   */
+  static async dropPartition(name) {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await client.query(`ALTER TABLE events DETACH PARTITION ${name}`);
+
+      // Counted once detached, no event can be written to it anymore
+      const counts = await client.query(`SELECT app_id, COUNT(*)::int AS count FROM ${name} GROUP BY app_id`);
+
+      await client.query(`DROP TABLE ${name}`);
+      await client.query("COMMIT");
+
+      return new Map(counts.rows.map(({ app_id, count }) => [app_id, count]));
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+/**
+ * Background job creating event partitions ahead of time, inside the server process.
+ * It runs apart from the purge job, so disabling purges doesn't leave new months without partition.
+ */
+export class PartitionJob {
+  /**
+   * @param {Object} options
+   * @param {number} options.intervalMs - Time between two runs after the one at start, 0 only runs at start
+   * @param {number} options.monthsAhead - Number of month partitions created ahead of the current month
+   */
+  constructor({ intervalMs, monthsAhead }) {
+    this.intervalMs = intervalMs;
+    this.monthsAhead = monthsAhead;
+
+    this.timer = null;
+    this.running = null;
+    this.lastRunAt = null;
+  }
+
+  /**
+   * Run now, then at every interval
+   */
+  start() {
+    if (this.timer) return;
+
+    const run = () => this.run().catch((err) => console.error("⚠️ Error creating event partitions:", err.message));
+    run();
+
+    if (!this.intervalMs) return;
+
+    this.timer = setInterval(run, this.intervalMs);
+
+    // The job must not keep the process alive on its own
+    this.timer.unref();
+  }
+
+  /**
+   * Create the missing partitions now, callers wait for the run in progress if there is one
+   * @returns {Promise<Array<string>|null>} See PartitionService.maintainPartitions()
+   */
+  async run() {
+    if (this.running) return this.running;
+
+    this.running = PartitionService.maintainPartitions(this.monthsAhead);
+
+    try {
+      const created = await this.running;
+      this.lastRunAt = new Date();
+      return created;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  /**
+   * Stop scheduling runs and wait for the one in progress
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.running) {
+      await this.running.catch(() => {});
+    }
+  }
+}
+
+export const partitionJob = new PartitionJob({
+  intervalMs: Number(env.PARTITION_INTERVAL_MS),
+  monthsAhead: Number(env.PARTITION_MONTHS_AHEAD) || 3,
+});
@@ -0,0 +1,233 @@
+import pool from "../config/database.config.js";
+import { env } from "../config/env.config.js";
+import { OrganizationService } from "./organization.service.js";
+
+// Limits of apps that don't set their own
+export const DEFAULT_LIMITS = {
+  events_per_minute: Number(env.APP_EVENTS_PER_MINUTE) || 6000,
+  monthly_event_quota: Number(env.APP_MONTHLY_EVENT_QUOTA) || 10000000,
+  analytics_queries_per_minute: Number(env.APP_ANALYTICS_QUERIES_PER_MINUTE) || 60,
+};
+
+// Highest limits an app can set
+export const MAX_LIMITS = {
+  events_per_minute: 1000000,
+  monthly_event_quota: 1000000000000,
+  analytics_queries_per_minute: 10000,
+};
+
+/**
+ * Seconds until the start of the next calendar month, in UTC
+ * @param {Date} now
+ * @returns {number}
+ */
+const secondsUntilNextMonth = (now) => {
+  const nextMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((nextMonth - now.getTime()) / 1000);
+};
+
+export class QuotaService {
+  /**
+   * Resolve the limits of an application, falling back to the defaults of the server
+   * @param {Object} app - Row of the application, with its events_per_minute, monthly_event_quota
+   * and analytics_queries_per_minute columns
+   * @returns {{events_per_minute: number, monthly_event_quota: number, analytics_queries_per_minute: number}}
+   */
+  static resolveLimits(app) {
+    return {
+      events_per_minute: app.events_per_minute ?? DEFAULT_LIMITS.events_per_minute,
+      // BIGINT columns come back as strings
+      monthly_event_quota: Number(app.monthly_event_quota ?? DEFAULT_LIMITS.monthly_event_quota),
+      analytics_queries_per_minute: app.analytics_queries_per_minute ?? DEFAULT_LIMITS.analytics_queries_per_minute,
+    };
+  }
+
+  /**
+   * Count events of an application against its limits, unless they would exceed one of them.
+   * Both limits are checked and counted by a single statement, so concurrent requests and
+   * server instances can't go over them together.
+   * @param {string} appId - ID of the application
+   * @param {number} count - Number of events to count
+   * @param {Object} limits - Limits of the application, see resolveLimits()
+   * @returns {Promise<Object>} Whether the events were counted, which limit was exceeded otherwise
+   * (rate_limit or quota), and the usage of the current minute and month with when they reset, in seconds
+   */
+  static async consumeEvents(appId, count, limits) {
+    let result = { rows: [] };
+
+    // A batch larger than a limit can't fit in it, and would be counted by the INSERT below
+    if (count <= limits.events_per_minute && count <= limits.monthly_event_quota) {
+      result = await pool.query(
+        `INSERT INTO app_usage (app_id, month, events, minute_start, minute_events)
+         VALUES ($1, date_trunc('month', NOW() AT TIME ZONE 'UTC')::date, $2::int, date_trunc('minute', NOW()), $2::int)
+         ON CONFLICT (app_id, month) DO UPDATE SET
+           events = app_usage.events + EXCLUDED.events,
+           minute_events = CASE
+             WHEN app_usage.minute_start = EXCLUDED.minute_start THEN app_usage.minute_events + EXCLUDED.events
+             ELSE EXCLUDED.events
+           END,
+           minute_start = EXCLUDED.minute_start
+         WHERE app_usage.events + EXCLUDED.events <= $4
+           AND (app_usage.minute_start <> EXCLUDED.minute_start OR app_usage.minute_events + EXCLUDED.events <= $3)
+         RETURNING events, minute_events, minute_start, NOW() AS now`,
+        [appId, count, limits.events_per_minute, limits.monthly_event_quota]
+      );
+    }
+
+    const allowed = result.rows.length > 0;
+
+    // Refused events weren't counted, the usage they didn't fit in is read instead
+    if (!allowed) {
+      result = await pool.query(
+        `SELECT
+          COALESCE(u.events, 0) AS events,
+          CASE WHEN u.minute_start = date_trunc('minute', NOW()) THEN u.minute_events ELSE 0 END AS minute_events,
+          date_trunc('minute', NOW()) AS minute_start,
+          NOW() AS now
+         FROM (SELECT 1) AS one
+         LEFT JOIN app_usage u ON u.app_id = $1 AND u.month = date_trunc('month', NOW() AT TIME ZONE 'UTC')::date`,
+        [appId]
+      );
+    }
+
+    const { events, minute_events: minuteEvents, minute_start: minuteStart, now } = result.rows[0];
+    const monthEvents = Number(events);
+
+    let exceeded = null;
+    if (!allowed) exceeded = monthEvents + count > limits.monthly_event_quota ? "quota" : "rate_limit";
+
+    return {
+      allowed,
+      exceeded,
+      minute: {
+        limit: limits.events_per_minute,
+        used: minuteEvents,
+        reset: Math.max(1, Math.ceil((minuteStart.getTime() + 60 * 1000 - now.getTime()) / 1000)),
+      },
+      month: {
+        limit: limits.monthly_event_quota,
+        used: monthEvents,
+        reset: secondsUntilNextMonth(now),
+      },
+    };
+  }
+
+  /**
+   * Give back events counted by consumeEvents() that were not collected after all, e.g. refused by a full
+   * ingestion queue. They were counted an instant before, so in the current minute and month.
+   * @param {string} appId - ID of the application
+   * @param {number} count - Number of events to give back
+   * @returns {Promise<void>}
+   */
+  static async refundEvents(appId, count) {
+    await pool.query(
+      `UPDATE app_usage SET
+        events = GREATEST(events - $2, 0),
+        minute_events = CASE WHEN minute_start = date_trunc('minute', NOW()) THEN GREATEST(minute_events - $2, 0) ELSE minute_events END
+       WHERE app_id = $1 AND month = date_trunc('month', NOW() AT TIME ZONE 'UTC')::date`,
+      [appId, count]
+    );
+  }
+
+  /**
+   * Count an analytics query of an application in its usage
+   * @param {string} appId - ID of the application
+   * @returns {Promise<void>}
+   */
+  static async recordAnalyticsQuery(appId) {
+    await pool.query(
+      `INSERT INTO app_usage (app_id, month, analytics_queries)
+       VALUES ($1, date_trunc('month', NOW() AT TIME ZONE 'UTC')::date, 1)
+       ON CONFLICT (app_id, month) DO UPDATE SET analytics_queries = app_usage.analytics_queries + 1`,
+      [appId]
+    );
+  }
+
+  /**
+   * Get the limits and usage of an application
+   * @param {string} appId - ID of the application
+   * @param {Object} limits - Limits of the application, see resolveLimits()
+   * @param {Object} [options]
+   * @param {number} [options.months] - Number of months of history, the current one included
+   * @returns {Promise<Object>} The limits, the usage of the current month and the history, latest month first
+   */
+  static async getUsage(appId, limits, { months = 12 } = {}) {
+    const result = await pool.query(
+      `SELECT
+        to_char(m.month, 'YYYY-MM') AS month,
+        COALESCE(u.events, 0)::bigint AS events,
+        COALESCE(u.analytics_queries, 0)::bigint AS analytics_queries
+       FROM generate_series(
+         date_trunc('month', NOW() AT TIME ZONE 'UTC') - make_interval(months => $2 - 1),
+         date_trunc('month', NOW() AT TIME ZONE 'UTC'),
+         INTERVAL '1 month'
+       ) AS m(month)
+       LEFT JOIN app_usage u ON u.app_id = $1 AND u.month = m.month::date
+       ORDER BY m.month DESC`,
+      [appId, months]
+    );
+
+    const history = result.rows.map(({ month, events, analytics_queries }) => ({
+      month,
+      events: Number(events),
+      analytics_queries: Number(analytics_queries),
+    }));
+    const current = history[0];
+    const now = new Date();
+
+    return {
+      app_id: appId,
+      limits,
+      current_month: {
+        ...current,
+        event_quota: limits.monthly_event_quota,
+        events_remaining: Math.max(0, limits.monthly_event_quota - current.events),
+        resets_at: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+      },
+      history,
+    };
+  }
+
+  /**
+   * Change the limits of an application. Only the given fields are changed, null goes back to the default of the server.
+   * @param {string} appId - ID of the application
+   * @param {string} userId - ID of the user managing the application
+   * @param {Object} limits
+   * @param {number|null} [limits.eventsPerMinute] - Events collected per minute
+   * @param {number|null} [limits.monthlyEventQuota] - Events collected per calendar month (UTC)
+   * @param {number|null} [limits.analyticsQueriesPerMinute] - Analytics requests per minute
+   * @returns {Promise<Object>} The application with the limits now in effect
+   */
+  static async updateLimits(appId, userId, { eventsPerMinute, monthlyEventQuota, analyticsQueriesPerMinute }) {
+    await OrganizationService.checkAppRole(appId, userId, "admin");
+
+    const params = [appId];
+    const updates = [];
+
+    for (const [column, value] of [
+      ["events_per_minute", eventsPerMinute],
+      ["monthly_event_quota", monthlyEventQuota],
+      ["analytics_queries_per_minute", analyticsQueriesPerMinute],
+    ]) {
+      if (value === undefined) continue;
+      params.push(value);
+      updates.push(`${column} = $${params.length}`);
+    }
+
+    const result = await pool.query(
+      `UPDATE apps
+       SET ${[...updates, "updated_at = NOW()"].join(", ")}
+       WHERE id = $1
+       RETURNING id, events_per_minute, monthly_event_quota, analytics_queries_per_minute, updated_at`,
+      params
+    );
+
+    const app = result.rows[0];
+
+    return {
+      app_id: app.id,
+      ...this.resolveLimits(app),
+      updated_at: app.updated_at,
+    };
+  }
+}
@@ -0,0 +1,96 @@
+import pool from "../config/database.config.js";
+
+/**
+ * express-rate-limit store keeping hit counters in Postgres, so limits hold across server instances and restarts.
+ * Each key has a fixed window starting with its first hit, counted by a single statement per request.
+ * Limiters sharing the table need distinct prefixes, keys are the client IP or app ID.
+ */
+export class PostgresRateLimitStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.prefix - Prepended to the keys of the limiter
+   */
+  constructor({ prefix }) {
+    this.prefix = prefix;
+    this.windowMs = null;
+
+    // Keys are shared with the other instances, see the double count check of express-rate-limit
+    this.localKeys = false;
+  }
+
+  /**
+   * Called by express-rate-limit with the options of the limiter
+   * @param {Object} options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  /**
+   * Get the hits of a client in its current window
+   * @param {string} key - Identifier of the client
+   * @returns {Promise<{totalHits: number, resetTime: Date}|undefined>} Nothing if the client has no window running
+   */
+  async get(key) {
+    const result = await pool.query(`SELECT hits, reset_at FROM rate_limit_hits WHERE key = $1 AND reset_at > NOW()`, [this.prefix + key]);
+
+    if (result.rows.length === 0) return undefined;
+
+    return { totalHits: result.rows[0].hits, resetTime: result.rows[0].reset_at };
+  }
+
+  /**
+   * Count a hit of a client, starting a new window if the previous one is over
+   * @param {string} key - Identifier of the client
+   * @returns {Promise<{totalHits: number, resetTime: Date}>} The hits of the client in its window
+   */
+  async increment(key) {
+    const result = await pool.query(
+      `INSERT INTO rate_limit_hits (key, hits, reset_at)
+       VALUES ($1, 1, NOW() + make_interval(secs => $2 / 1000.0))
+       ON CONFLICT (key) DO UPDATE SET
+         hits = CASE WHEN rate_limit_hits.reset_at <= NOW() THEN 1 ELSE rate_limit_hits.hits + 1 END,
+         reset_at = CASE WHEN rate_limit_hits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limit_hits.reset_at END
+       RETURNING hits, reset_at`,
+      [this.prefix + key, this.windowMs]
+    );
+
+    return { totalHits: result.rows[0].hits, resetTime: result.rows[0].reset_at };
+  }
+
+  /**
+   * Take back a hit of a client, for the skipSuccessfulRequests and skipFailedRequests options
+   * @param {string} key - Identifier of the client
+   * @returns {Promise<void>}
+   */
+  async decrement(key) {
+    await pool.query(`UPDATE rate_limit_hits SET hits = GREATEST(hits - 1, 0) WHERE key = $1 AND reset_at > NOW()`, [this.prefix + key]);
+  }
+
+  /**
+   * Forget the hits of a client
+   * @param {string} key - Identifier of the client
+   * @returns {Promise<void>}
+   */
+  async resetKey(key) {
+    await pool.query(`DELETE FROM rate_limit_hits WHERE key = $1`, [this.prefix + key]);
+  }
+
+  /**
+   * Forget the hits of every client of the limiter
+   * @returns {Promise<void>}
+   */
+  async resetAll() {
+    await pool.query(`DELETE FROM rate_limit_hits WHERE starts_with(key, $1)`, [this.prefix]);
+  }
+
+  /**
+   * Delete the windows that are over, of every limiter. Clients seen again start a new window anyway,
+   * this only keeps the table from growing with clients that don't come back.
+   * @returns {Promise<number>} Number of windows deleted
+   */
+  static async deleteExpired() {
+    const result = await pool.query(`DELETE FROM rate_limit_hits WHERE reset_at <= NOW()`);
+    return result.rowCount;
+  }
+}
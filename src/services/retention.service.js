@@ -0,0 +1,313 @@
+import pool from "../config/database.config.js";
+import { env } from "../config/env.config.js";
+import { PartitionService } from "./partition.service.js";
+import { AppService } from "./app.service.js";
+import { OrganizationService } from "./organization.service.js";
+import { PostgresRateLimitStore } from "./rateLimitStore.service.js";
+
+// Key of the advisory lock that keeps purges of several server instances from overlapping
+const PURGE_LOCK_KEY = 4827391;
+
+// Purge records are history of the status endpoint, they don't need to be kept forever
+const PURGE_HISTORY_DAYS = 90;
+
+export class RetentionService {
+  /**
+   * Change how long raw events and daily summaries of an application are kept.
+   * Only the given fields are changed, null keeps the data forever.
+   * @param {string} appId - ID of the application
+   * @param {string} userId - ID of the user managing the application
+   * @param {Object} policy
+   * @param {number|null} [policy.rawRetentionDays] - Days raw events are kept
+   * @param {number|null} [policy.summaryRetentionDays] - Days daily summaries are kept, at least as long as raw events
+   * @returns {Promise<Object>} The application with its new policy
+   */
+  static async updatePolicy(appId, userId, { rawRetentionDays, summaryRetentionDays }) {
+    await OrganizationService.checkAppRole(appId, userId, "admin");
+
+    const params = [appId];
+    const updates = [];
+
+    if (rawRetentionDays !== undefined) {
+      params.push(rawRetentionDays);
+      updates.push(`raw_retention_days = $${params.length}`);
+    }
+
+    if (summaryRetentionDays !== undefined) {
+      params.push(summaryRetentionDays);
+      updates.push(`summary_retention_days = $${params.length}`);
+    }
+
+    let result;
+    try {
+      result = await pool.query(
+        `UPDATE apps
+         SET ${[...updates, "updated_at = NOW()"].join(", ")}
+         WHERE id = $1
+         RETURNING id, raw_retention_days, summary_retention_days, updated_at`,
+        params
+      );
+    } catch (error) {
+      if (error.constraint === "check_summary_retention") {
+        throw new Error("Daily summaries must be kept at least as long as raw events");
+      }
+      throw error;
+    }
+
+    return {
+      app_id: result.rows[0].id,
+      raw_retention_days: result.rows[0].raw_retention_days,
+      summary_retention_days: result.rows[0].summary_retention_days,
+      updated_at: result.rows[0].updated_at,
+    };
+  }
+
+  /**
+   * Purge expired data of every application with a retention policy.
+   * Month partitions of the events table are maintained first: upcoming months are created and
+   * months whose events have all expired are dropped as a whole, the rest is deleted in batches.
+   * Apps deleted before the restore window are purged last, see AppService.purgeDeletedApps(), along with
+   * rate limit windows that are over.
+   * Only one server instance purges at a time, the others skip their run.
+   * @param {Object} options
+   * @param {number} options.batchSize - Number of events deleted per statement
+   * @param {number} options.maxBatches - Number of statements per application and run, the rest waits for the next run
+   * @returns {Promise<Array<Object>|null>} The purges, or null if another instance is purging
+   */
+  static async purgeExpired({ batchSize, maxBatches }) {
+    const client = await pool.connect();
+
+    try {
+      const lock = await client.query(`SELECT pg_try_advisory_lock($1) AS locked`, [PURGE_LOCK_KEY]);
+      if (!lock.rows[0].locked) return null;
+
+      try {
+        // Partitions are created by their own job, see PartitionJob
+        const dropped = await PartitionService.dropExpiredPartitions();
+
+        if (dropped.length > 0) console.log(`🗑️ Dropped expired event partitions: ${dropped.map(({ name }) => name).join(", ")}`);
+
+        // Events of the dropped partitions count in the purges of their app
+        const droppedEvents = new Map();
+        for (const { events } of dropped) {
+          for (const [appId, count] of events) {
+            droppedEvents.set(appId, (droppedEvents.get(appId) || 0) + count);
+          }
+        }
+
+        const apps = await pool.query(
+          `SELECT
+            id,
+            NOW() - make_interval(days => raw_retention_days) AS events_cutoff,
+            ((NOW() AT TIME ZONE timezone)::date - summary_retention_days)::text AS summaries_cutoff
+           FROM apps
+           WHERE raw_retention_days IS NOT NULL OR summary_retention_days IS NOT NULL`
+        );
+
+        const purges = [];
+
+        for (const app of apps.rows) {
+          try {
+            const purge = await this.purgeApp(app, { batchSize, maxBatches }, droppedEvents.get(app.id));
+            if (purge) purges.push(purge);
+          } catch (error) {
+            console.error(`⚠️ Error purging app ${app.id}:`, error.message);
+          }
+        }
+
+        // Apps deleted before the restore window go with all their data
+        try {
+          const removed = await AppService.purgeDeletedApps({ batchSize, maxBatches });
+          if (removed.length > 0) console.log(`🗑️ Purged deleted apps: ${removed.join(", ")}`);
+        } catch (error) {
+          console.error("⚠️ Error purging deleted apps:", error.message);
+        }
+
+        await pool.query(`DELETE FROM retention_purges WHERE finished_at < NOW() - make_interval(days => $1)`, [PURGE_HISTORY_DAYS]);
+
+        // Rate limit windows of clients that didn't come back
+        await PostgresRateLimitStore.deleteExpired();
+
+        return purges;
+      } finally {
+        await client.query(`SELECT pg_advisory_unlock($1)`, [PURGE_LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete raw events and daily summaries of an application older than its cutoffs.
+   * Raw events are deleted in batches so a large backlog doesn't hold locks for long.
+   * @param {Object} app
+   * @param {string} app.id - ID of the application
+   * @param {Date|null} app.events_cutoff - Raw events before this moment are deleted
+   * @param {string|null} app.summaries_cutoff - Daily summaries before this date are deleted
+   * @param {Object} options - See purgeExpired()
+   * @param {number} [eventsDropped] - Number of events of the application already deleted with their partition
+   * @returns {Promise<Object|null>} The purge record, or null if there was nothing to purge
+   */
+  static async purgeApp({ id, events_cutoff, summaries_cutoff }, { batchSize, maxBatches }, eventsDropped = 0) {
+    const startedAt = new Date();
+    let eventsDeleted = eventsDropped;
+    let summariesDeleted = 0;
+    let completed = true;
+
+    if (events_cutoff) {
+      for (let batch = 0; ; batch++) {
+        if (batch === maxBatches) {
+          completed = false;
+          break;
+        }
+
+        // The timestamp bound keeps both scans to the expired partitions
+        const result = await pool.query(
+          `DELETE FROM events
+           WHERE app_id = $1 AND timestamp < $2 AND (id, timestamp) IN (
+             SELECT id, timestamp FROM events
+             WHERE app_id = $1 AND timestamp < $2
+             LIMIT $3
+           )`,
+          [id, events_cutoff, batchSize]
+        );
+
+        eventsDeleted += result.rowCount;
+        if (result.rowCount < batchSize) break;
+      }
+    }
+
+    if (summaries_cutoff) {
+      const result = await pool.query(`DELETE FROM event_summaries WHERE app_id = $1 AND date < $2`, [id, summaries_cutoff]);
+      await pool.query(`DELETE FROM event_summary_users WHERE app_id = $1 AND date < $2`, [id, summaries_cutoff]);
+
+      summariesDeleted = result.rowCount;
+    }
+
+    if (eventsDeleted === 0 && summariesDeleted === 0) return null;
+
+    const purge = await pool.query(
+      `INSERT INTO retention_purges (app_id, events_deleted, summaries_deleted, events_cutoff, summaries_cutoff, completed, started_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING app_id, events_deleted, summaries_deleted, events_cutoff, summaries_cutoff::text, completed, started_at, finished_at`,
+      [id, eventsDeleted, summariesDeleted, events_cutoff, summaries_cutoff, completed, startedAt]
+    );
+
+    return purge.rows[0];
+  }
+
+  /**
+   * Get the retention policy of an application, the age of its oldest data and its last purges
+   * @param {string} appId - ID of the application
+   * @param {number} [limit] - Maximum number of purges returned
+   * @returns {Promise<Object>} The retention status
+   */
+  static async getStatus(appId, limit = 10) {
+    try {
+      const result = await pool.query(
+        `SELECT
+          a.raw_retention_days,
+          a.summary_retention_days,
+          (SELECT MIN(timestamp) FROM events WHERE app_id = a.id) AS oldest_event_at,
+          (SELECT MIN(date)::text FROM event_summaries WHERE app_id = a.id) AS oldest_summary_date
+         FROM apps a
+         WHERE a.id = $1`,
+        [appId]
+      );
+
+      const purges = await pool.query(
+        `SELECT events_deleted, summaries_deleted, events_cutoff, summaries_cutoff::text, completed, started_at, finished_at
+         FROM retention_purges
+         WHERE app_id = $1
+         ORDER BY finished_at DESC
+         LIMIT $2`,
+        [appId, limit]
+      );
+
+      const { raw_retention_days, summary_retention_days, oldest_event_at, oldest_summary_date } = result.rows[0];
+
+      return {
+        policy: { raw_retention_days, summary_retention_days },
+        oldest_event_at,
+        oldest_summary_date,
+        purges: purges.rows,
+      };
+    } catch (error) {
+      console.error("Error getting retention status:", error);
+      throw new Error("Failed to retrieve retention status");
+    }
+  }
+}
+
+/**
+ * Background job purging expired data at a fixed interval, inside the server process
+ */
+export class PurgeJob {
+  /**
+   * @param {Object} options
+   * @param {number} options.intervalMs - Time between two runs, 0 disables the job
+   * @param {number} options.batchSize - Number of events deleted per statement
+   * @param {number} options.maxBatches - Number of statements per application and run
+   */
+  constructor({ intervalMs, batchSize, maxBatches }) {
+    this.intervalMs = intervalMs;
+    this.batchSize = batchSize;
+    this.maxBatches = maxBatches;
+
+    this.timer = null;
+    this.running = null;
+    this.lastRunAt = null;
+  }
+
+  start() {
+    if (this.timer || !this.intervalMs) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch((err) => console.error("⚠️ Error purging expired data:", err.message));
+    }, this.intervalMs);
+
+    // The job must not keep the process alive on its own
+    this.timer.unref();
+  }
+
+  /**
+   * Purge expired data now, callers wait for the run in progress if there is one
+   * @returns {Promise<Array<Object>|null>} See RetentionService.purgeExpired()
+   */
+  async run() {
+    if (this.running) return this.running;
+
+    this.running = RetentionService.purgeExpired({
+      batchSize: this.batchSize,
+      maxBatches: this.maxBatches,
+    });
+
+    try {
+      const purges = await this.running;
+      this.lastRunAt = new Date();
+      return purges;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  /**
+   * Stop scheduling runs and wait for the one in progress
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.running) {
+      await this.running.catch(() => {});
+    }
+  }
+}
+
+export const purgeJob = new PurgeJob({
+  intervalMs: Number(env.PURGE_INTERVAL_MS),
+  batchSize: Number(env.PURGE_BATCH_SIZE) || 5000,
+  maxBatches: Number(env.PURGE_MAX_BATCHES) || 100,
+});
@@ -0,0 +1,105 @@
+import request from "supertest";
+import app from "../../index.js";
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { OwnerService } from "../../services/owner.service.js";
+import { OriginService } from "../../services/origin.service.js";
+import { HTTPSTATUS } from "../../config/http.config.js";
+
+describe("Allowed Origins", () => {
+  let apiKey;
+  let appId;
+  let ownerId;
+  let token;
+
+  beforeEach(async () => {
+    const owner = await OwnerService.signup("origins_owner@example.com", "owner-password");
+    ownerId = owner.owner_id;
+    token = owner.token;
+
+    const registered = await ApiKeyService.registerApp("Origins Test App", "https://origins-test.com/home", ownerId);
+
+    apiKey = registered.api_key;
+    appId = registered.app_id;
+    OriginService.knownOrigins.clear();
+  });
+
+  describe("POST /api/auth/allowed-origins", () => {
+    it("should start with the origin of the app URL", async () => {
+      const details = await ApiKeyService.getApiKeyByAppId(appId, ownerId);
+
+      expect(details.allowed_origins).toEqual(["https://origins-test.com"]);
+    });
+
+    it("should replace the allowed origins of an app", async () => {
+      const response = await request(app)
+        .post("/api/auth/allowed-origins")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, allowed_origins: ["https://Origins-Test.com", "https://*.origins-test.com"] })
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.data.allowed_origins).toEqual(["https://origins-test.com", "https://*.origins-test.com"]);
+    });
+
+    it("should reject origins with a path", async () => {
+      const response = await request(app)
+        .post("/api/auth/allowed-origins")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, allowed_origins: ["https://origins-test.com/shop"] })
+        .expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe("POST /api/analytics/collect", () => {
+    const collect = () => request(app).post("/api/analytics/collect").set("x-api-key", apiKey);
+
+    it("should accept events from an allowed origin", async () => {
+      await collect().set("Origin", "https://origins-test.com").send({ event: "page_view" }).expect(HTTPSTATUS.ACCEPTED);
+    });
+
+    it("should accept events from subdomains of a wildcard origin", async () => {
+      await OriginService.updateAllowedOrigins(appId, ownerId, ["https://*.origins-test.com"]);
+
+      await collect().set("Origin", "https://shop.origins-test.com").send({ event: "page_view" }).expect(HTTPSTATUS.ACCEPTED);
+    });
+
+    it("should reject events from another origin", async () => {
+      const response = await collect().set("Origin", "https://copycat.com").send({ event: "page_view" }).expect(HTTPSTATUS.FORBIDDEN);
+
+      expect(response.body.code).toBe("origin_not_allowed");
+    });
+
+    it("should check the Referer when there is no Origin", async () => {
+      await collect().set("Referer", "https://copycat.com/page").send({ event: "page_view" }).expect(HTTPSTATUS.FORBIDDEN);
+      await collect().set("Referer", "https://origins-test.com/page").send({ event: "page_view" }).expect(HTTPSTATUS.ACCEPTED);
+    });
+
+    it("should accept events sent without origin, e.g. from servers", async () => {
+      await collect().send({ event: "page_view" }).expect(HTTPSTATUS.ACCEPTED);
+    });
+  });
+
+  describe("CORS preflight", () => {
+    it("should allow an origin of an app", async () => {
+      const response = await request(app)
+        .options("/api/analytics/collect")
+        .set("Origin", "https://origins-test.com")
+        .set("Access-Control-Request-Method", "POST")
+        .set("Access-Control-Request-Headers", "content-type,x-api-key")
+        .expect(HTTPSTATUS.NO_CONTENT);
+
+      expect(response.headers["access-control-allow-origin"]).toBe("https://origins-test.com");
+      expect(response.headers["access-control-allow-headers"]).toContain("x-api-key");
+    });
+
+    it("should not allow an origin no app allows", async () => {
+      const response = await request(app)
+        .options("/api/analytics/collect/batch")
+        .set("Origin", "https://nobody-allows-this.com")
+        .set("Access-Control-Request-Method", "POST");
+
+      expect(response.headers["access-control-allow-origin"]).toBeUndefined();
+    });
+  });
+});
@@ -3,12 +3,14 @@ import pool from "../../config/database.config.js";
 import app from "../../index.js";
 import { ApiKeyService } from "../../services/apiKey.service.js";
 import { HTTPSTATUS } from "../../config/http.config.js";
+import { ingestionQueue } from "../../services/ingestionQueue.service.js";
+import { EventService } from "../../services/event.service.js";
 
 describe("Analytics API Endpoint", () => {
   let apiKey;
   let appId;
 
-  beforeAll(async () => {
+  beforeEach(async () => {
     const registered = await ApiKeyService.registerApp("Analytics Test App", "https://analytics-test.com", "analytics_test_user");
 
     apiKey = registered.api_key;
@@ -33,13 +35,27 @@ describe("Analytics API Endpoint", () => {
             test: "data",
           },
         })
-        .expect(HTTPSTATUS.CREATED);
+        .expect(HTTPSTATUS.ACCEPTED);
 
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty("event_id");
       expect(response.body.data.event_type).toBe("test_event");
     });
 
+    it("should parse the User-Agent header of the request", async () => {
+      await request(app)
+        .post("/api/analytics/collect")
+        .set("x-api-key", apiKey)
+        .set("User-Agent", "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36")
+        .send({ event: "ua_event" })
+        .expect(HTTPSTATUS.ACCEPTED);
+
+      await ingestionQueue.flush();
+
+      const result = await pool.query("SELECT device, browser, os FROM events WHERE app_id = $1 AND event_type = $2", [appId, "ua_event"]);
+      expect(result.rows[0]).toEqual({ device: "mobile", browser: "Chrome", os: "Android" });
+    });
+
     it("should require API key", async () => {
       const response = await request(app)
         .post("/api/analytics/collect")
@@ -122,7 +138,7 @@ describe("Analytics API Endpoint", () => {
           session_id: "sess_123",
           user_id: "user_456",
         })
-        .expect(HTTPSTATUS.CREATED);
+        .expect(HTTPSTATUS.ACCEPTED);
 
       expect(response.body.success).toBe(true);
     });
@@ -135,7 +151,9 @@ describe("Analytics API Endpoint", () => {
           event: "db_test_event",
           url: "https://test.com",
         })
-        .expect(HTTPSTATUS.CREATED);
+        .expect(HTTPSTATUS.ACCEPTED);
+
+      await ingestionQueue.flush();
 
       const result = await pool.query("SELECT * FROM events WHERE app_id = $1 AND event_type = $2", [appId, "db_test_event"]);
 
@@ -158,7 +176,9 @@ describe("Analytics API Endpoint", () => {
           event: "metadata_test",
           metadata,
         })
-        .expect(201);
+        .expect(HTTPSTATUS.ACCEPTED);
+
+      await ingestionQueue.flush();
 
       const result = await pool.query("SELECT metadata FROM events WHERE app_id = $1 AND event_type = $2", [appId, "metadata_test"]);
 
@@ -174,10 +194,12 @@ describe("Analytics API Endpoint", () => {
         .send({
           event: "timestamp_test",
         })
-        .expect(HTTPSTATUS.CREATED);
+        .expect(HTTPSTATUS.ACCEPTED);
 
       const afterTime = new Date();
 
+      await ingestionQueue.flush();
+
       const result = await pool.query("SELECT timestamp FROM events WHERE app_id = $1 AND event_type = $2", [appId, "timestamp_test"]);
 
       const eventTime = new Date(result.rows[0].timestamp);
@@ -195,11 +217,148 @@ describe("Analytics API Endpoint", () => {
           event: "custom_timestamp",
           timestamp: customTime,
         })
-        .expect(201);
+        .expect(HTTPSTATUS.ACCEPTED);
+
+      await ingestionQueue.flush();
 
       const result = await pool.query("SELECT timestamp FROM events WHERE app_id = $1 AND event_type = $2", [appId, "custom_timestamp"]);
 
-      expect(new Date(result.rows[0].timestamp).toISOString()).toBe(customTime);
+      expect(new Date(result.rows[0].timestamp).toISOString()).toBe(new Date(customTime).toISOString());
+    });
+
+    it("should refuse ISO 8601 timestamps Postgres can't store before acknowledging them", async () => {
+      for (const timestamp of ["2024-W05-3", "2024-045", "2024-02-30", "2024-02-20T12:00:00+05", "0000-01-01"]) {
+        const response = await request(app)
+          .post("/api/analytics/collect")
+          .set("x-api-key", apiKey)
+          .send({ event: "odd_timestamp", timestamp })
+          .expect(HTTPSTATUS.BAD_REQUEST);
+
+        expect(response.body.errors[0].path).toBe("timestamp");
+      }
+
+      expect(ingestionQueue.size).toBe(0);
+    });
+
+    it("should return the normalized timestamp", async () => {
+      const response = await request(app)
+        .post("/api/analytics/collect")
+        .set("x-api-key", apiKey)
+        .send({ event: "offset_timestamp", timestamp: "2024-01-15T12:30:00+02:00" })
+        .expect(HTTPSTATUS.ACCEPTED);
+
+      expect(response.body.data.timestamp).toBe("2024-01-15T10:30:00.000Z");
+    });
+
+    it("should answer 503 with Retry-After when the ingestion buffer is full", async () => {
+      const { maxBufferSize } = ingestionQueue;
+      ingestionQueue.maxBufferSize = 0;
+
+      try {
+        const response = await request(app)
+          .post("/api/analytics/collect")
+          .set("x-api-key", apiKey)
+          .send({ event: "page_view" })
+          .expect(HTTPSTATUS.SERVICE_UNAVAILABLE);
+
+        expect(response.headers["retry-after"]).toBeDefined();
+      } finally {
+        ingestionQueue.maxBufferSize = maxBufferSize;
+      }
+    });
+  });
+
+  describe("POST /api/analytics/collect/batch", () => {
+    let batchApiKey;
+    let batchAppId;
+
+    beforeEach(async () => {
+      const registered = await ApiKeyService.registerApp("Batch Test App", "https://batch-test.com", "batch_test_user");
+
+      batchApiKey = registered.api_key;
+      batchAppId = registered.app_id;
+    });
+
+    it("should collect every event of a valid batch", async () => {
+      const response = await request(app)
+        .post("/api/analytics/collect/batch")
+        .set("x-api-key", batchApiKey)
+        .send({
+          events: [
+            { event: "page_view", url: "https://test.com/home", user_id: "user1" },
+            { event: "signup_start", device: "mobile", user_id: "user1" },
+            { event: "page_view", timestamp: "2024-01-15T10:30:00Z", user_id: "user2" },
+          ],
+        })
+        .expect(HTTPSTATUS.ACCEPTED);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.accepted).toBe(3);
+      expect(response.body.data.rejected).toBe(0);
+      expect(response.body.data.results.every((r) => r.status === "accepted" && r.event_id)).toBe(true);
+
+      await ingestionQueue.flush();
+
+      const result = await pool.query("SELECT COUNT(*) FROM events WHERE app_id = $1", [batchAppId]);
+      expect(Number(result.rows[0].count)).toBe(3);
+    });
+
+    it("should store valid events and report invalid ones", async () => {
+      const response = await request(app)
+        .post("/api/analytics/collect/batch")
+        .set("x-api-key", batchApiKey)
+        .send({
+          events: [{ event: "page_view" }, { event: "click", device: "invalid_device" }, { event: "invalid event name!" }],
+        })
+        .expect(HTTPSTATUS.MULTI_STATUS);
+
+      const { results } = response.body.data;
+
+      expect(response.body.data.accepted).toBe(1);
+      expect(response.body.data.rejected).toBe(2);
+      expect(results[0].status).toBe("accepted");
+      expect(results[1].status).toBe("rejected");
+      expect(results[1].errors[0].path).toBe("device");
+      expect(results[2].status).toBe("rejected");
+      expect(results[2].errors[0].path).toBe("event");
+
+      await ingestionQueue.flush();
+
+      const result = await pool.query("SELECT event_type FROM events WHERE app_id = $1", [batchAppId]);
+      expect(result.rows.map((r) => r.event_type)).toEqual(["page_view"]);
+    });
+
+    it("should report events with a timestamp that can't be stored", async () => {
+      const response = await request(app)
+        .post("/api/analytics/collect/batch")
+        .set("x-api-key", batchApiKey)
+        .send({ events: [{ event: "page_view" }, { event: "page_view", timestamp: "2024-W05-3" }] })
+        .expect(HTTPSTATUS.MULTI_STATUS);
+
+      expect(response.body.data.results[1].status).toBe("rejected");
+      expect(response.body.data.results[1].errors[0].path).toBe("timestamp");
+    });
+
+    it("should reject a batch where every event is invalid", async () => {
+      const response = await request(app)
+        .post("/api/analytics/collect/batch")
+        .set("x-api-key", batchApiKey)
+        .send({ events: [{ url: "not-a-valid-url" }] })
+        .expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.data.results[0].status).toBe("rejected");
+    });
+
+    it("should require a non-empty events array", async () => {
+      const response = await request(app)
+        .post("/api/analytics/collect/batch")
+        .set("x-api-key", batchApiKey)
+        .send({ events: [] })
+        .expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors).toBeDefined();
     });
   });
 
@@ -217,7 +376,7 @@ describe("Analytics API Endpoint", () => {
           ],
         });
 
-      await new Promise((resolve) => setTimeout(resolve, 500));
+      await ingestionQueue.flush();
     });
 
     it("should return event summary", async () => {
@@ -281,6 +440,169 @@ describe("Analytics API Endpoint", () => {
     });
   });
 
+  describe("GET /api/analytics/timeseries", () => {
+    beforeEach(async () => {
+      await EventService.collectEvents(appId, [
+        { event: "click", user_id: "user1", timestamp: "2025-03-01T10:00:00Z" },
+        { event: "click", user_id: "user2", timestamp: "2025-03-01T11:00:00Z" },
+        { event: "click", user_id: "user1", timestamp: "2025-03-03T10:00:00Z" },
+      ]);
+    });
+
+    it("should return a zero-filled daily series", async () => {
+      const response = await request(app)
+        .get("/api/analytics/timeseries")
+        .query({ event: "click", interval: "day", startDate: "2025-03-01", endDate: "2025-03-03" })
+        .set("x-api-key", apiKey)
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.interval).toBe("day");
+      expect(response.body.data.series.map((b) => b.count)).toEqual([2, 0, 1]);
+      expect(response.body.data.series[0].unique_users).toBe(2);
+    });
+
+    it("should answer 400 when the range is reversed or too long", async () => {
+      const reversed = await request(app)
+        .get("/api/analytics/timeseries")
+        .query({ event: "click", startDate: "2025-03-03", endDate: "2025-03-01" })
+        .set("x-api-key", apiKey)
+        .expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(reversed.body.error).toBe("Start date must be before end date");
+
+      const tooLong = await request(app)
+        .get("/api/analytics/timeseries")
+        .query({ event: "click", interval: "hour", startDate: "2020-01-01", endDate: "2025-01-01" })
+        .set("x-api-key", apiKey)
+        .expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(tooLong.body.error).toContain("more than 1000 buckets");
+    });
+
+    it("should validate the interval", async () => {
+      const response = await request(app)
+        .get("/api/analytics/timeseries")
+        .query({ event: "click", interval: "minute" })
+        .set("x-api-key", apiKey)
+        .expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe("POST /api/analytics/funnel", () => {
+    beforeEach(async () => {
+      await EventService.collectEvents(appId, [
+        { event: "page_view", user_id: "user1", timestamp: "2025-03-01T10:00:00Z" },
+        { event: "signup_start", user_id: "user1", timestamp: "2025-03-01T10:02:00Z" },
+        { event: "page_view", user_id: "user2", timestamp: "2025-03-01T11:00:00Z" },
+      ]);
+    });
+
+    it("should return users and conversion rates per step", async () => {
+      const response = await request(app)
+        .post("/api/analytics/funnel")
+        .set("x-api-key", apiKey)
+        .send({ steps: [{ event: "page_view" }, { event: "signup_start" }], startDate: "2025-03-01", endDate: "2025-03-01" })
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.identifier).toBe("user_id");
+      expect(response.body.data.steps.map((s) => s.users)).toEqual([2, 1]);
+      expect(response.body.data.steps[1].conversion_rate).toBe(50);
+    });
+
+    it("should require at least two steps", async () => {
+      const response = await request(app)
+        .post("/api/analytics/funnel")
+        .set("x-api-key", apiKey)
+        .send({ steps: [{ event: "page_view" }] })
+        .expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe("GET /api/analytics/retention", () => {
+    it("should return a cohort matrix", async () => {
+      await EventService.collectEvents(appId, [
+        { event: "signup", user_id: "user1", timestamp: "2025-03-03T10:00:00Z" },
+        { event: "signup", user_id: "user2", timestamp: "2025-03-04T10:00:00Z" },
+        { event: "page_view", user_id: "user1", timestamp: "2025-03-11T10:00:00Z" },
+      ]);
+
+      const response = await request(app)
+        .get("/api/analytics/retention")
+        .query({ startEvent: "signup", returnEvent: "page_view", period: "week", periods: 2, startDate: "2025-03-03", endDate: "2025-03-09" })
+        .set("x-api-key", apiKey)
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.data.period).toBe("week");
+      expect(response.body.data.cohorts).toEqual([
+        {
+          cohort: "2025-03-03",
+          users: 2,
+          retention: [
+            { period: 1, users: 1, percentage: 50 },
+            { period: 2, users: 0, percentage: 0 },
+          ],
+        },
+      ]);
+    });
+
+    it("should answer 400 when the range is reversed", async () => {
+      const response = await request(app)
+        .get("/api/analytics/retention")
+        .query({ startEvent: "signup", returnEvent: "page_view", startDate: "2025-03-09", endDate: "2025-03-03" })
+        .set("x-api-key", apiKey)
+        .expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(response.body.error).toBe("Start date must be before end date");
+    });
+
+    it("should require the start and return events", async () => {
+      const response = await request(app).get("/api/analytics/retention").set("x-api-key", apiKey).expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe("GET /api/analytics/breakdown", () => {
+    beforeEach(async () => {
+      await EventService.collectEvents(appId, [
+        { event: "purchase", user_id: "user1", metadata: { plan: "pro", country: "US" } },
+        { event: "purchase", user_id: "user2", metadata: { plan: "free", country: "US" } },
+        { event: "purchase", user_id: "user3", metadata: { plan: "pro", country: "FR" } },
+      ]);
+    });
+
+    it("should break down events by a metadata property with filters", async () => {
+      const response = await request(app)
+        .get("/api/analytics/breakdown")
+        .query({ event: "purchase", property: "plan", filter: "country:US" })
+        .set("x-api-key", apiKey)
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.data.filters).toEqual({ country: "US" });
+      expect(response.body.data.values).toEqual([
+        { value: "free", count: 1, unique_users: 1 },
+        { value: "pro", count: 1, unique_users: 1 },
+      ]);
+      expect(response.body.data.total.count).toBe(2);
+    });
+
+    it("should validate the property", async () => {
+      const response = await request(app)
+        .get("/api/analytics/breakdown")
+        .query({ event: "purchase", property: "plan'); DROP TABLE events; --" })
+        .set("x-api-key", apiKey)
+        .expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
   describe("GET /api/analytics/user-stats", () => {
     beforeEach(async () => {
       await request(app)
@@ -309,7 +631,7 @@ describe("Analytics API Endpoint", () => {
           ],
         });
 
-      await new Promise((resolve) => setTimeout(resolve, 200));
+      await ingestionQueue.flush();
     });
 
     it("should return user statistics", async () => {
@@ -375,4 +697,20 @@ describe("Analytics API Endpoint", () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe("GET /health", () => {
+    it("should report the events dropped by the ingestion buffer", async () => {
+      const { dropped } = ingestionQueue.stats();
+
+      // Events of an unknown app can't be written, they are dropped once out of retries
+      ingestionQueue.enqueue("00000000-0000-0000-0000-000000000000", [{ event: "orphan_event" }]);
+      for (let attempt = 0; attempt < ingestionQueue.maxRetries; attempt++) {
+        await ingestionQueue.flush();
+      }
+
+      const response = await request(app).get("/health").expect(HTTPSTATUS.OK);
+
+      expect(response.body.ingestion).toEqual({ buffered: 0, dropped: dropped + 1, last_dropped_at: expect.any(String) });
+    });
+  });
 });
@@ -0,0 +1,108 @@
+import request from "supertest";
+import app from "../../index.js";
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { OwnerService } from "../../services/owner.service.js";
+import { HTTPSTATUS } from "../../config/http.config.js";
+
+describe("Scoped API keys", () => {
+  let apiKey;
+  let appId;
+  let ownerId;
+  let token;
+
+  beforeEach(async () => {
+    const owner = await OwnerService.signup("keys_owner@example.com", "owner-password");
+    ownerId = owner.owner_id;
+    token = owner.token;
+
+    const registered = await ApiKeyService.registerApp("Scoped Keys Test App", "https://scoped-keys-test.com", ownerId);
+
+    apiKey = registered.api_key;
+    appId = registered.app_id;
+  });
+
+  describe("POST /api/auth/keys", () => {
+    it("should create a key with the requested scopes", async () => {
+      const response = await request(app)
+        .post("/api/auth/keys")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, name: "Website", scopes: ["ingest"] })
+        .expect(HTTPSTATUS.CREATED);
+
+      expect(response.body.data).toMatchObject({ app_id: appId, name: "Website", scopes: ["ingest"] });
+      expect(response.body.data.api_key).toMatch(/^sbx_/);
+    });
+
+    it("should reject unknown scopes", async () => {
+      const response = await request(app)
+        .post("/api/auth/keys")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, scopes: ["write"] })
+        .expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe("GET /api/auth/keys", () => {
+    it("should list the keys of the app", async () => {
+      await ApiKeyService.createApiKey(appId, ownerId, { scopes: ["read"] });
+
+      const response = await request(app)
+        .get("/api/auth/keys")
+        .set("Authorization", `Bearer ${token}`)
+        .query({ app_id: appId })
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.data.map(({ scopes }) => scopes)).toEqual([["read"], ["ingest", "read", "admin"]]);
+    });
+  });
+
+  describe("POST /api/auth/keys/revoke", () => {
+    it("should revoke a key by its ID", async () => {
+      const ingestKey = await ApiKeyService.createApiKey(appId, ownerId, { scopes: ["ingest"] });
+
+      await request(app)
+        .post("/api/auth/keys/revoke")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, key_id: ingestKey.key_id })
+        .expect(HTTPSTATUS.OK);
+
+      await request(app).post("/api/analytics/collect").set("x-api-key", ingestKey.api_key).send({ event: "page_view" }).expect(HTTPSTATUS.FORBIDDEN);
+    });
+  });
+
+  describe("scope enforcement", () => {
+    it("should let an ingest key collect events but not read analytics", async () => {
+      const ingestKey = await ApiKeyService.createApiKey(appId, ownerId, { scopes: ["ingest"] });
+
+      await request(app).post("/api/analytics/collect").set("x-api-key", ingestKey.api_key).send({ event: "page_view" }).expect(HTTPSTATUS.ACCEPTED);
+
+      const response = await request(app).get("/api/analytics/event-counts").set("x-api-key", ingestKey.api_key).expect(HTTPSTATUS.FORBIDDEN);
+
+      expect(response.body.code).toBe("api_key_insufficient_scope");
+      expect(response.headers["www-authenticate"]).toContain('error="insufficient_scope"');
+      expect(response.headers["www-authenticate"]).toContain('scope="read"');
+    });
+
+    it("should keep personal data from read keys", async () => {
+      const readKey = await ApiKeyService.createApiKey(appId, ownerId, { scopes: ["read"] });
+
+      await request(app).get("/api/analytics/event-counts").set("x-api-key", readKey.api_key).expect(HTTPSTATUS.OK);
+
+      const response = await request(app)
+        .get("/api/privacy/export")
+        .query({ user_id: "user_1" })
+        .set("x-api-key", readKey.api_key)
+        .expect(HTTPSTATUS.FORBIDDEN);
+
+      expect(response.body.code).toBe("api_key_insufficient_scope");
+    });
+
+    it("should let the registration key do everything", async () => {
+      await request(app).post("/api/analytics/collect").set("x-api-key", apiKey).send({ event: "page_view" }).expect(HTTPSTATUS.ACCEPTED);
+      await request(app).get("/api/analytics/event-counts").set("x-api-key", apiKey).expect(HTTPSTATUS.OK);
+      await request(app).get("/api/analytics/data-retention").set("x-api-key", apiKey).expect(HTTPSTATUS.OK);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import request from "supertest";
+import app from "../../index.js";
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { OwnerService } from "../../services/owner.service.js";
+import { ApiKeyUtils } from "../../utils/apikey-utils.js";
+import { RESTORE_WINDOW_DAYS } from "../../services/app.service.js";
+import { HTTPSTATUS } from "../../config/http.config.js";
+import pool from "../../config/database.config.js";
+
+describe("Apps API", () => {
+  let apiKey;
+  let appId;
+  let token;
+
+  beforeEach(async () => {
+    const owner = await OwnerService.signup("apps_owner@example.com", "owner-password");
+    token = owner.token;
+
+    const registered = await ApiKeyService.registerApp("Apps Test App", "https://apps-test.com", owner.owner_id);
+
+    apiKey = registered.api_key;
+    appId = registered.app_id;
+  });
+
+  const collect = (key) => request(app).post("/api/analytics/collect").set("x-api-key", key).send({ event: "page_view" });
+
+  describe("GET /api/apps", () => {
+    it("should list the apps of the owner only", async () => {
+      const other = await OwnerService.signup("other_apps_owner@example.com", "owner-password");
+      await ApiKeyService.registerApp("Other Owner App", "https://other-apps-test.com", other.owner_id);
+
+      const response = await request(app).get("/api/apps").set("Authorization", `Bearer ${token}`).expect(HTTPSTATUS.OK);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toMatchObject({ app_id: appId, app_name: "Apps Test App", active_keys: 1, deleted_at: null });
+    });
+
+    it("should require a session token", async () => {
+      const response = await request(app).get("/api/apps").expect(HTTPSTATUS.UNAUTHORIZED);
+
+      expect(response.body.code).toBe("token_missing");
+    });
+
+    it("should count the requests every server instance answered", async () => {
+      await request(app).get("/api/apps").set("Authorization", `Bearer ${token}`).expect(HTTPSTATUS.OK);
+
+      // Hits another instance counted in the shared table
+      await pool.query("UPDATE rate_limit_hits SET hits = 20 WHERE starts_with(key, 'management:')");
+
+      const response = await request(app).get("/api/apps").set("Authorization", `Bearer ${token}`).expect(HTTPSTATUS.TOO_MANY_REQUESTS);
+
+      expect(response.headers["ratelimit-remaining"]).toBe("0");
+    });
+  });
+
+  describe("POST /api/apps/claim", () => {
+    it("should let an account manage an app registered before accounts existed", async () => {
+      const legacy = await ApiKeyService.registerApp("Legacy App", "https://legacy-apps-test.com", "user-123");
+
+      await request(app).get(`/api/apps/${legacy.app_id}`).set("Authorization", `Bearer ${token}`).expect(HTTPSTATUS.NOT_FOUND);
+
+      const response = await request(app)
+        .post("/api/apps/claim")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ api_key: legacy.api_key })
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.data).toMatchObject({ app_id: legacy.app_id, role: "owner" });
+
+      await request(app)
+        .patch(`/api/apps/${legacy.app_id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_name: "Claimed App" })
+        .expect(HTTPSTATUS.OK);
+    });
+
+    it("should return 409 for an app of an account", async () => {
+      const other = await OwnerService.signup("other_apps_owner@example.com", "owner-password");
+
+      const response = await request(app)
+        .post("/api/apps/claim")
+        .set("Authorization", `Bearer ${other.token}`)
+        .send({ api_key: apiKey })
+        .expect(HTTPSTATUS.CONFLICT);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it("should return 404 for an unknown key", async () => {
+      await request(app)
+        .post("/api/apps/claim")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ api_key: ApiKeyUtils.generateApiKey() })
+        .expect(HTTPSTATUS.NOT_FOUND);
+    });
+  });
+
+  describe("GET /api/apps/:app_id", () => {
+    it("should return 404 for an app of another owner", async () => {
+      const other = await OwnerService.signup("other_apps_owner@example.com", "owner-password");
+
+      await request(app).get(`/api/apps/${appId}`).set("Authorization", `Bearer ${other.token}`).expect(HTTPSTATUS.NOT_FOUND);
+    });
+
+    it("should reject an invalid app_id", async () => {
+      await request(app).get("/api/apps/not-a-uuid").set("Authorization", `Bearer ${token}`).expect(HTTPSTATUS.BAD_REQUEST);
+    });
+  });
+
+  describe("PATCH /api/apps/:app_id", () => {
+    it("should rename the app", async () => {
+      const response = await request(app)
+        .patch(`/api/apps/${appId}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_name: "Renamed App" })
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.data).toMatchObject({ app_name: "Renamed App", app_url: "https://apps-test.com" });
+    });
+
+    it("should reject a request with nothing to update", async () => {
+      await request(app).patch(`/api/apps/${appId}`).set("Authorization", `Bearer ${token}`).send({}).expect(HTTPSTATUS.BAD_REQUEST);
+    });
+  });
+
+  describe("DELETE /api/apps/:app_id and POST /api/apps/:app_id/restore", () => {
+    it("should disable the keys of the app until it is restored", async () => {
+      const deleted = await request(app).delete(`/api/apps/${appId}`).set("Authorization", `Bearer ${token}`).expect(HTTPSTATUS.OK);
+
+      expect(deleted.body.data.purge_at).not.toBeNull();
+
+      const rejected = await collect(apiKey).expect(HTTPSTATUS.FORBIDDEN);
+      expect(rejected.body.code).toBe("api_key_app_deleted");
+
+      const listed = await request(app).get("/api/apps?include_deleted=true").set("Authorization", `Bearer ${token}`).expect(HTTPSTATUS.OK);
+      expect(listed.body.data.map(({ app_id }) => app_id)).toEqual([appId]);
+
+      await request(app).post(`/api/apps/${appId}/restore`).set("Authorization", `Bearer ${token}`).expect(HTTPSTATUS.OK);
+
+      await collect(apiKey).expect(HTTPSTATUS.ACCEPTED);
+    });
+
+    it("should return 409 when restoring an app that isn't deleted", async () => {
+      await request(app).post(`/api/apps/${appId}/restore`).set("Authorization", `Bearer ${token}`).expect(HTTPSTATUS.CONFLICT);
+    });
+
+    it("should return 410 once the restore window is over", async () => {
+      await request(app).delete(`/api/apps/${appId}`).set("Authorization", `Bearer ${token}`).expect(HTTPSTATUS.OK);
+      await pool.query("UPDATE apps SET deleted_at = NOW() - make_interval(days => $2 + 1) WHERE id = $1", [appId, RESTORE_WINDOW_DAYS]);
+
+      await request(app).post(`/api/apps/${appId}/restore`).set("Authorization", `Bearer ${token}`).expect(HTTPSTATUS.GONE);
+    });
+  });
+});
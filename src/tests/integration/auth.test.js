@@ -1,17 +1,26 @@
 import request from "supertest";
 import app from "../../index.js";
+import { OwnerService } from "../../services/owner.service.js";
+import { ApiKeyUtils } from "../../utils/apikey-utils.js";
 import { HTTPSTATUS } from "../../config/http.config.js";
 
 describe("Auth Endoint test", () => {
+  let token;
+
+  // Management routes act on apps of the owner logged in
+  beforeEach(async () => {
+    const owner = await OwnerService.signup("owner@testapp.com", "owner-password");
+    token = owner.token;
+  });
+
   /**
    * Register a new app and generate API Keys
    */
   describe("POST /api/auth/register", () => {
     it("should register a new app successfully", async () => {
-      const response = await request(app).post("/api/auth/register").send({
+      const response = await request(app).post("/api/auth/register").set("Authorization", `Bearer ${token}`).send({
         app_name: "Test App",
         app_url: "https://testapp.com",
-        user_id: "user-123",
       });
 
       expect(response.body.success).toBe(true);
@@ -25,6 +34,7 @@ describe("Auth Endoint test", () => {
     it("should validate required fields", async () => {
       const response = await request(app)
         .post("/api/auth/register")
+        .set("Authorization", `Bearer ${token}`)
         .send({
           app_name: "Test",
         })
@@ -38,12 +48,15 @@ describe("Auth Endoint test", () => {
       const appData = {
         app_name: "Test App",
         app_url: "https://duplicate-test.com",
-        user_id: "user1",
       };
 
-      await request(app).post("/api/auth/register").send(appData).expect(HTTPSTATUS.CREATED);
+      await request(app).post("/api/auth/register").set("Authorization", `Bearer ${token}`).send(appData).expect(HTTPSTATUS.CREATED);
 
-      const response = await request(app).post("/api/auth/register").send(appData).expect(HTTPSTATUS.CONFLICT);
+      const response = await request(app)
+        .post("/api/auth/register")
+        .set("Authorization", `Bearer ${token}`)
+        .send(appData)
+        .expect(HTTPSTATUS.CONFLICT);
 
       expect(response.body.success).toBe(false);
       expect(response.body.error).toContain("already registered");
@@ -55,15 +68,18 @@ describe("Auth Endoint test", () => {
    */
   describe("POST /api/auth/api-key", () => {
     it("should retrieve an api key details by using app_id", async () => {
-      const registerRes = await request(app).post("/api/auth/register").send({
+      const registerRes = await request(app).post("/api/auth/register").set("Authorization", `Bearer ${token}`).send({
         app_name: "Test app",
         app_url: "https://testapp.com",
-        user_id: "user1",
       });
 
       const appId = registerRes.body.data.app_id;
 
-      const response = await request(app).post("/api/auth/api-key").send({ app_id: appId }).expect(HTTPSTATUS.OK);
+      const response = await request(app)
+        .post("/api/auth/api-key")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId })
+        .expect(HTTPSTATUS.OK);
 
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty("app_id", appId);
@@ -75,6 +91,7 @@ describe("Auth Endoint test", () => {
     it("should return 404 for non-existent app", async () => {
       const response = await request(app)
         .post("/api/auth/api-key")
+        .set("Authorization", `Bearer ${token}`)
         .send({ app_id: "00000000-0000-0000-0000-000000000000" })
         .expect(HTTPSTATUS.NOT_FOUND);
 
@@ -87,15 +104,18 @@ describe("Auth Endoint test", () => {
    */
   describe("POST /api/auth/revoke", () => {
     it("should revoke an API key", async () => {
-      const registerRes = await request(app).post("/api/auth/register").send({
+      const registerRes = await request(app).post("/api/auth/register").set("Authorization", `Bearer ${token}`).send({
         app_name: "Test App",
         app_url: "https://test-revoke.com",
-        user_id: "user1",
       });
 
       const apiKey = registerRes.body.data.api_key;
 
-      const response = await request(app).post("/api/auth/revoke").send({ api_key: apiKey }).expect(HTTPSTATUS.CREATED);
+      const response = await request(app)
+        .post("/api/auth/revoke")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ api_key: apiKey })
+        .expect(HTTPSTATUS.CREATED);
 
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty("revoked_at");
@@ -103,29 +123,40 @@ describe("Auth Endoint test", () => {
     });
 
     it("should validate API key format", async () => {
-      const response = await request(app).post("/api/auth/revoke").send({ api_key: "invalid_format" }).expect(HTTPSTATUS.BAD_REQUEST);
+      const response = await request(app)
+        .post("/api/auth/revoke")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ api_key: "invalid_format" })
+        .expect(HTTPSTATUS.BAD_REQUEST);
 
       expect(response.body.success).toBe(false);
     });
 
     it("should return 404 for non-existent key", async () => {
-      const response = await request(app).post("/api/auth/revoke").send({ api_key: "ak_live_nonexistentkey1234567890" }).expect(HTTPSTATUS.NOT_FOUND);
+      const response = await request(app)
+        .post("/api/auth/revoke")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ api_key: ApiKeyUtils.generateApiKey() })
+        .expect(HTTPSTATUS.NOT_FOUND);
 
       expect(response.body.success).toBe(false);
     });
 
     it("should not allow revoking already revoked key", async () => {
-      const registerRes = await request(app).post("/api/auth/register").send({
+      const registerRes = await request(app).post("/api/auth/register").set("Authorization", `Bearer ${token}`).send({
         app_name: "Test App",
         app_url: "https://test-double-revoke.com",
-        user_id: "user1",
       });
 
       const apiKey = registerRes.body.data.api_key;
 
-      await request(app).post("/api/auth/revoke").send({ api_key: apiKey }).expect(HTTPSTATUS.CREATED);
+      await request(app).post("/api/auth/revoke").set("Authorization", `Bearer ${token}`).send({ api_key: apiKey }).expect(HTTPSTATUS.CREATED);
 
-      const response = await request(app).post("/api/auth/revoke").send({ api_key: apiKey }).expect(HTTPSTATUS.NOT_FOUND);
+      const response = await request(app)
+        .post("/api/auth/revoke")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ api_key: apiKey })
+        .expect(HTTPSTATUS.NOT_FOUND);
 
       expect(response.body.success).toBe(false);
     });
@@ -136,20 +167,17 @@ describe("Auth Endoint test", () => {
    */
   describe("POST /api/auth/regenerate", () => {
     it("should regenerate an API key", async () => {
-      const registerRes = await request(app).post("/api/auth/register").send({
+      const registerRes = await request(app).post("/api/auth/register").set("Authorization", `Bearer ${token}`).send({
         app_name: "Test App",
         app_url: "https://testapp.com",
-        user_id: "user1",
       });
 
-      const appId = registerRes.body.app_id;
-      const userId = registerRes.body.user_id;
-      const oldKey = registerRes.body.api_key;
+      const appId = registerRes.body.data.app_id;
+      const oldKey = registerRes.body.data.api_key;
 
       //   regenerate api key
-      const response = await request(app).post("/api/auth/regenerate").send({
+      const response = await request(app).post("/api/auth/regenerate").set("Authorization", `Bearer ${token}`).send({
         app_id: appId,
-        user_id: userId,
       });
 
       expect(response.body.success).toBe(true);
@@ -159,6 +187,37 @@ describe("Auth Endoint test", () => {
     });
   });
 
+  describe("POST /api/auth/privacy", () => {
+    it("should change the IP mode of an app", async () => {
+      const registerRes = await request(app).post("/api/auth/register").set("Authorization", `Bearer ${token}`).send({
+        app_name: "Private App",
+        app_url: "https://private-app.com",
+        ip_mode: "truncate",
+      });
+
+      expect(registerRes.body.data.ip_mode).toBe("truncate");
+
+      const response = await request(app)
+        .post("/api/auth/privacy")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: registerRes.body.data.app_id, ip_mode: "drop" })
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.ip_mode).toBe("drop");
+    });
+
+    it("should reject unknown IP modes", async () => {
+      const response = await request(app)
+        .post("/api/auth/privacy")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: "7fab1e8c-0252-4174-bc61-1475ad8cdecb", ip_mode: "mask" })
+        .expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
   describe("Health Check", () => {
     it("should return health status", async () => {
       const response = await request(app).get("/health").expect(200);
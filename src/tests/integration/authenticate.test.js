@@ -0,0 +1,81 @@
+import request from "supertest";
+import app from "../../index.js";
+import pool from "../../config/database.config.js";
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { ApiKeyUtils } from "../../utils/apikey-utils.js";
+import { HTTPSTATUS } from "../../config/http.config.js";
+
+describe("API key authentication", () => {
+  let apiKey;
+  let appId;
+
+  beforeEach(async () => {
+    const registered = await ApiKeyService.registerApp("Authentication Test App", "https://authentication-test.com", "auth_owner");
+
+    apiKey = registered.api_key;
+    appId = registered.app_id;
+  });
+
+  const expectRejected = (response, status, code) => {
+    expect(response.status).toBe(status);
+    expect(response.body).toMatchObject({ success: false, code });
+    expect(response.headers["www-authenticate"]).toMatch(/^Bearer realm="analytics"/);
+  };
+
+  it("should accept the API key as a Bearer token", async () => {
+    const response = await request(app).get("/api/analytics/event-counts").set("Authorization", `Bearer ${apiKey}`);
+
+    expect(response.status).toBe(HTTPSTATUS.OK);
+  });
+
+  it("should reject a request without API key with a bare challenge", async () => {
+    const response = await request(app).get("/api/analytics/event-counts");
+
+    expectRejected(response, HTTPSTATUS.UNAUTHORIZED, "api_key_missing");
+    expect(response.headers["www-authenticate"]).toBe('Bearer realm="analytics"');
+  });
+
+  it("should reject a malformed API key", async () => {
+    const response = await request(app).get("/api/analytics/event-counts").set("x-api-key", "sbx_invalid_key_123");
+
+    expectRejected(response, HTTPSTATUS.UNAUTHORIZED, "api_key_malformed");
+    expect(response.headers["www-authenticate"]).toContain('error="invalid_token"');
+  });
+
+  it("should reject an Authorization header of another scheme", async () => {
+    const response = await request(app).get("/api/analytics/event-counts").set("Authorization", `Basic ${apiKey}`);
+
+    expectRejected(response, HTTPSTATUS.UNAUTHORIZED, "api_key_malformed");
+  });
+
+  it("should reject different keys in both headers", async () => {
+    const response = await request(app)
+      .get("/api/analytics/event-counts")
+      .set("x-api-key", apiKey)
+      .set("Authorization", `Bearer ${ApiKeyUtils.generateApiKey()}`);
+
+    expectRejected(response, HTTPSTATUS.UNAUTHORIZED, "api_key_malformed");
+  });
+
+  it("should reject an unknown API key", async () => {
+    const response = await request(app).get("/api/analytics/event-counts").set("x-api-key", ApiKeyUtils.generateApiKey());
+
+    expectRejected(response, HTTPSTATUS.UNAUTHORIZED, "api_key_unknown");
+  });
+
+  it("should reject an expired API key", async () => {
+    await pool.query("UPDATE api_keys SET expires_at = NOW() - INTERVAL '1 day' WHERE app_id = $1", [appId]);
+
+    const response = await request(app).get("/api/analytics/event-counts").set("x-api-key", apiKey);
+
+    expectRejected(response, HTTPSTATUS.UNAUTHORIZED, "api_key_expired");
+  });
+
+  it("should forbid a revoked API key", async () => {
+    await ApiKeyService.revokeApiKey(apiKey, "auth_owner");
+
+    const response = await request(app).get("/api/analytics/event-counts").set("Authorization", `Bearer ${apiKey}`);
+
+    expectRejected(response, HTTPSTATUS.FORBIDDEN, "api_key_revoked");
+  });
+});
@@ -0,0 +1,87 @@
+import request from "supertest";
+import app from "../../index.js";
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { OwnerService } from "../../services/owner.service.js";
+import { EventService } from "../../services/event.service.js";
+import { RetentionService } from "../../services/retention.service.js";
+import { HTTPSTATUS } from "../../config/http.config.js";
+
+describe("Data Retention API Endpoint", () => {
+  let apiKey;
+  let appId;
+  let ownerId;
+  let token;
+
+  beforeEach(async () => {
+    const owner = await OwnerService.signup("retention_owner@example.com", "owner-password");
+    ownerId = owner.owner_id;
+    token = owner.token;
+
+    const registered = await ApiKeyService.registerApp("Data Retention Test App", "https://data-retention-test.com", ownerId);
+
+    apiKey = registered.api_key;
+    appId = registered.app_id;
+  });
+
+  describe("POST /api/auth/data-retention", () => {
+    it("should set the retention policy of an app", async () => {
+      const response = await request(app)
+        .post("/api/auth/data-retention")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, raw_retention_days: 90, summary_retention_days: 730 })
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.data).toMatchObject({ raw_retention_days: 90, summary_retention_days: 730 });
+    });
+
+    it("should keep data forever when a period is null", async () => {
+      await RetentionService.updatePolicy(appId, ownerId, { rawRetentionDays: 90, summaryRetentionDays: 730 });
+
+      const response = await request(app)
+        .post("/api/auth/data-retention")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, raw_retention_days: null, summary_retention_days: null })
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.data).toMatchObject({ raw_retention_days: null, summary_retention_days: null });
+    });
+
+    it("should refuse summaries kept shorter than raw events", async () => {
+      const response = await request(app)
+        .post("/api/auth/data-retention")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, raw_retention_days: 90, summary_retention_days: 30 })
+        .expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(response.body.error).toContain("at least as long as raw events");
+    });
+
+    it("should require at least one period", async () => {
+      const response = await request(app)
+        .post("/api/auth/data-retention")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId })
+        .expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe("GET /api/analytics/data-retention", () => {
+    it("should report what the purge job deleted", async () => {
+      await EventService.collectEvents(appId, [
+        { event: "page_view", user_id: "u1", timestamp: new Date(Date.now() - 200 * 24 * 60 * 60 * 1000).toISOString() },
+        { event: "page_view", user_id: "u1" },
+      ]);
+      await RetentionService.updatePolicy(appId, ownerId, { rawRetentionDays: 90 });
+      await RetentionService.purgeExpired({ batchSize: 1000, maxBatches: 10 });
+
+      const response = await request(app).get("/api/analytics/data-retention").set("x-api-key", apiKey).expect(HTTPSTATUS.OK);
+
+      expect(response.body.data.policy).toEqual({ raw_retention_days: 90, summary_retention_days: null });
+      expect(response.body.data.purges).toHaveLength(1);
+      expect(response.body.data.purges[0]).toMatchObject({ events_deleted: 1, summaries_deleted: 0, completed: true });
+      expect(response.body.data.job).toHaveProperty("interval_ms");
+    });
+  });
+});
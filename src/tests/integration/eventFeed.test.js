@@ -0,0 +1,83 @@
+import request from "supertest";
+import pool from "../../config/database.config.js";
+import app from "../../index.js";
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { EventService } from "../../services/event.service.js";
+import { HTTPSTATUS } from "../../config/http.config.js";
+
+describe("Event Feed API Endpoint", () => {
+  let apiKey;
+  let appId;
+
+  beforeEach(async () => {
+    const registered = await ApiKeyService.registerApp("Event Feed Test App", "https://event-feed-test.com", "event_feed_test_user");
+
+    apiKey = registered.api_key;
+    appId = registered.app_id;
+  });
+
+  afterEach(async () => {
+    await pool.query("DELETE FROM events WHERE app_id = $1", [appId]);
+  });
+
+  describe("GET /api/analytics/recent-events", () => {
+    beforeEach(async () => {
+      await EventService.collectEvents(appId, [
+        { event: "page_view", user_id: "user1", session_id: "s1", timestamp: "2025-03-01T10:00:00Z" },
+        { event: "click", user_id: "user1", session_id: "s1", timestamp: "2025-03-01T10:01:00Z" },
+        { event: "page_view", user_id: "user2", session_id: "s2", timestamp: "2025-03-01T10:02:00Z" },
+      ]);
+    });
+
+    it("should paginate the feed with cursors", async () => {
+      const first = await request(app)
+        .get("/api/analytics/recent-events")
+        .query({ limit: 2 })
+        .set("x-api-key", apiKey)
+        .expect(HTTPSTATUS.OK);
+
+      expect(first.body.data.events.map((e) => e.user_id)).toEqual(["user2", "user1"]);
+      expect(first.body.data.has_more).toBe(true);
+
+      const second = await request(app)
+        .get("/api/analytics/recent-events")
+        .query({ limit: 2, cursor: first.body.data.next_cursor, sessionId: "s1" })
+        .set("x-api-key", apiKey)
+        .expect(HTTPSTATUS.OK);
+
+      expect(second.body.data.events.map((e) => e.event_type)).toEqual(["page_view"]);
+      expect(second.body.data.has_more).toBe(false);
+      expect(second.body.data.next_cursor).toBeNull();
+    });
+
+    it("should reject malformed cursors", async () => {
+      const response = await request(app)
+        .get("/api/analytics/recent-events")
+        .query({ cursor: "not-a-cursor" })
+        .set("x-api-key", apiKey)
+        .expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(response.body.error).toBe("Invalid cursor");
+    });
+  });
+
+  describe("GET /api/analytics/event-counts", () => {
+    it("should count every event type in the date range", async () => {
+      await EventService.collectEvents(appId, [
+        { event: "page_view", user_id: "user1", timestamp: "2025-03-01T10:00:00Z" },
+        { event: "page_view", user_id: "user2", timestamp: "2025-03-01T11:00:00Z" },
+        { event: "click", user_id: "user1", timestamp: "2025-03-02T10:00:00Z" },
+      ]);
+
+      const response = await request(app)
+        .get("/api/analytics/event-counts")
+        .query({ startDate: "2025-03-01", endDate: "2025-03-01" })
+        .set("x-api-key", apiKey)
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.data.total_event_types).toBe(1);
+      expect(response.body.data.event_types[0].event_type).toBe("page_view");
+      expect(Number(response.body.data.event_types[0].count)).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import request from "supertest";
+import app from "../../index.js";
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { OwnerService } from "../../services/owner.service.js";
+import { HTTPSTATUS } from "../../config/http.config.js";
+
+describe("API key rotation", () => {
+  let apiKey;
+  let appId;
+  let ownerId;
+  let token;
+  let keyId;
+
+  beforeEach(async () => {
+    const owner = await OwnerService.signup("rotation_owner@example.com", "owner-password");
+    ownerId = owner.owner_id;
+    token = owner.token;
+
+    const registered = await ApiKeyService.registerApp("Rotation Test App", "https://rotation-test.com", ownerId);
+
+    apiKey = registered.api_key;
+    appId = registered.app_id;
+    keyId = registered.key_id;
+  });
+
+  const collect = (key) => request(app).post("/api/analytics/collect").set("x-api-key", key).send({ event: "page_view" });
+
+  describe("POST /api/auth/regenerate", () => {
+    it("should keep both keys working during the grace period", async () => {
+      const response = await request(app)
+        .post("/api/auth/regenerate")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, grace_period: 600 })
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.data.previous_key_id).toBe(keyId);
+      expect(response.body.data.previous_key_expires_at).not.toBeNull();
+
+      await collect(apiKey).expect(HTTPSTATUS.ACCEPTED);
+      await collect(response.body.data.api_key).expect(HTTPSTATUS.ACCEPTED);
+    });
+
+    it("should revoke the old key right away with a grace period of 0", async () => {
+      const response = await request(app)
+        .post("/api/auth/regenerate")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, grace_period: 0 })
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.data.previous_key_expires_at).toBeNull();
+
+      const rejected = await collect(apiKey).expect(HTTPSTATUS.FORBIDDEN);
+      expect(rejected.body.code).toBe("api_key_revoked");
+    });
+
+    it("should reject the old key once the grace period is over", async () => {
+      await request(app)
+        .post("/api/auth/regenerate")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, grace_period: 1 })
+        .expect(HTTPSTATUS.OK);
+
+      await new Promise((resolve) => setTimeout(resolve, 1100));
+
+      const rejected = await collect(apiKey).expect(HTTPSTATUS.UNAUTHORIZED);
+      expect(rejected.body.code).toBe("api_key_expired");
+    });
+
+    it("should refuse to regenerate a key in its grace period", async () => {
+      await ApiKeyService.regenerateApiKey(appId, ownerId, keyId, 600);
+
+      const response = await request(app)
+        .post("/api/auth/regenerate")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, key_id: keyId })
+        .expect(HTTPSTATUS.CONFLICT);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it("should reject grace periods over 30 days", async () => {
+      await request(app)
+        .post("/api/auth/regenerate")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, grace_period: 31 * 24 * 60 * 60 })
+        .expect(HTTPSTATUS.BAD_REQUEST);
+    });
+  });
+
+  describe("POST /api/auth/api-key", () => {
+    it("should show the previous key while it is in its grace period", async () => {
+      const result = await ApiKeyService.regenerateApiKey(appId, ownerId, keyId, 600);
+
+      const response = await request(app)
+        .post("/api/auth/api-key")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId })
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.data.key_id).toBe(result.key_id);
+      expect(response.body.data.previous_key).toMatchObject({ key_id: keyId });
+      expect(response.body.data.previous_key.key_prefix).toMatch(/^sbx_/);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import request from "supertest";
+import app from "../../index.js";
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { OrganizationService } from "../../services/organization.service.js";
+import { OwnerService } from "../../services/owner.service.js";
+import { HTTPSTATUS } from "../../config/http.config.js";
+
+describe("Organizations API", () => {
+  let owner;
+  let orgId;
+  let appId;
+
+  beforeEach(async () => {
+    owner = await OwnerService.signup("org_owner@example.com", "owner-password");
+    orgId = (await OrganizationService.createOrganization("Org Team", owner.owner_id)).org_id;
+    appId = (await ApiKeyService.registerApp("Org Team App", "https://org-team-test.com", owner.owner_id, "UTC", "full", orgId)).app_id;
+  });
+
+  // Account joined through the invitation endpoints
+  const join = async (email, role) => {
+    const member = await OwnerService.signup(email, "member-password");
+
+    const invitation = await request(app)
+      .post(`/api/orgs/${orgId}/invitations`)
+      .set("Authorization", `Bearer ${owner.token}`)
+      .send({ email, role })
+      .expect(HTTPSTATUS.CREATED);
+
+    await request(app)
+      .post("/api/orgs/invitations/accept")
+      .set("Authorization", `Bearer ${member.token}`)
+      .send({ token: invitation.body.data.token })
+      .expect(HTTPSTATUS.OK);
+
+    return member;
+  };
+
+  describe("POST /api/orgs", () => {
+    it("should create an organization owned by the account", async () => {
+      const response = await request(app)
+        .post("/api/orgs")
+        .set("Authorization", `Bearer ${owner.token}`)
+        .send({ name: "Another Team" })
+        .expect(HTTPSTATUS.CREATED);
+
+      expect(response.body.data).toMatchObject({ name: "Another Team", role: "owner", personal: false });
+    });
+  });
+
+  describe("invitations and members", () => {
+    it("should add the invitee with the role of the invitation", async () => {
+      const analyst = await join("org_analyst@example.com", "analyst");
+
+      const members = await request(app).get(`/api/orgs/${orgId}/members`).set("Authorization", `Bearer ${analyst.token}`).expect(HTTPSTATUS.OK);
+
+      expect(members.body.data.map(({ email, role }) => ({ email, role }))).toEqual([
+        { email: "org_owner@example.com", role: "owner" },
+        { email: "org_analyst@example.com", role: "analyst" },
+      ]);
+    });
+
+    it("should return 403 to members whose role can't manage members or keys", async () => {
+      const viewer = await join("org_viewer@example.com", "viewer");
+
+      await request(app)
+        .post(`/api/orgs/${orgId}/invitations`)
+        .set("Authorization", `Bearer ${viewer.token}`)
+        .send({ email: "someone@example.com", role: "viewer" })
+        .expect(HTTPSTATUS.FORBIDDEN);
+
+      await request(app)
+        .post("/api/auth/keys")
+        .set("Authorization", `Bearer ${viewer.token}`)
+        .send({ app_id: appId, scopes: ["read"] })
+        .expect(HTTPSTATUS.FORBIDDEN);
+    });
+
+    it("should return 409 when the last owner steps down", async () => {
+      await request(app)
+        .patch(`/api/orgs/${orgId}/members/${owner.owner_id}`)
+        .set("Authorization", `Bearer ${owner.token}`)
+        .send({ role: "admin" })
+        .expect(HTTPSTATUS.CONFLICT);
+    });
+  });
+
+  describe("analytics with a session token", () => {
+    it("should let viewers read aggregated analytics of the app given in x-app-id", async () => {
+      const viewer = await join("org_viewer@example.com", "viewer");
+
+      await request(app)
+        .get("/api/analytics/event-counts")
+        .set("Authorization", `Bearer ${viewer.token}`)
+        .set("x-app-id", appId)
+        .expect(HTTPSTATUS.OK);
+
+      const rejected = await request(app)
+        .get("/api/analytics/user-stats?userId=u1")
+        .set("Authorization", `Bearer ${viewer.token}`)
+        .set("x-app-id", appId)
+        .expect(HTTPSTATUS.FORBIDDEN);
+
+      expect(rejected.body.code).toBe("role_insufficient");
+      expect(rejected.headers["www-authenticate"]).toContain('error="insufficient_scope"');
+    });
+
+    it("should let dashboards send x-app-id across origins", async () => {
+      const response = await request(app)
+        .options("/api/analytics/event-counts")
+        .set("Access-Control-Request-Method", "GET")
+        .set("Access-Control-Request-Headers", "authorization,x-app-id")
+        .expect(HTTPSTATUS.NO_CONTENT);
+
+      expect(response.headers["access-control-allow-headers"]).toContain("x-app-id");
+    });
+
+    it("should require x-app-id and membership of the organization of the app", async () => {
+      const outsider = await OwnerService.signup("org_outsider@example.com", "outsider-password");
+
+      const missing = await request(app)
+        .get("/api/analytics/event-counts")
+        .set("Authorization", `Bearer ${outsider.token}`)
+        .expect(HTTPSTATUS.BAD_REQUEST);
+      expect(missing.body.code).toBe("app_id_missing");
+
+      const denied = await request(app)
+        .get("/api/analytics/event-counts")
+        .set("Authorization", `Bearer ${outsider.token}`)
+        .set("x-app-id", appId)
+        .expect(HTTPSTATUS.FORBIDDEN);
+      expect(denied.body.code).toBe("app_access_denied");
+    });
+  });
+});
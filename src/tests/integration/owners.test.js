@@ -0,0 +1,126 @@
+import request from "supertest";
+import app from "../../index.js";
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { OwnerService } from "../../services/owner.service.js";
+import { HTTPSTATUS } from "../../config/http.config.js";
+
+describe("Owner accounts", () => {
+  describe("POST /api/auth/signup", () => {
+    it("should create an account and return a session token", async () => {
+      const response = await request(app)
+        .post("/api/auth/signup")
+        .send({ email: "owner@signup-test.com", password: "owner-password" })
+        .expect(HTTPSTATUS.CREATED);
+
+      expect(response.body.data).toMatchObject({ email: "owner@signup-test.com", token_type: "Bearer" });
+      expect(response.body.data).toHaveProperty("token");
+      expect(response.body.data).not.toHaveProperty("password_hash");
+    });
+
+    it("should reject short passwords", async () => {
+      await request(app).post("/api/auth/signup").send({ email: "owner@signup-test.com", password: "short" }).expect(HTTPSTATUS.BAD_REQUEST);
+    });
+
+    it("should reject an email already used", async () => {
+      await OwnerService.signup("owner@signup-test.com", "owner-password");
+
+      await request(app)
+        .post("/api/auth/signup")
+        .send({ email: "owner@signup-test.com", password: "other-password" })
+        .expect(HTTPSTATUS.CONFLICT);
+    });
+  });
+
+  describe("POST /api/auth/login", () => {
+    it("should return a token that manages the apps of the account", async () => {
+      await OwnerService.signup("owner@login-test.com", "owner-password");
+
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "owner@login-test.com", password: "owner-password" })
+        .expect(HTTPSTATUS.OK);
+
+      const response = await request(app)
+        .post("/api/auth/register")
+        .set("Authorization", `Bearer ${login.body.data.token}`)
+        .send({ app_name: "Login Test App", app_url: "https://login-test.com" })
+        .expect(HTTPSTATUS.CREATED);
+
+      const details = await ApiKeyService.getApiKeyByAppId(response.body.data.app_id, login.body.data.owner_id);
+      expect(details.app_name).toBe("Login Test App");
+    });
+
+    it("should reject a wrong password", async () => {
+      await OwnerService.signup("owner@login-test.com", "owner-password");
+
+      const response = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "owner@login-test.com", password: "wrong-password" })
+        .expect(HTTPSTATUS.UNAUTHORIZED);
+
+      expect(response.body.error).toBe("Invalid email or password");
+    });
+  });
+
+  describe("management routes", () => {
+    let owner;
+    let otherOwner;
+    let registered;
+
+    beforeEach(async () => {
+      owner = await OwnerService.signup("owner@owned-app.com", "owner-password");
+      otherOwner = await OwnerService.signup("other@owned-app.com", "owner-password");
+      registered = await ApiKeyService.registerApp("Owned App", "https://owned-app.com", owner.owner_id);
+    });
+
+    it("should require a session token", async () => {
+      const response = await request(app).post("/api/auth/api-key").send({ app_id: registered.app_id }).expect(HTTPSTATUS.UNAUTHORIZED);
+
+      expect(response.body.code).toBe("token_missing");
+      expect(response.headers["www-authenticate"]).toBe('Bearer realm="analytics"');
+    });
+
+    it("should reject invalid tokens, API keys included", async () => {
+      const response = await request(app)
+        .post("/api/auth/api-key")
+        .set("Authorization", `Bearer ${registered.api_key}`)
+        .send({ app_id: registered.app_id })
+        .expect(HTTPSTATUS.UNAUTHORIZED);
+
+      expect(response.body.code).toBe("token_invalid");
+      expect(response.headers["www-authenticate"]).toContain('error="invalid_token"');
+    });
+
+    it("should ignore a user_id sent in the body", async () => {
+      await request(app)
+        .post("/api/auth/regenerate")
+        .set("Authorization", `Bearer ${otherOwner.token}`)
+        .send({ app_id: registered.app_id, user_id: owner.owner_id })
+        .expect(HTTPSTATUS.NOT_FOUND);
+    });
+
+    it("should not show the keys of another owner's app", async () => {
+      await request(app)
+        .post("/api/auth/api-key")
+        .set("Authorization", `Bearer ${otherOwner.token}`)
+        .send({ app_id: registered.app_id })
+        .expect(HTTPSTATUS.NOT_FOUND);
+
+      await request(app)
+        .post("/api/auth/api-key")
+        .set("Authorization", `Bearer ${owner.token}`)
+        .send({ app_id: registered.app_id })
+        .expect(HTTPSTATUS.OK);
+    });
+
+    it("should not revoke the key of another owner's app", async () => {
+      await request(app)
+        .post("/api/auth/revoke")
+        .set("Authorization", `Bearer ${otherOwner.token}`)
+        .send({ api_key: registered.api_key })
+        .expect(HTTPSTATUS.NOT_FOUND);
+
+      expect(await ApiKeyService.validateApiKey(registered.api_key)).not.toBeNull();
+    });
+  });
+});
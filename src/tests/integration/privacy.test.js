@@ -0,0 +1,97 @@
+import request from "supertest";
+import pool from "../../config/database.config.js";
+import app from "../../index.js";
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { EventService } from "../../services/event.service.js";
+import { HTTPSTATUS } from "../../config/http.config.js";
+
+describe("Privacy API Endpoint", () => {
+  let apiKey;
+  let appId;
+
+  beforeEach(async () => {
+    const registered = await ApiKeyService.registerApp("Privacy Test App", "https://privacy-test.com", "privacy_test_user");
+
+    apiKey = registered.api_key;
+    appId = registered.app_id;
+
+    await EventService.collectEvents(appId, [
+      { event: "page_view", user_id: "user1", session_id: "s1", timestamp: "2025-03-01T10:00:00Z", url: "https://privacy-test.com/a,b" },
+      { event: "click", user_id: "user1", session_id: "s1", timestamp: "2025-03-01T10:01:00Z" },
+      { event: "page_view", user_id: "user2", session_id: "s2", timestamp: "2025-03-01T10:02:00Z" },
+    ]);
+  });
+
+  afterEach(async () => {
+    await pool.query("DELETE FROM events WHERE app_id = $1", [appId]);
+  });
+
+  describe("GET /api/privacy/export", () => {
+    it("should download the events of a user as JSON", async () => {
+      const response = await request(app)
+        .get("/api/privacy/export")
+        .query({ user_id: "user1" })
+        .set("x-api-key", apiKey)
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.headers["content-disposition"]).toMatch(/^attachment; filename="data-export-.+\.json"$/);
+      expect(response.body.request_id).toBe(response.headers["x-request-id"]);
+      expect(response.body.total_events).toBe(2);
+      expect(response.body.events.map((e) => e.event_type)).toEqual(["page_view", "click"]);
+    });
+
+    it("should download the events of a user as CSV", async () => {
+      const response = await request(app)
+        .get("/api/privacy/export")
+        .query({ user_id: "user1", format: "csv" })
+        .set("x-api-key", apiKey)
+        .expect(HTTPSTATUS.OK);
+
+      const lines = response.text.trim().split("\r\n");
+
+      expect(response.headers["content-type"]).toContain("text/csv");
+      expect(lines[0]).toMatch(/^id,event_type,timestamp,user_id,session_id,url,/);
+      expect(lines).toHaveLength(3);
+      expect(lines[1]).toContain('"https://privacy-test.com/a,b"');
+    });
+
+    it("should require a user_id", async () => {
+      const response = await request(app).get("/api/privacy/export").set("x-api-key", apiKey).expect(HTTPSTATUS.BAD_REQUEST);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe("POST /api/privacy/erase", () => {
+    it("should erase the events of a user", async () => {
+      const response = await request(app)
+        .post("/api/privacy/erase")
+        .set("x-api-key", apiKey)
+        .send({ user_id: "user1" })
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.data.erased_events).toBe(2);
+      expect(response.body.data.summaries_updated).toBe(2);
+
+      const audit = await pool.query("SELECT requested_by, api_key_id FROM data_subject_requests WHERE id = $1", [
+        response.body.data.request_id,
+      ]);
+      expect(audit.rows[0].api_key_id).not.toBeNull();
+      expect(audit.rows[0].requested_by).toBe(`api_key:${audit.rows[0].api_key_id}`);
+
+      const summary = await EventService.getEventSummary(appId, "page_view", "2025-03-01", "2025-03-01");
+      expect(Number(summary.count)).toBe(1);
+      expect(Number(summary.unique_users)).toBe(1);
+    });
+
+    it("should remove the user from rollups of days past the raw retention", async () => {
+      // The day of the events is past the raw retention, its rollups are kept as they are
+      await pool.query("UPDATE apps SET raw_retention_days = 30, summary_retention_days = 3650 WHERE id = $1", [appId]);
+
+      await request(app).post("/api/privacy/erase").set("x-api-key", apiKey).send({ user_id: "user1" }).expect(HTTPSTATUS.OK);
+
+      const users = await pool.query("SELECT DISTINCT user_id FROM event_summary_users WHERE app_id = $1", [appId]);
+      expect(users.rows).toEqual([{ user_id: "user2" }]);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import request from "supertest";
+import app from "../../index.js";
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { OwnerService } from "../../services/owner.service.js";
+import { DEFAULT_LIMITS, QuotaService } from "../../services/quota.service.js";
+import { ingestionQueue } from "../../services/ingestionQueue.service.js";
+import { HTTPSTATUS } from "../../config/http.config.js";
+import { env } from "../../config/env.config.js";
+import { ApiKeyUtils } from "../../utils/apikey-utils.js";
+
+describe("Quotas API", () => {
+  let apiKey;
+  let appId;
+  let token;
+  let ownerId;
+
+  beforeEach(async () => {
+    const owner = await OwnerService.signup("quotas_owner@example.com", "owner-password");
+    token = owner.token;
+    ownerId = owner.owner_id;
+
+    const registered = await ApiKeyService.registerApp("Quotas Test App", "https://quotas-test.com", owner.owner_id);
+
+    apiKey = registered.api_key;
+    appId = registered.app_id;
+  });
+
+  // Accepted events are written before the tables are cleaned up
+  afterEach(async () => {
+    await ingestionQueue.flush();
+  });
+
+  const collect = () => request(app).post("/api/analytics/collect").set("x-api-key", apiKey).send({ event: "page_view" });
+
+  const collectBatch = (count) =>
+    request(app)
+      .post("/api/analytics/collect/batch")
+      .set("x-api-key", apiKey)
+      .send({ events: Array.from({ length: count }, () => ({ event: "page_view" })) });
+
+  describe("POST /api/analytics/collect", () => {
+    it("should send the usage of the app in headers", async () => {
+      const response = await collect().expect(HTTPSTATUS.ACCEPTED);
+
+      expect(response.headers["ratelimit-remaining"]).toBe(String(QuotaService.resolveLimits({}).events_per_minute - 1));
+      expect(response.headers["ratelimit-policy"]).toBe(`${QuotaService.resolveLimits({}).events_per_minute};w=60`);
+      expect(Number(response.headers["x-quota-remaining"])).toBeGreaterThan(0);
+      expect(Number(response.headers["x-quota-reset"])).toBeGreaterThan(0);
+    });
+
+    it("should answer 429 beyond the per minute limit of the app", async () => {
+      await QuotaService.updateLimits(appId, ownerId, { eventsPerMinute: 2 });
+
+      await collect().expect(HTTPSTATUS.ACCEPTED);
+      await collect().expect(HTTPSTATUS.ACCEPTED);
+      const response = await collect().expect(HTTPSTATUS.TOO_MANY_REQUESTS);
+
+      expect(response.body).toMatchObject({ success: false, code: "rate_limit_exceeded" });
+      expect(response.headers["ratelimit-limit"]).toBe("2");
+      expect(response.headers["ratelimit-remaining"]).toBe("0");
+      expect(Number(response.headers["retry-after"])).toBeLessThanOrEqual(60);
+    });
+
+    it("should answer 429 once the monthly quota is reached", async () => {
+      await QuotaService.updateLimits(appId, ownerId, { monthlyEventQuota: 1 });
+
+      await collect().expect(HTTPSTATUS.ACCEPTED);
+      const response = await collect().expect(HTTPSTATUS.TOO_MANY_REQUESTS);
+
+      expect(response.body.code).toBe("quota_exceeded");
+      expect(response.headers["x-quota-remaining"]).toBe("0");
+      expect(response.headers["retry-after"]).toBe(response.headers["x-quota-reset"]);
+    });
+  });
+
+  describe("POST /api/analytics/collect/batch", () => {
+    it("should count every event of a batch, and refuse a batch that doesn't fit", async () => {
+      await QuotaService.updateLimits(appId, ownerId, { eventsPerMinute: 5 });
+
+      const accepted = await collectBatch(3).expect(HTTPSTATUS.ACCEPTED);
+      const refused = await collectBatch(3).expect(HTTPSTATUS.TOO_MANY_REQUESTS);
+
+      expect(accepted.headers["ratelimit-remaining"]).toBe("2");
+      expect(refused.body.code).toBe("rate_limit_exceeded");
+    });
+
+    it("should not count events the ingestion buffer refuses", async () => {
+      const { maxBufferSize } = ingestionQueue;
+      ingestionQueue.maxBufferSize = 0;
+
+      try {
+        await collectBatch(3).expect(HTTPSTATUS.SERVICE_UNAVAILABLE);
+      } finally {
+        ingestionQueue.maxBufferSize = maxBufferSize;
+      }
+
+      const response = await collectBatch(1).expect(HTTPSTATUS.ACCEPTED);
+
+      expect(response.headers["x-quota-remaining"]).toBe(String(DEFAULT_LIMITS.monthly_event_quota - 1));
+    });
+  });
+
+  describe("limit per client IP", () => {
+    it("should answer 429 before the key is checked", async () => {
+      const limit = env.IP_REQUESTS_PER_MINUTE;
+      env.IP_REQUESTS_PER_MINUTE = 0;
+
+      try {
+        const unknownKey = ApiKeyUtils.generateApiKey();
+
+        const collected = await request(app)
+          .post("/api/analytics/collect")
+          .set("x-api-key", unknownKey)
+          .send({ event: "page_view" })
+          .expect(HTTPSTATUS.TOO_MANY_REQUESTS);
+        expect(collected.body.code).toBe("rate_limit_exceeded");
+        expect(collected.headers["retry-after"]).toBeDefined();
+
+        await request(app).get("/api/analytics/event-counts").set("x-api-key", unknownKey).expect(HTTPSTATUS.TOO_MANY_REQUESTS);
+      } finally {
+        env.IP_REQUESTS_PER_MINUTE = limit;
+      }
+    });
+  });
+
+  describe("GET /api/analytics/usage", () => {
+    it("should return the limits and usage of the app", async () => {
+      await collectBatch(3).expect(HTTPSTATUS.ACCEPTED);
+
+      const response = await request(app).get("/api/analytics/usage").set("x-api-key", apiKey).expect(HTTPSTATUS.OK);
+
+      expect(response.body.data.app_id).toBe(appId);
+      expect(response.body.data.limits).toEqual(QuotaService.resolveLimits({}));
+      expect(response.body.data.current_month).toMatchObject({ events: 3, event_quota: QuotaService.resolveLimits({}).monthly_event_quota });
+      expect(response.body.data.history).toHaveLength(12);
+    });
+
+    it("should answer 429 beyond the analytics queries per minute of the app", async () => {
+      await QuotaService.updateLimits(appId, ownerId, { analyticsQueriesPerMinute: 2 });
+
+      await request(app).get("/api/analytics/usage").set("x-api-key", apiKey).expect(HTTPSTATUS.OK);
+      const response = await request(app).get("/api/analytics/usage").set("x-api-key", apiKey).expect(HTTPSTATUS.OK);
+      const refused = await request(app).get("/api/analytics/usage").set("x-api-key", apiKey).expect(HTTPSTATUS.TOO_MANY_REQUESTS);
+
+      // The first query was counted, the one being answered may not be yet
+      expect(response.body.data.current_month.analytics_queries).toBeGreaterThanOrEqual(1);
+      expect(refused.body.code).toBe("rate_limit_exceeded");
+      expect(refused.headers["ratelimit-limit"]).toBe("2");
+    });
+  });
+
+  describe("POST /api/auth/limits", () => {
+    it("should change the limits of the app", async () => {
+      const response = await request(app)
+        .post("/api/auth/limits")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, events_per_minute: 1200, monthly_event_quota: 5000000 })
+        .expect(HTTPSTATUS.OK);
+
+      expect(response.body.data).toMatchObject({ app_id: appId, events_per_minute: 1200, monthly_event_quota: 5000000 });
+      expect((await collect().expect(HTTPSTATUS.ACCEPTED)).headers["x-quota-limit"]).toBe("5000000");
+    });
+
+    it("should reject a request without any limit or with a limit out of range", async () => {
+      await request(app).post("/api/auth/limits").set("Authorization", `Bearer ${token}`).send({ app_id: appId }).expect(HTTPSTATUS.BAD_REQUEST);
+
+      await request(app)
+        .post("/api/auth/limits")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ app_id: appId, events_per_minute: 0 })
+        .expect(HTTPSTATUS.BAD_REQUEST);
+    });
+
+    it("should return 404 for an app of another owner", async () => {
+      const other = await OwnerService.signup("other_quotas_owner@example.com", "owner-password");
+
+      await request(app)
+        .post("/api/auth/limits")
+        .set("Authorization", `Bearer ${other.token}`)
+        .send({ app_id: appId, events_per_minute: 1200 })
+        .expect(HTTPSTATUS.NOT_FOUND);
+    });
+  });
+});
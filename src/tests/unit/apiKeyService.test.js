@@ -1,5 +1,6 @@
 import { ApiKeyService } from "../../services/apiKey.service.js";
 import pool from "../../config/database.config.js";
+import { ApiKeyUtils } from "../../utils/apikey-utils.js";
 
 describe("ApiKeyService", () => {
   /**
@@ -35,7 +36,7 @@ describe("ApiKeyService", () => {
     it("should retrieve API key details", async () => {
       const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
 
-      const result = await ApiKeyService.getApiKeyByAppId(registered.app_id);
+      const result = await ApiKeyService.getApiKeyByAppId(registered.app_id, "user-123");
 
       expect(result).toHaveProperty("app_id", registered.app_id);
       expect(result).toHaveProperty("app_name", "Test App");
@@ -47,16 +48,30 @@ describe("ApiKeyService", () => {
     it("should throw error for non-existent app", async () => {
       const fakeId = "00000000-0000-0000-0000-000000000000";
 
-      await expect(ApiKeyService.getApiKeyByAppId(fakeId)).rejects.toThrow("No active API key found");
+      await expect(ApiKeyService.getApiKeyByAppId(fakeId, "user-123")).rejects.toThrow("not found or unauthorized");
+    });
+
+    it("should throw error for an app of another user", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+
+      await expect(ApiKeyService.getApiKeyByAppId(registered.app_id, "different_user")).rejects.toThrow("not found or unauthorized");
+    });
+
+    it("should throw error when every key of the app is revoked", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+      await ApiKeyService.revokeApiKey(registered.api_key, "user-123");
+
+      await expect(ApiKeyService.getApiKeyByAppId(registered.app_id, "user-123")).rejects.toThrow("No active API key found");
     });
 
     it("should not return full API key", async () => {
       const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
 
-      const result = await ApiKeyService.getApiKeyByAppId(registered.app_id);
+      const result = await ApiKeyService.getApiKeyByAppId(registered.app_id, "user-123");
 
       expect(result.key_prefix).not.toBe(registered.api_key);
       expect(result.key_prefix.length).toBe(registered.api_key.length);
+      expect(result.key_prefix).toBe(ApiKeyUtils.maskApiKey(registered.api_key));
     });
   });
 
@@ -66,15 +81,16 @@ describe("ApiKeyService", () => {
   describe("revokeApiKey", () => {
     it("should revoke an active API key", async () => {
       const dummyRegistered = await ApiKeyService.registerApp("Dummy App", "https://dummyapp.com", "user-dummy");
-      const result = await ApiKeyService.revokeApiKey(dummyRegistered.api_key);
+      const result = await ApiKeyService.revokeApiKey(dummyRegistered.api_key, "user-dummy");
 
       expect(result).toHaveProperty("message", "API key successfully revoked");
+      expect(result.key_prefix).toBe(ApiKeyUtils.maskApiKey(dummyRegistered.api_key));
     });
 
     it("should mark key as inactive in database", async () => {
       const dummyRegistered = await ApiKeyService.registerApp("Dummy App", "https://dummyapp.com", "user-dummy");
 
-      await ApiKeyService.revokeApiKey(dummyRegistered.api_key);
+      await ApiKeyService.revokeApiKey(dummyRegistered.api_key, "user-dummy");
 
       const dbResult = await pool.query(`SELECT is_active FROM api_keys WHERE app_id = $1`, [dummyRegistered.app_id]);
 
@@ -84,15 +100,22 @@ describe("ApiKeyService", () => {
     it("should throw error when revoking non-existent key", async () => {
       const fakeKey = "sbx_nonexistentkey123456789";
 
-      await expect(ApiKeyService.revokeApiKey(fakeKey)).rejects.toThrow("not found or already revoked");
+      await expect(ApiKeyService.revokeApiKey(fakeKey, "user-123")).rejects.toThrow("not found or already revoked");
     });
 
     it("should throw error when revoking already revoked key", async () => {
       const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
 
-      await ApiKeyService.revokeApiKey(registered.api_key);
+      await ApiKeyService.revokeApiKey(registered.api_key, "user-123");
+
+      await expect(ApiKeyService.revokeApiKey(registered.api_key, "user-123")).rejects.toThrow("not found or already revoked");
+    });
+
+    it("should not revoke a key of an app of another user", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
 
-      await expect(ApiKeyService.revokeApiKey(registered.api_key)).rejects.toThrow("not found or already revoked");
+      await expect(ApiKeyService.revokeApiKey(registered.api_key, "different_user")).rejects.toThrow("not found or already revoked");
+      expect(await ApiKeyService.validateApiKey(registered.api_key)).not.toBeNull();
     });
   });
 
@@ -136,18 +159,56 @@ describe("ApiKeyService", () => {
     });
   });
 
+  /**
+   * Test for looking up the status of an API key
+   */
+  describe("getApiKeyStatus", () => {
+    it("should report a valid key with its app", async () => {
+      const registered = await ApiKeyService.registerApp("Status App", "https://statusapp.com", "user-status");
+
+      const { status, key } = await ApiKeyService.getApiKeyStatus(registered.api_key);
+
+      expect(status).toBe("valid");
+      expect(key).toMatchObject({ app_id: registered.app_id, user_id: "user-status" });
+    });
+
+    it("should report an unknown key", async () => {
+      const result = await ApiKeyService.getApiKeyStatus(ApiKeyUtils.generateApiKey());
+
+      expect(result).toEqual({ status: "unknown", key: null });
+    });
+
+    it("should report a revoked key", async () => {
+      const registered = await ApiKeyService.registerApp("Status App", "https://statusapp.com", "user-status");
+      await ApiKeyService.revokeApiKey(registered.api_key, "user-status");
+
+      const { status } = await ApiKeyService.getApiKeyStatus(registered.api_key);
+
+      expect(status).toBe("revoked");
+    });
+
+    it("should report an expired key", async () => {
+      const registered = await ApiKeyService.registerApp("Status App", "https://statusapp.com", "user-status");
+      await pool.query("UPDATE api_keys SET expires_at = NOW() - INTERVAL '1 day' WHERE app_id = $1", [registered.app_id]);
+
+      const { status } = await ApiKeyService.getApiKeyStatus(registered.api_key);
+
+      expect(status).toBe("expired");
+    });
+  });
+
   /**
    * Test for regenerating an API Key
    */
   describe("regenerateApiKey", () => {
-    it("should generate a new API key and revoke the old one", async () => {
+    it("should generate a new API key and revoke the old one without grace period", async () => {
       const userId = "user-123";
 
       const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", userId);
 
       const oldKey = registered.api_key;
 
-      const result = await ApiKeyService.regenerateApiKey(registered.app_id, userId);
+      const result = await ApiKeyService.regenerateApiKey(registered.app_id, userId, undefined, 0);
 
       expect(result).toHaveProperty("api_key");
       expect(result.api_key).not.toBe(oldKey);
@@ -173,5 +234,145 @@ describe("ApiKeyService", () => {
 
       await expect(ApiKeyService.regenerateApiKey(registered.app_id, "different_user")).rejects.toThrow("not found or unauthorized");
     });
+
+    it("should only replace the given key, keeping its name and scopes", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+      const ingestKey = await ApiKeyService.createApiKey(registered.app_id, "user-123", { name: "Website", scopes: ["ingest"] });
+
+      const result = await ApiKeyService.regenerateApiKey(registered.app_id, "user-123", ingestKey.key_id, 0);
+
+      expect(result).toMatchObject({ name: "Website", scopes: ["ingest"] });
+      expect(await ApiKeyService.validateApiKey(ingestKey.api_key)).toBeNull();
+      expect(await ApiKeyService.validateApiKey(registered.api_key)).not.toBeNull();
+    });
+
+    it("should keep the old key valid during the grace period", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+
+      const result = await ApiKeyService.regenerateApiKey(registered.app_id, "user-123", undefined, 3600);
+
+      expect(result.previous_key_id).toBe(registered.key_id);
+      expect(result.previous_key_expires_at.getTime() - Date.now()).toBeGreaterThan(3590 * 1000);
+      expect(await ApiKeyService.validateApiKey(registered.api_key)).not.toBeNull();
+      expect(await ApiKeyService.validateApiKey(result.api_key)).not.toBeNull();
+    });
+
+    it("should show the old key next to the new one until it expires", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+
+      const result = await ApiKeyService.regenerateApiKey(registered.app_id, "user-123", undefined, 1);
+      const details = await ApiKeyService.getApiKeyByAppId(registered.app_id, "user-123");
+
+      expect(details.key_id).toBe(result.key_id);
+      expect(details.previous_key).toMatchObject({ key_id: registered.key_id });
+
+      await new Promise((resolve) => setTimeout(resolve, 1100));
+
+      expect((await ApiKeyService.getApiKeyStatus(registered.api_key)).status).toBe("expired");
+      expect((await ApiKeyService.getApiKeyByAppId(registered.app_id, "user-123")).previous_key).toBeNull();
+    });
+
+    it("should still show the old key once another key is created", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+
+      const result = await ApiKeyService.regenerateApiKey(registered.app_id, "user-123", undefined, 600);
+      const ingestKey = await ApiKeyService.createApiKey(registered.app_id, "user-123", { scopes: ["ingest"] });
+      const details = await ApiKeyService.getApiKeyByAppId(registered.app_id, "user-123");
+
+      expect(details.key_id).toBe(ingestKey.key_id);
+      expect(details.previous_key).toMatchObject({ key_id: registered.key_id, replaced_by: result.key_id });
+    });
+
+    it("should use the configured grace period by default", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+
+      const result = await ApiKeyService.regenerateApiKey(registered.app_id, "user-123");
+
+      expect(result.previous_key_expires_at).not.toBeNull();
+      expect(await ApiKeyService.validateApiKey(registered.api_key)).not.toBeNull();
+    });
+
+    it("should not regenerate a key twice", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+
+      const result = await ApiKeyService.regenerateApiKey(registered.app_id, "user-123", registered.key_id, 3600);
+
+      await expect(ApiKeyService.regenerateApiKey(registered.app_id, "user-123", registered.key_id)).rejects.toThrow(
+        "already regenerated"
+      );
+
+      // Without key ID, the replacement is rotated
+      const next = await ApiKeyService.regenerateApiKey(registered.app_id, "user-123");
+      expect(next.previous_key_id).toBe(result.key_id);
+    });
+  });
+
+  describe("scoped API keys", () => {
+    it("should give the key of a new app every scope", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+
+      expect(registered.scopes).toEqual(["ingest", "read", "admin"]);
+      expect((await ApiKeyService.validateApiKey(registered.api_key)).scopes).toEqual(["ingest", "read", "admin"]);
+    });
+
+    it("should create several active keys per app", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+
+      const ingestKey = await ApiKeyService.createApiKey(registered.app_id, "user-123", { name: "Website", scopes: ["ingest", "ingest"] });
+      const readKey = await ApiKeyService.createApiKey(registered.app_id, "user-123", { scopes: ["read"] });
+
+      expect(ingestKey).toMatchObject({ name: "Website", scopes: ["ingest"] });
+      expect((await ApiKeyService.validateApiKey(ingestKey.api_key)).scopes).toEqual(["ingest"]);
+      expect((await ApiKeyService.validateApiKey(readKey.api_key)).scopes).toEqual(["read"]);
+      expect(await ApiKeyService.validateApiKey(registered.api_key)).not.toBeNull();
+    });
+
+    it("should list the keys of an app without their value", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+      const ingestKey = await ApiKeyService.createApiKey(registered.app_id, "user-123", { name: "Website", scopes: ["ingest"] });
+
+      const keys = await ApiKeyService.listApiKeys(registered.app_id, "user-123");
+
+      expect(keys.map(({ key_id }) => key_id)).toEqual([ingestKey.key_id, registered.key_id]);
+      expect(keys[0]).toMatchObject({ name: "Website", scopes: ["ingest"], is_active: true });
+      expect(JSON.stringify(keys)).not.toContain(ingestKey.api_key);
+    });
+
+    it("should revoke a key by its ID", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+      const ingestKey = await ApiKeyService.createApiKey(registered.app_id, "user-123", { scopes: ["ingest"] });
+
+      await ApiKeyService.revokeApiKeyById(registered.app_id, "user-123", ingestKey.key_id);
+
+      expect(await ApiKeyService.validateApiKey(ingestKey.api_key)).toBeNull();
+      await expect(ApiKeyService.revokeApiKeyById(registered.app_id, "user-123", ingestKey.key_id)).rejects.toThrow("already revoked");
+    });
+
+    it("should not manage keys of an app owned by someone else", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+
+      await expect(ApiKeyService.createApiKey(registered.app_id, "different_user", { scopes: ["read"] })).rejects.toThrow("not found or unauthorized");
+      await expect(ApiKeyService.listApiKeys(registered.app_id, "different_user")).rejects.toThrow("not found or unauthorized");
+      await expect(ApiKeyService.revokeApiKeyById(registered.app_id, "different_user", registered.key_id)).rejects.toThrow("not found");
+    });
+  });
+
+  describe("updateIpMode", () => {
+    it("should change the IP mode of an app", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+      expect(registered.ip_mode).toBe("full");
+
+      const result = await ApiKeyService.updateIpMode(registered.app_id, "user-123", "hash");
+      expect(result.ip_mode).toBe("hash");
+
+      const details = await ApiKeyService.getApiKeyByAppId(registered.app_id, "user-123");
+      expect(details.ip_mode).toBe("hash");
+    });
+
+    it("should throw error for unauthorized user", async () => {
+      const registered = await ApiKeyService.registerApp("Test App", "https://testapp.com", "user-123");
+
+      await expect(ApiKeyService.updateIpMode(registered.app_id, "different_user", "drop")).rejects.toThrow("not found or unauthorized");
+    });
   });
 });
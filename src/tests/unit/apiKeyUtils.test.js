@@ -104,4 +104,19 @@ describe("ApiKeyUtils", () => {
       expect(masked.length).toBe(key.length);
     });
   });
+
+  /**
+   * Tests for isWellFormed method
+   */
+  describe("isWellFormed", () => {
+    it("should accept generated API keys", () => {
+      expect(ApiKeyUtils.isWellFormed(ApiKeyUtils.generateApiKey())).toBe(true);
+    });
+
+    it("should reject values in another format", () => {
+      expect(ApiKeyUtils.isWellFormed("sbx_invalid_key_123")).toBe(false);
+      expect(ApiKeyUtils.isWellFormed(`pk_${"a".repeat(48)}`)).toBe(false);
+      expect(ApiKeyUtils.isWellFormed(`sbx_${"a".repeat(47)}!`)).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,175 @@
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { AppService, RESTORE_WINDOW_DAYS } from "../../services/app.service.js";
+import { EventService } from "../../services/event.service.js";
+import { OwnerService } from "../../services/owner.service.js";
+import { OrganizationService } from "../../services/organization.service.js";
+import { RetentionService } from "../../services/retention.service.js";
+import pool from "../../config/database.config.js";
+
+describe("AppService", () => {
+  let appId;
+  let apiKey;
+
+  beforeEach(async () => {
+    const registered = await ApiKeyService.registerApp("Lifecycle Test App", "https://lifecycle-test.com", "owner");
+    appId = registered.app_id;
+    apiKey = registered.api_key;
+  });
+
+  // Moves the deletion of the app back in time, past the restore window
+  const expireRestoreWindow = async () => {
+    await pool.query("UPDATE apps SET deleted_at = NOW() - make_interval(days => $2 + 1) WHERE id = $1", [appId, RESTORE_WINDOW_DAYS]);
+  };
+
+  describe("listApps", () => {
+    it("should list the apps of the user, without deleted ones by default", async () => {
+      const other = await ApiKeyService.registerApp("Other App", "https://other-lifecycle-test.com", "owner");
+      await ApiKeyService.registerApp("Someone Else App", "https://someone-else.com", "someone-else");
+      await AppService.deleteApp(other.app_id, "owner");
+
+      const apps = await AppService.listApps("owner");
+      const allApps = await AppService.listApps("owner", { includeDeleted: true });
+
+      expect(apps.map(({ app_id }) => app_id)).toEqual([appId]);
+      expect(apps[0]).toMatchObject({ app_name: "Lifecycle Test App", active_keys: 1, deleted_at: null, purge_at: null });
+      expect(allApps.map(({ app_id }) => app_id).sort()).toEqual([appId, other.app_id].sort());
+    });
+  });
+
+  describe("updateApp", () => {
+    it("should only change the given fields", async () => {
+      const renamed = await AppService.updateApp(appId, "owner", { appName: "Renamed App" });
+      const moved = await AppService.updateApp(appId, "owner", { appUrl: "https://Moved-Lifecycle-Test.com" });
+
+      expect(renamed.app_url).toBe("https://lifecycle-test.com");
+      expect(moved).toMatchObject({ app_name: "Renamed App", app_url: "https://moved-lifecycle-test.com" });
+    });
+
+    it("should refuse a URL another app of the user has", async () => {
+      await ApiKeyService.registerApp("Other App", "https://other-lifecycle-test.com", "owner");
+
+      await expect(AppService.updateApp(appId, "owner", { appUrl: "https://other-lifecycle-test.com" })).rejects.toThrow(
+        "already registered"
+      );
+    });
+
+    it("should throw error for unauthorized user or deleted app", async () => {
+      await expect(AppService.updateApp(appId, "someone-else", { appName: "Stolen App" })).rejects.toThrow("not found or unauthorized");
+
+      await AppService.deleteApp(appId, "owner");
+      await expect(AppService.updateApp(appId, "owner", { appName: "Renamed App" })).rejects.toThrow("not found or unauthorized");
+    });
+  });
+
+  describe("deleteApp and restoreApp", () => {
+    it("should disable the keys of a deleted app until it is restored", async () => {
+      const deleted = await AppService.deleteApp(appId, "owner");
+
+      expect(deleted.deleted_at).not.toBeNull();
+      expect(new Date(deleted.purge_at) - new Date(deleted.deleted_at)).toBe(RESTORE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+      expect((await ApiKeyService.getApiKeyStatus(apiKey)).status).toBe("app_deleted");
+
+      const restored = await AppService.restoreApp(appId, "owner");
+
+      expect(restored.deleted_at).toBeNull();
+      expect((await ApiKeyService.getApiKeyStatus(apiKey)).status).toBe("valid");
+    });
+
+    it("should refuse to delete a deleted app or restore an app that isn't deleted", async () => {
+      await expect(AppService.restoreApp(appId, "owner")).rejects.toThrow("App is not deleted");
+
+      await AppService.deleteApp(appId, "owner");
+      await expect(AppService.deleteApp(appId, "owner")).rejects.toThrow("App is already deleted");
+    });
+
+    it("should refuse to restore an app once the restore window is over", async () => {
+      await AppService.deleteApp(appId, "owner");
+      await expireRestoreWindow();
+
+      await expect(AppService.restoreApp(appId, "owner")).rejects.toThrow("Restore window of the app is over");
+    });
+
+    it("should refuse to register the URL of a deleted app again", async () => {
+      await AppService.deleteApp(appId, "owner");
+
+      await expect(ApiKeyService.registerApp("Lifecycle Test App", "https://lifecycle-test.com", "owner")).rejects.toThrow(
+        "restore it instead"
+      );
+    });
+  });
+
+  describe("claimApp", () => {
+    it("should move only the app of the key to the personal organization of the account", async () => {
+      const account = await OwnerService.signup("claiming_owner@example.com", "owner-password");
+      const sibling = await ApiKeyService.registerApp("Sibling App", "https://sibling-test.com", "owner");
+      const orgId = await OrganizationService.ensurePersonalOrg(account.owner_id);
+
+      const claimed = await AppService.claimApp(apiKey, account.owner_id);
+
+      expect(claimed).toMatchObject({ app_id: appId, org_id: orgId, role: "owner" });
+      await expect(AppService.getApp(sibling.app_id, account.owner_id)).rejects.toThrow("not found or unauthorized");
+      await expect(AppService.claimApp(apiKey, account.owner_id)).rejects.toThrow("already belongs to an account");
+    });
+
+    it("should refuse an app whose URL the personal organization of the account has already", async () => {
+      const account = await OwnerService.signup("claiming_owner@example.com", "owner-password");
+      await ApiKeyService.registerApp("Same URL App", "https://lifecycle-test.com", account.owner_id);
+
+      await expect(AppService.claimApp(apiKey, account.owner_id)).rejects.toThrow("already registered");
+    });
+
+    it("should refuse keys without the admin scope", async () => {
+      const account = await OwnerService.signup("claiming_owner@example.com", "owner-password");
+      const ingestKey = await ApiKeyService.createApiKey(appId, "owner", { scopes: ["ingest"] });
+
+      await expect(AppService.claimApp(ingestKey.api_key, account.owner_id)).rejects.toThrow("admin scope");
+      await expect(AppService.getApp(appId, account.owner_id)).rejects.toThrow("not found or unauthorized");
+    });
+  });
+
+  describe("purgeDeletedApps", () => {
+    beforeEach(async () => {
+      await EventService.collectEvents(appId, [
+        { event: "page_view", user_id: "u1" },
+        { event: "page_view", user_id: "u2" },
+        { event: "click", user_id: "u2" },
+      ]);
+    });
+
+    const countEvents = async () => Number((await pool.query("SELECT COUNT(*) FROM events WHERE app_id = $1", [appId])).rows[0].count);
+
+    it("should keep apps still in their restore window", async () => {
+      await AppService.deleteApp(appId, "owner");
+
+      expect(await AppService.purgeDeletedApps({ batchSize: 1000, maxBatches: 10 })).toEqual([]);
+      expect(await countEvents()).toBe(3);
+    });
+
+    it("should purge apps past their restore window with their keys and events", async () => {
+      await AppService.deleteApp(appId, "owner");
+      await expireRestoreWindow();
+
+      expect(await AppService.purgeDeletedApps({ batchSize: 2, maxBatches: 10 })).toEqual([appId]);
+      expect(await countEvents()).toBe(0);
+      expect((await pool.query("SELECT id FROM api_keys WHERE app_id = $1", [appId])).rows).toHaveLength(0);
+      expect((await ApiKeyService.getApiKeyStatus(apiKey)).status).toBe("unknown");
+    });
+
+    it("should leave an app whose events are not all deleted to the next run", async () => {
+      await AppService.deleteApp(appId, "owner");
+      await expireRestoreWindow();
+
+      expect(await AppService.purgeDeletedApps({ batchSize: 1, maxBatches: 2 })).toEqual([]);
+      expect(await countEvents()).toBe(1);
+    });
+
+    it("should run with the purge job", async () => {
+      await AppService.deleteApp(appId, "owner");
+      await expireRestoreWindow();
+
+      await RetentionService.purgeExpired({ batchSize: 1000, maxBatches: 10 });
+
+      expect((await pool.query("SELECT id FROM apps WHERE id = $1", [appId])).rows).toHaveLength(0);
+    });
+  });
+});
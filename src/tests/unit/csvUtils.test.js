@@ -0,0 +1,39 @@
+import { CsvUtils } from "../../utils/csv-utils";
+
+describe("CsvUtils", () => {
+  describe("toCsv", () => {
+    it("should write a header line and one line per row", () => {
+      const csv = CsvUtils.toCsv(
+        [
+          { id: 1, name: "signup" },
+          { id: 2, name: "login" },
+        ],
+        ["id", "name"]
+      );
+
+      expect(csv).toBe("id,name\r\n1,signup\r\n2,login\r\n");
+    });
+
+    it("should leave missing values empty", () => {
+      expect(CsvUtils.toCsv([{ id: 1 }], ["id", "name"])).toBe("id,name\r\n1,\r\n");
+    });
+  });
+
+  describe("escape", () => {
+    it("should quote fields holding quotes, commas or line breaks", () => {
+      expect(CsvUtils.escape('say "hi"')).toBe('"say ""hi"""');
+      expect(CsvUtils.escape("a,b")).toBe('"a,b"');
+      expect(CsvUtils.escape("a\nb")).toBe('"a\nb"');
+    });
+
+    it("should format dates as ISO 8601 and objects as JSON", () => {
+      expect(CsvUtils.escape(new Date("2025-02-19T10:00:00Z"))).toBe("2025-02-19T10:00:00.000Z");
+      expect(CsvUtils.escape({ plan: "pro" })).toBe('"{""plan"":""pro""}"');
+    });
+
+    it("should neutralize fields spreadsheets would run as formulas", () => {
+      expect(CsvUtils.escape("=HYPERLINK(1)")).toBe("'=HYPERLINK(1)");
+      expect(CsvUtils.escape("-1")).toBe("'-1");
+    });
+  });
+});
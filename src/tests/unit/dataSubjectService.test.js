@@ -0,0 +1,80 @@
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { DataSubjectService } from "../../services/dataSubject.service.js";
+import { EventService } from "../../services/event.service.js";
+import pool from "../../config/database.config.js";
+
+describe("DataSubjectService", () => {
+  let appId;
+  const requester = { requestedBy: "api_key:test" };
+
+  beforeEach(async () => {
+    const registered = await ApiKeyService.registerApp("Data Subject Test App", "https://data-subject-test.com", "owner");
+    appId = registered.app_id;
+
+    await EventService.collectEvents(appId, [
+      { event: "page_view", user_id: "u1", session_id: "s1", timestamp: "2025-02-19T10:00:00Z", metadata: { plan: "pro" } },
+      { event: "page_view", user_id: "u1", session_id: "s2", timestamp: "2025-02-20T10:00:00Z" },
+      { event: "signup", user_id: "u1", session_id: "s2", timestamp: "2025-02-20T10:05:00Z" },
+      { event: "page_view", user_id: "u2", session_id: "s3", timestamp: "2025-02-20T11:00:00Z" },
+    ]);
+  });
+
+  describe("exportData", () => {
+    it("should return every event of the user, oldest first", async () => {
+      const { request, events } = await DataSubjectService.exportData(appId, { userId: "u1" }, requester);
+
+      expect(events.map((e) => e.event_type)).toEqual(["page_view", "page_view", "signup"]);
+      expect(events[0].metadata).toEqual({ plan: "pro" });
+      expect(request.request_type).toBe("export");
+      expect(request.events_count).toBe(3);
+    });
+
+    it("should narrow the export to one session", async () => {
+      const { events } = await DataSubjectService.exportData(appId, { userId: "u1", sessionId: "s2" }, requester);
+
+      expect(events.map((e) => e.event_type)).toEqual(["page_view", "signup"]);
+    });
+  });
+
+  describe("eraseData", () => {
+    it("should delete the events of the user and recompute their summaries", async () => {
+      const { request, summaries_updated } = await DataSubjectService.eraseData(appId, { userId: "u1" }, requester);
+
+      expect(request.events_count).toBe(3);
+      expect(summaries_updated).toBe(3);
+
+      const remaining = await pool.query("SELECT user_id FROM events WHERE app_id = $1", [appId]);
+      expect(remaining.rows).toEqual([{ user_id: "u2" }]);
+
+      const summaries = await pool.query(
+        "SELECT event_type, date::text, total_count, unique_users FROM event_summaries WHERE app_id = $1 ORDER BY date, event_type",
+        [appId]
+      );
+      expect(summaries.rows).toEqual([{ event_type: "page_view", date: "2025-02-20", total_count: 1, unique_users: 1 }]);
+
+      const users = await pool.query("SELECT user_id FROM event_summary_users WHERE app_id = $1", [appId]);
+      expect(users.rows).toEqual([{ user_id: "u2" }]);
+    });
+
+    it("should only erase the given session", async () => {
+      await DataSubjectService.eraseData(appId, { userId: "u1", sessionId: "s1" }, requester);
+
+      const remaining = await pool.query("SELECT session_id FROM events WHERE app_id = $1 AND user_id = 'u1'", [appId]);
+      expect(remaining.rows.map((e) => e.session_id)).toEqual(["s2", "s2"]);
+    });
+
+    it("should write an audit record of the erasure", async () => {
+      const { request } = await DataSubjectService.eraseData(appId, { userId: "u1" }, requester);
+
+      const audit = await pool.query("SELECT * FROM data_subject_requests WHERE id = $1", [request.id]);
+      expect(audit.rows[0]).toMatchObject({
+        app_id: appId,
+        request_type: "erasure",
+        subject_user_id: "u1",
+        subject_session_id: null,
+        requested_by: "api_key:test",
+        events_count: 3,
+      });
+    });
+  });
+});
@@ -1,16 +1,17 @@
 import { ApiKeyService } from "../../services/apiKey.service.js";
-import { EventService } from "../../services/event.service.js";
+import { EventService, InvalidRangeError } from "../../services/event.service.js";
+import { GeoIpService } from "../../services/geoIp.service.js";
+import { IpPrivacyService } from "../../services/ipPrivacy.service.js";
+import { IpUtils } from "../../utils/ip-utils.js";
 import pool from "../../config/database.config.js";
 
 describe("EventService", () => {
   let appId;
 
-  beforeAll(async () => {
+  beforeEach(async () => {
     const registered = await ApiKeyService.registerApp("Service Test App", "https://service-test.com", "service_user");
     appId = registered.app_id;
-  });
 
-  beforeEach(async () => {
     await EventService.collectEvent(appId, {
       event: "page_view",
       user_id: "u1",
@@ -35,10 +36,6 @@ describe("EventService", () => {
     await pool.query("DELETE FROM event_summaries WHERE app_id = $1", [appId]);
   });
 
-  afterAll(async () => {
-    await pool.end();
-  });
-
   describe("collectEvent", () => {
     it("should collect event with all fields", async () => {
       const eventData = {
@@ -60,6 +57,28 @@ describe("EventService", () => {
       expect(result.app_id).toBe(appId);
     });
 
+    it("should fill browser, OS and device from the user agent", async () => {
+      const result = await EventService.collectEvent(appId, {
+        event: "page_view",
+        userAgent: "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) Gecko/20100101 Firefox/121.0",
+      });
+
+      const row = await pool.query("SELECT device, browser, browser_version, os, user_agent FROM events WHERE id = $1", [result.id]);
+      expect(row.rows[0]).toMatchObject({ device: "desktop", browser: "Firefox", browser_version: "121.0", os: "macOS" });
+      expect(row.rows[0].user_agent).toContain("Firefox/121.0");
+    });
+
+    it("should keep the device reported by the client", async () => {
+      const result = await EventService.collectEvent(appId, {
+        event: "page_view",
+        device: "tablet",
+        userAgent: "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) Gecko/20100101 Firefox/121.0",
+      });
+
+      const row = await pool.query("SELECT device FROM events WHERE id = $1", [result.id]);
+      expect(row.rows[0].device).toBe("tablet");
+    });
+
     it("should handle minimal event data", async () => {
       const result = await EventService.collectEvent(appId, {
         event: "minimal_event",
@@ -70,6 +89,25 @@ describe("EventService", () => {
     });
   });
 
+  describe("collectEvents", () => {
+    it("should insert a batch of events in input order", async () => {
+      const result = await EventService.collectEvents(appId, [
+        { event: "batch_first", user_id: "user_1", timestamp: "2025-02-20T12:00:00Z" },
+        { event: "batch_second", device: "mobile", metadata: { plan: "pro" } },
+      ]);
+
+      expect(result.length).toBe(2);
+      expect(result[0].event_type).toBe("batch_first");
+      expect(result[1].event_type).toBe("batch_second");
+      expect(result[0].app_id).toBe(appId);
+    });
+
+    it("should return an empty array for an empty batch", async () => {
+      const result = await EventService.collectEvents(appId, []);
+      expect(result).toEqual([]);
+    });
+  });
+
   describe("updateEventSummary", () => {
     it("should update event summary correctly", async () => {
       // Insert events
@@ -129,6 +167,317 @@ describe("EventService", () => {
       const result = await EventService.getEventSummary(appId, "nonexistent_event");
       expect(result).toBeNull();
     });
+
+    it("should read whole days from the summary rollups", async () => {
+      const result = await EventService.getEventSummary(appId, "view_event", "2025-02-20", "2025-02-20");
+
+      expect(result.source).toBe("rollup");
+      expect(Number(result.count)).toBe(2);
+      expect(Number(result.unique_users)).toBe(2);
+      expect(Number(result.device_data.mobile)).toBe(1);
+    });
+
+    it("should read partial days from raw events", async () => {
+      const result = await EventService.getEventSummary(appId, "view_event", "2025-02-20T10:30:00Z", "2025-02-20T12:00:00Z");
+
+      expect(result.source).toBe("raw");
+      expect(Number(result.count)).toBe(1);
+      expect(result.device_data).toHaveProperty("desktop");
+    });
+
+    it("should break down browsers and operating systems", async () => {
+      await EventService.collectEvent(appId, {
+        event: "view_event",
+        timestamp: "2025-02-20T12:00:00Z",
+        userAgent: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1",
+      });
+
+      const rollup = await EventService.getEventSummary(appId, "view_event", "2025-02-20", "2025-02-20");
+      const raw = await EventService.getEventSummary(appId, "view_event", "2025-02-20T00:00:00Z", "2025-02-20T20:00:00Z");
+
+      for (const summary of [rollup, raw]) {
+        expect(Number(summary.browser_data.Safari)).toBe(1);
+        expect(Number(summary.browser_data.unknown)).toBe(2);
+        expect(Number(summary.os_data.iOS)).toBe(1);
+      }
+    });
+
+    it("should combine rollups and edge days without counting users twice", async () => {
+      await EventService.collectEvent(appId, {
+        event: "view_event",
+        user_id: "user_123",
+        device: "mobile",
+        timestamp: "2025-02-21T09:00:00Z",
+      });
+
+      const result = await EventService.getEventSummary(appId, "view_event", "2025-02-20", "2025-02-21T12:00:00Z");
+
+      expect(result.source).toBe("mixed");
+      expect(Number(result.count)).toBe(3);
+      expect(Number(result.unique_users)).toBe(2);
+      expect(Number(result.device_data.mobile)).toBe(2);
+    });
+  });
+
+  describe("timezones", () => {
+    let istAppId;
+
+    beforeEach(async () => {
+      const registered = await ApiKeyService.registerApp("IST Test App", "https://ist-test.com", "service_user", "Asia/Kolkata");
+      istAppId = registered.app_id;
+
+      // 2025-02-20 01:30 and 2025-02-20 22:30 in Asia/Kolkata
+      await EventService.collectEvent(istAppId, { event: "page_view", user_id: "u1", timestamp: "2025-02-19T20:00:00Z" });
+      await EventService.collectEvent(istAppId, { event: "page_view", user_id: "u2", timestamp: "2025-02-20T17:00:00Z" });
+    });
+
+    it("should roll events up into calendar days of the app timezone", async () => {
+      const result = await pool.query("SELECT date::text, total_count FROM event_summaries WHERE app_id = $1", [istAppId]);
+
+      expect(result.rows).toEqual([{ date: "2025-02-20", total_count: 2 }]);
+    });
+
+    it("should read dates of the range in the app timezone", async () => {
+      const result = await EventService.getEventSummary(istAppId, "page_view", "2025-02-20", "2025-02-20");
+
+      expect(result.source).toBe("rollup");
+      expect(result.timezone).toBe("Asia/Kolkata");
+      expect(Number(result.count)).toBe(2);
+    });
+
+    it("should read summaries in another timezone from raw events", async () => {
+      const result = await EventService.getEventSummary(istAppId, "page_view", "2025-02-20", "2025-02-20", "UTC");
+
+      expect(result.source).toBe("raw");
+      expect(Number(result.count)).toBe(1);
+    });
+
+    it("should bucket the time series on days of the timezone", async () => {
+      const series = await EventService.getTimeSeries(istAppId, "page_view", "day", "2025-02-19", "2025-02-20");
+
+      expect(series.map((b) => b.count)).toEqual([0, 2]);
+      expect(series[1].bucket.toISOString()).toBe("2025-02-19T18:30:00.000Z");
+
+      const utcSeries = await EventService.getTimeSeries(istAppId, "page_view", "day", "2025-02-19", "2025-02-20", "UTC");
+      expect(utcSeries.map((b) => b.count)).toEqual([1, 1]);
+    });
+  });
+
+  describe("getTimeSeries", () => {
+    it("should bucket events by day and fill empty days with zeros", async () => {
+      const series = await EventService.getTimeSeries(appId, "page_view", "day", "2025-02-18", "2025-02-20");
+
+      expect(series.length).toBe(3);
+      expect(series.map((b) => b.count)).toEqual([0, 2, 0]);
+      expect(series[1].unique_users).toBe(2);
+    });
+
+    it("should bucket events by hour", async () => {
+      const series = await EventService.getTimeSeries(appId, "page_view", "hour", "2025-02-19T09:00:00Z", "2025-02-19T11:30:00Z");
+
+      expect(series.map((b) => b.count)).toEqual([0, 1, 1]);
+    });
+
+    it("should default to a fixed number of buckets before the end date", async () => {
+      const series = await EventService.getTimeSeries(appId, "page_view", "week", undefined, "2025-02-20");
+
+      expect(series.length).toBe(12);
+      expect(series[series.length - 1].count).toBe(2);
+    });
+
+    it("should reject ranges with too many buckets", async () => {
+      await expect(EventService.getTimeSeries(appId, "page_view", "hour", "2020-01-01", "2025-01-01")).rejects.toThrow("more than");
+    });
+
+    it("should reject reversed ranges with an InvalidRangeError", async () => {
+      const error = await EventService.getTimeSeries(appId, "page_view", "day", "2025-03-01", "2025-02-01").catch((err) => err);
+
+      expect(error).toBeInstanceOf(InvalidRangeError);
+      expect(error.code).toBe("invalid_range");
+    });
+  });
+
+  describe("getGeography", () => {
+    const locations = {
+      "81.2.69.160": { country: { iso_code: "GB" }, subdivisions: [{ names: { en: "England" } }], city: { names: { en: "London" } } },
+      "81.2.69.192": { country: { iso_code: "GB" }, subdivisions: [{ names: { en: "England" } }], city: { names: { en: "Leeds" } } },
+      "175.16.199.1": { country: { iso_code: "CN" }, subdivisions: [{ names: { en: "Jilin" } }], city: { names: { en: "Changchun" } } },
+    };
+
+    beforeEach(async () => {
+      GeoIpService.reader = { get: (ip) => locations[ip] || null };
+
+      await EventService.collectEvents(appId, [
+        { event: "visit", user_id: "a", ipAddress: "81.2.69.160" },
+        { event: "visit", user_id: "a", ipAddress: "81.2.69.160" },
+        { event: "visit", user_id: "b", ipAddress: "81.2.69.192" },
+        { event: "visit", user_id: "c", ipAddress: "175.16.199.1" },
+        { event: "visit", user_id: "d", ipAddress: "10.0.0.1" },
+      ]);
+    });
+
+    afterEach(() => {
+      GeoIpService.reader = undefined;
+    });
+
+    it("should store the location resolved at ingestion", async () => {
+      const result = await pool.query("SELECT country, region, city FROM events WHERE app_id = $1 AND event_type = $2 LIMIT 1", [
+        appId,
+        "visit",
+      ]);
+
+      expect(result.rows[0]).toEqual({ country: "GB", region: "England", city: "London" });
+    });
+
+    it("should count events and users per country", async () => {
+      const geography = await EventService.getGeography(appId, { eventType: "visit" });
+
+      expect(geography).toEqual([
+        { country: "GB", count: 3, unique_users: 2 },
+        { country: "CN", count: 1, unique_users: 1 },
+        { country: null, count: 1, unique_users: 1 },
+      ]);
+    });
+
+    it("should count events per city", async () => {
+      const geography = await EventService.getGeography(appId, { eventType: "visit", level: "city", limit: 1 });
+
+      expect(geography).toEqual([{ country: "GB", region: "England", city: "London", count: 2, unique_users: 1 }]);
+    });
+  });
+
+  describe("getFunnel", () => {
+    const steps = [{ event: "landing" }, { event: "signup_start" }, { event: "signup_complete" }];
+
+    beforeEach(async () => {
+      await EventService.collectEvents(appId, [
+        { event: "landing", user_id: "a", timestamp: "2025-03-01T10:00:00Z" },
+        { event: "signup_start", user_id: "a", timestamp: "2025-03-01T10:01:00Z", metadata: { plan: "pro" } },
+        { event: "signup_complete", user_id: "a", timestamp: "2025-03-01T10:05:00Z" },
+        { event: "landing", user_id: "b", timestamp: "2025-03-01T11:00:00Z" },
+        { event: "signup_start", user_id: "b", timestamp: "2025-03-01T11:03:00Z", metadata: { plan: "free" } },
+        { event: "landing", user_id: "c", timestamp: "2025-03-01T12:00:00Z" },
+        // Out of order: completed before starting
+        { event: "signup_complete", user_id: "c", timestamp: "2025-03-01T12:01:00Z" },
+        { event: "signup_start", user_id: "c", timestamp: "2025-03-01T12:02:00Z" },
+      ]);
+    });
+
+    it("should count users reaching each step in order", async () => {
+      const funnel = await EventService.getFunnel(appId, steps);
+
+      expect(funnel.map((s) => s.users)).toEqual([3, 3, 1]);
+      expect(funnel[1].conversion_rate).toBe(100);
+      expect(funnel[2].conversion_rate).toBe(33.33);
+      expect(funnel[2].overall_conversion_rate).toBe(33.33);
+    });
+
+    it("should compute the median time from the previous step", async () => {
+      const funnel = await EventService.getFunnel(appId, steps);
+
+      expect(funnel[0].median_seconds_from_previous).toBeNull();
+      expect(funnel[1].median_seconds_from_previous).toBe(120);
+      expect(funnel[2].median_seconds_from_previous).toBe(240);
+    });
+
+    it("should filter steps on metadata", async () => {
+      const funnel = await EventService.getFunnel(appId, [{ event: "landing" }, { event: "signup_start", metadata: { plan: "pro" } }]);
+
+      expect(funnel.map((s) => s.users)).toEqual([3, 1]);
+      expect(funnel[1].metadata).toEqual({ plan: "pro" });
+    });
+
+    it("should only count steps within the conversion window", async () => {
+      const funnel = await EventService.getFunnel(appId, steps, { windowSeconds: 150 });
+
+      expect(funnel.map((s) => s.users)).toEqual([3, 2, 0]);
+    });
+  });
+
+  describe("getRetention", () => {
+    beforeEach(async () => {
+      await EventService.collectEvents(appId, [
+        { event: "signup", user_id: "a", timestamp: "2025-03-01T10:00:00Z" },
+        { event: "signup", user_id: "b", timestamp: "2025-03-01T12:00:00Z" },
+        { event: "signup", user_id: "c", timestamp: "2025-03-02T09:00:00Z" },
+        { event: "open", user_id: "a", timestamp: "2025-03-02T08:00:00Z" },
+        { event: "open", user_id: "a", timestamp: "2025-03-02T18:00:00Z" },
+        { event: "open", user_id: "b", timestamp: "2025-03-03T08:00:00Z" },
+        // Same day as the signup, not a return
+        { event: "open", user_id: "c", timestamp: "2025-03-02T10:00:00Z" },
+      ]);
+    });
+
+    it("should group users by the day of their first start event", async () => {
+      const cohorts = await EventService.getRetention(appId, "signup", "open", {
+        period: "day",
+        periods: 2,
+        startDate: "2025-03-01",
+        endDate: "2025-03-02",
+      });
+
+      expect(cohorts.map((c) => [c.cohort, c.users])).toEqual([
+        ["2025-03-01", 2],
+        ["2025-03-02", 1],
+      ]);
+      expect(cohorts[0].retention).toEqual([
+        { period: 1, users: 1, percentage: 50 },
+        { period: 2, users: 1, percentage: 50 },
+      ]);
+      expect(cohorts[1].retention.map((r) => r.users)).toEqual([0, 0]);
+    });
+
+    it("should report periods that haven't started as null", async () => {
+      const now = new Date();
+      await EventService.collectEvent(appId, { event: "signup", user_id: "d", timestamp: now });
+
+      const cohorts = await EventService.getRetention(appId, "signup", "open", { period: "month", periods: 1, timeZone: "UTC" });
+
+      expect(cohorts[cohorts.length - 1].retention).toEqual([{ period: 1, users: null, percentage: null }]);
+    });
+
+    it("should reject ranges with too many cohorts with an InvalidRangeError", async () => {
+      const options = { period: "day", startDate: "2020-01-01", endDate: "2025-01-01" };
+      const error = await EventService.getRetention(appId, "signup", "open", options).catch((err) => err);
+
+      expect(error).toBeInstanceOf(InvalidRangeError);
+    });
+  });
+
+  describe("getBreakdown", () => {
+    beforeEach(async () => {
+      await EventService.collectEvents(appId, [
+        { event: "purchase", user_id: "a", metadata: { plan: { tier: "pro" }, country: "US" } },
+        { event: "purchase", user_id: "a", metadata: { plan: { tier: "pro" }, country: "US" } },
+        { event: "purchase", user_id: "b", metadata: { plan: { tier: "pro" }, country: "FR" } },
+        { event: "purchase", user_id: "c", metadata: { plan: { tier: "free" }, country: "US" } },
+        { event: "purchase", user_id: "d", metadata: { plan: { tier: "team" }, country: "US" } },
+        { event: "purchase", user_id: "e", metadata: { country: "US" } },
+      ]);
+    });
+
+    it("should count events and users per value of a nested property", async () => {
+      const breakdown = await EventService.getBreakdown(appId, "purchase", "plan.tier");
+
+      expect(breakdown.values[0]).toEqual({ value: "pro", count: 3, unique_users: 2 });
+      expect(breakdown.values.map((v) => v.value)).toEqual(["pro", "free", "team", null]);
+      expect(breakdown.other).toBeNull();
+      expect(breakdown.total).toEqual({ count: 6, unique_users: 5 });
+    });
+
+    it("should group values beyond the limit in other", async () => {
+      const breakdown = await EventService.getBreakdown(appId, "purchase", "plan.tier", { limit: 2 });
+
+      expect(breakdown.values.length).toBe(2);
+      expect(breakdown.other).toEqual({ count: 2, unique_users: 2, values: 2 });
+    });
+
+    it("should filter on metadata equality", async () => {
+      const breakdown = await EventService.getBreakdown(appId, "purchase", "plan.tier", { filters: { country: "US" } });
+
+      expect(breakdown.values[0]).toEqual({ value: "pro", count: 2, unique_users: 1 });
+      expect(breakdown.total.count).toBe(5);
+    });
   });
 
   describe("getUserStats", () => {
@@ -152,8 +501,9 @@ describe("EventService", () => {
     it("should return stats for a user", async () => {
       const result = await EventService.getUserStats(appId, "u1");
 
+      // Along with the page view and click of the outer setup
       expect(result.user_id).toBe("u1");
-      expect(Number(result.total_events)).toBe(2);
+      expect(Number(result.total_events)).toBe(4);
       expect(result.device_details).toHaveProperty("mobile");
       expect(result.device_details).toHaveProperty("desktop");
       expect(result.recent_events.length).toBeGreaterThan(0);
@@ -166,6 +516,86 @@ describe("EventService", () => {
     });
   });
 
+  describe("IP privacy modes", () => {
+    const setIpMode = (ipMode) => pool.query("UPDATE apps SET ip_mode = $2 WHERE id = $1", [appId, ipMode]);
+    const storedIp = async (event) => {
+      const result = await pool.query("SELECT ip_address, ip_hash FROM events WHERE app_id = $1 AND event_type = $2", [appId, event]);
+      return result.rows[0];
+    };
+
+    it("should store full addresses by default", async () => {
+      await EventService.collectEvent(appId, { event: "visit", user_id: "u1", ipAddress: "203.0.113.42" });
+
+      expect(await storedIp("visit")).toEqual({ ip_address: "203.0.113.42", ip_hash: null });
+    });
+
+    it("should store truncated addresses in truncate mode", async () => {
+      await setIpMode("truncate");
+      await EventService.collectEvents(appId, [
+        { event: "visit", user_id: "u1", ipAddress: "203.0.113.42" },
+        { event: "visit_v6", user_id: "u1", ipAddress: "2001:db8:85a3:8d3::7348" },
+      ]);
+
+      expect(await storedIp("visit")).toEqual({ ip_address: "203.0.113.0", ip_hash: null });
+      expect(await storedIp("visit_v6")).toEqual({ ip_address: "2001:db8:85a3::", ip_hash: null });
+    });
+
+    it("should store a salted hash instead of the address in hash mode", async () => {
+      await setIpMode("hash");
+      await EventService.collectEvent(appId, { event: "visit", user_id: "u1", ipAddress: "203.0.113.42" });
+
+      const stored = await storedIp("visit");
+      expect(stored.ip_address).toBeNull();
+      expect(stored.ip_hash).toBe(IpUtils.hash("203.0.113.42", await IpPrivacyService.getSalt()));
+    });
+
+    it("should store nothing in drop mode", async () => {
+      await setIpMode("drop");
+      await EventService.collectEvent(appId, { event: "visit", user_id: "u1", ipAddress: "203.0.113.42" });
+
+      expect(await storedIp("visit")).toEqual({ ip_address: null, ip_hash: null });
+    });
+
+    it("should still resolve the location from the full address", async () => {
+      const lookedUp = [];
+      GeoIpService.reader = { get: (ip) => lookedUp.push(ip) && { country: { iso_code: "FR" } } };
+      await setIpMode("drop");
+
+      try {
+        await EventService.collectEvent(appId, { event: "visit", user_id: "u1", ipAddress: "203.0.113.42" });
+      } finally {
+        GeoIpService.reader = undefined;
+      }
+
+      expect(lookedUp).toEqual(["203.0.113.42"]);
+      const result = await pool.query("SELECT country FROM events WHERE app_id = $1 AND event_type = 'visit'", [appId]);
+      expect(result.rows[0].country).toBe("FR");
+    });
+
+    it("should keep the salt for the whole day", async () => {
+      IpPrivacyService.salt = null;
+      const salt = await IpPrivacyService.getSalt();
+      IpPrivacyService.salt = null;
+
+      expect(await IpPrivacyService.getSalt()).toBe(salt);
+    });
+
+    it("should show user stats addresses as the current mode allows", async () => {
+      await EventService.collectEvent(appId, { event: "visit", user_id: "u1", ipAddress: "203.0.113.42" });
+      await EventService.collectEvent(appId, { event: "visit", user_id: "u1", ipAddress: "203.0.113.43" });
+
+      await setIpMode("truncate");
+      const truncated = await EventService.getUserStats(appId, "u1");
+      expect(truncated.ip_mode).toBe("truncate");
+      expect(truncated.ip_addresses).toEqual(["203.0.113.0"]);
+
+      await setIpMode("hash");
+      const hashed = await EventService.getUserStats(appId, "u1");
+      expect(hashed.ip_mode).toBe("hash");
+      expect(hashed).not.toHaveProperty("ip_addresses");
+    });
+  });
+
   describe("getRecentEvents", () => {
     beforeEach(async () => {
       await EventService.collectEvent(appId, {
@@ -181,6 +611,26 @@ describe("EventService", () => {
       expect(events[0]).toHaveProperty("event_type");
       expect(events[0].app_id).toBeUndefined(); // since query only selects few fields
     });
+
+    it("should page through events with cursors", async () => {
+      const first = await EventService.getRecentEvents(appId, 2);
+      const second = await EventService.getRecentEvents(appId, 2, { cursor: first[1].cursor });
+
+      expect(first.map((e) => e.event_type)).toEqual(["click", "click_button"]);
+      expect(second.map((e) => e.event_type)).toEqual(["page_view", "page_view"]);
+      expect(second[0].timestamp.getTime()).toBeLessThan(first[1].timestamp.getTime());
+    });
+
+    it("should filter events by type, user and session", async () => {
+      const events = await EventService.getRecentEvents(appId, 10, { eventType: "page_view", userId: "u2" });
+
+      expect(events.length).toBe(1);
+      expect(events[0].user_id).toBe("u2");
+    });
+
+    it("should reject malformed cursors", async () => {
+      await expect(EventService.getRecentEvents(appId, 10, { cursor: "not-a-cursor" })).rejects.toThrow("Invalid cursor");
+    });
   });
 
   describe("getEventCountsByType", () => {
@@ -205,5 +655,17 @@ describe("EventService", () => {
       expect(result[0]).toHaveProperty("count");
       expect(result[0]).toHaveProperty("unique_users");
     });
+
+    it("should count every event when no range is given", async () => {
+      const result = await EventService.getEventCountsByType(appId);
+
+      expect(result.map(({ event_type }) => event_type)).toEqual(expect.arrayContaining(["click", "page_view"]));
+    });
+
+    it("should accept a start date alone", async () => {
+      const result = await EventService.getEventCountsByType(appId, "2025-02-20T10:30:00Z");
+
+      expect(result).toEqual([expect.objectContaining({ event_type: "click", count: "1" })]);
+    });
   });
 });
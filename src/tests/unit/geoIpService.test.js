@@ -0,0 +1,38 @@
+import { GeoIpService } from "../../services/geoIp.service.js";
+
+describe("GeoIpService", () => {
+  afterEach(() => {
+    GeoIpService.reader = undefined;
+  });
+
+  describe("lookup", () => {
+    it("should resolve country, region and city from the database", () => {
+      GeoIpService.reader = {
+        get: () => ({
+          country: { iso_code: "FR", names: { en: "France" } },
+          subdivisions: [{ iso_code: "IDF", names: { en: "Île-de-France" } }],
+          city: { names: { en: "Paris" } },
+        }),
+      };
+
+      expect(GeoIpService.lookup("81.2.69.160")).toEqual({ country: "FR", region: "Île-de-France", city: "Paris" });
+    });
+
+    it("should return nulls for addresses missing from the database", () => {
+      GeoIpService.reader = { get: () => null };
+
+      expect(GeoIpService.lookup("10.0.0.1")).toEqual({ country: null, region: null, city: null });
+    });
+
+    it("should return nulls without a database", () => {
+      GeoIpService.load("");
+
+      expect(GeoIpService.reader).toBeNull();
+      expect(GeoIpService.lookup("81.2.69.160")).toEqual({ country: null, region: null, city: null });
+    });
+
+    it("should not fail when the database file can't be read", () => {
+      expect(GeoIpService.load("/nonexistent/GeoLite2-City.mmdb")).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { jest } from "@jest/globals";
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { EventService } from "../../services/event.service.js";
+import { IngestionQueue, IngestionUnavailableError } from "../../services/ingestionQueue.service.js";
+import pool from "../../config/database.config.js";
+
+describe("IngestionQueue", () => {
+  let appId;
+  let queue;
+
+  beforeEach(async () => {
+    const registered = await ApiKeyService.registerApp("Queue Test App", "https://queue-test.com", "queue_user");
+    appId = registered.app_id;
+
+    queue = new IngestionQueue({ flushSize: 5, flushIntervalMs: 60000, maxBufferSize: 10, maxRetries: 2 });
+  });
+
+  afterEach(async () => {
+    queue.unschedule();
+    jest.restoreAllMocks();
+  });
+
+  const countEvents = async () => {
+    const result = await pool.query("SELECT COUNT(*) FROM events WHERE app_id = $1", [appId]);
+    return Number(result.rows[0].count);
+  };
+
+  describe("enqueue", () => {
+    it("should acknowledge events before they are written", async () => {
+      const accepted = queue.enqueue(appId, [{ event: "page_view" }, { event: "click" }]);
+
+      expect(accepted.length).toBe(2);
+      expect(accepted[0]).toHaveProperty("id");
+      expect(accepted[0]).toHaveProperty("timestamp");
+      expect(accepted[1].event_type).toBe("click");
+      expect(queue.size).toBe(2);
+      expect(await countEvents()).toBe(0);
+    });
+
+    it("should refuse events when the buffer is full", () => {
+      queue.flushSize = 100;
+      queue.enqueue(appId, Array.from({ length: 8 }, () => ({ event: "page_view" })));
+
+      expect(() => queue.enqueue(appId, [{ event: "a" }, { event: "b" }, { event: "c" }])).toThrow(IngestionUnavailableError);
+      expect(() => queue.enqueue(appId, [{ event: "a" }, { event: "b" }, { event: "c" }])).toThrow("buffer is full");
+      expect(queue.size).toBe(8);
+    });
+
+    it("should flush once the flush size is reached", async () => {
+      queue.enqueue(appId, Array.from({ length: 5 }, () => ({ event: "page_view" })));
+
+      await queue.flush();
+
+      expect(queue.size).toBe(0);
+      expect(await countEvents()).toBe(5);
+    });
+  });
+
+  describe("flush", () => {
+    it("should store events with the acknowledged ids", async () => {
+      const [accepted] = queue.enqueue(appId, [{ event: "page_view", user_id: "u1" }]);
+
+      const written = await queue.flush();
+
+      const result = await pool.query("SELECT id, user_id FROM events WHERE app_id = $1", [appId]);
+      expect(written).toBe(1);
+      expect(result.rows[0].id).toBe(accepted.id);
+      expect(result.rows[0].user_id).toBe("u1");
+    });
+
+    it("should recompute each summary once per flush", async () => {
+      const spy = jest.spyOn(EventService, "updateEventSummary");
+
+      queue.enqueue(appId, [
+        { event: "page_view", user_id: "u1", timestamp: "2025-02-20T10:00:00Z" },
+        { event: "page_view", user_id: "u2", timestamp: "2025-02-20T11:00:00Z" },
+        { event: "page_view", user_id: "u3", timestamp: "2025-02-21T11:00:00Z" },
+        { event: "click", user_id: "u1", timestamp: "2025-02-20T12:00:00Z" },
+      ]);
+
+      await queue.flush();
+
+      expect(spy).toHaveBeenCalledTimes(3);
+
+      const summary = await pool.query("SELECT total_count FROM event_summaries WHERE app_id = $1 AND event_type = $2 AND date = $3", [
+        appId,
+        "page_view",
+        "2025-02-20",
+      ]);
+      expect(summary.rows[0].total_count).toBe(2);
+    });
+
+    it("should keep events buffered when the insert fails and drop them after the retries", async () => {
+      jest.spyOn(EventService, "insertEvents").mockRejectedValue(new Error("Failed to collect events"));
+
+      queue.enqueue(appId, [{ event: "page_view" }]);
+
+      await queue.flush();
+      expect(queue.size).toBe(1);
+
+      await queue.flush();
+      expect(queue.size).toBe(0);
+      expect(queue.stats()).toEqual({ buffered: 0, dropped: 1, last_dropped_at: expect.any(Date) });
+    });
+
+    it("should write the rest of the chunk when one event can't be stored", async () => {
+      queue.enqueue(appId, [{ event: "page_view" }, { event: "orphan_event" }, { event: "click" }]);
+      queue.buffer[1].appId = "00000000-0000-0000-0000-000000000000";
+
+      const written = await queue.flush();
+
+      expect(written).toBe(2);
+      expect(await countEvents()).toBe(2);
+      expect(queue.size).toBe(1);
+    });
+  });
+
+  describe("drain", () => {
+    it("should write buffered events and stop accepting new ones", async () => {
+      queue.enqueue(appId, [{ event: "page_view" }, { event: "click" }]);
+
+      const written = await queue.drain();
+
+      expect(written).toBe(2);
+      expect(await countEvents()).toBe(2);
+      expect(() => queue.enqueue(appId, [{ event: "late_event" }])).toThrow("shutting down");
+    });
+  });
+});
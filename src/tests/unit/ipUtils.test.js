@@ -0,0 +1,44 @@
+import { IpUtils } from "../../utils/ip-utils";
+
+describe("IpUtils", () => {
+  describe("truncate", () => {
+    it("should zero the last octet of IPv4 addresses", () => {
+      expect(IpUtils.truncate("203.0.113.42")).toBe("203.0.113.0");
+    });
+
+    it("should keep the first 48 bits of IPv6 addresses", () => {
+      expect(IpUtils.truncate("2001:db8:85a3:8d3:1319:8a2e:370:7348")).toBe("2001:db8:85a3::");
+      expect(IpUtils.truncate("2001:db8::1")).toBe("2001:db8:0::");
+    });
+
+    it("should truncate IPv4-mapped IPv6 addresses as IPv4", () => {
+      expect(IpUtils.truncate("::ffff:192.168.1.77")).toBe("192.168.1.0");
+    });
+
+    it("should return null for invalid addresses", () => {
+      expect(IpUtils.truncate("not-an-ip")).toBeNull();
+      expect(IpUtils.truncate(undefined)).toBeNull();
+    });
+  });
+
+  describe("hash", () => {
+    it("should hash the same address the same way with the same salt", () => {
+      expect(IpUtils.hash("203.0.113.42", "salt")).toBe(IpUtils.hash("203.0.113.42", "salt"));
+      expect(IpUtils.hash("203.0.113.42", "salt")).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it("should hash differently with another salt", () => {
+      expect(IpUtils.hash("203.0.113.42", "salt")).not.toBe(IpUtils.hash("203.0.113.42", "other"));
+    });
+  });
+
+  describe("expandIPv6", () => {
+    it("should expand the :: shorthand into 8 groups", () => {
+      expect(IpUtils.expandIPv6("fe80::1")).toEqual(["fe80", "0", "0", "0", "0", "0", "0", "1"]);
+    });
+
+    it("should convert an embedded IPv4 tail into 2 groups", () => {
+      expect(IpUtils.expandIPv6("64:ff9b::192.0.2.33")).toEqual(["64", "ff9b", "0", "0", "0", "0", "c000", "221"]);
+    });
+  });
+});
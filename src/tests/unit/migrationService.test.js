@@ -0,0 +1,169 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { EventService } from "../../services/event.service.js";
+import { MigrationService } from "../../services/migration.service.js";
+import pool from "../../config/database.config.js";
+
+describe("MigrationService", () => {
+  let dir;
+
+  const writeMigration = async (file, sql) => fs.writeFile(path.join(dir, file), sql);
+
+  const tableExists = async (name) => {
+    const result = await pool.query("SELECT to_regclass($1) IS NOT NULL AS exists", [name]);
+    return result.rows[0].exists;
+  };
+
+  // Versions after those of src/migrations, so rolling them back leaves the real schema alone
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "migrations-"));
+
+    await writeMigration("9001_create_widgets.up.sql", "CREATE TABLE migration_test_widgets (id INTEGER PRIMARY KEY);");
+    await writeMigration("9001_create_widgets.down.sql", "DROP TABLE migration_test_widgets;");
+    await writeMigration("9002_add_widget_name.up.sql", "ALTER TABLE migration_test_widgets ADD COLUMN name TEXT;");
+    await writeMigration("9002_add_widget_name.down.sql", "ALTER TABLE migration_test_widgets DROP COLUMN name;");
+  });
+
+  afterEach(async () => {
+    await pool.query("DROP TABLE IF EXISTS migration_test_widgets");
+    await pool.query("DELETE FROM schema_migrations WHERE version >= 9000");
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe("loadMigrations", () => {
+    it("should pair up and down files and sort them by version", async () => {
+      await writeMigration("README.md", "Not a migration");
+
+      const migrations = await MigrationService.loadMigrations(dir);
+
+      expect(migrations.map(({ version, name }) => ({ version, name }))).toEqual([
+        { version: 9001, name: "create_widgets" },
+        { version: 9002, name: "add_widget_name" },
+      ]);
+      expect(migrations[0].checksum).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it("should reject a migration without down file", async () => {
+      await fs.rm(path.join(dir, "9002_add_widget_name.down.sql"));
+
+      await expect(MigrationService.loadMigrations(dir)).rejects.toThrow(
+        "Migration 9002_add_widget_name needs both an up and a down file"
+      );
+    });
+
+    it("should load the migrations of the repository", async () => {
+      const migrations = await MigrationService.loadMigrations();
+
+      expect(migrations[0]).toMatchObject({ version: 1, name: "initial_schema" });
+    });
+  });
+
+  describe("migrate", () => {
+    it("should apply pending migrations once", async () => {
+      const applied = await MigrationService.migrate({ dir });
+
+      expect(applied).toEqual([
+        { version: 9001, name: "create_widgets" },
+        { version: 9002, name: "add_widget_name" },
+      ]);
+      await pool.query("INSERT INTO migration_test_widgets (id, name) VALUES (1, 'widget')");
+
+      expect(await MigrationService.migrate({ dir })).toEqual([]);
+    });
+
+    it("should stop at the requested version", async () => {
+      const applied = await MigrationService.migrate({ dir, to: 9001 });
+
+      expect(applied).toEqual([{ version: 9001, name: "create_widgets" }]);
+      expect(await tableExists("migration_test_widgets")).toBe(true);
+    });
+
+    it("should leave no trace of a failing migration", async () => {
+      await writeMigration("9003_broken.up.sql", "CREATE TABLE migration_test_broken (id INTEGER); SELECT * FROM missing_table;");
+      await writeMigration("9003_broken.down.sql", "DROP TABLE migration_test_broken;");
+
+      await expect(MigrationService.migrate({ dir })).rejects.toThrow();
+
+      expect(await tableExists("migration_test_broken")).toBe(false);
+      const status = await MigrationService.status({ dir });
+      expect(status.find(({ version }) => version === 9003).state).toBe("pending");
+    });
+
+    it("should refuse to run when an applied migration was modified", async () => {
+      await MigrationService.migrate({ dir });
+      await writeMigration("9002_add_widget_name.up.sql", "ALTER TABLE migration_test_widgets ADD COLUMN label TEXT;");
+
+      await expect(MigrationService.migrate({ dir })).rejects.toThrow(
+        "Migration 9002_add_widget_name was modified after being applied"
+      );
+    });
+  });
+
+  describe("rollback", () => {
+    it("should revert the last applied migrations, latest first", async () => {
+      await MigrationService.migrate({ dir });
+
+      expect(await MigrationService.rollback({ dir })).toEqual([{ version: 9002, name: "add_widget_name" }]);
+
+      await MigrationService.migrate({ dir });
+      expect(await MigrationService.rollback({ dir, steps: 2 })).toEqual([
+        { version: 9002, name: "add_widget_name" },
+        { version: 9001, name: "create_widgets" },
+      ]);
+      expect(await tableExists("migration_test_widgets")).toBe(false);
+    });
+  });
+
+  describe("status", () => {
+    it("should report applied, pending, modified and missing migrations", async () => {
+      await MigrationService.migrate({ dir, to: 9001 });
+      await writeMigration("9001_create_widgets.up.sql", "CREATE TABLE migration_test_widgets (id BIGINT PRIMARY KEY);");
+
+      const status = await MigrationService.status({ dir });
+      const states = Object.fromEntries(status.map(({ version, state }) => [version, state]));
+
+      // Migrations of the repository, applied by the test setup, have no files in this directory
+      expect(states).toMatchObject({ 1: "missing", 9001: "modified", 9002: "pending" });
+    });
+
+    it("should report every migration of the repository as applied by the test setup", async () => {
+      const status = await MigrationService.status();
+
+      expect(status.every(({ state }) => state === "applied")).toBe(true);
+    });
+  });
+
+  describe("019_backfill_summary_rollups", () => {
+    it("should fill the users and breakdowns of rollups built before they existed", async () => {
+      const { app_id: appId } = await ApiKeyService.registerApp("Backfill Test App", "https://backfill-test.com", "owner");
+      const timestamp = "2025-03-10T12:00:00Z";
+      const chrome = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+      const firefox = "Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0";
+
+      await EventService.insertEvents([
+        { appId, event: "page_view", user_id: "user-1", userAgent: chrome, timestamp },
+        { appId, event: "page_view", user_id: "user-2", userAgent: firefox, timestamp },
+      ]);
+      await EventService.updateEventSummary(appId, "page_view", timestamp);
+
+      // As left by the versions before 002, 004 and 005
+      await pool.query("DELETE FROM event_summary_users WHERE app_id = $1", [appId]);
+      await pool.query("UPDATE event_summaries SET browser_data = NULL, os_data = NULL, country_data = NULL WHERE app_id = $1", [appId]);
+
+      const [migration] = (await MigrationService.loadMigrations()).filter(({ name }) => name === "backfill_summary_rollups");
+      await pool.query(migration.up);
+
+      const users = await pool.query("SELECT user_id FROM event_summary_users WHERE app_id = $1 ORDER BY user_id", [appId]);
+      const summary = await pool.query("SELECT browser_data, os_data, country_data FROM event_summaries WHERE app_id = $1", [appId]);
+
+      expect(users.rows.map(({ user_id }) => user_id)).toEqual(["user-1", "user-2"]);
+      expect(summary.rows[0]).toEqual({
+        browser_data: { Chrome: 1, Firefox: 1 },
+        os_data: { Windows: 1, Linux: 1 },
+        country_data: { unknown: 2 },
+      });
+    });
+  });
+});
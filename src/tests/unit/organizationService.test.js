@@ -0,0 +1,165 @@
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { AppService } from "../../services/app.service.js";
+import { OrganizationService } from "../../services/organization.service.js";
+import { OwnerService } from "../../services/owner.service.js";
+import pool from "../../config/database.config.js";
+
+describe("OrganizationService", () => {
+  let owner;
+  let orgId;
+
+  beforeEach(async () => {
+    owner = await OwnerService.signup("owner@org-test.com", "owner-password");
+    orgId = (await OrganizationService.createOrganization("Org Test Team", owner.owner_id)).org_id;
+  });
+
+  // Account invited and joined with the given role
+  const addMember = async (email, role) => {
+    const member = await OwnerService.signup(email, "member-password");
+    const { token } = await OrganizationService.createInvitation(orgId, owner.owner_id, { email, role });
+    await OrganizationService.acceptInvitation(token, member.owner_id, member.email);
+    return member;
+  };
+
+  describe("hasRole", () => {
+    it("should order roles from viewer to owner", () => {
+      expect(OrganizationService.hasRole("owner", "admin")).toBe(true);
+      expect(OrganizationService.hasRole("analyst", "viewer")).toBe(true);
+      expect(OrganizationService.hasRole("viewer", "analyst")).toBe(false);
+    });
+  });
+
+  describe("ensurePersonalOrg", () => {
+    it("should create the personal organization once", async () => {
+      const first = await OrganizationService.ensurePersonalOrg("legacy-user");
+      const second = await OrganizationService.ensurePersonalOrg("legacy-user");
+
+      expect(second).toBe(first);
+      expect(await OrganizationService.checkOrgRole(first, "legacy-user", "owner")).toBe("owner");
+    });
+
+    it("should give each account a personal organization on signup", async () => {
+      const orgs = await OrganizationService.listOrganizations(owner.owner_id);
+
+      expect(orgs.map(({ name, personal, role }) => ({ name, personal, role }))).toEqual([
+        { name: "Personal", personal: true, role: "owner" },
+        { name: "Org Test Team", personal: false, role: "owner" },
+      ]);
+    });
+  });
+
+  describe("app roles", () => {
+    let appId;
+
+    beforeEach(async () => {
+      appId = (await ApiKeyService.registerApp("Org App", "https://org-app-test.com", owner.owner_id, "UTC", "full", orgId)).app_id;
+    });
+
+    it("should let admins manage the apps of the organization", async () => {
+      const admin = await addMember("admin@org-test.com", "admin");
+
+      const key = await ApiKeyService.createApiKey(appId, admin.owner_id, { name: "Admin key", scopes: ["ingest"] });
+
+      expect(key.app_id).toBe(appId);
+      expect((await AppService.listApps(admin.owner_id)).map(({ app_id, role }) => ({ app_id, role }))).toEqual([
+        { app_id: appId, role: "admin" },
+      ]);
+    });
+
+    it("should keep analysts and viewers from managing apps", async () => {
+      const analyst = await addMember("analyst@org-test.com", "analyst");
+
+      await expect(ApiKeyService.createApiKey(appId, analyst.owner_id, { scopes: ["read"] })).rejects.toThrow("Insufficient role");
+      await expect(AppService.deleteApp(appId, analyst.owner_id)).rejects.toThrow("Insufficient role");
+      expect((await AppService.getApp(appId, analyst.owner_id)).role).toBe("analyst");
+    });
+
+    it("should report apps of other organizations as not found", async () => {
+      const outsider = await OwnerService.signup("outsider@org-test.com", "outsider-password");
+
+      await expect(OrganizationService.checkAppRole(appId, outsider.owner_id, "viewer")).rejects.toThrow("App not found or unauthorized");
+      expect(await OrganizationService.getAppMembership(appId, outsider.owner_id)).toBeNull();
+    });
+
+    it("should allow the same URL in different organizations", async () => {
+      const personal = await ApiKeyService.registerApp("Org App", "https://org-app-test.com", owner.owner_id);
+
+      expect(personal.org_id).not.toBe(orgId);
+    });
+  });
+
+  describe("updateMemberRole and removeMember", () => {
+    it("should only let owners grant the owner role", async () => {
+      const admin = await addMember("admin@org-test.com", "admin");
+      const viewer = await addMember("viewer@org-test.com", "viewer");
+
+      await OrganizationService.updateMemberRole(orgId, admin.owner_id, viewer.owner_id, "analyst");
+      await expect(OrganizationService.updateMemberRole(orgId, admin.owner_id, viewer.owner_id, "owner")).rejects.toThrow(
+        "Insufficient role"
+      );
+
+      const members = await OrganizationService.listMembers(orgId, viewer.owner_id);
+      expect(members.find(({ email }) => email === "viewer@org-test.com").role).toBe("analyst");
+    });
+
+    it("should keep at least one owner", async () => {
+      await expect(OrganizationService.updateMemberRole(orgId, owner.owner_id, owner.owner_id, "admin")).rejects.toThrow(
+        "at least one owner"
+      );
+      await expect(OrganizationService.removeMember(orgId, owner.owner_id, owner.owner_id)).rejects.toThrow("at least one owner");
+    });
+
+    it("should let members leave but not remove others", async () => {
+      const viewer = await addMember("viewer@org-test.com", "viewer");
+      const analyst = await addMember("analyst@org-test.com", "analyst");
+
+      await expect(OrganizationService.removeMember(orgId, viewer.owner_id, analyst.owner_id)).rejects.toThrow("Insufficient role");
+      await OrganizationService.removeMember(orgId, viewer.owner_id, viewer.owner_id);
+
+      await expect(OrganizationService.listMembers(orgId, viewer.owner_id)).rejects.toThrow("Organization not found or unauthorized");
+    });
+  });
+
+  describe("invitations", () => {
+    it("should only be accepted once, by the invited email", async () => {
+      const invitee = await OwnerService.signup("invitee@org-test.com", "invitee-password");
+      const other = await OwnerService.signup("other@org-test.com", "other-password");
+      const { token } = await OrganizationService.createInvitation(orgId, owner.owner_id, { email: "Invitee@Org-Test.com", role: "viewer" });
+
+      await expect(OrganizationService.acceptInvitation(token, other.owner_id, other.email)).rejects.toThrow("another email");
+
+      const joined = await OrganizationService.acceptInvitation(token, invitee.owner_id, invitee.email);
+
+      expect(joined).toMatchObject({ org_id: orgId, name: "Org Test Team", role: "viewer" });
+      await expect(OrganizationService.acceptInvitation(token, invitee.owner_id, invitee.email)).rejects.toThrow("already accepted");
+    });
+
+    it("should refuse expired invitations", async () => {
+      const invitee = await OwnerService.signup("invitee@org-test.com", "invitee-password");
+      const { token, invitation_id } = await OrganizationService.createInvitation(orgId, owner.owner_id, {
+        email: "invitee@org-test.com",
+        role: "viewer",
+      });
+      await pool.query("UPDATE organization_invitations SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [invitation_id]);
+
+      await expect(OrganizationService.acceptInvitation(token, invitee.owner_id, invitee.email)).rejects.toThrow("has expired");
+    });
+
+    it("should replace the pending invitation of an email and store only the hash of the token", async () => {
+      await OrganizationService.createInvitation(orgId, owner.owner_id, { email: "invitee@org-test.com", role: "viewer" });
+      const { token } = await OrganizationService.createInvitation(orgId, owner.owner_id, { email: "invitee@org-test.com", role: "analyst" });
+
+      const invitations = await OrganizationService.listInvitations(orgId, owner.owner_id);
+      const stored = await pool.query("SELECT token_hash FROM organization_invitations WHERE org_id = $1", [orgId]);
+
+      expect(invitations.map(({ role }) => role)).toEqual(["analyst"]);
+      expect(stored.rows[0].token_hash).not.toContain(token);
+    });
+
+    it("should refuse to invite a member", async () => {
+      await expect(
+        OrganizationService.createInvitation(orgId, owner.owner_id, { email: "owner@org-test.com", role: "viewer" })
+      ).rejects.toThrow("already a member");
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { OriginService } from "../../services/origin.service.js";
+
+describe("OriginService", () => {
+  let appId;
+
+  beforeEach(async () => {
+    const registered = await ApiKeyService.registerApp("Origin Service App", "https://origin-service.com", "origin_owner");
+    appId = registered.app_id;
+    OriginService.knownOrigins.clear();
+  });
+
+  describe("updateAllowedOrigins", () => {
+    it("should store lowercased origins once", async () => {
+      const result = await OriginService.updateAllowedOrigins(appId, "origin_owner", ["https://A.com", "https://a.com "]);
+
+      expect(result.allowed_origins).toEqual(["https://a.com"]);
+    });
+
+    it("should throw error for unauthorized user", async () => {
+      await expect(OriginService.updateAllowedOrigins(appId, "different_user", [])).rejects.toThrow("not found or unauthorized");
+    });
+  });
+
+  describe("isKnownOrigin", () => {
+    it("should tell whether an app allows an origin", async () => {
+      expect(await OriginService.isKnownOrigin("https://origin-service.com")).toBe(true);
+      expect(await OriginService.isKnownOrigin("https://unknown-origin.com")).toBe(false);
+    });
+
+    it("should match wildcard patterns", async () => {
+      await OriginService.updateAllowedOrigins(appId, "origin_owner", ["https://*.my_shop.com"]);
+
+      expect(await OriginService.isKnownOrigin("https://eu.my_shop.com")).toBe(true);
+      expect(await OriginService.isKnownOrigin("https://eu.myXshop.com")).toBe(false);
+      expect(await OriginService.isKnownOrigin("https://my_shop.com")).toBe(false);
+    });
+
+    it("should forget cached answers when origins change", async () => {
+      expect(await OriginService.isKnownOrigin("https://later.com")).toBe(false);
+
+      await OriginService.updateAllowedOrigins(appId, "origin_owner", ["https://later.com"]);
+
+      expect(await OriginService.isKnownOrigin("https://later.com")).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { OriginUtils } from "../../utils/origin-utils.js";
+
+describe("OriginUtils", () => {
+  describe("normalize", () => {
+    it("should keep scheme, host and port of a URL", () => {
+      expect(OriginUtils.normalize("https://Shop.Example.com/cart?id=1")).toBe("https://shop.example.com");
+      expect(OriginUtils.normalize("http://localhost:3000/")).toBe("http://localhost:3000");
+    });
+
+    it("should drop default ports", () => {
+      expect(OriginUtils.normalize("https://example.com:443")).toBe("https://example.com");
+    });
+
+    it("should return null for values that aren't http(s) URLs", () => {
+      expect(OriginUtils.normalize("null")).toBeNull();
+      expect(OriginUtils.normalize("file:///home/index.html")).toBeNull();
+      expect(OriginUtils.normalize("")).toBeNull();
+      expect(OriginUtils.normalize(undefined)).toBeNull();
+    });
+  });
+
+  describe("isValidPattern", () => {
+    it("should accept origins and wildcard subdomains", () => {
+      expect(OriginUtils.isValidPattern("https://example.com")).toBe(true);
+      expect(OriginUtils.isValidPattern("http://localhost:3000")).toBe(true);
+      expect(OriginUtils.isValidPattern("https://*.example.com")).toBe(true);
+      expect(OriginUtils.isValidPattern("HTTPS://Example.com")).toBe(true);
+    });
+
+    it("should reject URLs with a path and other wildcards", () => {
+      expect(OriginUtils.isValidPattern("https://example.com/shop")).toBe(false);
+      expect(OriginUtils.isValidPattern("https://*")).toBe(false);
+      expect(OriginUtils.isValidPattern("https://*.com")).toBe(false);
+      expect(OriginUtils.isValidPattern("https://shop.*.com")).toBe(false);
+      expect(OriginUtils.isValidPattern("*")).toBe(false);
+    });
+  });
+
+  describe("matches", () => {
+    it("should match exact origins", () => {
+      expect(OriginUtils.matches("https://example.com", "https://example.com")).toBe(true);
+      expect(OriginUtils.matches("http://example.com", "https://example.com")).toBe(false);
+      expect(OriginUtils.matches("https://example.com.evil.com", "https://example.com")).toBe(false);
+    });
+
+    it("should match subdomains of a wildcard pattern only", () => {
+      expect(OriginUtils.matches("https://shop.example.com", "https://*.example.com")).toBe(true);
+      expect(OriginUtils.matches("https://a.b.example.com", "https://*.example.com")).toBe(true);
+      expect(OriginUtils.matches("https://example.com", "https://*.example.com")).toBe(false);
+      expect(OriginUtils.matches("https://evilexample.com", "https://*.example.com")).toBe(false);
+      expect(OriginUtils.matches("https://shop.example.com:8443", "https://*.example.com")).toBe(false);
+      expect(OriginUtils.matches("https://shop.example.com:8443", "https://*.example.com:8443")).toBe(true);
+    });
+  });
+
+  describe("fromHeaders", () => {
+    it("should prefer the Origin header and fall back to the Referer", () => {
+      expect(OriginUtils.fromHeaders({ origin: "https://a.com", referer: "https://b.com/page" })).toEqual({
+        present: true,
+        origin: "https://a.com",
+      });
+      expect(OriginUtils.fromHeaders({ referer: "https://b.com/page" })).toEqual({ present: true, origin: "https://b.com" });
+    });
+
+    it("should tell requests without origin from opaque origins", () => {
+      expect(OriginUtils.fromHeaders({})).toEqual({ present: false, origin: null });
+      expect(OriginUtils.fromHeaders({ origin: "null" })).toEqual({ present: true, origin: null });
+    });
+  });
+});
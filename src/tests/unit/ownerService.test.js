@@ -0,0 +1,77 @@
+import { jest } from "@jest/globals";
+import { OwnerService } from "../../services/owner.service.js";
+import { OrganizationService } from "../../services/organization.service.js";
+import pool from "../../config/database.config.js";
+
+describe("OwnerService", () => {
+  describe("signup", () => {
+    it("should create an account and start a session", async () => {
+      const result = await OwnerService.signup(" Owner@Example.com ", "owner-password");
+
+      expect(result).toMatchObject({ email: "owner@example.com", token_type: "Bearer" });
+      expect(result.token.split(".")).toHaveLength(3);
+      expect(result.expires_at.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it("should not store the password", async () => {
+      const result = await OwnerService.signup("owner@example.com", "owner-password");
+
+      const dbResult = await pool.query("SELECT password_hash FROM owners WHERE id = $1", [result.owner_id]);
+
+      expect(dbResult.rows[0].password_hash).not.toContain("owner-password");
+    });
+
+    it("should throw error for an email already used", async () => {
+      await OwnerService.signup("owner@example.com", "owner-password");
+
+      await expect(OwnerService.signup("OWNER@example.com", "other-password")).rejects.toThrow("already exists");
+    });
+
+    it("should not keep the account when its organization can't be created", async () => {
+      const spy = jest.spyOn(OrganizationService, "ensurePersonalOrg").mockRejectedValueOnce(new Error("Connection lost"));
+
+      try {
+        await expect(OwnerService.signup("owner@example.com", "owner-password")).rejects.toThrow("Connection lost");
+      } finally {
+        spy.mockRestore();
+      }
+
+      const dbResult = await pool.query("SELECT id FROM owners WHERE email = $1", ["owner@example.com"]);
+      expect(dbResult.rows).toHaveLength(0);
+    });
+  });
+
+  describe("login", () => {
+    it("should start a session with the right password", async () => {
+      const account = await OwnerService.signup("owner@example.com", "owner-password");
+
+      const result = await OwnerService.login("Owner@Example.com", "owner-password");
+
+      expect(result.owner_id).toBe(account.owner_id);
+    });
+
+    it("should throw the same error for a wrong password and an unknown email", async () => {
+      await OwnerService.signup("owner@example.com", "owner-password");
+
+      await expect(OwnerService.login("owner@example.com", "wrong-password")).rejects.toThrow("Invalid email or password");
+      await expect(OwnerService.login("nobody@example.com", "owner-password")).rejects.toThrow("Invalid email or password");
+    });
+  });
+
+  describe("verifySession", () => {
+    it("should return the owner of a token", async () => {
+      const account = await OwnerService.signup("owner@example.com", "owner-password");
+
+      expect(OwnerService.verifySession(account.token)).toEqual({
+        status: "valid",
+        owner: { id: account.owner_id, email: "owner@example.com" },
+      });
+    });
+
+    it("should reject tampered tokens", async () => {
+      const account = await OwnerService.signup("owner@example.com", "owner-password");
+
+      expect(OwnerService.verifySession(`${account.token}x`)).toEqual({ status: "invalid", owner: null });
+    });
+  });
+});
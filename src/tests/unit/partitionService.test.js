@@ -0,0 +1,129 @@
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { EventService } from "../../services/event.service.js";
+import { PARTITION_LOCK_KEY, PartitionJob, PartitionService } from "../../services/partition.service.js";
+import { RetentionService } from "../../services/retention.service.js";
+import pool from "../../config/database.config.js";
+
+describe("PartitionService", () => {
+  let appId;
+
+  const partitionOf = async (eventType) => {
+    const result = await pool.query("SELECT tableoid::regclass::text AS partition FROM events WHERE app_id = $1 AND event_type = $2", [
+      appId,
+      eventType,
+    ]);
+    return result.rows[0].partition;
+  };
+
+  beforeEach(async () => {
+    const registered = await ApiKeyService.registerApp("Partition Test App", "https://partition-test.com", "owner");
+    appId = registered.app_id;
+  });
+
+  afterEach(async () => {
+    await pool.query("DELETE FROM events");
+
+    for (const name of ["events_y2019m05", "events_y2019m06"]) {
+      if ((await PartitionService.listPartitions()).some((partition) => partition.name === name)) {
+        await PartitionService.dropPartition(name);
+      }
+    }
+  });
+
+  describe("getMonthPartition", () => {
+    it("should name the partition after its month and bound it in UTC", () => {
+      expect(PartitionService.getMonthPartition(new Date("2025-02-14T23:30:00Z"))).toEqual({
+        name: "events_y2025m02",
+        from: "2025-02-01T00:00:00.000Z",
+        to: "2025-03-01T00:00:00.000Z",
+      });
+    });
+
+    it("should roll over to the next year in December", () => {
+      expect(PartitionService.getMonthPartition(new Date("2025-12-31T12:00:00Z")).to).toBe("2026-01-01T00:00:00.000Z");
+    });
+  });
+
+  describe("ensurePartitions", () => {
+    it("should create the partitions of the current and upcoming months", async () => {
+      await PartitionService.ensurePartitions(2);
+
+      const names = (await PartitionService.listPartitions()).map(({ name }) => name);
+      const now = new Date();
+
+      for (let offset = 0; offset <= 2; offset++) {
+        const month = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1));
+        expect(names).toContain(PartitionService.getMonthPartition(month).name);
+      }
+    });
+
+    it("should move events waiting in the default partition into their month partition", async () => {
+      await EventService.collectEvents(appId, [{ event: "backfill", user_id: "u1", timestamp: "2019-05-10T08:00:00Z" }]);
+      expect(await partitionOf("backfill")).toBe("events_default");
+
+      const created = await PartitionService.ensurePartitions(0);
+
+      expect(created).toContain("events_y2019m05");
+      expect(await partitionOf("backfill")).toBe("events_y2019m05");
+    });
+  });
+
+  describe("maintainPartitions", () => {
+    it("should leave the partitions to the server instance holding the lock", async () => {
+      await EventService.collectEvents(appId, [{ event: "backfill", user_id: "u1", timestamp: "2019-05-10T08:00:00Z" }]);
+
+      const other = await pool.connect();
+
+      try {
+        await other.query("SELECT pg_advisory_lock($1)", [PARTITION_LOCK_KEY]);
+        expect(await PartitionService.maintainPartitions(0)).toBeNull();
+      } finally {
+        await other.query("SELECT pg_advisory_unlock($1)", [PARTITION_LOCK_KEY]);
+        other.release();
+      }
+
+      expect(await partitionOf("backfill")).toBe("events_default");
+      expect(await PartitionService.maintainPartitions(0)).toContain("events_y2019m05");
+    });
+  });
+
+  describe("PartitionJob", () => {
+    it("should create the partitions at start, even without interval", async () => {
+      await EventService.collectEvents(appId, [{ event: "backfill", user_id: "u1", timestamp: "2019-05-10T08:00:00Z" }]);
+      const job = new PartitionJob({ intervalMs: 0, monthsAhead: 0 });
+
+      job.start();
+      await job.stop();
+
+      expect(job.lastRunAt).toBeInstanceOf(Date);
+      expect(await partitionOf("backfill")).toBe("events_y2019m05");
+    });
+  });
+
+  describe("dropExpiredPartitions", () => {
+    beforeEach(async () => {
+      await EventService.collectEvents(appId, [{ event: "old", user_id: "u1", timestamp: "2019-05-10T08:00:00Z" }]);
+      await PartitionService.ensurePartitions(0);
+    });
+
+    it("should drop past partitions whose events have all expired", async () => {
+      await RetentionService.updatePolicy(appId, "owner", { rawRetentionDays: 90 });
+
+      const dropped = await PartitionService.dropExpiredPartitions();
+
+      expect(dropped).toContainEqual({ name: "events_y2019m05", events: new Map([[appId, 1]]) });
+      expect((await PartitionService.listPartitions()).map(({ name }) => name)).not.toContain("events_y2019m05");
+    });
+
+    it("should keep partitions holding events of apps without raw retention", async () => {
+      await RetentionService.updatePolicy(appId, "owner", { rawRetentionDays: 90 });
+
+      const other = await ApiKeyService.registerApp("Forever App", "https://forever.com", "owner");
+      await EventService.collectEvents(other.app_id, [{ event: "old", user_id: "u2", timestamp: "2019-05-20T08:00:00Z" }]);
+
+      const dropped = await PartitionService.dropExpiredPartitions();
+
+      expect(dropped.map(({ name }) => name)).not.toContain("events_y2019m05");
+    });
+  });
+});
@@ -0,0 +1,22 @@
+import { PasswordUtils } from "../../utils/password-utils.js";
+
+describe("PasswordUtils", () => {
+  it("should hash passwords with a random salt", async () => {
+    const first = await PasswordUtils.hashPassword("correct-horse");
+    const second = await PasswordUtils.hashPassword("correct-horse");
+
+    expect(first).toMatch(/^scrypt\$16384\$8\$1\$[a-f0-9]{32}\$[a-f0-9]{128}$/);
+    expect(first).not.toBe(second);
+  });
+
+  it("should verify the hashed password only", async () => {
+    const hash = await PasswordUtils.hashPassword("correct-horse");
+
+    expect(await PasswordUtils.verifyPassword("correct-horse", hash)).toBe(true);
+    expect(await PasswordUtils.verifyPassword("wrong-horse", hash)).toBe(false);
+  });
+
+  it("should reject hashes it didn't produce", async () => {
+    expect(await PasswordUtils.verifyPassword("correct-horse", "plain-text")).toBe(false);
+  });
+});
@@ -0,0 +1,131 @@
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { DEFAULT_LIMITS, QuotaService } from "../../services/quota.service.js";
+import pool from "../../config/database.config.js";
+
+describe("QuotaService", () => {
+  let appId;
+
+  const limits = { events_per_minute: 10, monthly_event_quota: 25, analytics_queries_per_minute: 5 };
+
+  beforeEach(async () => {
+    const registered = await ApiKeyService.registerApp("Quota Test App", "https://quota-test.com", "owner");
+    appId = registered.app_id;
+  });
+
+  // Moves the window of the current minute back, as if a minute had passed
+  const nextMinute = async () => {
+    await pool.query("UPDATE app_usage SET minute_start = minute_start - INTERVAL '1 minute' WHERE app_id = $1", [appId]);
+  };
+
+  describe("resolveLimits", () => {
+    it("should fall back to the defaults of the server", () => {
+      expect(QuotaService.resolveLimits({ events_per_minute: null, monthly_event_quota: null })).toEqual(DEFAULT_LIMITS);
+    });
+
+    it("should read the monthly quota of the app as a number", () => {
+      const resolved = QuotaService.resolveLimits({ events_per_minute: 100, monthly_event_quota: "5000", analytics_queries_per_minute: 10 });
+
+      expect(resolved).toEqual({ events_per_minute: 100, monthly_event_quota: 5000, analytics_queries_per_minute: 10 });
+    });
+  });
+
+  describe("consumeEvents", () => {
+    it("should count the events of the minute and the month", async () => {
+      await QuotaService.consumeEvents(appId, 4, limits);
+      const usage = await QuotaService.consumeEvents(appId, 3, limits);
+
+      expect(usage).toMatchObject({ allowed: true, exceeded: null, minute: { limit: 10, used: 7 }, month: { limit: 25, used: 7 } });
+      expect(usage.minute.reset).toBeGreaterThan(0);
+      expect(usage.minute.reset).toBeLessThanOrEqual(60);
+      expect(usage.month.reset).toBeGreaterThan(0);
+    });
+
+    it("should refuse events beyond the per minute limit without counting them", async () => {
+      await QuotaService.consumeEvents(appId, 8, limits);
+      const usage = await QuotaService.consumeEvents(appId, 3, limits);
+
+      expect(usage).toMatchObject({ allowed: false, exceeded: "rate_limit", minute: { used: 8 }, month: { used: 8 } });
+      expect((await QuotaService.consumeEvents(appId, 2, limits)).allowed).toBe(true);
+    });
+
+    it("should start a new window every minute", async () => {
+      await QuotaService.consumeEvents(appId, 10, limits);
+      await nextMinute();
+
+      const usage = await QuotaService.consumeEvents(appId, 10, limits);
+
+      expect(usage).toMatchObject({ allowed: true, minute: { used: 10 }, month: { used: 20 } });
+    });
+
+    it("should refuse events beyond the monthly quota", async () => {
+      await QuotaService.consumeEvents(appId, 10, limits);
+      await nextMinute();
+      await QuotaService.consumeEvents(appId, 10, limits);
+      await nextMinute();
+
+      const usage = await QuotaService.consumeEvents(appId, 6, limits);
+
+      expect(usage).toMatchObject({ allowed: false, exceeded: "quota", month: { limit: 25, used: 20 } });
+      expect((await QuotaService.consumeEvents(appId, 5, limits)).allowed).toBe(true);
+    });
+
+    it("should refuse a batch larger than a limit, even for the first events of the month", async () => {
+      const usage = await QuotaService.consumeEvents(appId, 11, limits);
+
+      expect(usage).toMatchObject({ allowed: false, exceeded: "rate_limit", minute: { used: 0 }, month: { used: 0 } });
+    });
+
+    it("should keep the usage of each app apart", async () => {
+      const other = await ApiKeyService.registerApp("Other Quota App", "https://other-quota-test.com", "owner");
+
+      await QuotaService.consumeEvents(appId, 10, limits);
+
+      expect((await QuotaService.consumeEvents(other.app_id, 10, limits)).allowed).toBe(true);
+    });
+  });
+
+  describe("refundEvents", () => {
+    it("should give back events of the current minute and month", async () => {
+      await QuotaService.consumeEvents(appId, 8, limits);
+      await QuotaService.refundEvents(appId, 3);
+
+      const usage = await QuotaService.consumeEvents(appId, 5, limits);
+
+      expect(usage).toMatchObject({ allowed: true, minute: { used: 10 }, month: { used: 10 } });
+    });
+  });
+
+  describe("getUsage", () => {
+    it("should return the usage of the current month and the previous ones", async () => {
+      await QuotaService.consumeEvents(appId, 5, limits);
+      await QuotaService.recordAnalyticsQuery(appId);
+      await QuotaService.recordAnalyticsQuery(appId);
+
+      const usage = await QuotaService.getUsage(appId, limits, { months: 3 });
+
+      expect(usage.limits).toEqual(limits);
+      expect(usage.current_month).toMatchObject({ events: 5, analytics_queries: 2, event_quota: 25, events_remaining: 20 });
+      expect(usage.current_month.resets_at.getUTCDate()).toBe(1);
+      expect(usage.history).toHaveLength(3);
+      expect(usage.history.slice(1).map(({ events }) => events)).toEqual([0, 0]);
+    });
+  });
+
+  describe("updateLimits", () => {
+    it("should only change the given limits, null going back to the default", async () => {
+      await QuotaService.updateLimits(appId, "owner", { eventsPerMinute: 100, monthlyEventQuota: 5000 });
+      const updated = await QuotaService.updateLimits(appId, "owner", { eventsPerMinute: null });
+
+      expect(updated).toMatchObject({
+        app_id: appId,
+        events_per_minute: DEFAULT_LIMITS.events_per_minute,
+        monthly_event_quota: 5000,
+        analytics_queries_per_minute: DEFAULT_LIMITS.analytics_queries_per_minute,
+      });
+    });
+
+    it("should throw error for unauthorized user", async () => {
+      await expect(QuotaService.updateLimits(appId, "someone-else", { eventsPerMinute: 100 })).rejects.toThrow("not found or unauthorized");
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { PostgresRateLimitStore } from "../../services/rateLimitStore.service.js";
+import pool from "../../config/database.config.js";
+
+describe("PostgresRateLimitStore", () => {
+  let store;
+
+  beforeEach(() => {
+    store = new PostgresRateLimitStore({ prefix: "test:" });
+    store.init({ windowMs: 60 * 1000 });
+  });
+
+  // Moves the window of a client back in time, past its end
+  const expireWindow = async (key) => {
+    await pool.query("UPDATE rate_limit_hits SET reset_at = NOW() - INTERVAL '1 second' WHERE key = $1", [`test:${key}`]);
+  };
+
+  describe("increment", () => {
+    it("should count the hits of a client in its window", async () => {
+      const first = await store.increment("1.2.3.4");
+      const second = await store.increment("1.2.3.4");
+
+      expect(second.totalHits).toBe(2);
+      expect(second.resetTime).toEqual(first.resetTime);
+      expect(second.resetTime.getTime() - Date.now()).toBeGreaterThan(55 * 1000);
+    });
+
+    it("should start a new window once the previous one is over", async () => {
+      await store.increment("1.2.3.4");
+      await store.increment("1.2.3.4");
+      await expireWindow("1.2.3.4");
+
+      const hit = await store.increment("1.2.3.4");
+
+      expect(hit.totalHits).toBe(1);
+      expect(hit.resetTime.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it("should keep the hits of each limiter apart", async () => {
+      const other = new PostgresRateLimitStore({ prefix: "other:" });
+      other.init({ windowMs: 60 * 1000 });
+
+      await store.increment("1.2.3.4");
+
+      expect((await other.increment("1.2.3.4")).totalHits).toBe(1);
+    });
+
+    it("should count hits of concurrent requests once each", async () => {
+      await Promise.all(Array.from({ length: 10 }, () => store.increment("1.2.3.4")));
+
+      expect((await store.get("1.2.3.4")).totalHits).toBe(10);
+    });
+  });
+
+  describe("get", () => {
+    it("should return nothing for a client without a running window", async () => {
+      await store.increment("1.2.3.4");
+      await expireWindow("1.2.3.4");
+
+      expect(await store.get("1.2.3.4")).toBeUndefined();
+      expect(await store.get("5.6.7.8")).toBeUndefined();
+    });
+  });
+
+  describe("decrement", () => {
+    it("should take back a hit", async () => {
+      await store.increment("1.2.3.4");
+      await store.increment("1.2.3.4");
+      await store.decrement("1.2.3.4");
+
+      expect((await store.get("1.2.3.4")).totalHits).toBe(1);
+    });
+  });
+
+  describe("resetKey and resetAll", () => {
+    it("should forget the hits of a client, or of every client of the limiter", async () => {
+      const other = new PostgresRateLimitStore({ prefix: "other:" });
+      other.init({ windowMs: 60 * 1000 });
+
+      await store.increment("1.2.3.4");
+      await store.increment("5.6.7.8");
+      await other.increment("1.2.3.4");
+
+      await store.resetKey("1.2.3.4");
+      expect(await store.get("1.2.3.4")).toBeUndefined();
+      expect(await store.get("5.6.7.8")).toBeDefined();
+
+      await store.resetAll();
+      expect(await store.get("5.6.7.8")).toBeUndefined();
+      expect(await other.get("1.2.3.4")).toBeDefined();
+    });
+  });
+
+  describe("deleteExpired", () => {
+    it("should only delete windows that are over", async () => {
+      await store.increment("1.2.3.4");
+      await store.increment("5.6.7.8");
+      await expireWindow("1.2.3.4");
+
+      expect(await PostgresRateLimitStore.deleteExpired()).toBe(1);
+      expect(await store.get("5.6.7.8")).toBeDefined();
+    });
+  });
+});
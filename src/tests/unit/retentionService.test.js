@@ -0,0 +1,151 @@
+import { ApiKeyService } from "../../services/apiKey.service.js";
+import { EventService } from "../../services/event.service.js";
+import { PartitionService } from "../../services/partition.service.js";
+import { PurgeJob, RetentionService } from "../../services/retention.service.js";
+import pool from "../../config/database.config.js";
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe("RetentionService", () => {
+  let appId;
+
+  beforeEach(async () => {
+    const registered = await ApiKeyService.registerApp("Retention Test App", "https://retention-test.com", "owner");
+    appId = registered.app_id;
+
+    await EventService.collectEvents(appId, [
+      { event: "page_view", user_id: "u1", timestamp: daysAgo(400) },
+      { event: "page_view", user_id: "u1", timestamp: daysAgo(120) },
+      { event: "page_view", user_id: "u2", timestamp: daysAgo(100) },
+      { event: "page_view", user_id: "u2", timestamp: daysAgo(10) },
+    ]);
+  });
+
+  const countEvents = async () => Number((await pool.query("SELECT COUNT(*) FROM events WHERE app_id = $1", [appId])).rows[0].count);
+  const countSummaries = async () =>
+    Number((await pool.query("SELECT COUNT(*) FROM event_summaries WHERE app_id = $1", [appId])).rows[0].count);
+
+  describe("updatePolicy", () => {
+    it("should only change the given periods", async () => {
+      await RetentionService.updatePolicy(appId, "owner", { rawRetentionDays: 90, summaryRetentionDays: 730 });
+      const result = await RetentionService.updatePolicy(appId, "owner", { rawRetentionDays: 30 });
+
+      expect(result.raw_retention_days).toBe(30);
+      expect(result.summary_retention_days).toBe(730);
+    });
+
+    it("should refuse summaries kept shorter than raw events", async () => {
+      await expect(RetentionService.updatePolicy(appId, "owner", { rawRetentionDays: 90, summaryRetentionDays: 30 })).rejects.toThrow(
+        "at least as long as raw events"
+      );
+      await expect(RetentionService.updatePolicy(appId, "owner", { summaryRetentionDays: 30 })).rejects.toThrow(
+        "at least as long as raw events"
+      );
+    });
+
+    it("should throw error for unauthorized user", async () => {
+      await expect(RetentionService.updatePolicy(appId, "someone-else", { rawRetentionDays: 90 })).rejects.toThrow(
+        "not found or unauthorized"
+      );
+    });
+  });
+
+  describe("purgeExpired", () => {
+    afterEach(async () => {
+      await pool.query("DELETE FROM events WHERE app_id = $1", [appId]);
+      await PartitionService.dropExpiredPartitions();
+    });
+
+    it("should drop partitions whose events have all expired and count their events", async () => {
+      await RetentionService.updatePolicy(appId, "owner", { rawRetentionDays: 90 });
+
+      const [purge] = await RetentionService.purgeExpired({ batchSize: 1000, maxBatches: 10 });
+      const partitions = (await PartitionService.listPartitions()).map(({ name }) => name);
+
+      expect(purge.events_deleted).toBe(3);
+      expect(partitions).not.toContain(PartitionService.getMonthPartition(new Date(daysAgo(400))).name);
+      expect(partitions).toContain(PartitionService.getMonthPartition(new Date(daysAgo(10))).name);
+    });
+
+    it("should delete expired raw events and keep their summaries", async () => {
+      await RetentionService.updatePolicy(appId, "owner", { rawRetentionDays: 90 });
+
+      const purges = await RetentionService.purgeExpired({ batchSize: 1000, maxBatches: 10 });
+
+      expect(purges).toHaveLength(1);
+      expect(purges[0]).toMatchObject({ app_id: appId, events_deleted: 3, summaries_deleted: 0, completed: true });
+      expect(await countEvents()).toBe(1);
+      expect(await countSummaries()).toBe(4);
+    });
+
+    it("should delete in batches and leave the rest to the next run past the batch limit", async () => {
+      const app = { id: appId, events_cutoff: daysAgo(90), summaries_cutoff: null };
+
+      const first = await RetentionService.purgeApp(app, { batchSize: 1, maxBatches: 2 });
+      expect(first).toMatchObject({ events_deleted: 2, completed: false });
+
+      const second = await RetentionService.purgeApp(app, { batchSize: 1, maxBatches: 2 });
+      expect(second).toMatchObject({ events_deleted: 1, completed: true });
+
+      expect(await countEvents()).toBe(1);
+    });
+
+    it("should delete expired summaries", async () => {
+      await RetentionService.updatePolicy(appId, "owner", { rawRetentionDays: 90, summaryRetentionDays: 365 });
+
+      const [purge] = await RetentionService.purgeExpired({ batchSize: 1000, maxBatches: 10 });
+
+      expect(purge).toMatchObject({ events_deleted: 3, summaries_deleted: 1 });
+      expect(await countSummaries()).toBe(3);
+    });
+
+    it("should leave apps without policy alone", async () => {
+      expect(await RetentionService.purgeExpired({ batchSize: 1000, maxBatches: 10 })).toEqual([]);
+      expect(await countEvents()).toBe(4);
+    });
+  });
+
+  describe("summaries of purged days", () => {
+    it("should not be rebuilt from the events left", async () => {
+      await EventService.collectEvents(appId, [{ event: "page_view", user_id: "u3", timestamp: daysAgo(400) }]);
+      await RetentionService.updatePolicy(appId, "owner", { rawRetentionDays: 90 });
+
+      await RetentionService.purgeExpired({ batchSize: 1000, maxBatches: 10 });
+      await EventService.updateEventSummary(appId, "page_view", daysAgo(400));
+
+      const summary = await pool.query("SELECT total_count FROM event_summaries WHERE app_id = $1 AND date = $2", [
+        appId,
+        daysAgo(400).substring(0, 10),
+      ]);
+      expect(summary.rows[0].total_count).toBe(2);
+    });
+  });
+
+  describe("getStatus", () => {
+    it("should report the policy, the oldest data and the last purges", async () => {
+      await RetentionService.updatePolicy(appId, "owner", { rawRetentionDays: 90, summaryRetentionDays: 730 });
+      await RetentionService.purgeExpired({ batchSize: 1000, maxBatches: 10 });
+
+      const status = await RetentionService.getStatus(appId);
+
+      expect(status.policy).toEqual({ raw_retention_days: 90, summary_retention_days: 730 });
+      expect(status.oldest_event_at.toISOString().substring(0, 10)).toBe(daysAgo(10).substring(0, 10));
+      expect(status.oldest_summary_date).toBe(daysAgo(400).substring(0, 10));
+      expect(status.purges).toHaveLength(1);
+      expect(status.purges[0].events_deleted).toBe(3);
+    });
+  });
+
+  describe("PurgeJob", () => {
+    it("should share the run in progress between callers", async () => {
+      await RetentionService.updatePolicy(appId, "owner", { rawRetentionDays: 90 });
+      const job = new PurgeJob({ intervalMs: 0, batchSize: 1000, maxBatches: 10 });
+
+      const [first, second] = await Promise.all([job.run(), job.run()]);
+
+      expect(first).toBe(second);
+      expect(job.lastRunAt).toBeInstanceOf(Date);
+      expect(await countEvents()).toBe(1);
+    });
+  });
+});
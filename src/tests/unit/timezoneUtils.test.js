@@ -0,0 +1,35 @@
+import { TimezoneUtils } from "../../utils/timezone-utils";
+
+describe("TimezoneUtils", () => {
+  describe("isValidTimeZone", () => {
+    it("should accept IANA time zones", () => {
+      expect(TimezoneUtils.isValidTimeZone("UTC")).toBe(true);
+      expect(TimezoneUtils.isValidTimeZone("Asia/Kolkata")).toBe(true);
+    });
+
+    it("should reject unknown time zones", () => {
+      expect(TimezoneUtils.isValidTimeZone("Mars/Olympus_Mons")).toBe(false);
+      expect(TimezoneUtils.isValidTimeZone("")).toBe(false);
+      expect(TimezoneUtils.isValidTimeZone(undefined)).toBe(false);
+    });
+  });
+
+  describe("toWallClock", () => {
+    it("should convert absolute dates to wall-clock time of the time zone", () => {
+      expect(TimezoneUtils.toWallClock("2025-02-19T20:00:00Z", "Asia/Kolkata")).toBe("2025-02-20T01:30:00.000");
+      expect(TimezoneUtils.toWallClock(new Date("2025-07-01T02:15:00.250Z"), "America/New_York")).toBe("2025-06-30T22:15:00.250");
+    });
+
+    it("should keep dates without offset unchanged", () => {
+      expect(TimezoneUtils.toWallClock("2025-02-19", "Asia/Kolkata")).toBe("2025-02-19");
+      expect(TimezoneUtils.toWallClock("2025-02-19T10:00:00", "Asia/Kolkata")).toBe("2025-02-19T10:00:00");
+    });
+  });
+
+  describe("toLocalDate", () => {
+    it("should return the calendar date in the time zone", () => {
+      expect(TimezoneUtils.toLocalDate("2025-02-19T20:00:00Z", "Asia/Kolkata")).toBe("2025-02-20");
+      expect(TimezoneUtils.toLocalDate("2025-02-19T20:00:00Z", "UTC")).toBe("2025-02-19");
+    });
+  });
+});
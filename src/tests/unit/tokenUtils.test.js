@@ -0,0 +1,61 @@
+import { TokenUtils } from "../../utils/token-utils.js";
+
+describe("TokenUtils", () => {
+  const secret = "test-secret";
+
+  describe("signToken", () => {
+    it("should create a JWT with the claims and an expiry", () => {
+      const { token, expiresAt } = TokenUtils.signToken({ sub: "owner-1" }, secret, 60);
+
+      const [header, payload] = token.split(".").slice(0, 2).map((part) => JSON.parse(Buffer.from(part, "base64url").toString()));
+
+      expect(header).toEqual({ alg: "HS256", typ: "JWT" });
+      expect(payload).toMatchObject({ sub: "owner-1" });
+      expect(payload.exp - payload.iat).toBe(60);
+      expect(expiresAt.getTime()).toBe(payload.exp * 1000);
+    });
+  });
+
+  describe("verifyToken", () => {
+    it("should return the claims of a valid token", () => {
+      const { token } = TokenUtils.signToken({ sub: "owner-1" }, secret, 60);
+
+      const { status, claims } = TokenUtils.verifyToken(token, secret);
+
+      expect(status).toBe("valid");
+      expect(claims.sub).toBe("owner-1");
+    });
+
+    it("should reject a token signed with another secret", () => {
+      const { token } = TokenUtils.signToken({ sub: "owner-1" }, "other-secret", 60);
+
+      expect(TokenUtils.verifyToken(token, secret)).toEqual({ status: "invalid", claims: null });
+    });
+
+    it("should reject a token whose claims were changed", () => {
+      const { token } = TokenUtils.signToken({ sub: "owner-1" }, secret, 60);
+      const [header, , signature] = token.split(".");
+      const payload = Buffer.from(JSON.stringify({ sub: "owner-2", exp: 9999999999 })).toString("base64url");
+
+      expect(TokenUtils.verifyToken(`${header}.${payload}.${signature}`, secret).status).toBe("invalid");
+    });
+
+    it("should reject unsigned tokens", () => {
+      const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+      const token = `${encode({ alg: "none", typ: "JWT" })}.${encode({ sub: "owner-1", exp: 9999999999 })}.`;
+
+      expect(TokenUtils.verifyToken(token, secret).status).toBe("invalid");
+    });
+
+    it("should reject malformed tokens", () => {
+      expect(TokenUtils.verifyToken("not-a-token", secret).status).toBe("invalid");
+      expect(TokenUtils.verifyToken(undefined, secret).status).toBe("invalid");
+    });
+
+    it("should report expired tokens", () => {
+      const { token } = TokenUtils.signToken({ sub: "owner-1" }, secret, -1);
+
+      expect(TokenUtils.verifyToken(token, secret).status).toBe("expired");
+    });
+  });
+});
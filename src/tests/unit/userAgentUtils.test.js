@@ -0,0 +1,49 @@
+import { UserAgentUtils } from "../../utils/user-agent-utils";
+
+describe("UserAgentUtils", () => {
+  describe("parse", () => {
+    it("should parse a desktop Chrome user agent", () => {
+      const agent = UserAgentUtils.parse(
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.109 Safari/537.36"
+      );
+
+      expect(agent).toEqual({ browser: "Chrome", browser_version: "120.0.6099.109", os: "Windows", device: "desktop" });
+    });
+
+    it("should tell Edge apart from Chrome", () => {
+      const agent = UserAgentUtils.parse(
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91"
+      );
+
+      expect(agent.browser).toBe("Edge");
+      expect(agent.browser_version).toBe("120.0.2210.91");
+    });
+
+    it("should parse mobile Safari on iPhone", () => {
+      const agent = UserAgentUtils.parse(
+        "Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1"
+      );
+
+      expect(agent).toEqual({ browser: "Safari", browser_version: "17.1", os: "iOS", device: "mobile" });
+    });
+
+    it("should classify Android devices without Mobile as tablets", () => {
+      const agent = UserAgentUtils.parse(
+        "Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36"
+      );
+
+      expect(agent.os).toBe("Android");
+      expect(agent.device).toBe("tablet");
+    });
+
+    it("should classify bots as other", () => {
+      const agent = UserAgentUtils.parse("Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)");
+
+      expect(agent.device).toBe("other");
+    });
+
+    it("should return nulls without a user agent", () => {
+      expect(UserAgentUtils.parse(undefined)).toEqual({ browser: null, browser_version: null, os: null, device: null });
+    });
+  });
+});
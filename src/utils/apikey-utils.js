@@ -4,6 +4,9 @@ import { customAlphabet } from "nanoid";
 // Generate cryptographically secure API key
 const nanoid = customAlphabet("0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz", 48);
 
+// Format of the keys generated below, anything else can be rejected without a database lookup
+const API_KEY_FORMAT = /^sbx_[0-9A-Za-z]{48}$/;
+
 export class ApiKeyUtils {
   /**
    * Generates a new API key.
@@ -15,6 +18,15 @@ export class ApiKeyUtils {
     return api_key;
   }
 
+  /**
+   * Check that a value has the format of the API keys generated by generateApiKey()
+   * @param {string} apiKey - The value to check
+   * @return {boolean} Whether it could be an API key
+   */
+  static isWellFormed(apiKey) {
+    return API_KEY_FORMAT.test(apiKey);
+  }
+
   /**
    * Hash the given API key using SHA-256 for secure storage.
    * @param {string} apiKey - The API key to hash
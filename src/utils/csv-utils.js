@@ -0,0 +1,45 @@
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export class CsvUtils {
+  /**
+   * Serialize rows as CSV (RFC 4180), with a header line
+   * @param {Array<Object>} rows - The rows to serialize
+   * @param {Array<string>} columns - The columns, in order
+   * @return {string} The CSV document
+   */
+  static toCsv(rows, columns) {
+    const lines = [columns.map((column) => this.escape(column)).join(",")];
+
+    for (const row of rows) {
+      lines.push(columns.map((column) => this.escape(row[column])).join(","));
+    }
+
+    return `${lines.join("\r\n")}\r\n`;
+  }
+
+  /**
+   * Format a value as a CSV field: dates as ISO 8601, objects as JSON,
+   * quoted when it holds a quote, comma or line break
+   * @param {*} value - The value to format
+   * @return {string} The field
+   */
+  static escape(value) {
+    if (value === null || value === undefined) return "";
+
+    let field;
+    if (value instanceof Date) {
+      field = value.toISOString();
+    } else if (typeof value === "object") {
+      field = JSON.stringify(value);
+    } else {
+      field = String(value);
+    }
+
+    if (FORMULA_PREFIX.test(field)) {
+      field = `'${field}`;
+    }
+
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }
+}
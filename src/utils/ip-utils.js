@@ -0,0 +1,59 @@
+import crypto from "crypto";
+import net from "net";
+
+export class IpUtils {
+  /**
+   * Zero the host part of an IP address: the last octet of IPv4, the last 80 bits of IPv6.
+   * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are truncated as IPv4.
+   * @param {string} ipAddress - The IP address to truncate
+   * @return {string|null} The truncated address, or null if it isn't a valid IP address
+   */
+  static truncate(ipAddress) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ipAddress || "");
+    const address = mapped ? mapped[1] : ipAddress;
+
+    if (net.isIPv4(address)) {
+      return address.replace(/\.\d+$/, ".0");
+    }
+
+    if (net.isIPv6(address)) {
+      // Keep the first 48 bits, i.e. the first 3 groups
+      return `${this.expandIPv6(address).slice(0, 3).join(":")}::`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Hash an IP address with a salt, so visitors can be told apart without storing their address
+   * @param {string} ipAddress - The IP address to hash
+   * @param {string} salt - The current salt
+   * @return {string} The SHA-256 hex digest
+   */
+  static hash(ipAddress, salt) {
+    return crypto.createHash("sha256").update(`${salt}:${ipAddress}`).digest("hex");
+  }
+
+  /**
+   * Split an IPv6 address into its 8 groups, expanding the :: shorthand
+   * @param {string} ipAddress - A valid IPv6 address
+   * @return {Array<string>} The 8 groups, without leading zeros
+   */
+  static expandIPv6(ipAddress) {
+    let address = ipAddress.split("%")[0];
+
+    // An embedded IPv4 tail counts as the last 2 groups
+    const ipv4 = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(address);
+    if (ipv4) {
+      const [a, b, c, d] = ipv4.slice(1).map(Number);
+      address = address.replace(ipv4[0], `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`);
+    }
+
+    const [head, tail] = address.split("::");
+    const headGroups = head ? head.split(":") : [];
+    const tailGroups = tail ? tail.split(":") : [];
+    const zeros = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill("0");
+
+    return [...headGroups, ...zeros, ...tailGroups].map((group) => parseInt(group, 16).toString(16));
+  }
+}
@@ -0,0 +1,65 @@
+// Allowed origins are exact origins (https://example.com) or cover the subdomains of a domain (https://*.example.com)
+const WILDCARD_PATTERN = /^(https?):\/\/\*\.([a-z0-9-]+(?:\.[a-z0-9-]+)+)(:\d+)?$/;
+
+export class OriginUtils {
+  /**
+   * Get the origin of a URL: scheme, host and port, lowercased and without default port
+   * @param {string} value - An origin or a full URL
+   * @return {string|null} The origin, or null if the value isn't an http(s) URL
+   */
+  static normalize(value) {
+    if (typeof value !== "string" || value.length === 0) return null;
+
+    try {
+      const url = new URL(value);
+      return ["http:", "https:"].includes(url.protocol) ? url.origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a value can be stored as an allowed origin: an origin without path, or a wildcard pattern
+   * @param {string} value - The value to check
+   * @return {boolean} True if the value is an origin or a pattern
+   */
+  static isValidPattern(value) {
+    if (typeof value !== "string") return false;
+
+    const pattern = value.trim().toLowerCase();
+    if (WILDCARD_PATTERN.test(pattern)) return true;
+
+    // URL parsing accepts * as a host, only wildcard patterns may have one
+    return !pattern.includes("*") && this.normalize(pattern) === pattern;
+  }
+
+  /**
+   * Check whether an origin is covered by an allowed origin
+   * @param {string} origin - A normalized origin, see normalize()
+   * @param {string} pattern - An allowed origin, see isValidPattern()
+   * @return {boolean} True if the origin is allowed by the pattern
+   */
+  static matches(origin, pattern) {
+    const wildcard = WILDCARD_PATTERN.exec(pattern);
+    if (!wildcard) return origin === pattern;
+
+    const [, scheme, domain, port = ""] = wildcard;
+    const url = new URL(origin);
+
+    // The domain itself isn't covered, only its subdomains
+    return url.protocol === `${scheme}:` && url.hostname.endsWith(`.${domain}`) && (url.port ? `:${url.port}` : "") === port;
+  }
+
+  /**
+   * Get the origin a browser request comes from, from its Origin header or else its Referer header
+   * @param {Object} headers - Headers of the request
+   * @return {{present: boolean, origin: string|null}} Whether the request names an origin, and that origin
+   * (null if it names one that isn't an http(s) origin, e.g. "null" for sandboxed documents)
+   */
+  static fromHeaders(headers) {
+    const value = headers.origin || headers.referer;
+    if (!value) return { present: false, origin: null };
+
+    return { present: true, origin: this.normalize(value) };
+  }
+}
@@ -0,0 +1,45 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters, stored with each hash so they can be raised without invalidating passwords
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+const KEY_LENGTH = 64;
+
+export class PasswordUtils {
+  /**
+   * Hash a password with scrypt and a random salt.
+   * Format: scrypt$<cost>$<block size>$<parallelization>$<salt>$<hash>
+   * @param {string} password - The password to hash
+   * @return {Promise<string>} The hash, with what is needed to verify it
+   */
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLELIZATION });
+
+    return ["scrypt", COST, BLOCK_SIZE, PARALLELIZATION, salt, hash.toString("hex")].join("$");
+  }
+
+  /**
+   * Check a password against a hash of hashPassword(), in constant time
+   * @param {string} password - The password to check
+   * @param {string} storedHash - The hash
+   * @return {Promise<boolean>} Whether the password is the hashed one
+   */
+  static async verifyPassword(password, storedHash) {
+    const [algorithm, cost, blockSize, parallelization, salt, hash] = storedHash.split("$");
+    if (algorithm !== "scrypt" || !hash) return false;
+
+    const expected = Buffer.from(hash, "hex");
+    const actual = await scrypt(password, salt, expected.length, {
+      N: Number(cost),
+      r: Number(blockSize),
+      p: Number(parallelization),
+    });
+
+    return crypto.timingSafeEqual(actual, expected);
+  }
+}
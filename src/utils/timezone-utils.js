@@ -0,0 +1,66 @@
+export class TimezoneUtils {
+  /**
+   * Check whether the given name is a valid IANA time zone (e.g. Asia/Kolkata)
+   * @param {string} timeZone - The time zone name to check
+   * @return {boolean} True if the time zone is known
+   */
+  static isValidTimeZone(timeZone) {
+    if (typeof timeZone !== "string" || timeZone.length === 0) return false;
+
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether an ISO 8601 string carries its own UTC offset (Z or ±hh:mm)
+   * @param {string} value - The date string to check
+   * @return {boolean} True if the string has an offset
+   */
+  static hasOffset(value) {
+    return /T\d{2}(:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}(:?\d{2})?)$/i.test(value);
+  }
+
+  /**
+   * Express a date as wall-clock time of a time zone, without offset.
+   * Strings without offset are already wall-clock time and are returned unchanged.
+   * @param {Date|string} value - The date to convert
+   * @param {string} timeZone - The target time zone
+   * @return {string} The wall-clock time, formatted as YYYY-MM-DDTHH:mm:ss.SSS
+   */
+  static toWallClock(value, timeZone) {
+    if (typeof value === "string" && !this.hasOffset(value)) return value;
+
+    const date = new Date(value);
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-CA", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+        .formatToParts(date)
+        .map(({ type, value }) => [type, value])
+    );
+    const milliseconds = String(date.getUTCMilliseconds()).padStart(3, "0");
+
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}.${milliseconds}`;
+  }
+
+  /**
+   * Get the calendar date of a moment in a time zone
+   * @param {Date|string} value - The moment
+   * @param {string} timeZone - The time zone
+   * @return {string} The date, formatted as YYYY-MM-DD
+   */
+  static toLocalDate(value, timeZone) {
+    return this.toWallClock(value, timeZone).substring(0, 10);
+  }
+}
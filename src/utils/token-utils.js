@@ -0,0 +1,63 @@
+import crypto from "crypto";
+
+// Tokens are JSON Web Tokens signed with HMAC-SHA256, the only algorithm accepted
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const decode = (part) => JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+
+const sign = (data, secret) => crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+export class TokenUtils {
+  /**
+   * Create a signed token
+   * @param {Object} claims - Claims of the token, e.g. sub
+   * @param {string} secret - Secret the token is signed with
+   * @param {number} ttl - Seconds the token is valid
+   * @return {{token: string, expiresAt: Date}} The token and when it expires
+   */
+  static signToken(claims, secret, ttl) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const payload = { ...claims, iat: issuedAt, exp: issuedAt + ttl };
+
+    const data = `${encode(HEADER)}.${encode(payload)}`;
+
+    return { token: `${data}.${sign(data, secret)}`, expiresAt: new Date(payload.exp * 1000) };
+  }
+
+  /**
+   * Check the signature and expiry of a token of signToken()
+   * @param {string} token - The token
+   * @param {string} secret - Secret the token was signed with
+   * @return {{status: string, claims: Object|null}} The status of the token (valid, invalid or expired)
+   * and, unless invalid, its claims
+   */
+  static verifyToken(token, secret) {
+    const parts = typeof token === "string" ? token.split(".") : [];
+    if (parts.length !== 3) return { status: "invalid", claims: null };
+
+    const [header, payload, signature] = parts;
+
+    const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return { status: "invalid", claims: null };
+    }
+
+    let claims;
+    try {
+      // The signature covers the header, checking it still rules out tokens of other algorithms
+      if (decode(header).alg !== HEADER.alg) return { status: "invalid", claims: null };
+      claims = decode(payload);
+    } catch (error) {
+      return { status: "invalid", claims: null };
+    }
+
+    if (typeof claims.exp !== "number" || claims.exp <= Date.now() / 1000) {
+      return { status: "expired", claims };
+    }
+
+    return { status: "valid", claims };
+  }
+}
@@ -0,0 +1,60 @@
+// Checked in order, the first match wins: most browsers also claim to be Chrome, Safari or Mozilla
+const BROWSERS = [
+  { name: "Edge", pattern: /(?:Edg|Edge|EdgA|EdgiOS)\/([\d.]+)/ },
+  { name: "Opera", pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: "Samsung Internet", pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: "Firefox", pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: "Chrome", pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: "Safari", pattern: /Version\/([\d.]+).*Safari\// },
+  { name: "Internet Explorer", pattern: /(?:MSIE |Trident\/.*rv:)([\d.]+)/ },
+];
+
+const OPERATING_SYSTEMS = [
+  { name: "Windows", pattern: /Windows/ },
+  { name: "iOS", pattern: /iPhone|iPad|iPod/ },
+  { name: "ChromeOS", pattern: /CrOS/ },
+  { name: "Android", pattern: /Android/ },
+  { name: "macOS", pattern: /Mac OS X|Macintosh/ },
+  { name: "Linux", pattern: /Linux/ },
+];
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|headless|curl|wget|python-requests/i;
+const TABLET_PATTERN = /iPad|Tablet|PlayBook|Silk|Kindle|Android(?!.*Mobile)/;
+const MOBILE_PATTERN = /Mobi|iPhone|iPod|Windows Phone|Android.*Mobile/;
+
+export class UserAgentUtils {
+  /**
+   * Parse a User-Agent header into browser, OS and device class, without any lookup
+   * @param {string} userAgent - The User-Agent header
+   * @return {{browser: string|null, browser_version: string|null, os: string|null, device: string|null}}
+   * Unknown parts are null, device is one of mobile, tablet, desktop or other
+   */
+  static parse(userAgent) {
+    if (!userAgent) {
+      return { browser: null, browser_version: null, os: null, device: null };
+    }
+
+    const browser = BROWSERS.find(({ pattern }) => pattern.test(userAgent));
+    const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(userAgent));
+
+    return {
+      browser: browser ? browser.name : null,
+      browser_version: browser ? userAgent.match(browser.pattern)[1] : null,
+      os: os ? os.name : null,
+      device: this.getDeviceClass(userAgent, os),
+    };
+  }
+
+  /**
+   * Classify the device a User-Agent header comes from
+   * @param {string} userAgent - The User-Agent header
+   * @param {Object} [os] - The matched operating system
+   * @return {string} mobile, tablet, desktop or other
+   */
+  static getDeviceClass(userAgent, os) {
+    if (BOT_PATTERN.test(userAgent)) return "other";
+    if (TABLET_PATTERN.test(userAgent)) return "tablet";
+    if (MOBILE_PATTERN.test(userAgent)) return "mobile";
+    return os ? "desktop" : "other";
+  }
+}